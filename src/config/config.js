@@ -18,6 +18,7 @@ const server = {
 // Bot configuration
 const bot = {
   name: process.env.BOT_NAME || 'WhatsAppBot',
+  timezone: process.env.BOT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone, // Used for business hours
   autoReply: {
     enabled: process.env.ENABLE_AUTO_REPLY !== 'false',
     group: {
@@ -34,10 +35,29 @@ const bot = {
 
 // AI configuration
 const ai = {
-  provider: 'mistral',
-  apiKey: process.env.MISTRAL_API_KEY || 'stP8jFsp9UjHetAUW3KBCM6ssvr7IU9g', // Default key for development
-  model: process.env.MISTRAL_MODEL || 'mistral-large-latest',
-  maxHistoryMessages: parseInt(process.env.MISTRAL_MAX_HISTORY || '10', 10),
+  provider: process.env.AI_PROVIDER || 'mistral', // 'mistral', 'openai' (any OpenAI-compatible endpoint) or 'echo'
+  baseUrl: process.env.AI_BASE_URL || null, // e.g. http://localhost:11434/v1 for Ollama
+  apiKey: process.env.AI_API_KEY || null, // Sent to whichever provider is active; local servers usually need none
+  mistralApiKey: process.env.MISTRAL_API_KEY || 'stP8jFsp9UjHetAUW3KBCM6ssvr7IU9g', // Only sent to Mistral, default key for development
+  model: process.env.AI_MODEL || process.env.MISTRAL_MODEL || 'mistral-large-latest',
+  maxHistoryMessages: parseInt(process.env.MISTRAL_MAX_HISTORY || '50', 10), // Upper bound, the context budget decides how many fit
+  context: {
+    budgets: {
+      default: parseInt(process.env.AI_CONTEXT_BUDGET || '6000', 10) // Per-model budgets can be added by model name
+    },
+    reserveTokens: parseInt(process.env.AI_CONTEXT_RESERVE || '1000', 10), // Kept free for the reply
+    maxMessageTokens: parseInt(process.env.AI_CONTEXT_MAX_MESSAGE_TOKENS || '600', 10), // Longer history messages are shortened
+    maxParticipantNames: parseInt(process.env.AI_CONTEXT_MAX_PARTICIPANTS || '25', 10)
+  },
+  timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || '20000', 10),
+  maxRetries: parseInt(process.env.AI_MAX_RETRIES || '2', 10),
+  retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '1000', 10),
+  retryMaxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS || '15000', 10),
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_MS || '60000', 10)
+  },
+  fallback: process.env.AI_FALLBACK || 'wait', // 'wait', 'quickReply' or 'silence'
   useNameInReplies: process.env.USE_NAME_IN_REPLIES || 'occasional' // 'always', 'never', or 'occasional'
 };
 
@@ -51,6 +71,7 @@ const logging = {
 const storage = {
   auth: process.env.AUTH_PATH || 'auth',
   data: process.env.DATA_PATH || 'data',
+  knowledge: process.env.KNOWLEDGE_PATH || 'knowledge',
   public: process.env.PUBLIC_PATH || 'public'
 };
 
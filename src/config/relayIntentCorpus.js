@@ -0,0 +1,70 @@
+/**
+ * Relay Intent Corpus
+ *
+ * Phrasings the relay intent parser (services/relayIntentParser.js) must
+ * understand, with the recipient and payload it should find. Run them with
+ * !relaytest after changing the rules, and add a line here for every
+ * phrasing people use that the parser gets wrong.
+ *
+ * Fields:
+ *   text      - The group message, as written
+ *   isRelay   - Whether it asks the bot to pass something on
+ *   recipient - The recipient as written (omitted when not checked)
+ *   payload   - The text to relay
+ *   confident - Whether the rules are sure enough to skip the AI
+ */
+
+const relayIntentCorpus = [
+  // English
+  { text: 'tell @John that I\'m running late', isRelay: true, recipient: '@John', payload: 'I\'m running late', confident: true },
+  { text: 'Tell @John I\'m running late', isRelay: true, recipient: '@John', payload: 'I\'m running late', confident: true },
+  { text: 'please tell @8801711111111 to bring the keys', isRelay: true, recipient: '@8801711111111', payload: 'bring the keys', confident: true },
+  { text: 'can you please ask @Sarah to call me back', isRelay: true, recipient: '@Sarah', payload: 'call me back', confident: true },
+  { text: 'could you tell Rahim bhai that the meeting is at 5', isRelay: true, recipient: 'Rahim bhai', payload: 'the meeting is at 5', confident: true },
+  { text: 'remind @Karim to pay the rent', isRelay: true, recipient: '@Karim', payload: 'pay the rent', confident: true },
+  { text: 'let @John know that the shop is closed today', isRelay: true, recipient: '@John', payload: 'the shop is closed today', confident: true },
+  { text: 'say hi to @Sarah', isRelay: true, recipient: '@Sarah', payload: 'hi', confident: true },
+  { text: 'say to @Sarah that dinner is ready', isRelay: true, recipient: '@Sarah', payload: 'dinner is ready', confident: true },
+  { text: '@John tell him the delivery arrived', isRelay: true, recipient: '@John', payload: 'the delivery arrived', confident: true },
+  { text: '@John please let him know the delivery arrived', isRelay: true, recipient: '@John', payload: 'the delivery arrived', confident: true },
+  { text: 'The meeting moved to 5pm, tell @John', isRelay: true, recipient: '@John', payload: 'The meeting moved to 5pm', confident: true },
+  { text: 'ask @Sarah if she is coming tonight', isRelay: true, recipient: '@Sarah', confident: false },
+  { text: 'tell the manager and @John that we are out of stock', isRelay: true, confident: false },
+  { text: 'tell @John that @Sarah is late', isRelay: true, recipient: '@John', confident: false },
+  { text: 'tell @John to ignore @Sarah', isRelay: true, recipient: '@John', confident: false },
+  { text: 'tell @John and @Sarah that we are out of stock', isRelay: true, confident: false },
+  { text: 'please tell @John', isRelay: true, confident: false },
+  { text: 'tell @John that', isRelay: true, confident: false },
+  { text: '@John please bring the keys', isRelay: false, payload: 'please bring the keys', confident: true },
+  { text: '@Sarah happy birthday!', isRelay: false, payload: 'happy birthday!', confident: true },
+  { text: 'I told @John about it', isRelay: false, confident: false },
+  { text: '@John @Sarah the meeting is at 5', isRelay: false, confident: false },
+
+  // Banglish
+  { text: '@Sihab ke bolo ami aschi', isRelay: true, recipient: '@Sihab', payload: 'ami aschi', confident: true },
+  { text: 'Sihab bhai ke bolo je amake call dite', isRelay: true, recipient: 'Sihab bhai', payload: 'amake call dite', confident: true },
+  { text: '@Sihab ke bolo toh amake message dite', isRelay: true, recipient: '@Sihab', payload: 'amake message dite', confident: true },
+  { text: '@Rahim re janao kal meeting ache', isRelay: true, recipient: '@Rahim', payload: 'kal meeting ache', confident: true },
+  { text: '@Karim ke jigges koro kokhon asbe', isRelay: true, recipient: '@Karim', payload: 'kokhon asbe', confident: true },
+  { text: 'ami 10 minute e aschi, @Sihab ke bolo', isRelay: true, recipient: '@Sihab', payload: 'ami 10 minute e aschi', confident: true },
+  { text: 'kal office bondho @Rahim bhai ke bole dao', isRelay: true, recipient: '@Rahim bhai', payload: 'kal office bondho', confident: true },
+  { text: '@Sihab bolo je dokan khola', isRelay: true, recipient: '@Sihab', payload: 'dokan khola', confident: true },
+  { text: '@Mike bolo ami aschi', isRelay: true, recipient: '@Mike', payload: 'ami aschi', confident: true },
+  { text: '@Andre bolo kal meeting ache', isRelay: true, recipient: '@Andre', payload: 'kal meeting ache', confident: true },
+  { text: 'ami 10 minute e aschi, @Luke bolo', isRelay: true, recipient: null, confident: false },
+  { text: 'ke bolo toh amake message dite', isRelay: true, confident: false },
+  { text: '@Sihab ke bolo', isRelay: true, confident: false },
+  { text: '@Sihab ki koro', isRelay: false, payload: 'ki koro', confident: true },
+
+  // Bengali
+  { text: 'শিহাবকে বলো আমি আসছি', isRelay: true, recipient: 'শিহাব', payload: 'আমি আসছি', confident: true },
+  { text: '@Sihab কে বলো যে আমাকে কল দিতে', isRelay: true, recipient: '@Sihab', payload: 'আমাকে কল দিতে', confident: true },
+  { text: 'রহিম ভাইকে জানাও কাল মিটিং আছে', isRelay: true, payload: 'কাল মিটিং আছে', confident: true },
+  { text: 'আমি আসছি, শিহাবকে বলে দাও', isRelay: true, recipient: 'শিহাব', payload: 'আমি আসছি', confident: true },
+  { text: '@Karim কে জিজ্ঞেস করো কখন আসবে', isRelay: true, recipient: '@Karim', payload: 'কখন আসবে', confident: true },
+  { text: '@Sihab শুভ জন্মদিন', isRelay: false, payload: 'শুভ জন্মদিন', confident: true }
+];
+
+module.exports = {
+  relayIntentCorpus
+};
@@ -0,0 +1,109 @@
+/**
+ * Mention Relay Templates Configuration
+ *
+ * Built-in texts of the mention relay, per language. Changes made from the
+ * CLI or API are stored in data/relay_templates.json, for all groups or for
+ * one group; placeholders are written as {{placeholder}}.
+ *
+ * The relay sent to a person uses the recipient's language, the notices
+ * posted in the group use the group's language.
+ *
+ * Available placeholders:
+ *   {{groupName}}  - The group name (translated with the name table)
+ *   {{senderName}} - The name of the person asking for the relay (translated with the name table)
+ *   {{message}}    - The relayed message, or the recipient's answer
+ *   {{recipient}}  - The recipient's name, or their number if no name is known
+ *   {{number}}     - The recipient's phone number
+ *   {{name}}       - The mentioned name
+ *   {{options}}    - The people matching an ambiguous name, one per line
+ *   {{limit}}      - The group's daily relay quota
+ *   {{hours}}      - How long replies to a relay are posted in the group
+ */
+
+// Language used when the recipient's or group's language is unknown
+const DEFAULT_RELAY_LANGUAGE = 'bn';
+
+// Template keys and what they are used for
+const RELAY_TEMPLATE_KEYS = {
+  relay: 'Message sent to a mentioned person',
+  tellRelay: 'Message sent for "tell X ..." requests',
+  sentToNumber: 'Group confirmation after relaying to an @number',
+  sentToName: 'Group confirmation after relaying to an @name',
+  notFound: 'Group notice when no number is known for an @name',
+  ambiguous: 'Group notice when several people match an @name',
+  optedOut: 'Group notice when the recipient sent STOP',
+  held: 'Group notice when the relay waits for approval',
+  notSent: 'Group notice when the output guard blocked the relay',
+  relayNotAllowed: 'Group notice when the sender may not ask for relays in the group',
+  recipientNotAllowed: 'Group notice when the group\'s relay policy doesn\'t allow the recipient',
+  invalidNumber: 'Group notice when a mentioned number isn\'t a valid phone number',
+  quotaReached: 'Group notice when the sender reached the daily relay quota',
+  threadReply: 'Recipient\'s answer posted in the group, quoting the original message',
+  repliesShared: 'Added to the relay when every reply, quoted or not, is posted in the group',
+  groupFallback: 'Group name used when the name is missing or written in another script'
+};
+
+// Built-in templates per language
+const defaultRelayTemplates = {
+  bn: {
+    relay: '{{groupName}} থেকে {{senderName}} আপনাকে বলেছে:\n\n"{{message}}"',
+    tellRelay: '{{groupName}} থেকে {{senderName}} আপনাকে এই বার্তা পাঠাতে বলেছে:\n\n"{{message}}"',
+    sentToNumber: '✅ মেসেজ পাঠানো হয়েছে: {{number}} নম্বরে আপনার বার্তা পৌঁছে গেছে',
+    sentToName: '✅ বার্তা পাঠানো হয়েছে: {{name}} কে আপনার বার্তা পৌঁছে গেছে',
+    notFound: '{{name}} এর ফোন নম্বর খুঁজে পাইনি। তিনি আগে আমার সাথে চ্যাট করেছেন কিনা দেখুন।',
+    ambiguous: '{{name}} নামে কয়েকজন আছেন:\n{{options}}\n\nWhatsApp এর @ তালিকা থেকে বা @নম্বর দিয়ে সঠিক মানুষটিকে উল্লেখ করুন।',
+    optedOut: '⛔ {{recipient}} স্বয়ংক্রিয় বার্তা বন্ধ করেছেন, তাই বার্তাটি পাঠানো হয়নি',
+    held: '⏳ বার্তাটি অনুমোদনের অপেক্ষায় আছে, অনুমোদনের পর পাঠানো হবে',
+    notSent: '⚠️ বার্তাটি পাঠানো হয়নি',
+    relayNotAllowed: '⛔ এই গ্রুপে আপনি অন্যদের কাছে বার্তা পাঠাতে পারবেন না',
+    recipientNotAllowed: '⛔ {{recipient}} কে এই গ্রুপ থেকে বার্তা পাঠানো যাবে না',
+    invalidNumber: '⚠️ {{recipient}} সঠিক ফোন নম্বর নয়, দেশের কোডসহ নম্বর লিখুন',
+    quotaReached: '⛔ আপনি আজকের {{limit}}টি বার্তার সীমা পার করেছেন, পরে আবার চেষ্টা করুন',
+    threadReply: '↩️ {{recipient}} উত্তর দিয়েছেন:\n\n"{{message}}"',
+    repliesShared: 'ℹ️ পরের {{hours}} ঘণ্টা এই চ্যাটে আপনার সব উত্তর {{groupName}}-এ পাঠানো হবে',
+    groupFallback: 'গ্রুপ'
+  },
+  en: {
+    relay: '{{senderName}} from {{groupName}} says:\n\n"{{message}}"',
+    tellRelay: '{{senderName}} from {{groupName}} asked me to send you this message:\n\n"{{message}}"',
+    sentToNumber: '✅ Message sent: your message reached {{number}}',
+    sentToName: '✅ Message sent: your message reached {{name}}',
+    notFound: 'I couldn\'t find a phone number for {{name}}. Make sure they have chatted with me before.',
+    ambiguous: 'Several people are called {{name}}:\n{{options}}\n\nPlease mention the right person with WhatsApp\'s @ list or their @number.',
+    optedOut: '⛔ {{recipient}} opted out of automated messages, the message was not sent',
+    held: '⏳ The message is waiting for approval and will be sent once approved',
+    notSent: '⚠️ The message was not sent',
+    relayNotAllowed: '⛔ You can\'t ask me to message people from this group',
+    recipientNotAllowed: '⛔ Messages to {{recipient}} can\'t be sent from this group',
+    invalidNumber: '⚠️ {{recipient}} is not a valid phone number, please include the country code',
+    quotaReached: '⛔ You reached today\'s limit of {{limit}} messages, please try again later',
+    threadReply: '↩️ {{recipient}} replied:\n\n"{{message}}"',
+    repliesShared: 'ℹ️ For the next {{hours}} hours, all your replies in this chat are posted in {{groupName}}',
+    groupFallback: 'a group'
+  }
+};
+
+// Built-in transliterations of names into Bengali, by upper-case name.
+// Copied to data/name_translations.json where they can be edited
+const defaultNameTranslations = {
+  'SIHAB': 'শিহাব',
+  'SIHAB BHAI': 'শিহাব ভাই',
+  'RAHIM': 'রহিম',
+  'RAHIM KHAN': 'রহিম খান',
+  'KARIM': 'করিম',
+  'JOHN': 'জন',
+  'SARAH': 'সারা',
+  'ADMIN': 'অ্যাডমিন',
+  'BHAI': 'ভাই',
+  'AUNTIE': 'আন্টি',
+  'UNCLE': 'আংকেল',
+  'SIR': 'স্যার',
+  'MADAM': 'ম্যাডাম'
+};
+
+module.exports = {
+  DEFAULT_RELAY_LANGUAGE,
+  RELAY_TEMPLATE_KEYS,
+  defaultRelayTemplates,
+  defaultNameTranslations
+};
@@ -4,6 +4,9 @@
  * Manages user preferences and settings
  */
 
+// Import configuration for environment based defaults
+const config = require('./config');
+
 // Default user preferences
 const defaultPreferences = {
   autoReply: {
@@ -15,6 +18,19 @@ const defaultPreferences = {
       enabled: false
     }
   },
+  replyPolicy: {
+    // Phone numbers or JIDs; allow lists skip the group/direct flags, deny lists always win
+    allowChats: [],
+    denyChats: [],
+    allowSenders: [],
+    denySenders: []
+  },
+  groupTriggers: {
+    // Default for groups without their own preferences.groupTrigger
+    modes: ["always"], // always, or any of mention, quote, keyword
+    keywords: [], // Whole words, e.g. "bot"
+    prefixes: [] // Message starts, e.g. "!ask"
+  },
   notifications: {
     enabled: true,
     group: {
@@ -26,16 +42,155 @@ const defaultPreferences = {
   },
   ai: {
     enabled: true,
-    model: "mistral-large-latest",
-    apiKey: "stP8jFsp9UjHetAUW3KBCM6ssvr7IU9g",
+    provider: config.ai.provider, // mistral, openai, echo
+    baseUrl: config.ai.baseUrl,
+    model: config.ai.model,
+    apiKey: config.ai.apiKey,
+    providers: {
+      // Per-provider overrides, e.g. openai: { baseUrl: "http://localhost:8080/v1", model: "llama3" }
+    },
+    echo: {
+      prefix: "Echo: ",
+      cannedReplies: [] // [{ keyword: "price", reply: "Our prices are listed on the website." }]
+    },
     defaultLanguage: "auto", // auto, en, bn, ar, hi
     useNameInReplies: "occasional", // always, occasional, never
-    maxHistoryMessages: 10
+    defaultPersona: "default", // Persona used by chats without one (see src/config/personas.js)
+    maxHistoryMessages: config.ai.maxHistoryMessages,
+    context: {
+      budgets: {
+        // Token budget per model, e.g. "mistral-large-latest": 16000
+      }
+    },
+    timeoutMs: config.ai.timeoutMs,
+    maxRetries: config.ai.maxRetries,
+    retryBaseDelayMs: config.ai.retryBaseDelayMs,
+    retryMaxDelayMs: config.ai.retryMaxDelayMs,
+    circuitBreaker: config.ai.circuitBreaker,
+    fallback: config.ai.fallback, // wait, quickReply, silence
+    fallbackQuickReply: "!busy" // Shortcut used when fallback is quickReply
   },
   userData: {
     storageEnabled: true,
     maxConversationLength: 100,
-    trackParticipants: true
+    trackParticipants: true,
+    summary: {
+      enabled: true,
+      interval: 20, // Summarize once this many older messages have accumulated
+      keepRecent: 10, // Newest messages are left to the conversation history
+      maxTokens: 300
+    }
+  },
+  tools: {
+    enabled: true,
+    defaultAllowed: ["lookup_quick_reply", "get_group_info", "schedule_reminder"], // Chats can override with preferences.allowedTools
+    maxRounds: 3 // Tool call rounds per reply
+  },
+  knowledge: {
+    enabled: true,
+    topK: 3, // Passages injected into the prompt
+    minScore: 1, // Minimum BM25 score for a passage to be used
+    maxTokens: 800, // Token budget for injected passages
+    chunkSize: 800 // Characters per indexed chunk
+  },
+  businessHours: {
+    enabled: false, // When enabled, the AI only answers during the hours below
+    timezone: config.bot.timezone,
+    weekly: {
+      // "HH:MM-HH:MM" ranges per day; a range ending before it starts runs past midnight
+      sun: [],
+      mon: ["09:00-18:00"],
+      tue: ["09:00-18:00"],
+      wed: ["09:00-18:00"],
+      thu: ["09:00-18:00"],
+      fri: ["09:00-18:00"],
+      sat: []
+    },
+    exceptions: [
+      // e.g. { date: "2025-12-25", hours: [], note: "Christmas" } or { date: "2025-12-24", to: "2025-12-31", hours: ["10:00-14:00"] }
+    ],
+    outOfHours: {
+      action: "message", // ai, message, silent
+      message: "Thanks for your message, {{name}}! We're closed right now and open again {{opensAt}}.",
+      minIntervalMinutes: 240 // Send the message to a chat at most this often
+    }
+  },
+  rateLimit: {
+    enabled: true,
+    // Token buckets: up to capacity replies in a burst, refilled at refillPerMinute
+    sender: { capacity: 5, refillPerMinute: 2 },
+    chat: { capacity: 10, refillPerMinute: 4 },
+    global: { capacity: 30, refillPerMinute: 20 },
+    cooldownSeconds: 3, // Minimum gap between two replies in the same chat
+    batch: {
+      enabled: false, // Merge a burst of messages from the same person into one AI request
+      waitMs: 4000, // Reply once the sender has been quiet this long
+      maxWaitMs: 15000, // ... or after this long at the latest
+      maxMessages: 5
+    }
+  },
+  relayTemplates: {
+    defaultLanguage: "bn" // Relay texts for recipients and groups whose language isn't known; texts are in config/relayTemplates.js
+  },
+  relayPolicy: {
+    triggers: "all", // Who may ask for relays in groups: all, admins or allowlist (numbers in allowlist)
+    allowlist: [],
+    recipients: "known", // Who may receive relays: members (of the group), known (contacts the bot knows) or any valid number
+    dailyQuota: 20, // Relays per sender and group in 24 hours (0 = no limit)
+    rewrite: "auto", // auto: the AI rewrites relays the intent rules aren't sure about, verbatim: relay the text as written
+    defaultCountryCode: "880" // Added to numbers written with a national 0 prefix (01711... -> +8801711...)
+  },
+  relays: {
+    confirmOn: "delivered", // Post the group confirmation once the relay is queued, sent, delivered or read
+    maxRecords: 1000 // Relays kept in data/relays.json
+  },
+  relayThreads: {
+    enabled: true, // Replies to a relayed message are posted in the group, quoting the original message
+    expiryHours: 24, // How long replies are forwarded after the relay
+    forwardUnquoted: false // Also forward replies that don't quote the relay, to the recipient's latest thread (the relay then says so)
+  },
+  consent: {
+    enabled: true, // STOP/START in private chats; people who opted out get no automated DMs
+    stopKeywords: ["stop", "unsubscribe", "stop all", "opt out", "optout", "বন্ধ", "বন্ধ করুন", "বন্ধ করো", "থামুন", "আনসাবস্ক্রাইব", "bondho", "bondho koro"],
+    startKeywords: ["start", "subscribe", "unstop", "চালু", "চালু করুন", "চালু করো", "শুরু", "chalu", "chalu koro"]
+  },
+  chatCommands: {
+    enabled: true, // /help, /lang, /ai, /forget, /whoami, /remind, /close sent in chats
+    groupAdminOnly: true // In groups, only admins can use /lang, /ai and /forget
+  },
+  reminders: {
+    enabled: true, // "/remind ..." and "remind me ..." in chats
+    aiExtraction: true, // Ask the AI for the time when the simple rules find none
+    defaultTime: "09:00", // Used for "tomorrow" or "on friday" without a time
+    maxPerUser: 10 // Pending reminders per person and chat
+  },
+  outbox: {
+    sendIntervalMs: 500, // Gap between two sent messages
+    maxAttempts: 5, // Failed messages are moved to the dead letters after this many attempts
+    retryBaseDelayMs: 2000, // Doubled after every failed attempt
+    retryMaxDelayMs: 60000,
+    sendTimeoutMs: 30000 // A send that takes longer counts as a failed attempt
+  },
+  takeover: {
+    enabled: true, // Pause auto-reply in a chat when the owner replies by hand
+    pauseMinutes: 30, // 0 pauses until resumed
+    maxAgeMinutes: 10 // With pauseMinutes 0, older manual replies (e.g. from a history sync) don't pause
+  },
+  guard: {
+    enabled: true,
+    // Actions: rewrite (mask/replace/shorten), drop (never send), review (hold for !approve)
+    blockedWords: [],
+    blockedWordsAction: "rewrite",
+    regexRules: [
+      // e.g. { name: "no_links", pattern: "https?://\\S+", flags: "i", action: "rewrite", replacement: "" }
+    ],
+    maxLength: 1500, // Characters
+    maxLengthAction: "rewrite",
+    policies: {
+      noPromises: false, // Replies must not promise or guarantee anything
+      noPrices: false, // Replies must not quote prices
+      action: "review"
+    }
   },
   styles: {
     // Styles are defined in messageUI.js
@@ -0,0 +1,106 @@
+/**
+ * Circuit Breaker Module
+ *
+ * Stops calling a failing dependency after repeated failures and lets a
+ * single trial request through once the reset timeout has passed
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 60000;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Checks whether a request may be attempted
+   * Moves an open circuit to half-open once the reset timeout has elapsed; a
+   * half-open circuit allows one trial request at a time, and another one only
+   * if the trial's result isn't recorded within the reset timeout
+   * @returns {Boolean} - True if the request may be attempted
+   */
+  canRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.state = STATES.HALF_OPEN;
+      this.trialStartedAt = null;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trialStartedAt !== null && Date.now() - this.trialStartedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.trialStartedAt = Date.now();
+      console.log(`Circuit ${this.name} is half-open, allowing a trial request`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Records a successful request and closes the circuit
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`Circuit ${this.name} closed after a successful request`);
+    }
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Records a failed request and opens the circuit when the threshold is reached
+   */
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      this.trialStartedAt = null;
+      console.log(`Circuit ${this.name} opened after ${this.failures} failures`);
+    }
+  }
+
+  /**
+   * Gets the remaining time before an open circuit allows a trial request
+   * @returns {Number} - Milliseconds until retry, 0 if not open
+   */
+  getRetryIn() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Gets a snapshot of the circuit state
+   * @returns {Object} - The circuit state
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryInMs: this.getRetryIn()
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,79 @@
+/**
+ * Token Bucket Module
+ *
+ * Allows bursts of up to `capacity` actions and refills tokens at a steady
+ * rate, so a limit recovers gradually instead of all at once
+ */
+
+class TokenBucket {
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.capacity = options.capacity || 1;
+    this.refillPerMinute = options.refillPerMinute || 0;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.lastTakenAt = null;
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = (now - this.lastRefill) / 60000 * this.refillPerMinute;
+
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Checks whether a token is available without taking it
+   * @returns {Boolean} - True if a token is available
+   */
+  canTake() {
+    this.refill();
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Takes a token if one is available
+   * @returns {Boolean} - True if a token was taken
+   */
+  take() {
+    if (!this.canTake()) {
+      return false;
+    }
+
+    this.tokens -= 1;
+    this.lastTakenAt = Date.now();
+    return true;
+  }
+
+  /**
+   * Gets the time until the next token is available
+   * @returns {Number} - Milliseconds until a token is available, 0 if one is available now
+   */
+  getRetryIn() {
+    if (this.canTake()) return 0;
+    if (!this.refillPerMinute) return Infinity;
+    return Math.ceil((1 - this.tokens) / this.refillPerMinute * 60000);
+  }
+
+  /**
+   * Gets a snapshot of the bucket
+   * @returns {Object} - The bucket state
+   */
+  getState() {
+    this.refill();
+
+    return {
+      name: this.name,
+      tokens: Math.floor(this.tokens * 100) / 100,
+      capacity: this.capacity,
+      refillPerMinute: this.refillPerMinute,
+      lastTakenAt: this.lastTakenAt ? new Date(this.lastTakenAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,226 @@
+/**
+ * Chat Command Handler
+ *
+ * Handles the slash commands people send to the bot in WhatsApp (/help,
+ * /lang bn, /ai off, /forget, /whoami, /remind, /close ...), separate from the
+ * operator's terminal commands in replyHandler. The commands change the
+ * chat's own preferences in its user data; in groups, the ones that change
+ * the chat are limited to group admins.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('../services/userDataService');
+const replyPolicyService = require('../services/replyPolicyService');
+const personaService = require('../services/personaService');
+const reminderService = require('../services/reminderService');
+const relayThreadService = require('../services/relayThreadService');
+const { normalizeJid, isGroupAdmin } = require('../services/groupTriggerService');
+
+// Languages accepted by /lang
+const LANGUAGES = {
+  auto: 'Auto-detect',
+  en: 'English',
+  bn: 'Bengali',
+  ar: 'Arabic',
+  hi: 'Hindi'
+};
+
+/**
+ * Looks up an entry of a table by its own key
+ * Keys come from chat messages, so "constructor" or "toString" must not reach Object.prototype
+ * @param {Object} table - The table (LANGUAGES, COMMANDS)
+ * @param {String} key - The key
+ * @returns {*} - The entry or null if there is none
+ */
+function getOwnEntry(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : null;
+}
+
+/**
+ * Gets the chat command settings from user preferences
+ * @returns {Object} - { enabled, groupAdminOnly }
+ */
+function getChatCommandSettings() {
+  return {
+    enabled: true,
+    groupAdminOnly: true,
+    ...(getPreferences().chatCommands || {})
+  };
+}
+
+// The commands, in the order /help lists them
+const COMMANDS = {
+  help: {
+    usage: '/help',
+    description: 'Show this list',
+    handler: ({ isGroup }) => {
+      const adminOnly = isGroup && getChatCommandSettings().groupAdminOnly;
+      const lines = Object.values(COMMANDS)
+        .filter(command => command.enabled === undefined || command.enabled())
+        .map(command => `${command.usage} - ${command.description}${adminOnly && command.adminOnly ? ' (admins)' : ''}`);
+
+      return `🤖 Commands:\n${lines.join('\n')}`;
+    }
+  },
+  lang: {
+    usage: '/lang [auto|en|bn|ar|hi]',
+    description: 'Set the language I reply in',
+    adminOnly: true,
+    handler: ({ jid, isGroup, args, userData }) => {
+      const language = args.toLowerCase();
+
+      if (!language) {
+        const current = userData.preferences?.language || 'auto';
+        return `🌐 Language: ${getOwnEntry(LANGUAGES, current) || current}\nChange it with /lang [${Object.keys(LANGUAGES).join('|')}]`;
+      }
+
+      if (!getOwnEntry(LANGUAGES, language)) {
+        return `⚠️ Unknown language "${args}". Use one of: ${Object.keys(LANGUAGES).join(', ')}`;
+      }
+
+      userDataService.updateUserProfile(jid, isGroup, {}, {
+        preferences: {
+          language
+        }
+      });
+
+      console.log(`Language for ${jid} set to ${language} from the chat`);
+      return language === 'auto' ?
+        '🌐 I\'ll reply in the language of each message' :
+        `🌐 I'll reply in ${LANGUAGES[language]}`;
+    }
+  },
+  ai: {
+    usage: '/ai [on|off]',
+    description: 'Turn my automatic replies on or off',
+    adminOnly: true,
+    handler: ({ jid, isGroup, args, userData }) => {
+      const value = args.toLowerCase();
+
+      if (value !== 'on' && value !== 'off') {
+        return `🤖 Automatic replies are ${userData.preferences?.aiEnabled === false ? 'off' : 'on'}\nChange it with /ai on or /ai off`;
+      }
+
+      replyPolicyService.setChatAutoReply(jid, isGroup, value === 'on');
+      return value === 'on' ?
+        '🤖 Automatic replies are on' :
+        '🤖 Automatic replies are off. Commands like /help still work; turn replies back on with /ai on';
+    }
+  },
+  forget: {
+    usage: '/forget',
+    description: 'Clear the conversation history I keep for this chat',
+    adminOnly: true,
+    handler: ({ jid, isGroup, userData }) => {
+      const count = (userData.conversation || []).length;
+      userDataService.clearConversation(jid, isGroup);
+
+      console.log(`Conversation history of ${jid} cleared from the chat (${count} messages)`);
+      return `🧹 Done, I forgot ${count} message(s) of this chat`;
+    }
+  },
+  whoami: {
+    usage: '/whoami',
+    description: 'Show what I know about you and this chat',
+    handler: ({ message, isGroup, senderId, userData, isAdmin }) => {
+      const participant = isGroup ?
+        Object.entries(userData.participants || {}).find(([id]) => normalizeJid(id) === normalizeJid(senderId)) :
+        null;
+      const name = message.pushName || participant?.[1]?.name || userData.profile?.name || 'Unknown';
+      const language = userData.preferences?.language || 'auto';
+      const lines = [
+        `👤 ${name}`,
+        `ID: ${senderId.split('@')[0]}`,
+        `Chat: ${isGroup ? `group ${userData.profile?.name || ''}`.trim() : 'private chat'}`
+      ];
+
+      if (isGroup) {
+        lines.push(`Group admin: ${isAdmin ? 'yes' : 'no'}`);
+      }
+
+      lines.push(
+        `Language: ${getOwnEntry(LANGUAGES, language) || language}`,
+        `Automatic replies: ${userData.preferences?.aiEnabled === false ? 'off' : 'on'}`,
+        `Persona: ${personaService.getChatPersonaName(userData)}`
+      );
+
+      return lines.join('\n');
+    }
+  },
+  remind: {
+    usage: '/remind [dm] [when] [text]',
+    description: 'Set a reminder, e.g. /remind tomorrow at 9 call the supplier (/remind cancel [id] cancels one)',
+    enabled: () => reminderService.getReminderSettings().enabled,
+    handler: ({ message, args }) => reminderService.handleRemindCommand(message, args)
+  },
+  reminders: {
+    usage: '/reminders',
+    description: 'List your reminders in this chat',
+    enabled: () => reminderService.getReminderSettings().enabled,
+    handler: ({ jid, isGroup, senderId }) => reminderService.formatReminderList(reminderService.listReminders(jid, isGroup, senderId))
+  },
+  close: {
+    usage: '/close',
+    description: 'Stop sending your replies back to the groups that relayed you a message',
+    enabled: () => relayThreadService.getThreadSettings().enabled,
+    handler: ({ jid, isGroup }) => {
+      if (isGroup) {
+        return '⚠️ /close works in a private chat with me';
+      }
+
+      const closed = relayThreadService.closeRecipientThreads(jid);
+      return closed.length > 0 ?
+        `🔒 Done, your replies won't be forwarded to ${closed.length} group(s) anymore` :
+        '🔒 None of your replies are being forwarded';
+    }
+  }
+};
+
+/**
+ * Handles a chat command
+ * @param {Object} message - The message object from Baileys
+ * @param {String} messageText - The message text
+ * @returns {Promise<String|null>} - The reply text, or null if the message isn't a known command
+ */
+async function processChatCommand(message, messageText) {
+  const settings = getChatCommandSettings();
+
+  if (!settings.enabled || !messageText) {
+    return null;
+  }
+
+  // Leading @mentions ("@bot /help") address the bot
+  const match = messageText.replace(/^(?:@\S+\s+)+/, '').trim().match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+  const command = match && getOwnEntry(COMMANDS, match[1].toLowerCase());
+
+  if (!command || (command.enabled && !command.enabled())) {
+    return null;
+  }
+
+  const jid = message.key.remoteJid;
+  const isGroup = jid.endsWith('@g.us');
+  const senderId = message.key.participant || jid;
+  const userData = userDataService.loadUserData(jid, isGroup);
+  const isAdmin = isGroup && isGroupAdmin(userData, senderId);
+
+  console.log(`Chat command /${match[1].toLowerCase()} from ${senderId} in ${jid}`);
+
+  if (isGroup && command.adminOnly && settings.groupAdminOnly && !isAdmin) {
+    return `⛔ Only group admins can use ${command.usage.split(' ')[0]} here`;
+  }
+
+  return command.handler({
+    message,
+    jid,
+    isGroup,
+    senderId,
+    userData,
+    isAdmin,
+    args: (match[2] || '').trim()
+  });
+}
+
+module.exports = {
+  getChatCommandSettings,
+  processChatCommand
+};
@@ -5,10 +5,24 @@
  */
 
 // Import required services
-const { getChatCompletion, formatConversationForAI } = require('../services/mistralService');
+const { formatConversationForAI } = require('../services/mistralService');
 const userDataService = require('../services/userDataService');
 const mentionService = require('../services/mentionService');
+const summaryService = require('../services/summaryService');
+const toolService = require('../services/toolService');
+const outputGuardService = require('../services/outputGuardService');
+const approvalService = require('../services/approvalService');
+const businessHoursService = require('../services/businessHoursService');
+const replyPolicyService = require('../services/replyPolicyService');
+const groupTriggerService = require('../services/groupTriggerService');
+const rateLimitService = require('../services/rateLimitService');
+const outboxService = require('../services/outboxService');
+const reminderService = require('../services/reminderService');
+const consentService = require('../services/consentService');
+const relayThreadService = require('../services/relayThreadService');
+const chatCommandHandler = require('./chatCommandHandler');
 const { getPreferences } = require('../config/userPreferences');
+const { getQuickReply } = require('../config/quickReplies');
 
 // Message categories
 const MESSAGE_CATEGORIES = {
@@ -156,13 +170,39 @@ function getUserName(message) {
   }
 }
 
+/**
+ * Picks the reply to send when the AI could not produce one
+ * @param {Object} prefs - The current user preferences
+ * @param {String} userName - The user's display name
+ * @returns {String|null} - The fallback text, or null to stay silent
+ */
+function getFallbackReply(prefs, userName) {
+  const fallback = prefs.ai?.fallback || 'wait';
+
+  if (fallback === 'silence') {
+    return null;
+  }
+
+  if (fallback === 'quickReply') {
+    const quickReply = getQuickReply(prefs.ai?.fallbackQuickReply || '!busy');
+    if (quickReply) {
+      return quickReply;
+    }
+    console.log(`Fallback quick reply "${prefs.ai?.fallbackQuickReply}" not found, using default reply`);
+  }
+
+  return `Wait for me, ${userName}`;
+}
+
 /**
  * Sends an automatic reply to any incoming message, using AI if enabled
  * @param {Object} sock - The WhatsApp socket connection
  * @param {Object} message - The message object from Baileys
- * @returns {Promise<Object|null>} - The sent message or null if failed
+ * @param {Object} [options] - Options ({ decision } from the reply policy, evaluated here if missing;
+ *                             { batch } of consecutive messages from the sender, answered together)
+ * @returns {Promise<Object|null>} - The queued outbox item or null if failed
  */
-async function sendAutoReply(sock, message) {
+async function sendAutoReply(sock, message, options = {}) {
   if (!sock || !message || !message.key || !message.key.remoteJid) {
     console.error('Invalid parameters for auto reply');
     return null;
@@ -183,10 +223,47 @@ async function sendAutoReply(sock, message) {
       // Continue with the default name
     }
 
+    // Batched messages are answered together, the newest one is quoted
+    const incomingMessages = options.batch && options.batch.length > 0 ? options.batch : [message];
+    const getText = msg => msg.message?.conversation ||
+                           (msg.message?.extendedTextMessage && msg.message.extendedTextMessage.text) ||
+                           '';
+
     // Extract message text
-    const messageText = message.message?.conversation ||
-                       (message.message?.extendedTextMessage && message.message.extendedTextMessage.text) ||
-                       '';
+    const messageText = incomingMessages.map(getText).filter(Boolean).join('\n');
+
+    // Add the incoming messages to the conversation history
+    const recordIncoming = () => {
+      for (const incoming of incomingMessages) {
+        if (getText(incoming)) {
+          userDataService.addMessageToConversation(jid, isGroup, incoming, false);
+        }
+      }
+    };
+
+    // People who sent STOP get no automated replies
+    if (!isGroup && consentService.isOptedOut(jid)) {
+      console.log(`Auto-reply to ${jid} skipped: opted out of automated messages`);
+      recordIncoming();
+      return null;
+    }
+
+    // Check the reply policy (chat type, allow/deny lists, takeover, business hours)
+    const decision = options.decision || replyPolicyService.evaluateReplyPolicy(message, {
+      userName,
+      botJids: groupTriggerService.getBotJids(sock)
+    });
+    if (!decision.allowed) {
+      recordIncoming();
+      return null;
+    }
+
+    // Check the sender, chat and global rate limits
+    const rateLimit = rateLimitService.checkRateLimit(jid, message.key.participant || jid);
+    if (!rateLimit.allowed) {
+      recordIncoming();
+      return null;
+    }
 
     // Get user preferences
     const prefs = getPreferences();
@@ -196,15 +273,20 @@ async function sendAutoReply(sock, message) {
 
     let replyText = '';
 
-    if (useAI && messageText) {
+    if (decision.action === 'message') {
+      // Outside business hours: out-of-hours message instead of the AI
+      recordIncoming();
+      replyText = decision.message;
+      businessHoursService.recordAwayMessage(jid, isGroup);
+    } else if (useAI && messageText) {
       try {
         console.log('=== GENERATING AI REPLY ===');
 
         // Load user conversation history
         const userData = userDataService.loadUserData(jid, isGroup);
 
-        // Add the incoming message to the conversation history
-        userDataService.addMessageToConversation(jid, isGroup, message, false);
+        // Add the incoming messages to the conversation history
+        recordIncoming();
 
         // Update user profile with name if available
         if (message.pushName && !userData.profile.name) {
@@ -226,42 +308,91 @@ async function sendAutoReply(sock, message) {
           updatedUserData
         );
 
-        // Get AI response
-        const aiResponse = await getChatCompletion(aiMessages);
-
-        // Use the AI response as the reply text
-        replyText = aiResponse;
-
         // Get sender ID for the reply
         const senderId = message.key.participant || message.key.remoteJid;
 
-        // Store the AI response in the conversation history with replyTo information
-        userDataService.addMessageToConversation(jid, isGroup, {
-          key: { id: Date.now().toString() },
-          message: { conversation: replyText },
-          replyTo: senderId // Add the sender ID to track who we're replying to
-        }, true);
+        // Get AI response, letting the model call the tools allowed in this chat
+        const completion = await toolService.getChatCompletionWithTools(aiMessages, {
+          sock,
+          jid,
+          isGroup,
+          senderId,
+          userData: updatedUserData
+        });
+
+        if (completion.success && completion.text) {
+          // Check the AI response against the output guard before it is sent
+          const guardResult = outputGuardService.checkOutput(completion.text, { jid, source: 'auto_reply' });
+
+          if (guardResult.action === outputGuardService.GUARD_ACTIONS.DROP) {
+            console.log(`AI reply to ${jid} dropped by the output guard`);
+            return null;
+          }
+
+          // Replies flagged for review, and every reply in draft-mode chats, wait for an operator
+          const isDraftMode = approvalService.getReplyMode(updatedUserData) === approvalService.REPLY_MODES.DRAFT;
+
+          if (guardResult.action === outputGuardService.GUARD_ACTIONS.REVIEW || isDraftMode) {
+            const approval = approvalService.addApproval({
+              jid,
+              isGroup,
+              text: guardResult.text,
+              originalText: completion.text,
+              source: 'auto_reply',
+              reason: isDraftMode ? 'draft mode' : guardResult.violations.map(v => v.rule).join(', '),
+              violations: guardResult.violations,
+              quoted: message
+            });
+
+            console.log(`=== REPLY #${approval.id} WAITING FOR APPROVAL ===`);
+            console.log(approval.text);
+            console.log(`Use !approve ${approval.id}, !edit ${approval.id} [text] or !discard ${approval.id}`);
+            return null;
+          }
+
+          // Use the (possibly rewritten) AI response as the reply text
+          replyText = guardResult.text;
+
+          // Store the AI response in the conversation history with replyTo information
+          userDataService.addMessageToConversation(jid, isGroup, {
+            key: { id: Date.now().toString() },
+            message: { conversation: replyText },
+            replyTo: senderId // Add the sender ID to track who we're replying to
+          }, true);
+
+          console.log(`AI reply generated: ${replyText.substring(0, 50)}${replyText.length > 50 ? '...' : ''}`);
 
-        console.log(`AI reply generated: ${replyText.substring(0, 50)}${replyText.length > 50 ? '...' : ''}`);
+          // Refresh the rolling summary in the background once enough messages have piled up
+          summaryService.scheduleSummaryUpdate(jid, isGroup);
+        } else {
+          console.log(`AI reply failed (${completion.errorType}), using ${prefs.ai?.fallback || 'wait'} fallback`);
+          replyText = getFallbackReply(prefs, userName);
+        }
       } catch (aiError) {
         console.error('Error generating AI reply:', aiError);
-        // Fall back to default reply if AI fails
-        replyText = `Wait for me, ${userName}`;
+        // Fall back to the configured reply if AI fails
+        replyText = getFallbackReply(prefs, userName);
       }
     } else {
       // Use default reply if AI is disabled or no message text
       replyText = `Wait for me, ${userName}`;
     }
 
+    // Stay silent if the fallback says so
+    if (!replyText) {
+      console.log(`No reply sent to ${jid} (AI unavailable, silent fallback)`);
+      return null;
+    }
+
     // Print the exact reply message to the terminal
     console.log('=== SENDING REPLY ===');
     console.log(replyText);
     console.log('=====================');
 
-    // Send the message
-    const result = await sock.sendMessage(jid, { text: replyText }, { quoted: message });
-    console.log(`Reply sent successfully to ${jid}`);
-    return result;
+    // Queue the message in the outbox, which sends it once connected
+    const item = outboxService.enqueueMessage({ jid, text: replyText, quoted: message, source: 'auto_reply' });
+    console.log(`Reply queued for ${jid}`);
+    return item;
   } catch (error) {
     console.error('Error sending reply:', error);
     return null;
@@ -354,8 +485,12 @@ async function processMessage(message, sock, userPrefs = {}) {
                   name: message.key && message.key.participant === participant.id && message.pushName ?
                         message.pushName :
                         (existingName || participant.name || null),
-                  isAdmin: participant.isAdmin || false,
-                  isSuperAdmin: participant.isSuperAdmin || false,
+                  // Baileys reports admins as admin: 'admin' | 'superadmin'
+                  isAdmin: participant.isAdmin || !!participant.admin,
+                  isSuperAdmin: participant.isSuperAdmin || participant.admin === 'superadmin',
+                  // Groups that use LIDs report the phone number next to it (and the other way round)
+                  phoneNumber: participant.phoneNumber || participant.jid || participantsData[participant.id]?.phoneNumber || null,
+                  lid: participant.lid || participantsData[participant.id]?.lid || null,
                   lastSeen: new Date().toISOString(),
                   lastUpdated: new Date().toISOString()
                 };
@@ -393,8 +528,18 @@ async function processMessage(message, sock, userPrefs = {}) {
   let mentionedNumbers = [];
   let mentionedNames = [];
   if (isGroup && messageText) {
-    mentionedNumbers = mentionService.extractMentionedNumbers(messageText);
-    mentionedNames = mentionService.extractMentionedNames(messageText);
+    // Mentioning the bot itself addresses the bot, it isn't a relay request
+    const botJids = groupTriggerService.getBotJids(sock);
+    const botNumbers = botJids.map(botJid => botJid.split('@')[0]);
+
+    if (mentionService.hasNativeMentions(message, botJids)) {
+      // People picked from WhatsApp's @ list are exact, the text is only parsed without them
+      mentionedNumbers = mentionService.getNativeMentionedNumbers(message, botJids);
+    } else {
+      mentionedNumbers = mentionService.extractMentionedNumbers(messageText)
+        .filter(number => !botNumbers.includes(number.replace(/[^\d]/g, '')));
+      mentionedNames = mentionService.extractMentionedNames(messageText);
+    }
   }
 
   // Update user profile with name if available, but ONLY for direct messages, not groups
@@ -443,14 +588,76 @@ async function processMessage(message, sock, userPrefs = {}) {
       global.processedMessages = new Set(messagesArray.slice(-500));
     }
 
-    // Check if there are mentioned numbers or names
-    if (mentionedNumbers.length > 0 || mentionedNames.length > 0) {
+    // STOP/START, chat commands (/help, /lang, /ai, ...) and "remind me ..." requests are answered directly;
+    // STOP/START always, the others only where the deny lists, a pause or the group's trigger allow it
+    let commandReply = null;
+    let source = 'consent';
+    try {
+      commandReply = consentService.handleConsentMessage(message, messageText);
+
+      const commandPolicy = commandReply ? null : replyPolicyService.checkCommandPolicy(message, {
+        botJids: groupTriggerService.getBotJids(sock)
+      });
+
+      if (!commandReply && commandPolicy.commands) {
+        commandReply = await chatCommandHandler.processChatCommand(message, messageText);
+        source = 'command';
+      }
+
+      if (!commandReply && commandPolicy.reminders) {
+        commandReply = await reminderService.handleReminderMessage(message, messageText);
+        source = 'reminder';
+      }
+    } catch (error) {
+      console.error('Error handling chat command:', error);
+    }
+
+    // Answers to a relayed message go back to the group that sent it
+    let relayThread = null;
+    if (!commandReply) {
+      try {
+        relayThread = await relayThreadService.handleThreadReply(message, messageText);
+      } catch (error) {
+        console.error('Error forwarding relay thread reply:', error);
+      }
+    }
+
+    if (commandReply) {
+      console.log('=== SENDING COMMAND REPLY ===');
+      console.log(commandReply);
+      console.log('=============================');
+      try {
+        outboxService.enqueueMessage({ jid, text: commandReply, quoted: message, source });
+      } catch (error) {
+        console.error('Error sending command reply:', error);
+      }
+    } else if (relayThread) {
+      // Keep the answer in the history without replying to it
+      userDataService.addMessageToConversation(jid, isGroup, message, false);
+    } else if (mentionedNumbers.length > 0 || mentionedNames.length > 0) {
       console.log(`Processing message with ${mentionedNumbers.length} mentioned numbers and ${mentionedNames.length} mentioned names`);
-      // If there are mentions, handle them and don't send the "Wait for me" message
-      await mentionService.handleMentions(sock, enrichedMessage);
+      // If there are mentions, relay them (where the deny lists, /ai off and a pause allow it) instead of replying
+      if (replyPolicyService.evaluateRelayPolicy(message).allowed) {
+        await mentionService.handleMentions(sock, enrichedMessage);
+      } else if (messageText) {
+        userDataService.addMessageToConversation(jid, isGroup, message, false);
+      }
     } else {
-      // If no mentions, send the AI reply
-      await sendAutoReply(sock, message);
+      // If no mentions, send the AI reply when the reply policy allows it
+      const decision = replyPolicyService.evaluateReplyPolicy(message, {
+        userName: getUserName(message),
+        botJids: groupTriggerService.getBotJids(sock)
+      });
+
+      if (decision.allowed && decision.action === 'ai' && rateLimitService.isBatchEnabled()) {
+        // Wait for the rest of a burst and answer it with one AI request
+        rateLimitService.addToBatch(message, batch => sendAutoReply(sock, batch[batch.length - 1], { decision, batch }));
+      } else if (decision.allowed) {
+        await sendAutoReply(sock, message, { decision });
+      } else if (messageText) {
+        // Keep the history complete for when replies resume
+        userDataService.addMessageToConversation(jid, isGroup, message, false);
+      }
     }
   } else {
     console.log(`Message ${messageId} already processed, skipping reply`);
@@ -7,9 +7,25 @@
 const readline = require('readline');
 const chalk = require('chalk');
 const { getQuickReply, getAllQuickReplies, addQuickReply } = require('../config/quickReplies');
-
-// Queue for managing multiple replies
-const replyQueue = [];
+const userDataService = require('../services/userDataService');
+const personaService = require('../services/personaService');
+const knowledgeService = require('../services/knowledgeService');
+const toolService = require('../services/toolService');
+const outputGuardService = require('../services/outputGuardService');
+const approvalService = require('../services/approvalService');
+const takeoverService = require('../services/takeoverService');
+const businessHoursService = require('../services/businessHoursService');
+const replyPolicyService = require('../services/replyPolicyService');
+const groupTriggerService = require('../services/groupTriggerService');
+const outboxService = require('../services/outboxService');
+const schedulerService = require('../services/schedulerService');
+const consentService = require('../services/consentService');
+const relayTemplateService = require('../services/relayTemplateService');
+const relayThreadService = require('../services/relayThreadService');
+const relayLogService = require('../services/relayLogService');
+const relayPolicyService = require('../services/relayPolicyService');
+const relayIntentParser = require('../services/relayIntentParser');
+const mentionService = require('../services/mentionService');
 
 /**
  * Determines if a message is a reply to another message
@@ -59,91 +75,30 @@ function formatQuotedMessage(quotedInfo) {
 }
 
 /**
- * Adds a reply to the queue
+ * Adds a reply to the outbox without waiting for it to be sent
  * @param {Object} sock - The WhatsApp socket connection
  * @param {String} jid - The JID to send the reply to
  * @param {String} text - The text content of the reply
  * @param {Object} quotedMsg - The message to quote in the reply
- * @returns {Promise<void>} - Promise that resolves when the reply is added to the queue
+ * @returns {Promise<Object>} - The queued outbox item
  */
 async function queueReply(sock, jid, text, quotedMsg = null) {
-  replyQueue.push({
-    sock,
-    jid,
-    text,
-    quotedMsg,
-    timestamp: Date.now()
-  });
+  const item = outboxService.enqueueMessage({ jid, text, quoted: quotedMsg, source: 'reply' });
 
   console.log(chalk.yellow(`📋 Reply queued: "${text.substring(0, 30)}${text.length > 30 ? '...' : ''}"`));
-
-  // Process the queue if it's not already being processed
-  if (replyQueue.length === 1) {
-    processReplyQueue();
-  }
-}
-
-/**
- * Processes the reply queue
- * @returns {Promise<void>} - Promise that resolves when the queue is processed
- */
-async function processReplyQueue() {
-  if (replyQueue.length === 0) return;
-
-  const reply = replyQueue[0];
-
-  try {
-    // Validate the reply data before sending
-    if (!reply.sock || !reply.jid || !reply.text) {
-      console.error(chalk.red('❌ Invalid reply data:'), JSON.stringify(reply, null, 2));
-      replyQueue.shift(); // Remove invalid reply
-
-      // Process the next reply in the queue if there is one
-      if (replyQueue.length > 0) {
-        setTimeout(processReplyQueue, 500);
-      }
-      return;
-    }
-
-    // Check if the JID is valid
-    if (!reply.jid.includes('@')) {
-      console.error(chalk.red(`❌ Invalid JID: ${reply.jid}`));
-      replyQueue.shift(); // Remove invalid reply
-
-      // Process the next reply in the queue if there is one
-      if (replyQueue.length > 0) {
-        setTimeout(processReplyQueue, 500);
-      }
-      return;
-    }
-
-    // Send the reply with proper error handling
-    await sendReply(reply.sock, reply.jid, reply.text, reply.quotedMsg);
-    console.log(chalk.green(`✅ Queued reply sent successfully (${Date.now() - reply.timestamp}ms)`));
-  } catch (error) {
-    console.error(chalk.red('❌ Error sending queued reply:'), error);
-  } finally {
-    // Remove the processed reply from the queue
-    replyQueue.shift();
-
-    // Process the next reply in the queue if there is one
-    if (replyQueue.length > 0) {
-      // Add a small delay to prevent rate limiting
-      setTimeout(processReplyQueue, 500);
-    }
-  }
+  return item;
 }
 
 /**
  * Sends a reply to a message
+ * The reply goes through the outbox, which sends it once connected and retries failed sends
  * @param {Object} sock - The WhatsApp socket connection
  * @param {String} jid - The JID to send the reply to
  * @param {String} text - The text content of the reply
  * @param {Object} quotedMsg - The message to quote in the reply
- * @param {Boolean} queue - Whether to queue the reply (default: false)
- * @returns {Promise<Object>} - The sent message
+ * @returns {Promise<Object>} - The queued outbox item
  */
-async function sendReply(sock, jid, text, quotedMsg = null, queue = false) {
+async function sendReply(sock, jid, text, quotedMsg = null) {
   // Validate inputs
   if (!sock) {
     console.error(chalk.red('❌ Invalid socket connection'));
@@ -160,31 +115,52 @@ async function sendReply(sock, jid, text, quotedMsg = null, queue = false) {
     throw new Error('Invalid message text');
   }
 
-  // If queue is true, add the reply to the queue
-  if (queue) {
-    return queueReply(sock, jid, text, quotedMsg);
+  // Ensure the JID is valid
+  if (!jid.includes('@')) {
+    console.error(chalk.red(`❌ Invalid JID format: ${jid}`));
+    throw new Error(`Invalid JID format: ${jid}`);
   }
 
-  try {
-    const options = {};
+  // Waiting for the send would hang for as long as the socket is disconnected
+  return queueReply(sock, jid, text, quotedMsg);
+}
 
-    // If we have a message to quote and it's valid, add it to the options
-    if (quotedMsg && quotedMsg.key && quotedMsg.key.remoteJid) {
-      options.quoted = quotedMsg;
+/**
+ * Approves a reply held in the approval queue and sends it
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {String} id - The approval ID
+ * @param {String} text - Replacement text (optional)
+ * @returns {Promise<Object>} - The approved item
+ */
+async function approvePendingReply(sock, id, text = null) {
+  return approvalService.approveApproval(id, async (item, replyText) => {
+    // Held relays go out as relays: consent-checked, logged and threaded
+    if (item.relay) {
+      const result = await mentionService.sendDirectMessage(sock, item.relay.number, replyText, item.relay.options);
+      if (!result) {
+        throw new Error(`The relay to ${item.relay.number} could not be sent`);
+      }
+      return result;
     }
 
-    // Ensure the JID is valid
-    if (!jid.includes('@')) {
-      console.error(chalk.red(`❌ Invalid JID format: ${jid}`));
-      throw new Error(`Invalid JID format: ${jid}`);
-    }
+    return sendReply(sock, item.jid, replyText, item.quoted);
+  }, { text });
+}
 
-    // Send the message with a simple text object
-    return await sock.sendMessage(jid, { text: text.toString() }, options);
-  } catch (error) {
-    console.error(chalk.red('Error sending reply:'), error);
-    throw error;
+/**
+ * Discards a reply held in the approval queue
+ * A held relay is marked failed in the relay log, so it no longer counts toward the daily quota
+ * @param {String} id - The approval ID
+ * @returns {Object} - The discarded item
+ */
+function discardPendingReply(id) {
+  const item = approvalService.discardApproval(id);
+
+  if (item.relay?.options?.heldRelayId) {
+    relayLogService.releaseHeldRelay(item.relay.options.heldRelayId, { error: 'Discarded in review' });
   }
+
+  return item;
 }
 
 /**
@@ -200,6 +176,12 @@ function createReplyInterface(sock, messageStore) {
     prompt: chalk.blue('WhatsApp Bot > ')
   });
 
+  // Remind the operator of replies still waiting for approval
+  const pending = approvalService.listApprovals();
+  if (pending.length > 0) {
+    console.log(chalk.yellow(`\n📝 ${pending.length} replies waiting for approval. Type !approvals to review them`));
+  }
+
   rl.prompt();
 
   return rl;
@@ -247,7 +229,7 @@ async function sendQuickReply(sock, jid, shortcut, quotedMsg = null) {
     }
 
     // Send the reply
-    await sendReply(sock, jid, replyText, quotedMsg, true); // Queue the reply
+    await sendReply(sock, jid, replyText, quotedMsg);
     console.log(chalk.green(`✅ Quick reply "${shortcut}" queued`));
     return true;
   } catch (error) {
@@ -271,6 +253,157 @@ function showQuickReplies() {
   console.log(chalk.gray('\nUse these shortcuts to send predefined messages quickly.'));
 }
 
+/**
+ * Resolves a chat from a command argument
+ * Accepts a full JID, a stored message ID or a phone number
+ * @param {String} target - The command argument
+ * @param {Object} messageStore - The message store
+ * @returns {Object|null} - { jid, isGroup } or null if the chat can't be resolved
+ */
+function resolveChat(target, messageStore) {
+  if (!target) return null;
+
+  // Full JID
+  if (target.includes('@')) {
+    return { jid: target, isGroup: target.endsWith('@g.us') };
+  }
+
+  // Stored message ID
+  const message = messageStore && messageStore.get(target);
+  if (message && message.key && message.key.remoteJid) {
+    return { jid: message.key.remoteJid, isGroup: message.key.remoteJid.endsWith('@g.us') };
+  }
+
+  // Phone number
+  const number = target.replace(/[^\d]/g, '');
+  if (number.length >= 6) {
+    return { jid: `${number}@s.whatsapp.net`, isGroup: false };
+  }
+
+  return null;
+}
+
+/**
+ * Parses the time and message of a !schedule command
+ * @param {Array} words - The words after the chat
+ * @returns {Object|null} - { runAt, cron, text, quickReply } or null if invalid
+ */
+function parseScheduleArgs(words) {
+  let when = null;
+  let rest = [];
+
+  if (words[0] === 'cron') {
+    when = { cron: words.slice(1, 6).join(' ') };
+    rest = words.slice(6);
+  } else {
+    // Try the longest time first ("in 30 minutes", "tomorrow 09:00", "30m")
+    for (let length = Math.min(3, words.length - 1); length > 0; length--) {
+      const runAt = schedulerService.parseRunAt(words.slice(0, length).join(' '));
+      if (runAt) {
+        when = { runAt };
+        rest = words.slice(length);
+        break;
+      }
+    }
+  }
+
+  if (!when || rest.length === 0) {
+    return null;
+  }
+
+  // A single quick reply shortcut sends the quick reply
+  const text = rest.join(' ');
+  if (rest.length === 1 && getQuickReply(text)) {
+    return { ...when, quickReply: text };
+  }
+
+  return { ...when, text };
+}
+
+/**
+ * Shows scheduled messages
+ * @param {Object} [options] - { status, jid }
+ */
+function showSchedules(options = {}) {
+  const jobs = schedulerService.listSchedules(options);
+
+  if (jobs.length === 0) {
+    console.log(chalk.yellow('No scheduled messages'));
+    return;
+  }
+
+  console.log(chalk.yellow(`\nScheduled messages (${jobs.length}):`));
+  for (const job of jobs) {
+    const when = job.cron ? `${job.cron} (${job.timezone}), next ${job.nextRunAt}` : job.nextRunAt;
+    console.log(`${chalk.cyan('#' + job.id)} ${chalk.gray(job.status)} ${chalk.gray(job.jid)} ${chalk.magenta(when || '-')}${job.lastError ? chalk.red(` (${job.lastError})`) : ''}`);
+    console.log(chalk.white(`  ${job.quickReply ? `[${job.quickReply}] ` : ''}${job.text || getQuickReply(job.quickReply) || ''}`));
+  }
+}
+
+/**
+ * Shows available AI personas
+ */
+function showPersonas() {
+  const personas = personaService.listPersonas();
+
+  console.log(chalk.yellow('\nAvailable personas:'));
+
+  for (const persona of personas) {
+    console.log(chalk.cyan(persona.name) + ' - ' + chalk.gray(persona.description || '(no description)'));
+  }
+
+  console.log(chalk.gray('\nEdit templates in data/personas.json or through the /api/personas endpoint.'));
+}
+
+/**
+ * Shows the business hours and whether the business is open now
+ */
+function showBusinessHours() {
+  const settings = businessHoursService.getBusinessHoursSettings();
+  const status = businessHoursService.getScheduleStatus();
+
+  console.log(chalk.yellow(`\nBusiness hours (${settings.enabled ? 'enabled' : 'disabled'}, ${settings.timezone}):`));
+
+  for (const day of ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']) {
+    const ranges = settings.weekly[day] || [];
+    console.log(chalk.cyan(day) + ' ' + chalk.white(ranges.length > 0 ? ranges.join(', ') : 'closed'));
+  }
+
+  for (const exception of settings.exceptions) {
+    const dates = exception.to ? `${exception.date}..${exception.to}` : exception.date;
+    const hours = exception.hours && exception.hours.length > 0 ? exception.hours.join(', ') : 'closed';
+    console.log(chalk.magenta(dates) + ' ' + chalk.white(hours) + chalk.gray(exception.note ? ` (${exception.note})` : ''));
+  }
+
+  console.log(chalk.gray(`\nOut of hours: ${settings.outOfHours.action}${settings.outOfHours.action === 'message' ? ` "${settings.outOfHours.message}"` : ''}`));
+  console.log(chalk.blue(`Now ${status.localTime}: ${status.open ? 'open' : `closed${status.exception ? ` (${status.exception})` : ''}, opens ${status.nextOpening || 'not within two weeks'}`}`));
+}
+
+/**
+ * Shows the reply policy settings and the most recent decisions
+ * @param {Number} limit - Number of decisions to show
+ */
+function showReplyPolicy(limit = 10) {
+  const settings = replyPolicyService.getPolicySettings();
+  const onOff = enabled => enabled ? chalk.green('on') : chalk.red('off');
+
+  console.log(chalk.yellow('\nReply policy:'));
+  console.log(`global ${onOff(settings.autoReply.enabled)}, group ${onOff(settings.autoReply.group.enabled)}, direct ${onOff(settings.autoReply.direct.enabled)}`);
+
+  for (const list of replyPolicyService.POLICY_LISTS) {
+    console.log(chalk.cyan(list) + ' ' + chalk.white(settings[list].join(', ') || '(empty)'));
+  }
+
+  const decisions = replyPolicyService.getRecentDecisions(limit);
+  if (decisions.length > 0) {
+    console.log(chalk.yellow(`\nLast ${decisions.length} decisions:`));
+    for (const decision of decisions) {
+      const result = decision.allowed ? chalk.green(decision.action) : chalk.red('no reply');
+      console.log(`${chalk.gray(decision.timestamp)} ${result} ${chalk.gray(decision.jid)} ${chalk.magenta(decision.layer)} ${decision.reason}`);
+    }
+  }
+}
+
 /**
  * Processes a reply command
  * @param {String} command - The command to process
@@ -359,7 +492,7 @@ async function processReplyCommand(command, sock, messageStore) {
       }
 
       // Send the reply
-      await sendReply(sock, message.key.remoteJid, replyText, message, true); // Queue the reply
+      await sendReply(sock, message.key.remoteJid, replyText, message);
       console.log(chalk.green('✅ Reply queued successfully'));
       console.log(chalk.blue(`📱 Replying to: ${message.key.remoteJid.split('@')[0]}`));
       return true;
@@ -401,6 +534,706 @@ async function processReplyCommand(command, sock, messageStore) {
       console.error(chalk.red('❌ Error processing quick reply to specific message:'), error.message);
       return false;
     }
+  } else if (command === '!personas') {
+    // Show available personas
+    showPersonas();
+    return true;
+  } else if (command.startsWith('!persona ')) {
+    // Format: !persona [chat] [name]
+    try {
+      const parts = command.substring(9).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+
+      if (!chat) {
+        console.log(chalk.red('❌ Invalid chat'));
+        console.log(chalk.yellow('Usage: !persona [messageId|jid|number] [persona]'));
+        return false;
+      }
+
+      // Show the current persona if no name was given
+      if (parts.length < 2) {
+        const userData = userDataService.loadUserData(chat.jid, chat.isGroup);
+        console.log(chalk.blue(`🎭 Persona for ${chat.jid}: ${personaService.getChatPersonaName(userData)}`));
+        return true;
+      }
+
+      const personaName = parts[1];
+      if (!personaService.personaExists(personaName)) {
+        console.log(chalk.red(`❌ Persona "${personaName}" not found`));
+        console.log(chalk.yellow('Type !personas to see available personas'));
+        return false;
+      }
+
+      personaService.setChatPersona(chat.jid, chat.isGroup, personaName);
+      console.log(chalk.green(`✅ Persona for ${chat.jid} set to "${personaName}"`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error setting persona:'), error.message);
+      return false;
+    }
+  } else if (command === '!kb' || command.startsWith('!kb ')) {
+    // Format: !kb reindex | !kb search [query]
+    try {
+      const args = command.substring(3).trim();
+
+      if (args === 'reindex') {
+        const stats = knowledgeService.reindex();
+        console.log(chalk.green(`✅ Knowledge base indexed: ${stats.files} files, ${stats.chunks} chunks`));
+        return true;
+      }
+
+      if (args.startsWith('search ')) {
+        const query = args.substring(7).trim();
+        const results = knowledgeService.search(query);
+
+        if (results.length === 0) {
+          console.log(chalk.yellow(`No knowledge-base passages match "${query}"`));
+          return true;
+        }
+
+        console.log(chalk.yellow(`\nTop passages for "${query}":`));
+        for (const result of results) {
+          console.log(chalk.cyan(`${result.id}`) + chalk.gray(` (score ${result.score})`));
+          console.log(chalk.white(`  ${result.text.substring(0, 200).replace(/\n/g, ' ')}${result.text.length > 200 ? '...' : ''}`));
+        }
+        return true;
+      }
+
+      const stats = knowledgeService.getIndexStats();
+      console.log(chalk.blue(`📚 Knowledge base: ${stats.directory}`));
+      console.log(chalk.gray(`${stats.files} files, ${stats.chunks} chunks, indexed at ${stats.builtAt || 'never'}`));
+      console.log(chalk.yellow('Usage: !kb reindex | !kb search [query]'));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error processing knowledge-base command:'), error.message);
+      return false;
+    }
+  } else if (command === '!tools') {
+    // Show registered AI tools
+    console.log(chalk.yellow('\nAI tools:'));
+    for (const tool of toolService.listTools()) {
+      console.log(chalk.cyan(tool.name) + ' - ' + chalk.gray(tool.description));
+    }
+    console.log(chalk.gray(`\nAllowed by default: ${toolService.getToolSettings().defaultAllowed.join(', ')}`));
+    return true;
+  } else if (command.startsWith('!tools ')) {
+    // Format: !tools [chat] [allow|deny|reset] [tool]
+    try {
+      const parts = command.substring(7).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+
+      if (!chat) {
+        console.log(chalk.red('❌ Invalid chat'));
+        console.log(chalk.yellow('Usage: !tools [chat] [allow|deny|reset] [tool]'));
+        return false;
+      }
+
+      const userData = userDataService.loadUserData(chat.jid, chat.isGroup);
+      let allowed = toolService.getAllowedTools(userData);
+      const action = parts[1];
+      const toolName = parts[2];
+
+      if (action === 'allow' && toolName) {
+        allowed = toolService.setAllowedTools(chat.jid, chat.isGroup, Array.from(new Set([...allowed, toolName])));
+      } else if (action === 'deny' && toolName) {
+        allowed = toolService.setAllowedTools(chat.jid, chat.isGroup, allowed.filter(name => name !== toolName));
+      } else if (action === 'reset') {
+        userDataService.updateUserProfile(chat.jid, chat.isGroup, {}, { preferences: { allowedTools: null } });
+        allowed = toolService.getToolSettings().defaultAllowed;
+      } else if (action) {
+        console.log(chalk.yellow('Usage: !tools [chat] [allow|deny|reset] [tool]'));
+        return false;
+      }
+
+      console.log(chalk.blue(`🛠️ Tools allowed in ${chat.jid}: ${allowed.join(', ') || '(none)'}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating tools:'), error.message);
+      return false;
+    }
+  } else if (command === '!toollog' || command.startsWith('!toollog ')) {
+    // Format: !toollog [count]
+    const limit = parseInt(command.substring(8).trim(), 10) || 10;
+    const entries = toolService.getToolAuditLog({ limit });
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow('No tool invocations recorded yet'));
+      return true;
+    }
+
+    console.log(chalk.yellow(`\nLast ${entries.length} tool invocations:`));
+    for (const entry of entries) {
+      const status = entry.success ? chalk.green('ok') : chalk.red(entry.allowed ? 'failed' : 'blocked');
+      console.log(`${chalk.gray(entry.timestamp)} ${chalk.cyan(entry.tool)} ${status} ${chalk.gray(entry.chatJid)} ${chalk.white(JSON.stringify(entry.arguments))}`);
+    }
+    return true;
+  } else if (command === '!queue' || command.startsWith('!queue ')) {
+    // Format: !queue [pending|dead|sent|all] | !queue retry [id|all] | !queue remove [id]
+    try {
+      const parts = command.substring(6).trim().split(/\s+/).filter(Boolean);
+
+      if (parts[0] === 'retry' && parts[1]) {
+        const ids = parts[1] === 'all' ?
+                    outboxService.listOutbox({ status: outboxService.OUTBOX_STATUS.DEAD }).map(item => item.id) :
+                    [parts[1].replace(/^#/, '')];
+        ids.forEach(id => outboxService.retryItem(id));
+        console.log(chalk.green(`🔁 ${ids.length} message(s) queued again`));
+        return true;
+      }
+
+      if (parts[0] === 'remove' && parts[1]) {
+        const item = outboxService.removeItem(parts[1].replace(/^#/, ''));
+        console.log(chalk.green(`🗑️ Outbox message #${item.id} removed`));
+        return true;
+      }
+
+      const stats = outboxService.getOutboxStats();
+      const items = outboxService.listOutbox({ status: parts[0] || 'open' }).slice(-20);
+
+      console.log(chalk.yellow(`\nOutbox (${stats.connected ? 'connected' : 'disconnected'}): ${stats.pending} pending, ${stats.sending} sending, ${stats.dead} dead, ${stats.sent} sent`));
+      for (const item of items) {
+        const color = item.status === outboxService.OUTBOX_STATUS.DEAD ? chalk.red : chalk.cyan;
+        console.log(`${chalk.cyan('#' + item.id)} ${color(item.status)} ${chalk.gray(item.jid)} ${chalk.gray(item.source)} attempts ${item.attempts}${item.lastError ? chalk.red(` (${item.lastError})`) : ''}`);
+        console.log(chalk.white(`  ${item.text.substring(0, 80)}${item.text.length > 80 ? '...' : ''}`));
+      }
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error managing the outbox:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!schedule ')) {
+    // Format: !schedule [chat] [in 30m|HH:MM|tomorrow HH:MM|YYYY-MM-DD HH:MM|cron m h dom mon dow] [text|!shortcut]
+    try {
+      const words = command.substring(10).trim().split(/\s+/);
+      const chat = resolveChat(words[0], messageStore);
+      const args = parseScheduleArgs(words.slice(1));
+
+      if (!chat || !args) {
+        console.log(chalk.yellow('Usage: !schedule [chat] [in 30m|HH:MM|tomorrow HH:MM|YYYY-MM-DD HH:MM|cron m h dom mon dow] [text|!shortcut]'));
+        return false;
+      }
+
+      const job = schedulerService.addSchedule({ jid: chat.jid, ...args });
+      console.log(chalk.green(`⏰ Scheduled #${job.id} for ${chat.jid} at ${job.nextRunAt}${job.cron ? ` (${job.cron})` : ''}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error scheduling message:'), error.message);
+      return false;
+    }
+  } else if (command === '!schedules' || command.startsWith('!schedules ')) {
+    // Format: !schedules [chat|all]
+    const target = command.substring(10).trim();
+
+    if (target === 'all') {
+      showSchedules({ status: 'all' });
+    } else {
+      const chat = target ? resolveChat(target, messageStore) : null;
+      showSchedules({ jid: chat ? chat.jid : undefined });
+    }
+    return true;
+  } else if (command.startsWith('!unschedule ')) {
+    // Format: !unschedule [id]
+    try {
+      const job = schedulerService.cancelSchedule(command.substring(12).trim().replace(/^#/, ''));
+      console.log(chalk.green(`🗑️ Scheduled message #${job.id} cancelled`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error cancelling scheduled message:'), error.message);
+      return false;
+    }
+  } else if (command === '!consent' || command.startsWith('!consent ')) {
+    // Format: !consent [opted_out|opted_in|all] | !consent [stop|start] [number] | !consent export [csv|json]
+    try {
+      const parts = command.substring(8).trim().split(/\s+/).filter(Boolean);
+
+      if ((parts[0] === 'stop' || parts[0] === 'start') && parts[1]) {
+        const status = parts[0] === 'stop' ? consentService.CONSENT_STATUS.OPTED_OUT : consentService.CONSENT_STATUS.OPTED_IN;
+        const record = consentService.setConsent(parts.slice(1).join(''), status, { source: 'operator' });
+        console.log(chalk.green(`✅ ${record.id} is now ${record.status.replace('_', ' ')}`));
+        return true;
+      }
+
+      if (parts[0] === 'export') {
+        const filePath = consentService.writeConsentExport(parts[1] || 'csv');
+        console.log(chalk.green(`📄 Consent registry exported to ${filePath}`));
+        return true;
+      }
+
+      const records = consentService.listConsent({ status: parts[0] || consentService.CONSENT_STATUS.OPTED_OUT });
+
+      if (records.length === 0) {
+        console.log(chalk.yellow('No consent records'));
+        return true;
+      }
+
+      console.log(chalk.yellow(`\nConsent records (${records.length}):`));
+      for (const record of records) {
+        const color = record.status === consentService.CONSENT_STATUS.OPTED_OUT ? chalk.red : chalk.green;
+        console.log(`${chalk.cyan(record.id)} ${color(record.status)} ${chalk.gray(record.updatedAt)} ${chalk.gray(record.source)}${record.keyword ? chalk.white(` "${record.keyword}"`) : ''}`);
+      }
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error managing consent:'), error.message);
+      return false;
+    }
+  } else if (command === '!approvals') {
+    // Show messages held for approval
+    const approvals = approvalService.listApprovals();
+
+    if (approvals.length === 0) {
+      console.log(chalk.yellow('No messages waiting for approval'));
+      return true;
+    }
+
+    console.log(chalk.yellow(`\nMessages waiting for approval (${approvals.length}):`));
+    for (const item of approvals) {
+      console.log(`${chalk.cyan('#' + item.id)} ${chalk.gray(item.createdAt)} ${chalk.gray(item.jid)} ${chalk.magenta(item.reason || item.source)}`);
+      console.log(chalk.white(`  ${item.text}`));
+    }
+    return true;
+  } else if (command.startsWith('!approve ')) {
+    // Format: !approve [id]
+    try {
+      const id = command.substring(9).trim().replace(/^#/, '');
+      const item = await approvePendingReply(sock, id);
+      console.log(chalk.green(`✅ Approval #${item.id} sent to ${item.jid}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error approving message:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!edit ')) {
+    // Format: !edit [id] [new text]
+    try {
+      const match = command.substring(6).trim().match(/^#?(\S+)\s+([\s\S]+)$/);
+
+      if (!match) {
+        console.log(chalk.yellow('Usage: !edit [id] [new text]'));
+        return false;
+      }
+
+      const item = approvalService.editApproval(match[1], match[2]);
+      console.log(chalk.green(`✏️ Approval #${item.id} updated. Use !approve ${item.id} to send it`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error editing message:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!draftmode ')) {
+    // Format: !draftmode [chat] [on|off]
+    try {
+      const parts = command.substring(11).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+
+      if (!chat) {
+        console.log(chalk.red('❌ Invalid chat'));
+        console.log(chalk.yellow('Usage: !draftmode [chat] [on|off]'));
+        return false;
+      }
+
+      if (parts[1] === 'on' || parts[1] === 'off') {
+        const mode = parts[1] === 'on' ? approvalService.REPLY_MODES.DRAFT : approvalService.REPLY_MODES.AUTO;
+        approvalService.setReplyMode(chat.jid, chat.isGroup, mode);
+      } else if (parts[1]) {
+        console.log(chalk.yellow('Usage: !draftmode [chat] [on|off]'));
+        return false;
+      }
+
+      const mode = approvalService.getReplyMode(userDataService.loadUserData(chat.jid, chat.isGroup));
+      console.log(chalk.blue(`📝 Reply mode for ${chat.jid}: ${mode}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating reply mode:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!pause ')) {
+    // Format: !pause [chat] [minutes]
+    try {
+      const parts = command.substring(7).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+      const minutes = parts[1] !== undefined ? parseInt(parts[1], 10) : null;
+
+      if (!chat || Number.isNaN(minutes)) {
+        console.log(chalk.yellow('Usage: !pause [chat] [minutes] (0 = until !resume)'));
+        return false;
+      }
+
+      const status = takeoverService.pauseChat(chat.jid, chat.isGroup, minutes);
+      console.log(chalk.green(`⏸️ Auto-reply paused for ${chat.jid} until ${status.until}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error pausing chat:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!resume ')) {
+    // Format: !resume [chat]
+    try {
+      const chat = resolveChat(command.substring(8).trim(), messageStore);
+
+      if (!chat) {
+        console.log(chalk.yellow('Usage: !resume [chat]'));
+        return false;
+      }
+
+      takeoverService.resumeChat(chat.jid, chat.isGroup);
+      console.log(chalk.green(`▶️ Auto-reply resumed for ${chat.jid}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error resuming chat:'), error.message);
+      return false;
+    }
+  } else if (command === '!hours' || command.startsWith('!hours ')) {
+    // Format: !hours [on|off|tz|set|action|message|holiday|unholiday|chat] [...]
+    try {
+      const args = command.substring(6).trim();
+      const [action, ...rest] = args.split(/\s+/);
+      const settings = businessHoursService.getBusinessHoursSettings();
+
+      if (!action) {
+        showBusinessHours();
+        return true;
+      } else if (action === 'on' || action === 'off') {
+        businessHoursService.updateBusinessHours({ enabled: action === 'on' });
+      } else if (action === 'tz' && rest[0]) {
+        businessHoursService.updateBusinessHours({ timezone: rest[0] });
+      } else if (action === 'set' && rest[0] && rest[1]) {
+        // !hours set mon 09:00-13:00,14:00-18:00 | !hours set sun closed
+        const ranges = rest[1] === 'closed' ? [] : rest[1].split(',');
+        businessHoursService.updateBusinessHours({ weekly: { ...settings.weekly, [rest[0].toLowerCase()]: ranges } });
+      } else if (action === 'action' && rest[0]) {
+        businessHoursService.updateBusinessHours({ outOfHours: { action: rest[0] } });
+      } else if (action === 'message' && rest.length > 0) {
+        businessHoursService.updateBusinessHours({ outOfHours: { message: args.substring(8).trim() } });
+      } else if (action === 'holiday' && rest[0]) {
+        // !hours holiday 2025-12-25 [note] | !hours holiday 2025-12-24..2025-12-26 [note]
+        const [date, to] = rest[0].split('..');
+        const exception = { date, hours: [], note: rest.slice(1).join(' ') || undefined };
+        if (to) exception.to = to;
+        businessHoursService.updateBusinessHours({
+          exceptions: [...settings.exceptions.filter(entry => entry.date !== date), exception]
+        });
+      } else if (action === 'unholiday' && rest[0]) {
+        businessHoursService.updateBusinessHours({
+          exceptions: settings.exceptions.filter(entry => entry.date !== rest[0])
+        });
+      } else if (action === 'chat' && rest[0]) {
+        // !hours chat [chat] [ai|message|silent|always|reset]
+        const chat = resolveChat(rest[0], messageStore);
+
+        if (!chat) {
+          console.log(chalk.red('❌ Invalid chat'));
+          return false;
+        }
+
+        const mode = rest[1];
+        if (mode === 'reset') {
+          businessHoursService.setChatBusinessHours(chat.jid, chat.isGroup, null);
+        } else if (mode === 'always') {
+          businessHoursService.setChatBusinessHours(chat.jid, chat.isGroup, { enabled: false });
+        } else if (mode) {
+          businessHoursService.setChatBusinessHours(chat.jid, chat.isGroup, { outOfHours: { action: mode } });
+        }
+
+        const userData = userDataService.loadUserData(chat.jid, chat.isGroup);
+        const status = businessHoursService.getScheduleStatus(userData);
+        const override = userData.preferences?.businessHours;
+        console.log(chalk.blue(`🕘 ${chat.jid}: ${status.enabled ? (status.open ? 'open' : `closed, out of hours: ${status.outOfHoursAction}`) : 'always answered'}${override ? ` (override ${JSON.stringify(override)})` : ''}`));
+        return true;
+      } else {
+        console.log(chalk.yellow('Usage: !hours [on|off] | tz [zone] | set [day] [HH:MM-HH:MM,...|closed] | action [ai|message|silent] | message [text] | holiday [date][..date] [note] | unholiday [date] | chat [chat] [ai|message|silent|always|reset]'));
+        return false;
+      }
+
+      showBusinessHours();
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating business hours:'), error.message);
+      return false;
+    }
+  } else if (command === '!policy' || command.startsWith('!policy ')) {
+    // Format: !policy [global|group|direct] [on|off] | !policy [allow|deny] [chat|sender] [target] | !policy unlist [target]
+    try {
+      const parts = command.substring(7).trim().split(/\s+/).filter(Boolean);
+      const usage = 'Usage: !policy [global|group|direct] [on|off] | !policy [allow|deny] [chat|sender] [target] | !policy unlist [target]';
+
+      if (parts.length === 0) {
+        showReplyPolicy();
+        return true;
+      }
+
+      if (['global', 'group', 'direct'].includes(parts[0]) && (parts[1] === 'on' || parts[1] === 'off')) {
+        const enabled = parts[1] === 'on';
+        const autoReply = parts[0] === 'global' ? { enabled } : { [parts[0]]: { enabled } };
+        replyPolicyService.updatePolicySettings({ autoReply });
+      } else if ((parts[0] === 'allow' || parts[0] === 'deny') && (parts[1] === 'chat' || parts[1] === 'sender') && parts[2]) {
+        // Chats can also be given as a stored message ID
+        const chat = parts[1] === 'chat' ? resolveChat(parts[2], messageStore) : null;
+        const target = chat ? chat.jid : parts[2];
+        const list = `${parts[0]}${parts[1] === 'chat' ? 'Chats' : 'Senders'}`;
+        replyPolicyService.addToList(list, target);
+      } else if (parts[0] === 'unlist' && parts[1]) {
+        const chat = resolveChat(parts[1], messageStore);
+        replyPolicyService.removeFromLists(chat ? chat.jid : parts[1]);
+      } else {
+        console.log(chalk.yellow(usage));
+        return false;
+      }
+
+      showReplyPolicy(0);
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating reply policy:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!autoreply ')) {
+    // Format: !autoreply [chat] [on|off]
+    try {
+      const parts = command.substring(11).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+
+      if (!chat || (parts[1] && parts[1] !== 'on' && parts[1] !== 'off')) {
+        console.log(chalk.yellow('Usage: !autoreply [chat] [on|off]'));
+        return false;
+      }
+
+      if (parts[1]) {
+        replyPolicyService.setChatAutoReply(chat.jid, chat.isGroup, parts[1] === 'on');
+      }
+
+      const userData = userDataService.loadUserData(chat.jid, chat.isGroup);
+      console.log(chalk.blue(`🤖 Auto-reply for ${chat.jid}: ${userData.preferences?.aiEnabled === false ? 'off' : 'on'}`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating auto-reply:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!trigger ')) {
+    // Format: !trigger [group] [modes|keywords|prefixes|reset] [values]
+    try {
+      const parts = command.substring(9).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+      const action = parts[1];
+      const values = parts.slice(2).join(' ').split(',').map(value => value.trim()).filter(Boolean);
+
+      if (!chat || !chat.isGroup || (action && !['modes', 'keywords', 'prefixes', 'reset'].includes(action))) {
+        console.log(chalk.yellow('Usage: !trigger [group] [modes always|mention,quote,keyword | keywords a,b | prefixes !ask | reset]'));
+        return false;
+      }
+
+      let trigger;
+      if (action === 'reset') {
+        trigger = groupTriggerService.setGroupTrigger(chat.jid, null);
+      } else if (action) {
+        trigger = groupTriggerService.setGroupTrigger(chat.jid, { [action]: values });
+      } else {
+        trigger = groupTriggerService.getGroupTrigger(userDataService.loadUserData(chat.jid, true));
+      }
+
+      console.log(chalk.blue(`🎯 Group trigger for ${chat.jid}: ${trigger.modes.join(', ')}`));
+      if (trigger.keywords.length > 0) console.log(`Keywords: ${trigger.keywords.join(', ')}`);
+      if (trigger.prefixes.length > 0) console.log(`Prefixes: ${trigger.prefixes.join(', ')}`);
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating group trigger:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!relaypolicy ')) {
+    // Format: !relaypolicy [group] [triggers|recipients|quota|allowlist|rewrite|reset] [value]
+    try {
+      const parts = command.substring(13).trim().split(/\s+/);
+      const chat = resolveChat(parts[0], messageStore);
+      const action = parts[1];
+      const value = parts.slice(2).join(' ').trim();
+
+      if (!chat || !chat.isGroup || (action && !['triggers', 'recipients', 'quota', 'allowlist', 'rewrite', 'reset'].includes(action)) || (action && action !== 'reset' && action !== 'allowlist' && !value)) {
+        console.log(chalk.yellow('Usage: !relaypolicy [group] [triggers all|admins|allowlist | recipients members|known|any | quota [n] | allowlist n1,n2 | rewrite auto|verbatim | reset]'));
+        return false;
+      }
+
+      let policy;
+      if (action === 'reset') {
+        policy = relayPolicyService.setRelayPolicy(chat.jid, null);
+      } else if (action === 'quota') {
+        policy = relayPolicyService.setRelayPolicy(chat.jid, { dailyQuota: value });
+      } else if (action === 'allowlist') {
+        policy = relayPolicyService.setRelayPolicy(chat.jid, { allowlist: value.split(',').map(number => number.trim()).filter(Boolean) });
+      } else if (action) {
+        policy = relayPolicyService.setRelayPolicy(chat.jid, { [action]: value });
+      } else {
+        policy = relayPolicyService.getRelayPolicy(userDataService.loadUserData(chat.jid, true));
+      }
+
+      console.log(chalk.blue(`🛡️ Relay policy for ${chat.jid}:`));
+      console.log(`Triggers: ${policy.triggers}${policy.triggers === 'allowlist' ? ` (${policy.allowlist.join(', ') || 'nobody'})` : ''}`);
+      console.log(`Recipients: ${policy.recipients}`);
+      console.log(`Daily quota per sender: ${policy.dailyQuota || 'no limit'}`);
+      console.log(`Rewrite: ${policy.rewrite}`);
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error updating relay policy:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!relaytpl ')) {
+    // Format: !relaytpl [global|group] [lang] [key] [text|reset]
+    try {
+      const parts = command.substring(10).trim().split(/\s+/);
+      const chat = parts[0] === 'global' ? null : resolveChat(parts[0], messageStore);
+      const [language, key] = [parts[1], parts[2]];
+      const text = parts.slice(3).join(' ');
+
+      if ((parts[0] !== 'global' && (!chat || !chat.isGroup)) || !language) {
+        console.log(chalk.yellow('Usage: !relaytpl [global|group] [lang] [key] [text|reset] (\\n for a new line)'));
+        return false;
+      }
+
+      const groupJid = chat ? chat.jid : null;
+
+      if (key && text === 'reset') {
+        const reset = relayTemplateService.resetRelayTemplate({ language, key, groupJid });
+        console.log(reset ? chalk.green(`✅ Relay template ${language}.${key} reset`) : chalk.yellow(`Relay template ${language}.${key} was not changed`));
+        return true;
+      }
+
+      if (key && text) {
+        relayTemplateService.setRelayTemplate({ language, key, template: text.replace(/\\n/g, '\n'), groupJid });
+        console.log(chalk.green(`✅ Relay template ${language}.${key} saved${groupJid ? ` for ${groupJid}` : ''}`));
+        return true;
+      }
+
+      console.log(chalk.yellow(`\nRelay templates (${language}${groupJid ? `, ${groupJid}` : ''}):`));
+      for (const template of relayTemplateService.listRelayTemplates({ language, groupJid })) {
+        console.log(`${chalk.cyan(template.key)}${template.changed ? chalk.magenta(` (${template.changed})`) : ''} ${chalk.gray(template.description)}`);
+        console.log(chalk.white(`  ${template.template.replace(/\n/g, '\\n')}`));
+      }
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error managing relay templates:'), error.message);
+      return false;
+    }
+  } else if (command === '!names' || command.startsWith('!names ')) {
+    // Format: !names | !names [name] = [bengali name] | !names remove [name]
+    try {
+      const args = command.substring(6).trim();
+
+      if (args.startsWith('remove ')) {
+        const removed = relayTemplateService.deleteNameTranslation(args.substring(7));
+        console.log(removed ? chalk.green(`🗑️ Name ${args.substring(7).trim()} removed`) : chalk.yellow(`Name ${args.substring(7).trim()} not found`));
+        return true;
+      }
+
+      if (args.includes('=')) {
+        const [name, translation] = args.split('=').map(value => value.trim());
+        const entry = relayTemplateService.setNameTranslation(name, translation);
+        console.log(chalk.green(`✅ ${entry.name} -> ${entry.translation}`));
+        return true;
+      }
+
+      const translations = relayTemplateService.loadNameTranslations();
+      console.log(chalk.yellow(`\nName translations (${Object.keys(translations).length}):`));
+      for (const [name, translation] of Object.entries(translations)) {
+        console.log(`${chalk.cyan(name)} -> ${translation}`);
+      }
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error managing name translations:'), error.message);
+      return false;
+    }
+  } else if (command === '!threads' || command.startsWith('!threads ')) {
+    // Format: !threads [open|closed|expired|all]
+    const status = command.substring(8).trim() || relayThreadService.THREAD_STATUS.OPEN;
+    const threads = relayThreadService.listThreads({ status });
+
+    if (threads.length === 0) {
+      console.log(chalk.yellow('No relay threads'));
+      return true;
+    }
+
+    console.log(chalk.yellow(`\nRelay threads (${threads.length}):`));
+    for (const thread of threads) {
+      const color = thread.status === relayThreadService.THREAD_STATUS.OPEN ? chalk.green : chalk.gray;
+      console.log(`${chalk.cyan('#' + thread.id)} ${color(thread.status)} ${chalk.white(thread.recipientName || thread.recipientJid.split('@')[0])} -> ${chalk.white(thread.groupName || thread.groupJid)} ${chalk.gray(`${thread.replies} repl${thread.replies === 1 ? 'y' : 'ies'}, expires ${thread.expiresAt}`)}`);
+    }
+    return true;
+  } else if (command === '!relays' || command.startsWith('!relays ')) {
+    // Format: !relays [queued|sent|delivered|read|failed|all] [count]
+    const parts = command.substring(7).trim().split(/\s+/).filter(Boolean);
+    const limit = parseInt(parts.find(part => /^\d+$/.test(part)), 10) || 10;
+    const status = parts.find(part => !/^\d+$/.test(part)) || 'all';
+    const relays = relayLogService.listRelays({ status, limit });
+
+    if (relays.length === 0) {
+      console.log(chalk.yellow('No relays recorded'));
+      return true;
+    }
+
+    console.log(chalk.yellow(`\nRecent relays (${relays.length}):`));
+    for (const relay of relays) {
+      const color = relay.status === relayLogService.RELAY_STATUS.FAILED ? chalk.red : (relay.status === relayLogService.RELAY_STATUS.QUEUED ? chalk.yellow : chalk.green);
+      console.log(`${chalk.cyan('#' + relay.id)} ${chalk.gray(relay.createdAt)} ${color(relay.status)} ${chalk.white(relay.senderName || relay.senderId || '?')} -> ${chalk.white(relay.recipientName || relay.recipientJid.split('@')[0])} ${chalk.gray(relay.chatName || relay.chatJid || '')}`);
+      console.log(chalk.white(`  ${relay.originalText || relay.text}`));
+      if (relay.error) console.log(chalk.red(`  ${relay.error}`));
+    }
+    return true;
+  } else if (command === '!relaytest' || command.startsWith('!relaytest ')) {
+    // Format: !relaytest [text]
+    const text = command.substring(10).trim();
+
+    if (text) {
+      const intent = relayIntentParser.parseRelayIntent(text);
+      console.log(chalk.blue(`🔎 Relay intent (${intent.language}):`));
+      console.log(`Relay: ${intent.isRelay ? chalk.green('yes') : chalk.yellow('no')}`);
+      console.log(`Recipient: ${intent.recipient || '-'}`);
+      console.log(`Payload: ${intent.payload || '-'}`);
+      console.log(`Rule: ${intent.rule || '-'}, confidence ${intent.confidence} (${intent.confident ? chalk.green('no AI needed') : chalk.yellow('asks the AI')})`);
+      return true;
+    }
+
+    const check = relayIntentParser.runRelayIntentSelfCheck();
+    const color = check.passed === check.total ? chalk.green : chalk.red;
+    console.log(color(`Relay intent corpus: ${check.passed}/${check.total} passed`));
+    for (const failure of check.failures) {
+      console.log(chalk.red(`✗ ${failure.text}`));
+      console.log(chalk.gray(`  expected ${JSON.stringify(failure.expected)}`));
+      console.log(chalk.gray(`  got      ${JSON.stringify(failure.actual)}`));
+    }
+    return true;
+  } else if (command.startsWith('!closethread ')) {
+    // Format: !closethread [id]
+    try {
+      const thread = relayThreadService.closeThread(command.substring(13).trim().replace(/^#/, ''));
+      console.log(chalk.green(`🔒 Relay thread #${thread.id} closed`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error closing relay thread:'), error.message);
+      return false;
+    }
+  } else if (command.startsWith('!discard ')) {
+    // Format: !discard [id]
+    try {
+      const id = command.substring(9).trim().replace(/^#/, '');
+      const item = discardPendingReply(id);
+      console.log(chalk.green(`🗑️ Approval #${item.id} discarded`));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Error discarding message:'), error.message);
+      return false;
+    }
+  } else if (command === '!guardlog' || command.startsWith('!guardlog ')) {
+    // Format: !guardlog [count]
+    const limit = parseInt(command.substring(9).trim(), 10) || 10;
+    const entries = outputGuardService.getGuardLog({ limit });
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow('No output guard interventions recorded yet'));
+      return true;
+    }
+
+    console.log(chalk.yellow(`\nLast ${entries.length} output guard interventions:`));
+    for (const entry of entries) {
+      const rules = entry.violations.map(v => v.rule).join(', ');
+      console.log(`${chalk.gray(entry.timestamp)} ${chalk.cyan(entry.action)} ${chalk.gray(entry.chatJid)} ${chalk.magenta(rules)}`);
+    }
+    return true;
   } else if (command === '!help') {
     // Show help
     console.log(chalk.yellow('\nAvailable commands:'));
@@ -408,6 +1241,47 @@ async function processReplyCommand(command, sock, messageStore) {
     console.log(chalk.cyan('!qr') + ' - Show available quick replies');
     console.log(chalk.cyan('!qr [messageId] [shortcut]') + ' - Send a quick reply to a specific message');
     console.log(chalk.cyan('!addqr [shortcut] [message]') + ' - Add a new quick reply');
+    console.log(chalk.cyan('!personas') + ' - Show available AI personas');
+    console.log(chalk.cyan('!persona [chat] [persona]') + ' - Show or set the AI persona of a chat');
+    console.log(chalk.cyan('!kb reindex') + ' - Rebuild the knowledge-base index');
+    console.log(chalk.cyan('!kb search [query]') + ' - Test which knowledge-base passages match a query');
+    console.log(chalk.cyan('!tools') + ' - Show the AI tools');
+    console.log(chalk.cyan('!tools [chat] [allow|deny|reset] [tool]') + ' - Show or change the tools allowed in a chat');
+    console.log(chalk.cyan('!toollog [count]') + ' - Show recent tool invocations');
+    console.log(chalk.cyan('!queue [pending|dead|sent|all]') + ' - Show the outbox of queued, failed and sent messages');
+    console.log(chalk.cyan('!queue retry [id|all]') + ' - Queue dead letters again');
+    console.log(chalk.cyan('!queue remove [id]') + ' - Remove a pending message or dead letter');
+    console.log(chalk.cyan('!schedule [chat] [when] [text|!shortcut]') + ' - Send a message later (in 30m, HH:MM, tomorrow HH:MM, YYYY-MM-DD HH:MM or cron m h dom mon dow)');
+    console.log(chalk.cyan('!schedules [chat|all]') + ' - Show scheduled messages');
+    console.log(chalk.cyan('!unschedule [id]') + ' - Cancel a scheduled message');
+    console.log(chalk.cyan('!consent [opted_out|opted_in|all]') + ' - Show who opted out of (or back in to) automated messages');
+    console.log(chalk.cyan('!consent [stop|start] [number]') + ' - Record an opt-out or opt-in for a number');
+    console.log(chalk.cyan('!consent export [csv|json]') + ' - Export the consent registry with its history to data/exports');
+    console.log(chalk.cyan('!approvals') + ' - Show replies waiting for approval');
+    console.log(chalk.cyan('!approve [id]') + ' - Send a held message');
+    console.log(chalk.cyan('!edit [id] [text]') + ' - Change the text of a held message');
+    console.log(chalk.cyan('!discard [id]') + ' - Discard a held message');
+    console.log(chalk.cyan('!draftmode [chat] [on|off]') + ' - Show or set draft mode (AI replies need approval) for a chat');
+    console.log(chalk.cyan('!guardlog [count]') + ' - Show recent output guard interventions');
+    console.log(chalk.cyan('!pause [chat] [minutes]') + ' - Pause auto-reply in a chat (0 = until resumed)');
+    console.log(chalk.cyan('!resume [chat]') + ' - Resume auto-reply in a chat');
+    console.log(chalk.cyan('!policy') + ' - Show the reply policy and recent decisions');
+    console.log(chalk.cyan('!policy [global|group|direct] [on|off]') + ' - Turn auto-reply on or off globally or per chat type');
+    console.log(chalk.cyan('!policy [allow|deny] [chat|sender] [target]') + ' - Add a chat or sender to an allow/deny list');
+    console.log(chalk.cyan('!policy unlist [target]') + ' - Remove a chat or sender from the lists');
+    console.log(chalk.cyan('!autoreply [chat] [on|off]') + ' - Show or set auto-reply for one chat');
+    console.log(chalk.cyan('!trigger [group] [modes|keywords|prefixes|reset] [values]') + ' - Show or set when a group gets replies (always, mention, quote, keyword)');
+    console.log(chalk.cyan('!relaypolicy [group] [triggers|recipients|quota|allowlist|rewrite|reset] [value]') + ' - Show or set who may ask for relays in a group, to whom, how many per day and whether the AI may rewrite them');
+    console.log(chalk.cyan('!relaytpl [global|group] [lang] [key] [text|reset]') + ' - Show or change the mention relay texts for all groups or one group');
+    console.log(chalk.cyan('!names') + ' - Show the names written in Bengali in relays');
+    console.log(chalk.cyan('!names [name] = [bengali name]') + ' - Add or change a name');
+    console.log(chalk.cyan('!names remove [name]') + ' - Remove a name');
+    console.log(chalk.cyan('!threads [open|closed|expired|all]') + ' - Show relay threads whose replies go back to the group');
+    console.log(chalk.cyan('!closethread [id]') + ' - Stop forwarding replies of a relay thread');
+    console.log(chalk.cyan('!relays [status] [count]') + ' - Show recent relays with their delivery status (queued, sent, delivered, read, failed)');
+    console.log(chalk.cyan('!relaytest [text]') + ' - Check the relay intent rules against the corpus, or show how a message is parsed');
+    console.log(chalk.cyan('!hours') + ' - Show business hours and whether the business is open');
+    console.log(chalk.cyan('!hours [on|off|tz|set|action|message|holiday|unholiday|chat] ...') + ' - Change business hours, days, holidays or a chat\'s override');
     console.log(chalk.cyan('!help') + ' - Show this help message');
     console.log(chalk.cyan('!exit') + ' - Exit the bot');
     return true;
@@ -473,9 +1347,11 @@ module.exports = {
   formatQuotedMessage,
   sendReply,
   queueReply,
-  processReplyQueue,
   sendQuickReply,
   showQuickReplies,
+  resolveChat,
+  approvePendingReply,
+  discardPendingReply,
   createReplyInterface,
   processReplyCommand
 };
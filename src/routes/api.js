@@ -10,12 +10,32 @@ const fs = require('fs');
 const path = require('path');
 const qrcode = require('qrcode');
 const config = require('../config/config');
+const { getCircuitStates } = require('../services/mistralService');
+const personaService = require('../services/personaService');
+const knowledgeService = require('../services/knowledgeService');
+const toolService = require('../services/toolService');
+const userDataService = require('../services/userDataService');
+const approvalService = require('../services/approvalService');
+const takeoverService = require('../services/takeoverService');
+const businessHoursService = require('../services/businessHoursService');
+const replyPolicyService = require('../services/replyPolicyService');
+const groupTriggerService = require('../services/groupTriggerService');
+const rateLimitService = require('../services/rateLimitService');
+const outboxService = require('../services/outboxService');
+const schedulerService = require('../services/schedulerService');
+const consentService = require('../services/consentService');
+const relayTemplateService = require('../services/relayTemplateService');
+const relayThreadService = require('../services/relayThreadService');
+const relayLogService = require('../services/relayLogService');
+const relayPolicyService = require('../services/relayPolicyService');
+const { approvePendingReply, discardPendingReply } = require('../handlers/replyHandler');
 
 // Global variables to store connection state and QR code
 let connectionState = 'close';
 let qrCodeData = null;
 let lastError = null;
 let messagesCount = 0;
+let currentSocket = null;
 
 /**
  * Updates the connection state
@@ -63,6 +83,14 @@ function updateMessagesCount(count) {
   messagesCount = count;
 }
 
+/**
+ * Updates the WhatsApp socket used to send messages from the dashboard
+ * @param {Object} sock - The WhatsApp socket connection
+ */
+function updateSocket(sock) {
+  currentSocket = sock;
+}
+
 // API authentication middleware
 function apiAuth(req, res, next) {
   // Skip auth in development mode
@@ -89,7 +117,12 @@ router.get('/status', apiAuth, (req, res) => {
     status: connectionState,
     messagesStored: messagesCount,
     error: lastError,
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    aiCircuits: getCircuitStates(),
+    replyPolicy: {
+      recentDecisions: replyPolicyService.getRecentDecisions()
+    },
+    rateLimit: rateLimitService.getRateLimitStatus()
   });
 });
 
@@ -138,8 +171,607 @@ router.get('/stats', apiAuth, (req, res) => {
   }
 });
 
+// List personas
+router.get('/personas', apiAuth, (req, res) => {
+  try {
+    res.json({ personas: personaService.listPersonas() });
+  } catch (error) {
+    console.error('Error listing personas:', error);
+    res.status(500).json({ error: 'Failed to list personas' });
+  }
+});
+
+// Get a persona template
+router.get('/personas/:name', apiAuth, (req, res) => {
+  const persona = personaService.getPersona(req.params.name);
+
+  if (!persona) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+
+  res.json({ name: req.params.name, ...persona });
+});
+
+// Create or update a persona template
+router.put('/personas/:name', apiAuth, (req, res) => {
+  try {
+    const persona = personaService.savePersona(req.params.name, req.body || {});
+    res.json({ name: req.params.name, ...persona });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a persona template
+router.delete('/personas/:name', apiAuth, (req, res) => {
+  if (!personaService.deletePersona(req.params.name)) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+
+  res.json({ deleted: req.params.name });
+});
+
+// Assign a persona to a chat
+router.put('/chats/:jid/persona', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const persona = req.body && req.body.persona;
+
+  if (!jid.includes('@')) {
+    return res.status(400).json({ error: 'Invalid chat JID' });
+  }
+
+  try {
+    personaService.setChatPersona(jid, jid.endsWith('@g.us'), persona);
+    res.json({ jid, persona });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Knowledge-base index status
+router.get('/knowledge', apiAuth, (req, res) => {
+  res.json(knowledgeService.getIndexStats());
+});
+
+// Rebuild the knowledge-base index
+router.post('/knowledge/reindex', apiAuth, (req, res) => {
+  try {
+    res.json(knowledgeService.reindex());
+  } catch (error) {
+    console.error('Error reindexing knowledge base:', error);
+    res.status(500).json({ error: 'Failed to reindex knowledge base' });
+  }
+});
+
+// Test a knowledge-base query
+router.get('/knowledge/search', apiAuth, (req, res) => {
+  const query = req.query.q;
+
+  if (!query) {
+    return res.status(400).json({ error: 'Query parameter "q" is required' });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json({ query, results: knowledgeService.search(query, limit) });
+  } catch (error) {
+    console.error('Error searching knowledge base:', error);
+    res.status(500).json({ error: 'Failed to search knowledge base' });
+  }
+});
+
+// List AI tools
+router.get('/tools', apiAuth, (req, res) => {
+  res.json({
+    tools: toolService.listTools(),
+    defaultAllowed: toolService.getToolSettings().defaultAllowed
+  });
+});
+
+// Tool invocation audit trail
+router.get('/tools/audit', apiAuth, (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 50;
+  res.json({ entries: toolService.getToolAuditLog({ limit, jid: req.query.jid }) });
+});
+
+// Get the tools allowed in a chat
+router.get('/chats/:jid/tools', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const userData = userDataService.loadUserData(jid, jid.endsWith('@g.us'));
+  res.json({ jid, allowedTools: toolService.getAllowedTools(userData) });
+});
+
+// Set the tools allowed in a chat
+router.put('/chats/:jid/tools', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const allowedTools = req.body && req.body.allowedTools;
+
+  if (!jid.includes('@') || !Array.isArray(allowedTools)) {
+    return res.status(400).json({ error: 'A chat JID and an allowedTools array are required' });
+  }
+
+  try {
+    res.json({ jid, allowedTools: toolService.setAllowedTools(jid, jid.endsWith('@g.us'), allowedTools) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List replies waiting for approval (status: pending, approving, approved, discarded or all)
+router.get('/approvals', apiAuth, (req, res) => {
+  try {
+    res.json({ approvals: approvalService.listApprovals({ status: req.query.status }) });
+  } catch (error) {
+    console.error('Error listing approvals:', error);
+    res.status(500).json({ error: 'Failed to list approvals' });
+  }
+});
+
+// Edit a reply waiting for approval
+router.put('/approvals/:id', apiAuth, (req, res) => {
+  if (!approvalService.getApproval(req.params.id)) {
+    return res.status(404).json({ error: 'Approval not found' });
+  }
+
+  try {
+    res.json(approvalService.editApproval(req.params.id, req.body && req.body.text));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Approve and send a reply, optionally with edited text
+router.post('/approvals/:id/approve', apiAuth, async (req, res) => {
+  if (!approvalService.getApproval(req.params.id)) {
+    return res.status(404).json({ error: 'Approval not found' });
+  }
+
+  if (!currentSocket) {
+    return res.status(503).json({ error: 'WhatsApp is not connected' });
+  }
+
+  try {
+    res.json(await approvePendingReply(currentSocket, req.params.id, req.body && req.body.text));
+  } catch (error) {
+    console.error('Error approving reply:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Discard a reply waiting for approval
+router.post('/approvals/:id/discard', apiAuth, (req, res) => {
+  if (!approvalService.getApproval(req.params.id)) {
+    return res.status(404).json({ error: 'Approval not found' });
+  }
+
+  try {
+    res.json(discardPendingReply(req.params.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get the reply mode of a chat
+router.get('/chats/:jid/reply-mode', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const userData = userDataService.loadUserData(jid, jid.endsWith('@g.us'));
+  res.json({ jid, replyMode: approvalService.getReplyMode(userData) });
+});
+
+// Set the reply mode of a chat (auto or draft)
+router.put('/chats/:jid/reply-mode', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+
+  if (!jid.includes('@')) {
+    return res.status(400).json({ error: 'Invalid chat JID' });
+  }
+
+  try {
+    res.json({ jid, replyMode: approvalService.setReplyMode(jid, jid.endsWith('@g.us'), req.body && req.body.replyMode) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get the auto-reply pause status of a chat
+router.get('/chats/:jid/pause', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const userData = userDataService.loadUserData(jid, jid.endsWith('@g.us'));
+  res.json({ jid, ...takeoverService.getPauseStatus(userData) });
+});
+
+// Pause auto-reply in a chat ({ minutes }, 0 = until resumed)
+router.post('/chats/:jid/pause', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const minutes = req.body && req.body.minutes !== undefined ? req.body.minutes : null;
+
+  if (!jid.includes('@')) {
+    return res.status(400).json({ error: 'Invalid chat JID' });
+  }
+
+  try {
+    res.json({ jid, ...takeoverService.pauseChat(jid, jid.endsWith('@g.us'), minutes) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Resume auto-reply in a chat
+router.post('/chats/:jid/resume', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+
+  if (!jid.includes('@')) {
+    return res.status(400).json({ error: 'Invalid chat JID' });
+  }
+
+  res.json({ jid, ...takeoverService.resumeChat(jid, jid.endsWith('@g.us')) });
+});
+
+// Business hours and whether the business is open now
+router.get('/business-hours', apiAuth, (req, res) => {
+  res.json({
+    settings: businessHoursService.getBusinessHoursSettings(),
+    status: businessHoursService.getScheduleStatus()
+  });
+});
+
+// Change business hours (enabled, timezone, weekly, exceptions, outOfHours)
+router.put('/business-hours', apiAuth, (req, res) => {
+  try {
+    const settings = businessHoursService.updateBusinessHours(req.body || {});
+    res.json({ settings, status: businessHoursService.getScheduleStatus() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Business hours that apply to a chat
+router.get('/chats/:jid/business-hours', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const userData = userDataService.loadUserData(jid, jid.endsWith('@g.us'));
+
+  res.json({
+    jid,
+    override: userData.preferences?.businessHours || null,
+    status: businessHoursService.getScheduleStatus(userData)
+  });
+});
+
+// Set a chat's business-hours override ({ override: {...} } or { override: null })
+router.put('/chats/:jid/business-hours', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+
+  if (!jid.includes('@')) {
+    return res.status(400).json({ error: 'Invalid chat JID' });
+  }
+
+  try {
+    const isGroup = jid.endsWith('@g.us');
+    businessHoursService.setChatBusinessHours(jid, isGroup, req.body && req.body.override);
+    const userData = userDataService.loadUserData(jid, isGroup);
+    res.json({ jid, override: userData.preferences?.businessHours || null, status: businessHoursService.getScheduleStatus(userData) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reply policy settings and recent decisions
+router.get('/reply-policy', apiAuth, (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 20;
+  res.json({
+    settings: replyPolicyService.getPolicySettings(),
+    recentDecisions: replyPolicyService.getRecentDecisions(limit)
+  });
+});
+
+// Change the reply policy (autoReply flags and allow/deny lists)
+router.put('/reply-policy', apiAuth, (req, res) => {
+  try {
+    res.json({ settings: replyPolicyService.updatePolicySettings(req.body || {}) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Turn auto-reply on or off for one chat ({ enabled })
+router.put('/chats/:jid/auto-reply', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+  const enabled = req.body && req.body.enabled;
+
+  if (!jid.includes('@') || typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'A chat JID and a boolean "enabled" are required' });
+  }
+
+  res.json({ jid, aiEnabled: replyPolicyService.setChatAutoReply(jid, jid.endsWith('@g.us'), enabled) });
+});
+
+// Get when a group gets automatic replies
+router.get('/chats/:jid/trigger', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+
+  if (!jid.endsWith('@g.us')) {
+    return res.status(400).json({ error: 'Triggers can only be set for groups' });
+  }
+
+  res.json({ jid, trigger: groupTriggerService.getGroupTrigger(userDataService.loadUserData(jid, true)) });
+});
+
+// Set when a group gets automatic replies ({ modes, keywords, prefixes }, or { trigger: null } for the defaults)
+router.put('/chats/:jid/trigger', apiAuth, (req, res) => {
+  const body = req.body || {};
+  const trigger = body.trigger === null ? null : body;
+
+  try {
+    res.json({ jid: req.params.jid, trigger: groupTriggerService.setGroupTrigger(req.params.jid, trigger) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get who may ask for relays in a group, to whom, and how many per day
+router.get('/chats/:jid/relay-policy', apiAuth, (req, res) => {
+  const jid = req.params.jid;
+
+  if (!jid.endsWith('@g.us')) {
+    return res.status(400).json({ error: 'Relay policies can only be set for groups' });
+  }
+
+  res.json({ jid, policy: relayPolicyService.getRelayPolicy(userDataService.loadUserData(jid, true)) });
+});
+
+// Set a group's relay policy ({ triggers, allowlist, recipients, dailyQuota }, or { policy: null } for the defaults)
+router.put('/chats/:jid/relay-policy', apiAuth, (req, res) => {
+  const body = req.body || {};
+
+  try {
+    res.json({ jid: req.params.jid, policy: relayPolicyService.setRelayPolicy(req.params.jid, body.policy === null ? null : body) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List outbox messages (?status=open|pending|dead|sent|all)
+router.get('/queue', apiAuth, (req, res) => {
+  try {
+    res.json({
+      stats: outboxService.getOutboxStats(),
+      items: outboxService.listOutbox({ status: req.query.status })
+    });
+  } catch (error) {
+    console.error('Error listing the outbox:', error);
+    res.status(500).json({ error: 'Failed to list the outbox' });
+  }
+});
+
+// Queue a dead letter again
+router.post('/queue/:id/retry', apiAuth, (req, res) => {
+  if (!outboxService.getOutboxItem(req.params.id)) {
+    return res.status(404).json({ error: 'Outbox message not found' });
+  }
+
+  try {
+    res.json({ item: outboxService.retryItem(req.params.id) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a pending message or dead letter
+router.delete('/queue/:id', apiAuth, (req, res) => {
+  if (!outboxService.getOutboxItem(req.params.id)) {
+    return res.status(404).json({ error: 'Outbox message not found' });
+  }
+
+  try {
+    res.json({ item: outboxService.removeItem(req.params.id) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List scheduled messages (?status=active|done|failed|cancelled|all&jid=)
+router.get('/schedules', apiAuth, (req, res) => {
+  try {
+    res.json({ schedules: schedulerService.listSchedules({ status: req.query.status, jid: req.query.jid }) });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// Schedule a message ({ jid, text | quickReply, runAt | cron, timezone })
+router.post('/schedules', apiAuth, (req, res) => {
+  const { jid, text, quickReply, runAt, cron, timezone } = req.body || {};
+
+  if (!jid || (!text && !quickReply) || (!runAt && !cron)) {
+    return res.status(400).json({ error: 'jid, text or quickReply, and runAt or cron are required' });
+  }
+
+  const runAtDate = runAt ? schedulerService.parseRunAt(runAt, timezone || undefined) : null;
+  if (runAt && !runAtDate) {
+    return res.status(400).json({ error: `Can't parse runAt "${runAt}"` });
+  }
+
+  try {
+    const job = schedulerService.addSchedule({ jid, text, quickReply, runAt: runAtDate, cron, timezone });
+    res.status(201).json({ schedule: job });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled message
+router.delete('/schedules/:id', apiAuth, (req, res) => {
+  if (!schedulerService.getSchedule(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  try {
+    res.json({ schedule: schedulerService.cancelSchedule(req.params.id) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List consent records (?status=opted_out|opted_in|all)
+router.get('/consent', apiAuth, (req, res) => {
+  try {
+    res.json({ contacts: consentService.listConsent({ status: req.query.status }) });
+  } catch (error) {
+    console.error('Error listing consent records:', error);
+    res.status(500).json({ error: 'Failed to list consent records' });
+  }
+});
+
+// Export the consent registry with its history (?format=csv|json)
+router.get('/consent/export', apiAuth, (req, res) => {
+  const format = req.query.format || 'csv';
+
+  try {
+    const content = consentService.exportConsent(format);
+    res.attachment(`consent-${new Date().toISOString().split('T')[0]}.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json').send(content);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get the consent record of a number
+router.get('/consent/:number', apiAuth, (req, res) => {
+  const record = consentService.getConsent(req.params.number);
+
+  if (!record) {
+    return res.status(404).json({ error: 'No consent record for this number' });
+  }
+
+  res.json({ contact: record });
+});
+
+// Record an opt-out or opt-in ({ status: opted_out|opted_in })
+router.put('/consent/:number', apiAuth, (req, res) => {
+  try {
+    res.json({ contact: consentService.setConsent(req.params.number, (req.body || {}).status, { source: 'api' }) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List the mention relay templates that apply (?language=bn&jid=group)
+router.get('/relay-templates', apiAuth, (req, res) => {
+  try {
+    res.json({ templates: relayTemplateService.listRelayTemplates({ language: req.query.language, groupJid: req.query.jid }) });
+  } catch (error) {
+    console.error('Error listing relay templates:', error);
+    res.status(500).json({ error: 'Failed to list relay templates' });
+  }
+});
+
+// Change a relay template for all groups, or for one group ({ template, jid })
+router.put('/relay-templates/:language/:key', apiAuth, (req, res) => {
+  const { template, jid } = req.body || {};
+
+  try {
+    res.json({
+      language: req.params.language,
+      key: req.params.key,
+      template: relayTemplateService.setRelayTemplate({ language: req.params.language, key: req.params.key, template, groupJid: jid || null })
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reset a relay template (?jid=group for a group's change)
+router.delete('/relay-templates/:language/:key', apiAuth, (req, res) => {
+  if (!relayTemplateService.resetRelayTemplate({ language: req.params.language, key: req.params.key, groupJid: req.query.jid || null })) {
+    return res.status(404).json({ error: 'Relay template was not changed' });
+  }
+
+  res.json({ success: true });
+});
+
+// List the names written in Bengali in relays
+router.get('/name-translations', apiAuth, (req, res) => {
+  res.json({ translations: relayTemplateService.loadNameTranslations() });
+});
+
+// Add or change a name ({ translation })
+router.put('/name-translations/:name', apiAuth, (req, res) => {
+  try {
+    res.json(relayTemplateService.setNameTranslation(req.params.name, (req.body || {}).translation));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a name
+router.delete('/name-translations/:name', apiAuth, (req, res) => {
+  if (!relayTemplateService.deleteNameTranslation(req.params.name)) {
+    return res.status(404).json({ error: 'Name not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// List recorded relays, newest first (?status=queued|sent|delivered|read|failed|all, ?jid=chat or recipient, ?limit=)
+router.get('/relays', apiAuth, (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    res.json({ relays: relayLogService.listRelays({ status: req.query.status, jid: req.query.jid, limit }) });
+  } catch (error) {
+    console.error('Error listing relays:', error);
+    res.status(500).json({ error: 'Failed to list relays' });
+  }
+});
+
+// Get a recorded relay
+router.get('/relays/:id', apiAuth, (req, res) => {
+  const relay = relayLogService.getRelay(req.params.id);
+
+  if (!relay) {
+    return res.status(404).json({ error: 'Relay not found' });
+  }
+
+  res.json(relay);
+});
+
+// List relay threads (?status=open|closed|expired|all, ?jid=group or recipient)
+router.get('/relay-threads', apiAuth, (req, res) => {
+  try {
+    res.json({ threads: relayThreadService.listThreads({ status: req.query.status, jid: req.query.jid }) });
+  } catch (error) {
+    console.error('Error listing relay threads:', error);
+    res.status(500).json({ error: 'Failed to list relay threads' });
+  }
+});
+
+// Get a relay thread
+router.get('/relay-threads/:id', apiAuth, (req, res) => {
+  const thread = relayThreadService.getThread(req.params.id);
+
+  if (!thread) {
+    return res.status(404).json({ error: 'Relay thread not found' });
+  }
+
+  res.json(thread);
+});
+
+// Close a relay thread, so the recipient's replies aren't forwarded anymore
+router.post('/relay-threads/:id/close', apiAuth, (req, res) => {
+  if (!relayThreadService.getThread(req.params.id)) {
+    return res.status(404).json({ error: 'Relay thread not found' });
+  }
+
+  try {
+    res.json(relayThreadService.closeThread(req.params.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = {
   router,
+  updateSocket,
   updateConnectionState,
   updateQRCode,
   updateError,
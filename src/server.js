@@ -19,6 +19,7 @@ const config = require('./config/config');
 // Import API routes
 const {
   router: apiRouter,
+  updateSocket,
   updateConnectionState,
   updateQRCode,
   updateError,
@@ -45,6 +46,10 @@ const { processMessage } = require('./handlers/messageHandler');
 const { formatMessage } = require('./utils/messageUI');
 const { handleNotification } = require('./handlers/notificationHandler');
 const { loadPreferences } = require('./config/userPreferences');
+const { trackSentMessages, handleOwnMessage } = require('./services/takeoverService');
+const { updateOutboxSocket } = require('./services/outboxService');
+const { startScheduler } = require('./services/schedulerService');
+const { handleMessageUpdates } = require('./services/relayLogService');
 const {
   isReplyToMessage,
   getQuotedMessageInfo,
@@ -99,6 +104,12 @@ async function connectToWhatsApp() {
     logger: logger
   });
 
+  // Remember which messages the bot sends so manual replies can be detected
+  trackSentMessages(sock);
+
+  // Let the dashboard API send messages through this socket
+  updateSocket(sock);
+
   // Save credentials when updated
   sock.ev.on('creds.update', saveCreds);
 
@@ -119,6 +130,9 @@ async function connectToWhatsApp() {
 
       console.log(chalk.red('Connection closed due to ', lastDisconnect?.error?.output?.payload?.error));
 
+      // Hold queued messages until the connection is back
+      updateOutboxSocket(null);
+
       // Only reconnect if not logged out and not already connecting
       if (shouldReconnect && !isConnecting) {
         isConnecting = true;
@@ -131,6 +145,18 @@ async function connectToWhatsApp() {
     } else if (connection === 'open') {
       isConnecting = false;
       console.log(chalk.green('✅ Connected to WhatsApp'));
+
+      // Send the messages queued while disconnected
+      updateOutboxSocket(sock);
+    }
+  });
+
+  // Track sent, delivered and read receipts of relayed messages
+  sock.ev.on('messages.update', (updates) => {
+    try {
+      handleMessageUpdates(updates);
+    } catch (error) {
+      console.error('Error handling message receipts:', error);
     }
   });
 
@@ -160,8 +186,16 @@ async function connectToWhatsApp() {
   // Handle messages
   sock.ev.on('messages.upsert', async ({ messages }) => {
     for (const msg of messages) {
-      // Skip messages sent by us
-      if (msg.key.fromMe) continue;
+      // Messages sent from this account are not replied to, but a manual
+      // reply from the owner pauses auto-reply in that chat
+      if (msg.key.fromMe) {
+        try {
+          handleOwnMessage(msg);
+        } catch (error) {
+          console.error('Error checking outgoing message:', error);
+        }
+        continue;
+      }
 
       try {
         // Process the message
@@ -195,5 +229,8 @@ async function connectToWhatsApp() {
   return sock;
 }
 
+// Run scheduled messages (they wait in the outbox until WhatsApp is connected)
+startScheduler();
+
 // Connect to WhatsApp
 connectToWhatsApp();
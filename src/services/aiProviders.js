@@ -0,0 +1,151 @@
+/**
+ * AI Provider Adapters
+ *
+ * Provides a common interface over the chat completion backends the bot can use.
+ * Every provider exposes `complete(messages, settings, options)` and resolves with an
+ * assistant message object ({ role, content, tool_calls }) in the OpenAI chat format.
+ */
+
+const axios = require('axios');
+
+// Default endpoints for the HTTP based providers
+const MISTRAL_BASE_URL = 'https://api.mistral.ai/v1';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Creates a provider for any endpoint that speaks the OpenAI chat completions API
+ * (Mistral, OpenAI, llama.cpp server, Ollama, LM Studio, ...)
+ * @param {String} name - The provider name
+ * @param {String} defaultBaseUrl - Base URL used when the settings don't specify one
+ * @returns {Object} - The provider
+ */
+function createOpenAICompatibleProvider(name, defaultBaseUrl) {
+  return {
+    name,
+
+    /**
+     * Sends the messages to the chat completions endpoint
+     * @param {Array} messages - Array of message objects with role and content
+     * @param {Object} settings - Resolved AI settings (model, apiKey, baseUrl, timeoutMs)
+     * @param {Object} [options] - Request options ({ tools })
+     * @returns {Promise<Object>} - The assistant message
+     */
+    async complete(messages, settings = {}, options = {}) {
+      const baseUrl = (settings.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+
+      const headers = {
+        'Content-Type': 'application/json'
+      };
+
+      // Local servers usually don't need a key
+      if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+      }
+
+      const body = {
+        model: settings.model,
+        messages: messages
+      };
+
+      // Offer function tools to the model when requested
+      if (options.tools && options.tools.length > 0) {
+        body.tools = options.tools;
+        body.tool_choice = 'auto';
+      }
+
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        body,
+        {
+          headers,
+          timeout: settings.timeoutMs || 0
+        }
+      );
+
+      if (response.data && response.data.choices && response.data.choices.length > 0) {
+        return response.data.choices[0].message;
+      }
+
+      throw new Error(`Invalid response format from ${name}`);
+    }
+  };
+}
+
+/**
+ * Creates a deterministic provider for offline runs
+ * Answers with the first canned reply whose keyword appears in the last user message,
+ * otherwise echoes the last user message back
+ * @returns {Object} - The provider
+ */
+function createEchoProvider() {
+  return {
+    name: 'echo',
+
+    /**
+     * Builds a reply without any network access (tools are never called)
+     * @param {Array} messages - Array of message objects with role and content
+     * @param {Object} settings - Resolved AI settings (echo.cannedReplies, echo.prefix)
+     * @returns {Promise<Object>} - The assistant message
+     */
+    async complete(messages, settings = {}) {
+      const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+      const text = lastUserMessage ? String(lastUserMessage.content || '') : '';
+      const echoSettings = settings.echo || {};
+      const cannedReplies = echoSettings.cannedReplies || [];
+
+      const lowerText = text.toLowerCase();
+      const canned = cannedReplies.find(entry => entry.keyword && lowerText.includes(entry.keyword.toLowerCase()));
+
+      return {
+        role: 'assistant',
+        content: canned ? canned.reply : `${echoSettings.prefix || 'Echo: '}${text}`
+      };
+    }
+  };
+}
+
+// Registered providers by name
+const providers = {
+  mistral: createOpenAICompatibleProvider('mistral', MISTRAL_BASE_URL),
+  openai: createOpenAICompatibleProvider('openai', OPENAI_BASE_URL),
+  echo: createEchoProvider()
+};
+
+/**
+ * Registers a custom provider
+ * @param {Object} provider - Object with a name and a complete(messages, settings, options) function
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.complete !== 'function') {
+    throw new Error('AI provider must have a name and a complete function');
+  }
+
+  providers[provider.name] = provider;
+  return provider;
+}
+
+/**
+ * Gets a provider by name
+ * @param {String} name - The provider name
+ * @returns {Object|null} - The provider or null if not registered
+ */
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+/**
+ * Gets the names of all registered providers
+ * @returns {Array} - Array of provider names
+ */
+function getProviderNames() {
+  return Object.keys(providers);
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  createEchoProvider,
+  registerProvider,
+  getProvider,
+  getProviderNames
+};
@@ -0,0 +1,284 @@
+/**
+ * Approval Service
+ *
+ * Queue of outgoing messages held for a human to approve, edit or discard
+ * before they are sent. Items are persisted in data/approvals.json.
+ * Chats in draft mode put every AI reply in this queue.
+ */
+
+const userDataService = require('./userDataService');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+
+// File holding the approval queue
+const APPROVALS_FILE = getDataFilePath('approvals.json');
+
+// Approval statuses
+const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVING: 'approving', // Claimed by an approval that is sending it
+  APPROVED: 'approved',
+  DISCARDED: 'discarded'
+};
+
+// Per-chat reply modes
+const REPLY_MODES = {
+  AUTO: 'auto',
+  DRAFT: 'draft'
+};
+
+// Number of decided items kept for reference
+const MAX_DECIDED_ITEMS = 200;
+
+// Whether approvals interrupted by a restart have been put back in the queue
+let recovered = false;
+
+/**
+ * Gets the reply mode of a chat
+ * @param {Object} userData - The chat's user data
+ * @returns {String} - The reply mode (auto or draft)
+ */
+function getReplyMode(userData = {}) {
+  return userData.preferences?.replyMode === REPLY_MODES.DRAFT ? REPLY_MODES.DRAFT : REPLY_MODES.AUTO;
+}
+
+/**
+ * Sets the reply mode of a chat
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {String} mode - The reply mode (auto or draft)
+ * @returns {String} - The saved reply mode
+ */
+function setReplyMode(jid, isGroup, mode) {
+  if (!Object.values(REPLY_MODES).includes(mode)) {
+    throw new Error(`Unknown reply mode "${mode}". Use auto or draft`);
+  }
+
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      replyMode: mode
+    }
+  });
+
+  console.log(`Reply mode for ${jid}: ${mode}`);
+  return mode;
+}
+
+/**
+ * Loads the approval queue from disk, putting approvals interrupted by a restart back in the queue
+ * @returns {Object} - { nextId, items }
+ */
+function loadApprovals() {
+  const data = readJsonFile(APPROVALS_FILE, null);
+  const approvals = {
+    nextId: data?.nextId || 1,
+    items: Array.isArray(data?.items) ? data.items : []
+  };
+
+  if (!recovered) {
+    recovered = true;
+    const interrupted = approvals.items.filter(item => item.status === APPROVAL_STATUS.APPROVING);
+
+    if (interrupted.length > 0) {
+      for (const item of interrupted) {
+        item.status = APPROVAL_STATUS.PENDING;
+        item.decidedAt = null;
+      }
+      saveApprovals(approvals);
+      console.log(`Approvals: ${interrupted.length} interrupted approval(s) pending again`);
+    }
+  }
+
+  return approvals;
+}
+
+/**
+ * Saves the approval queue, dropping the oldest decided items
+ * @param {Object} data - { nextId, items }
+ */
+function saveApprovals(data) {
+  const decided = data.items.filter(item => item.status !== APPROVAL_STATUS.PENDING && item.status !== APPROVAL_STATUS.APPROVING);
+
+  if (decided.length > MAX_DECIDED_ITEMS) {
+    const removed = new Set(decided.slice(0, decided.length - MAX_DECIDED_ITEMS).map(item => item.id));
+    data.items = data.items.filter(item => !removed.has(item.id));
+  }
+
+  writeJsonFile(APPROVALS_FILE, data);
+}
+
+/**
+ * Adds a message to the approval queue
+ * @param {Object} item - { jid, isGroup, text, source, reason, violations, quoted, relay: { number, options } for held relays }
+ * @returns {Object} - The queued item
+ */
+function addApproval(item) {
+  const data = loadApprovals();
+
+  const approval = {
+    id: String(data.nextId),
+    jid: item.jid,
+    isGroup: !!item.isGroup,
+    text: item.text,
+    originalText: item.originalText || item.text,
+    source: item.source || null,
+    reason: item.reason || null,
+    violations: item.violations || [],
+    // Only the parts Baileys needs to quote the message
+    quoted: item.quoted && item.quoted.key ? { key: item.quoted.key, message: item.quoted.message } : null,
+    // Held relays are sent as relays once approved
+    relay: item.relay || null,
+    status: APPROVAL_STATUS.PENDING,
+    createdAt: new Date().toISOString(),
+    decidedAt: null
+  };
+
+  data.nextId += 1;
+  data.items.push(approval);
+  saveApprovals(data);
+
+  console.log(`Message for ${approval.jid} held for approval as #${approval.id} (${approval.reason || approval.source})`);
+  return approval;
+}
+
+/**
+ * Lists items in the approval queue
+ * @param {Object} [options] - Options ({ status }); defaults to pending items
+ * @returns {Array} - Array of items, oldest first
+ */
+function listApprovals(options = {}) {
+  const status = options.status || APPROVAL_STATUS.PENDING;
+  const { items } = loadApprovals();
+
+  return status === 'all' ? items : items.filter(item => item.status === status);
+}
+
+/**
+ * Gets an item from the approval queue
+ * @param {String} id - The item ID
+ * @returns {Object|null} - The item or null if not found
+ */
+function getApproval(id) {
+  return loadApprovals().items.find(item => item.id === String(id)) || null;
+}
+
+/**
+ * Marks a pending item as decided
+ * @param {String} id - The item ID
+ * @param {String} status - The new status
+ * @param {Object} [changes] - Extra fields to store
+ * @param {String} [from] - The status the item must have (pending by default)
+ * @returns {Object} - The updated item
+ */
+function decideApproval(id, status, changes = {}, from = APPROVAL_STATUS.PENDING) {
+  const data = loadApprovals();
+  const item = data.items.find(entry => entry.id === String(id));
+
+  if (!item) {
+    throw new Error(`Approval #${id} not found`);
+  }
+
+  if (item.status !== from) {
+    throw new Error(`Approval #${id} is already ${item.status}`);
+  }
+
+  Object.assign(item, { status, decidedAt: new Date().toISOString() }, changes);
+  saveApprovals(data);
+  return item;
+}
+
+/**
+ * Replaces the text of a pending message
+ * @param {String} id - The item ID
+ * @param {String} text - The new text
+ * @returns {Object} - The updated item
+ */
+function editApproval(id, text) {
+  if (!text || !String(text).trim()) {
+    throw new Error('The new text is empty');
+  }
+
+  const data = loadApprovals();
+  const item = data.items.find(entry => entry.id === String(id));
+
+  if (!item) {
+    throw new Error(`Approval #${id} not found`);
+  }
+
+  if (item.status !== APPROVAL_STATUS.PENDING) {
+    throw new Error(`Approval #${id} is already ${item.status}`);
+  }
+
+  item.text = String(text).trim();
+  item.edited = true;
+  saveApprovals(data);
+
+  console.log(`Approval #${id} edited`);
+  return item;
+}
+
+/**
+ * Approves a held message and sends it
+ * @param {String} id - The item ID
+ * @param {Function} send - Sends the message: async (item, text) => result
+ * @param {Object} [options] - Options ({ text: replacement text })
+ * @returns {Promise<Object>} - The approved item
+ */
+async function approveApproval(id, send, options = {}) {
+  const item = getApproval(id);
+
+  if (!item) {
+    throw new Error(`Approval #${id} not found`);
+  }
+
+  if (item.status !== APPROVAL_STATUS.PENDING) {
+    throw new Error(`Approval #${id} is already ${item.status}`);
+  }
+
+  const text = options.text ? String(options.text).trim() : item.text;
+
+  // Claim the item before sending, so an approval arriving meanwhile can't send it again
+  decideApproval(id, APPROVAL_STATUS.APPROVING);
+
+  try {
+    await send(item, text);
+  } catch (error) {
+    decideApproval(id, APPROVAL_STATUS.PENDING, { decidedAt: null }, APPROVAL_STATUS.APPROVING);
+    throw error;
+  }
+
+  // Record the reply in the chat history like a regular bot reply
+  if (item.source === 'auto_reply') {
+    userDataService.addMessageToConversation(item.jid, item.isGroup, {
+      key: { id: Date.now().toString() },
+      message: { conversation: text },
+      replyTo: item.quoted?.key?.participant || item.quoted?.key?.remoteJid || null
+    }, true);
+  }
+
+  console.log(`Approval #${id} approved and sent to ${item.jid}`);
+  return decideApproval(id, APPROVAL_STATUS.APPROVED, { text, edited: item.edited || text !== item.text }, APPROVAL_STATUS.APPROVING);
+}
+
+/**
+ * Discards a held message without sending it
+ * @param {String} id - The item ID
+ * @returns {Object} - The discarded item
+ */
+function discardApproval(id) {
+  const item = decideApproval(id, APPROVAL_STATUS.DISCARDED);
+  console.log(`Approval #${id} discarded`);
+  return item;
+}
+
+module.exports = {
+  APPROVAL_STATUS,
+  REPLY_MODES,
+  getReplyMode,
+  setReplyMode,
+  addApproval,
+  listApprovals,
+  getApproval,
+  editApproval,
+  approveApproval,
+  discardApproval
+};
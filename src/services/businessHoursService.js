@@ -0,0 +1,346 @@
+/**
+ * Business Hours Service
+ *
+ * Weekly opening hours, timezone and date exceptions (holidays, special hours)
+ * that decide whether a chat gets an AI reply, an out-of-hours message or nothing.
+ *
+ * Hours are "HH:MM-HH:MM" strings per weekday; a range that ends before it
+ * starts runs past midnight. Exceptions look like
+ * { date: "2025-12-25", to: "2025-12-26", hours: [], note: "Holidays" }
+ * where empty hours mean closed all day. Chats can override any setting
+ * through preferences.businessHours.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('./userDataService');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const timeUtils = require('../utils/timeUtils');
+
+// Settings changed through the CLI or API
+const SETTINGS_FILE = getDataFilePath('business_hours.json');
+
+// What to do outside business hours
+const OUT_OF_HOURS_ACTIONS = ['ai', 'message', 'silent'];
+
+// Days searched for the next opening time
+const NEXT_OPEN_SEARCH_DAYS = 14;
+
+/**
+ * Gets the global business-hours settings (preferences plus saved changes)
+ * @returns {Object} - The settings
+ */
+function getGlobalSettings() {
+  const prefs = getPreferences();
+  const saved = readJsonFile(SETTINGS_FILE, {});
+  const base = prefs.businessHours || {};
+
+  return {
+    enabled: false,
+    timezone: timeUtils.getSystemTimeZone(),
+    weekly: {},
+    exceptions: [],
+    ...base,
+    ...saved,
+    outOfHours: {
+      action: 'message',
+      message: 'Thanks for your message! We are closed right now and will reply when we open.',
+      minIntervalMinutes: 240,
+      ...(base.outOfHours || {}),
+      ...(saved.outOfHours || {})
+    }
+  };
+}
+
+/**
+ * Gets the business-hours settings that apply to a chat
+ * @param {Object} [userData] - The chat's user data
+ * @returns {Object} - The settings, with the chat's overrides applied
+ */
+function getBusinessHoursSettings(userData = {}) {
+  const settings = getGlobalSettings();
+  const override = userData.preferences?.businessHours;
+
+  if (!override) {
+    return settings;
+  }
+
+  return {
+    ...settings,
+    ...override,
+    outOfHours: {
+      ...settings.outOfHours,
+      ...(override.outOfHours || {})
+    }
+  };
+}
+
+/**
+ * Parses a "HH:MM-HH:MM" range
+ * @param {String} range - The range
+ * @returns {Object|null} - { start, end } in minutes since midnight, or null if invalid
+ */
+function parseRange(range) {
+  const [startText, endText] = String(range || '').split('-');
+  const start = timeUtils.parseTimeOfDay(startText);
+  const end = timeUtils.parseTimeOfDay(endText);
+
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Validates business-hours settings
+ * @param {Object} settings - The settings to check
+ * @throws {Error} - If a setting is invalid
+ */
+function validateSettings(settings) {
+  if (settings.timezone !== undefined && !timeUtils.isValidTimeZone(settings.timezone)) {
+    throw new Error(`Unknown timezone "${settings.timezone}"`);
+  }
+
+  for (const [day, ranges] of Object.entries(settings.weekly || {})) {
+    if (!timeUtils.WEEKDAYS.includes(day)) {
+      throw new Error(`Unknown weekday "${day}". Use ${timeUtils.WEEKDAYS.join(', ')}`);
+    }
+
+    for (const range of ranges || []) {
+      if (!parseRange(range)) {
+        throw new Error(`Invalid hours "${range}" for ${day}. Use HH:MM-HH:MM`);
+      }
+    }
+  }
+
+  for (const exception of settings.exceptions || []) {
+    if (!timeUtils.isDateKey(exception.date) || (exception.to && !timeUtils.isDateKey(exception.to))) {
+      throw new Error('Exceptions need a date (and optional to) in YYYY-MM-DD format');
+    }
+
+    for (const range of exception.hours || []) {
+      if (!parseRange(range)) {
+        throw new Error(`Invalid hours "${range}" for ${exception.date}. Use HH:MM-HH:MM`);
+      }
+    }
+  }
+
+  const action = settings.outOfHours?.action;
+  if (action !== undefined && !OUT_OF_HOURS_ACTIONS.includes(action)) {
+    throw new Error(`Unknown out-of-hours action "${action}". Use ${OUT_OF_HOURS_ACTIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Gets the opening hours of a calendar day
+ * @param {Object} settings - The business-hours settings
+ * @param {String} dateKey - The date (YYYY-MM-DD)
+ * @param {String} weekdayKey - The weekday (sun-sat)
+ * @returns {Object} - { ranges, exception } where ranges are { start, end } in minutes
+ */
+function getDayHours(settings, dateKey, weekdayKey) {
+  const exception = (settings.exceptions || []).find(entry => {
+    return dateKey >= entry.date && dateKey <= (entry.to || entry.date);
+  });
+
+  const ranges = exception ? (exception.hours || []) : (settings.weekly[weekdayKey] || []);
+
+  return {
+    ranges: ranges.map(parseRange).filter(Boolean),
+    exception: exception || null
+  };
+}
+
+/**
+ * Checks whether the business is open at a moment
+ * @param {Object} settings - The business-hours settings
+ * @param {Date} date - The moment to check
+ * @returns {Object} - { open, exception }
+ */
+function isOpenAt(settings, date) {
+  const now = timeUtils.getZonedParts(date, settings.timezone);
+  const today = getDayHours(settings, now.dateKey, now.weekdayKey);
+
+  for (const range of today.ranges) {
+    const open = range.start < range.end ?
+                 now.minutes >= range.start && now.minutes < range.end :
+                 now.minutes >= range.start;
+    if (open) {
+      return { open: true, exception: today.exception };
+    }
+  }
+
+  // Ranges from yesterday that run past midnight
+  const yesterdayParts = timeUtils.getZonedParts(new Date(date.getTime() - 24 * 60 * 60 * 1000), settings.timezone);
+  const yesterday = getDayHours(settings, yesterdayParts.dateKey, yesterdayParts.weekdayKey);
+
+  for (const range of yesterday.ranges) {
+    if (range.start > range.end && now.minutes < range.end) {
+      return { open: true, exception: yesterday.exception };
+    }
+  }
+
+  return { open: false, exception: today.exception };
+}
+
+/**
+ * Finds when the business opens next
+ * @param {Object} settings - The business-hours settings
+ * @param {Date} date - The moment to search from
+ * @returns {String|null} - A label like "Mon 09:00", or null if closed for the search window
+ */
+function getNextOpening(settings, date) {
+  const now = timeUtils.getZonedParts(date, settings.timezone);
+
+  for (let offset = 0; offset < NEXT_OPEN_SEARCH_DAYS; offset++) {
+    const day = timeUtils.getZonedParts(new Date(date.getTime() + offset * 24 * 60 * 60 * 1000), settings.timezone);
+    const { ranges } = getDayHours(settings, day.dateKey, day.weekdayKey);
+    const starts = ranges
+      .map(range => range.start)
+      .filter(start => offset > 0 || start > now.minutes)
+      .sort((a, b) => a - b);
+
+    if (starts.length > 0) {
+      const label = offset === 0 ? 'today' : (offset === 1 ? 'tomorrow' : day.weekdayKey.charAt(0).toUpperCase() + day.weekdayKey.slice(1));
+      return `${label} ${timeUtils.formatTimeOfDay(starts[0])}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gets the business-hours status for a chat
+ * @param {Object} [userData] - The chat's user data
+ * @param {Date} [date] - The moment to check (defaults to now)
+ * @returns {Object} - { enabled, open, timezone, localTime, exception, nextOpening, outOfHoursAction }
+ */
+function getScheduleStatus(userData = {}, date = new Date()) {
+  const settings = getBusinessHoursSettings(userData);
+  const local = timeUtils.getZonedParts(date, settings.timezone);
+  const status = {
+    enabled: !!settings.enabled,
+    open: true,
+    timezone: settings.timezone,
+    localTime: `${local.dateKey} ${local.weekdayKey} ${timeUtils.formatTimeOfDay(local.minutes)}`,
+    exception: null,
+    nextOpening: null,
+    outOfHoursAction: settings.outOfHours.action
+  };
+
+  if (!settings.enabled) {
+    return status;
+  }
+
+  const { open, exception } = isOpenAt(settings, date);
+  status.open = open;
+  status.exception = exception ? (exception.note || exception.date) : null;
+  status.nextOpening = open ? null : getNextOpening(settings, date);
+
+  return status;
+}
+
+/**
+ * Decides how to handle an incoming message given the business hours
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Object} [options] - Options ({ userName, date })
+ * @returns {Object} - { action: ai|message|silent, message, status, reason }
+ */
+function getReplyDecision(jid, isGroup, options = {}) {
+  const userData = userDataService.loadUserData(jid, isGroup);
+  const settings = getBusinessHoursSettings(userData);
+  const status = getScheduleStatus(userData, options.date || new Date());
+
+  if (status.open) {
+    return { action: 'ai', message: null, status, reason: settings.enabled ? 'open' : 'schedule disabled' };
+  }
+
+  const action = settings.outOfHours.action;
+
+  if (action !== 'message') {
+    return { action, message: null, status, reason: 'closed' };
+  }
+
+  // Send the out-of-hours message at most once per interval
+  const lastSentAt = userData.stats?.lastAwayMessageAt;
+  const intervalMs = (settings.outOfHours.minIntervalMinutes || 0) * 60 * 1000;
+  if (lastSentAt && Date.now() - new Date(lastSentAt).getTime() < intervalMs) {
+    return { action: 'silent', message: null, status, reason: 'out-of-hours message already sent' };
+  }
+
+  const message = String(settings.outOfHours.message || '')
+    .replace(/\{\{name\}\}/g, options.userName || 'there')
+    .replace(/\{\{opensAt\}\}/g, status.nextOpening || 'soon');
+
+  return { action: message ? 'message' : 'silent', message: message || null, status, reason: 'closed' };
+}
+
+/**
+ * Records that the out-of-hours message was sent to a chat
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ */
+function recordAwayMessage(jid, isGroup) {
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    stats: {
+      lastAwayMessageAt: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Updates the global business-hours settings and saves them
+ * @param {Object} changes - Settings to change (outOfHours is merged)
+ * @returns {Object} - The new global settings
+ */
+function updateBusinessHours(changes) {
+  validateSettings(changes);
+
+  const saved = readJsonFile(SETTINGS_FILE, {});
+  const updated = {
+    ...saved,
+    ...changes,
+    outOfHours: {
+      ...(saved.outOfHours || {}),
+      ...(changes.outOfHours || {})
+    }
+  };
+
+  writeJsonFile(SETTINGS_FILE, updated);
+  console.log('Business hours updated');
+  return getGlobalSettings();
+}
+
+/**
+ * Sets or clears a chat's business-hours override
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Object|null} override - Settings to override, or null to use the global settings
+ * @returns {Object} - The settings that now apply to the chat
+ */
+function setChatBusinessHours(jid, isGroup, override) {
+  if (override) {
+    validateSettings(override);
+  }
+
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      businessHours: override || null
+    }
+  });
+
+  console.log(`Business hours for ${jid}: ${override ? JSON.stringify(override) : 'global settings'}`);
+  return getBusinessHoursSettings(userDataService.loadUserData(jid, isGroup));
+}
+
+module.exports = {
+  OUT_OF_HOURS_ACTIONS,
+  getBusinessHoursSettings,
+  validateSettings,
+  getScheduleStatus,
+  getReplyDecision,
+  recordAwayMessage,
+  updateBusinessHours,
+  setChatBusinessHours
+};
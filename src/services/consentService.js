@@ -0,0 +1,263 @@
+/**
+ * Consent Service
+ *
+ * Registry of people who opted out of automated messages, stored in
+ * data/consent.json. Sending STOP or UNSUBSCRIBE (or a Bengali equivalent
+ * like বন্ধ) to the bot stops all automated DMs to that number: relays,
+ * auto-replies, scheduled messages and reminders. START turns them back on.
+ * Every change is kept in the contact's history so the registry can be
+ * exported for compliance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPreferences } = require('../config/userPreferences');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+
+// Consent statuses
+const CONSENT_STATUS = {
+  OPTED_OUT: 'opted_out',
+  OPTED_IN: 'opted_in'
+};
+
+// Outbox sources that are still sent to people who opted out: the operator's
+// own replies, the STOP/START confirmation and answers to chat commands
+const EXEMPT_SOURCES = ['reply', 'consent', 'command'];
+
+// Where the registry is stored
+const CONSENT_FILE = getDataFilePath('consent.json');
+
+/**
+ * Gets the consent settings from user preferences
+ * @returns {Object} - { enabled, stopKeywords, startKeywords }
+ */
+function getConsentSettings() {
+  return {
+    enabled: true,
+    stopKeywords: ['stop', 'unsubscribe', 'stop all', 'opt out', 'optout', 'বন্ধ', 'বন্ধ করুন', 'বন্ধ করো', 'থামুন', 'আনসাবস্ক্রাইব', 'bondho', 'bondho koro'],
+    startKeywords: ['start', 'subscribe', 'unstop', 'চালু', 'চালু করুন', 'চালু করো', 'শুরু', 'chalu', 'chalu koro'],
+    ...(getPreferences().consent || {})
+  };
+}
+
+/**
+ * Loads the registry
+ * @returns {Object} - { contacts } keyed by number
+ */
+function loadConsent() {
+  return readJsonFile(CONSENT_FILE, { contacts: {} });
+}
+
+/**
+ * Gets the registry key of a JID or phone number
+ * @param {String} jidOrNumber - A JID ("8801...:12@s.whatsapp.net") or phone number ("+880 1...")
+ * @returns {String|null} - The number ("8801..."), the JID for other servers, or null for groups
+ */
+function getConsentKey(jidOrNumber) {
+  const value = String(jidOrNumber || '').trim();
+  if (!value || value.endsWith('@g.us')) return null;
+
+  const [user, server] = value.split('@');
+  if (server && server !== 's.whatsapp.net') {
+    return `${user.split(':')[0]}@${server}`;
+  }
+
+  const number = user.split(':')[0].replace(/\D/g, '');
+  return number || null;
+}
+
+/**
+ * Normalizes a message for keyword matching
+ * @param {String} text - The message text
+ * @returns {String} - Lowercase text without surrounding punctuation
+ */
+function normalizeKeyword(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\s.!?।,]+$/g, '')
+    .replace(/^[\s.!?।,]+/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Gets the consent record of a contact
+ * @param {String} jidOrNumber - A JID or phone number
+ * @returns {Object|null} - The record or null if the contact never sent STOP or START
+ */
+function getConsent(jidOrNumber) {
+  const key = getConsentKey(jidOrNumber);
+  return key ? loadConsent().contacts[key] || null : null;
+}
+
+/**
+ * Checks whether a contact opted out of automated messages
+ * @param {String} jidOrNumber - A JID or phone number
+ * @returns {Boolean} - True if automated messages must not be sent
+ */
+function isOptedOut(jidOrNumber) {
+  if (!getConsentSettings().enabled) return false;
+
+  const record = getConsent(jidOrNumber);
+  return !!record && record.status === CONSENT_STATUS.OPTED_OUT;
+}
+
+/**
+ * Checks whether a message from a given source may be sent to a chat
+ * @param {String} jid - The chat JID
+ * @param {String} source - The outbox source (auto_reply, relay, schedule, ...)
+ * @returns {Boolean} - True if the message may be sent
+ */
+function canSend(jid, source) {
+  return EXEMPT_SOURCES.includes(source) || !isOptedOut(jid);
+}
+
+/**
+ * Records an opt-out or opt-in
+ * @param {String} jidOrNumber - A JID or phone number
+ * @param {String} status - opted_out or opted_in
+ * @param {Object} [details] - { keyword, source: chat|operator|api }
+ * @returns {Object} - The updated record
+ */
+function setConsent(jidOrNumber, status, details = {}) {
+  const key = getConsentKey(jidOrNumber);
+
+  if (!key) {
+    throw new Error(`Invalid number: ${jidOrNumber}`);
+  }
+
+  if (!Object.values(CONSENT_STATUS).includes(status)) {
+    throw new Error(`Unknown consent status "${status}"`);
+  }
+
+  const consent = loadConsent();
+  const now = new Date().toISOString();
+  const record = consent.contacts[key] || { id: key, jid: null, status, history: [], createdAt: now };
+  const change = { status, keyword: details.keyword || null, source: details.source || 'operator', at: now };
+
+  record.jid = String(jidOrNumber).includes('@') ? jidOrNumber : record.jid;
+  record.status = status;
+  record.keyword = change.keyword;
+  record.source = change.source;
+  record.updatedAt = now;
+  record.history.push(change);
+
+  consent.contacts[key] = record;
+  writeJsonFile(CONSENT_FILE, consent);
+
+  console.log(`Consent for ${key}: ${status} (${change.source}${change.keyword ? `, "${change.keyword}"` : ''})`);
+  return record;
+}
+
+/**
+ * Handles STOP and START messages sent to the bot in private chats
+ * @param {Object} message - The message object from Baileys
+ * @param {String} messageText - The message text
+ * @returns {String|null} - The confirmation to send, or null if the message isn't a consent keyword
+ */
+function handleConsentMessage(message, messageText) {
+  const settings = getConsentSettings();
+  const jid = message.key.remoteJid;
+
+  if (!settings.enabled || !messageText || jid.endsWith('@g.us')) {
+    return null;
+  }
+
+  const keyword = normalizeKeyword(messageText);
+  const bengali = /[\u0980-\u09FF]/.test(keyword);
+
+  if (settings.stopKeywords.map(normalizeKeyword).includes(keyword)) {
+    setConsent(jid, CONSENT_STATUS.OPTED_OUT, { keyword: messageText.trim(), source: 'chat' });
+    return bengali ?
+      'আপনি আর এই নম্বর থেকে স্বয়ংক্রিয় বার্তা পাবেন না। আবার পেতে START লিখে পাঠান।' :
+      'You won\'t get automated messages from this number anymore. Send START to receive them again.';
+  }
+
+  // START only means something after a STOP, otherwise it is a normal message
+  if (settings.startKeywords.map(normalizeKeyword).includes(keyword) && isOptedOut(jid)) {
+    setConsent(jid, CONSENT_STATUS.OPTED_IN, { keyword: messageText.trim(), source: 'chat' });
+    return bengali ?
+      'স্বয়ংক্রিয় বার্তা আবার চালু হয়েছে। বন্ধ করতে STOP লিখে পাঠান।' :
+      'Automated messages are on again. Send STOP to stop them.';
+  }
+
+  return null;
+}
+
+/**
+ * Lists consent records
+ * @param {Object} [options] - { status: opted_out|opted_in|all }
+ * @returns {Array} - Array of records, most recently changed first
+ */
+function listConsent(options = {}) {
+  const status = options.status || 'all';
+
+  return Object.values(loadConsent().contacts)
+    .filter(record => status === 'all' || record.status === status)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Quotes a CSV value
+ * @param {*} value - The value
+ * @returns {String} - The CSV field
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the registry with the full history of every contact
+ * @param {String} [format] - csv (one row per change) or json
+ * @returns {String} - The export
+ */
+function exportConsent(format = 'json') {
+  const records = listConsent();
+
+  if (format === 'json') {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), contacts: records }, null, 2);
+  }
+
+  if (format !== 'csv') {
+    throw new Error(`Unknown export format "${format}" (use csv or json)`);
+  }
+
+  const rows = [['id', 'jid', 'current_status', 'status', 'keyword', 'source', 'at']];
+  for (const record of records) {
+    for (const change of record.history) {
+      rows.push([record.id, record.jid, record.status, change.status, change.keyword, change.source, change.at]);
+    }
+  }
+
+  return rows.map(row => row.map(toCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Writes an export of the registry to data/exports
+ * @param {String} [format] - csv or json
+ * @returns {String} - The path of the written file
+ */
+function writeConsentExport(format = 'csv') {
+  const content = exportConsent(format);
+  const filePath = getDataFilePath(path.join('exports', `consent-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`));
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+
+  console.log(`Consent registry exported to ${filePath}`);
+  return filePath;
+}
+
+module.exports = {
+  CONSENT_STATUS,
+  getConsentSettings,
+  getConsentKey,
+  getConsent,
+  isOptedOut,
+  canSend,
+  setConsent,
+  handleConsentMessage,
+  listConsent,
+  exportConsent,
+  writeConsentExport
+};
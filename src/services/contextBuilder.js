@@ -0,0 +1,224 @@
+/**
+ * Context Builder
+ *
+ * Estimates token usage and fits the conversation sent to the AI into a per-model budget
+ */
+
+const config = require('../config/config');
+const { getPreferences } = require('../config/userPreferences');
+
+// Tokens added per chat message for the role and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimates the number of tokens in a text
+ * Latin text averages about 4 characters per token; Bengali, Arabic and other
+ * scripts are split much finer, so they are counted at about 2 characters per token
+ * @param {String} text - The text to estimate
+ * @returns {Number} - The estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+
+  const str = String(text);
+  let asciiChars = 0;
+  let otherChars = 0;
+
+  for (const char of str) {
+    if (char.charCodeAt(0) < 128) {
+      asciiChars += 1;
+    } else {
+      otherChars += 1;
+    }
+  }
+
+  return Math.ceil(asciiChars / 4 + otherChars / 2);
+}
+
+/**
+ * Estimates the number of tokens in a chat message including overhead
+ * @param {Object} message - Message object with role and content
+ * @returns {Number} - The estimated token count
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Gets the context settings from user preferences and configuration
+ * @returns {Object} - The context settings
+ */
+function getContextSettings() {
+  const prefs = getPreferences();
+  const context = prefs.ai?.context || {};
+
+  return {
+    ...config.ai.context,
+    ...context,
+    budgets: {
+      ...config.ai.context.budgets,
+      ...(context.budgets || {})
+    }
+  };
+}
+
+/**
+ * Gets the token budget for a model
+ * @param {String} model - The model name
+ * @returns {Object} - { model, total, reserved, available }
+ */
+function getContextBudget(model) {
+  const settings = getContextSettings();
+  const total = settings.budgets[model] || settings.budgets.default;
+  const reserved = Math.min(settings.reserveTokens || 0, Math.floor(total / 2));
+
+  return {
+    model,
+    total,
+    reserved,
+    available: total - reserved
+  };
+}
+
+/**
+ * Shortens a text to roughly the given number of tokens
+ * @param {String} text - The text to shorten
+ * @param {Number} maxTokens - The maximum number of tokens
+ * @returns {String} - The original or shortened text
+ */
+function truncateToTokens(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+
+  // Cut proportionally, then trim until it fits
+  const chars = Array.from(text);
+  let length = Math.floor(chars.length * (maxTokens / estimateTokens(text)));
+
+  while (length > 0 && estimateTokens(chars.slice(0, length).join('')) > maxTokens) {
+    length -= Math.max(1, Math.floor(length / 10));
+  }
+
+  return chars.slice(0, Math.max(0, length)).join('') + '…';
+}
+
+/**
+ * Selects the most recent history messages that fit in the available tokens
+ * Messages are taken from newest to oldest; the first one that doesn't fit stops the selection
+ * @param {Array} history - Conversation history (oldest first)
+ * @param {Number} availableTokens - Tokens left for the history
+ * @param {Number} maxMessageTokens - Maximum tokens for a single history message
+ * @returns {Object} - { messages, tokens, dropped }
+ */
+function selectRecentHistory(history, availableTokens, maxMessageTokens) {
+  const selected = [];
+  let tokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const msg = history[i];
+    const text = truncateToTokens(msg.text || '', maxMessageTokens);
+    // Allow for a "[Name]: " label on group messages
+    const cost = estimateTokens(text) + MESSAGE_OVERHEAD_TOKENS + (msg.sender && msg.sender.name ? estimateTokens(msg.sender.name) + 2 : 0);
+
+    if (tokens + cost > availableTokens) {
+      break;
+    }
+
+    selected.unshift(text === msg.text ? msg : { ...msg, text });
+    tokens += cost;
+  }
+
+  return {
+    messages: selected,
+    tokens,
+    dropped: history.length - selected.length
+  };
+}
+
+/**
+ * Selects the participant names to mention in the system prompt
+ * The most active participants come first, then the most recently seen
+ * @param {Object} userProfile - The chat's user data
+ * @param {Number} [limit] - Maximum number of names (defaults to the context settings)
+ * @returns {Object} - { names, namedCount, unknownCount, omittedCount, total }
+ */
+function selectParticipantNames(userProfile = {}, limit) {
+  const maxNames = limit !== undefined ? limit : getContextSettings().maxParticipantNames;
+  const participants = Object.entries(userProfile.participants || {});
+  const named = participants.filter(([_, p]) => p.name);
+
+  // Rank by activity: top participants first, then by last seen
+  const topIds = (userProfile.stats?.topParticipants || []).map(p => p.id);
+  named.sort(([idA, a], [idB, b]) => {
+    const rankA = topIds.indexOf(idA);
+    const rankB = topIds.indexOf(idB);
+
+    if (rankA !== rankB) {
+      if (rankA === -1) return 1;
+      if (rankB === -1) return -1;
+      return rankA - rankB;
+    }
+
+    return String(b.lastSeen || '').localeCompare(String(a.lastSeen || ''));
+  });
+
+  const names = named.slice(0, maxNames).map(([_, p]) => p.name);
+
+  return {
+    names,
+    namedCount: named.length,
+    unknownCount: participants.length - named.length,
+    omittedCount: named.length - names.length,
+    total: participants.length
+  };
+}
+
+/**
+ * Fits a system prompt, conversation history and new message into the model's budget
+ * @param {Object} options - Build options
+ * @param {String} options.systemContent - The system prompt
+ * @param {Array} options.history - Conversation history (oldest first)
+ * @param {String} options.newMessage - The new user message
+ * @param {String} options.model - The model name
+ * @param {Number} [options.maxMessages] - Upper bound on the number of history messages
+ * @param {String} [options.chatId] - Chat ID used in the log line
+ * @returns {Object} - { history, newMessage, budget, usedTokens, dropped }
+ */
+function fitToBudget({ systemContent, history = [], newMessage = '', model, maxMessages, chatId }) {
+  const settings = getContextSettings();
+  const budget = getContextBudget(model);
+  const candidates = maxMessages ? history.slice(-maxMessages) : history;
+
+  // The new message always goes in, shortened if it alone would blow the budget
+  const systemTokens = estimateTokens(systemContent) + MESSAGE_OVERHEAD_TOKENS;
+  const newMessageText = truncateToTokens(newMessage, Math.max(settings.maxMessageTokens, budget.available - systemTokens - MESSAGE_OVERHEAD_TOKENS));
+  const newMessageTokens = estimateTokens(newMessageText) + MESSAGE_OVERHEAD_TOKENS;
+
+  const availableForHistory = Math.max(0, budget.available - systemTokens - newMessageTokens);
+  const selection = selectRecentHistory(candidates, availableForHistory, settings.maxMessageTokens);
+  const dropped = selection.dropped + (history.length - candidates.length);
+  const usedTokens = systemTokens + newMessageTokens + selection.tokens;
+
+  console.log(`Context budget for ${chatId || 'chat'} (${model}): ${budget.total} tokens (${budget.reserved} reserved for the reply), ` +
+              `using ~${usedTokens} [system ${systemTokens}, history ${selection.tokens} in ${selection.messages.length} messages, new ${newMessageTokens}]` +
+              (dropped > 0 ? `, ${dropped} older messages left out` : ''));
+
+  return {
+    history: selection.messages,
+    newMessage: newMessageText,
+    budget,
+    usedTokens,
+    dropped
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessageTokens,
+  getContextSettings,
+  getContextBudget,
+  truncateToTokens,
+  selectRecentHistory,
+  selectParticipantNames,
+  fitToBudget
+};
@@ -0,0 +1,240 @@
+/**
+ * Group Trigger Service
+ *
+ * Decides whether a group message addresses the bot. A group can reply
+ * always, or only when the bot is @-mentioned natively, when one of the
+ * bot's messages is quoted, or when a keyword or prefix is used. Modes can
+ * be combined; any matching mode triggers a reply.
+ *
+ * Each group's settings live in preferences.groupTrigger of its JSON data:
+ * { modes: ["mention", "quote"], keywords: ["bot"], prefixes: ["!ask"] }
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('./userDataService');
+const takeoverService = require('./takeoverService');
+
+// Supported trigger modes
+const TRIGGER_MODES = ['always', 'mention', 'quote', 'keyword'];
+
+/**
+ * Gets the default group trigger settings from user preferences
+ * @returns {Object} - { modes, keywords, prefixes }
+ */
+function getDefaultTrigger() {
+  const prefs = getPreferences();
+
+  return {
+    modes: ['always'],
+    keywords: [],
+    prefixes: [],
+    ...(prefs.groupTriggers || {})
+  };
+}
+
+/**
+ * Gets the trigger settings of a group
+ * @param {Object} userData - The group's user data
+ * @returns {Object} - { modes, keywords, prefixes }
+ */
+function getGroupTrigger(userData = {}) {
+  return {
+    ...getDefaultTrigger(),
+    ...(userData.preferences?.groupTrigger || {})
+  };
+}
+
+/**
+ * Sets the trigger settings of a group
+ * @param {String} jid - The group JID
+ * @param {Object|null} trigger - { modes, keywords, prefixes } (merged), or null for the defaults
+ * @returns {Object} - The settings that now apply to the group
+ */
+function setGroupTrigger(jid, trigger) {
+  if (!jid.endsWith('@g.us')) {
+    throw new Error('Triggers can only be set for groups');
+  }
+
+  let groupTrigger = null;
+
+  if (trigger) {
+    const modes = trigger.modes;
+    if (modes !== undefined && (!Array.isArray(modes) || modes.length === 0 || modes.some(mode => !TRIGGER_MODES.includes(mode)))) {
+      throw new Error(`Trigger modes must be a list of ${TRIGGER_MODES.join(', ')}`);
+    }
+
+    for (const key of ['keywords', 'prefixes']) {
+      if (trigger[key] !== undefined && !Array.isArray(trigger[key])) {
+        throw new Error(`Trigger ${key} must be a list`);
+      }
+    }
+
+    const current = userDataService.loadUserData(jid, true).preferences?.groupTrigger || {};
+    groupTrigger = { ...current };
+
+    for (const key of ['modes', 'keywords', 'prefixes']) {
+      if (trigger[key] !== undefined) {
+        groupTrigger[key] = trigger[key].map(value => String(value).trim()).filter(Boolean);
+      }
+    }
+  }
+
+  userDataService.updateUserProfile(jid, true, {}, {
+    preferences: {
+      groupTrigger
+    }
+  });
+
+  const applied = getGroupTrigger(userDataService.loadUserData(jid, true));
+  console.log(`Group trigger for ${jid}: ${applied.modes.join(', ')}`);
+  return applied;
+}
+
+/**
+ * Normalizes a JID by dropping the device suffix ("123:4@s.whatsapp.net" -> "123@s.whatsapp.net")
+ * @param {String} jid - The JID
+ * @returns {String} - The normalized JID
+ */
+function normalizeJid(jid) {
+  if (!jid || !jid.includes('@')) return jid || '';
+
+  const [user, server] = jid.split('@');
+  return `${user.split(':')[0]}@${server}`;
+}
+
+/**
+ * Checks whether the sender of a group message is a group admin
+ * Uses the participant data saved from the group metadata
+ * @param {Object} userData - The group's user data
+ * @param {String} senderId - The sender JID
+ * @returns {Boolean} - True if the sender is an admin
+ */
+function isGroupAdmin(userData, senderId) {
+  const sender = normalizeJid(senderId);
+
+  return Object.entries(userData.participants || {}).some(([id, participant]) => {
+    const ids = [id, participant.lid, participant.phoneNumber].filter(Boolean).map(normalizeJid);
+    return ids.includes(sender) && (participant.isAdmin || participant.isSuperAdmin);
+  });
+}
+
+/**
+ * Gets the JIDs the bot is known by (phone number JID and, on newer accounts, LID)
+ * @param {Object} sock - The WhatsApp socket connection
+ * @returns {Array} - Array of normalized JIDs
+ */
+function getBotJids(sock) {
+  return [sock?.user?.id, sock?.user?.lid].filter(Boolean).map(normalizeJid);
+}
+
+/**
+ * Gets the context info (mentions, quoted message) of a message
+ * @param {Object} message - The message object from Baileys
+ * @returns {Object} - The context info, or an empty object
+ */
+function getContextInfo(message) {
+  const content = message?.message || {};
+
+  for (const value of Object.values(content)) {
+    if (value && typeof value === 'object' && value.contextInfo) {
+      return value.contextInfo;
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Checks whether a message mentions the bot natively (tapped @mention)
+ * @param {Object} message - The message object from Baileys
+ * @param {Array} botJids - The bot's JIDs
+ * @returns {Boolean} - True if the bot is mentioned
+ */
+function isBotMentioned(message, botJids) {
+  const mentioned = getContextInfo(message).mentionedJid || [];
+  return mentioned.some(jid => botJids.includes(normalizeJid(jid)));
+}
+
+/**
+ * Checks whether a message quotes one of the bot's messages
+ * @param {Object} message - The message object from Baileys
+ * @param {Array} botJids - The bot's JIDs
+ * @returns {Boolean} - True if a bot message is quoted
+ */
+function isBotQuoted(message, botJids) {
+  const contextInfo = getContextInfo(message);
+
+  if (!contextInfo.quotedMessage) {
+    return false;
+  }
+
+  return takeoverService.isBotMessage(contextInfo.stanzaId) ||
+         botJids.includes(normalizeJid(contextInfo.participant));
+}
+
+/**
+ * Finds the keyword or prefix used in a message
+ * @param {String} text - The message text
+ * @param {Object} trigger - The trigger settings
+ * @returns {String|null} - The matched keyword or prefix, or null
+ */
+function findKeyword(text, trigger) {
+  const lowerText = String(text || '').trim().toLowerCase();
+
+  if (!lowerText) return null;
+
+  const prefix = trigger.prefixes.find(value => lowerText.startsWith(value.toLowerCase()));
+  if (prefix) return prefix;
+
+  return trigger.keywords.find(keyword => {
+    const escaped = keyword.toLowerCase().replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lowerText);
+  }) || null;
+}
+
+/**
+ * Checks whether a group message should trigger a reply
+ * @param {Object} message - The message object from Baileys
+ * @param {Object} userData - The group's user data
+ * @param {Array} botJids - The bot's JIDs
+ * @returns {Object} - { triggered, reason }
+ */
+function checkGroupTrigger(message, userData, botJids) {
+  const trigger = getGroupTrigger(userData);
+  const text = message.message?.conversation || message.message?.extendedTextMessage?.text || '';
+
+  if (trigger.modes.includes('always')) {
+    return { triggered: true, reason: 'group replies to every message' };
+  }
+
+  if (trigger.modes.includes('mention') && isBotMentioned(message, botJids)) {
+    return { triggered: true, reason: 'bot was mentioned' };
+  }
+
+  if (trigger.modes.includes('quote') && isBotQuoted(message, botJids)) {
+    return { triggered: true, reason: 'a bot message was quoted' };
+  }
+
+  if (trigger.modes.includes('keyword')) {
+    const keyword = findKeyword(text, trigger);
+    if (keyword) {
+      return { triggered: true, reason: `keyword "${keyword}" was used` };
+    }
+  }
+
+  return { triggered: false, reason: `not addressed (group replies on ${trigger.modes.join(', ')})` };
+}
+
+module.exports = {
+  TRIGGER_MODES,
+  getDefaultTrigger,
+  getGroupTrigger,
+  setGroupTrigger,
+  normalizeJid,
+  isGroupAdmin,
+  getBotJids,
+  getContextInfo,
+  isBotMentioned,
+  isBotQuoted,
+  checkGroupTrigger
+};
@@ -0,0 +1,380 @@
+/**
+ * Knowledge Service
+ *
+ * Indexes a local knowledge-base folder (markdown, text and FAQ JSON files)
+ * and retrieves the passages most relevant to a question with BM25
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config/config');
+const { getPreferences } = require('../config/userPreferences');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const { estimateTokens } = require('./contextBuilder');
+
+// Knowledge-base folder and index file
+const KNOWLEDGE_DIR = path.resolve(__dirname, '../..', config.storage.knowledge);
+const INDEX_FILE = getDataFilePath('knowledge_index.json');
+
+// Supported file types
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const FAQ_EXTENSIONS = ['.json'];
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this',
+  'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Index loaded in memory
+let index = null;
+
+/**
+ * Gets the knowledge settings from user preferences
+ * @returns {Object} - The knowledge settings
+ */
+function getKnowledgeSettings() {
+  const prefs = getPreferences();
+
+  return {
+    enabled: true,
+    topK: 3,
+    minScore: 1,
+    maxTokens: 800,
+    chunkSize: 800,
+    ...(prefs.knowledge || {})
+  };
+}
+
+/**
+ * Splits a text into lowercase search terms
+ * @param {String} text - The text to tokenize
+ * @returns {Array} - Array of terms
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}\p{M}]+/u)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Splits a text document into chunks of roughly chunkSize characters
+ * Paragraphs are kept together and each chunk remembers the nearest markdown heading
+ * @param {String} text - The document text
+ * @param {Number} chunkSize - Target chunk size in characters
+ * @returns {Array} - Array of { title, text }
+ */
+function chunkText(text, chunkSize) {
+  const chunks = [];
+  const paragraphs = text.split(/\n\s*\n/);
+  let heading = '';
+  let current = '';
+
+  const flush = () => {
+    if (current.trim()) {
+      chunks.push({ title: heading, text: current.trim() });
+    }
+    current = '';
+  };
+
+  for (const paragraph of paragraphs) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+
+    // A new heading starts a new chunk
+    const headingMatch = trimmed.match(/^#{1,6}\s+(.+)$/m);
+    if (headingMatch && trimmed.startsWith('#')) {
+      flush();
+      heading = headingMatch[1].trim();
+    }
+
+    if (current && current.length + trimmed.length > chunkSize) {
+      flush();
+    }
+
+    // Very long paragraphs are split on sentence boundaries
+    if (trimmed.length > chunkSize) {
+      const sentences = trimmed.split(/(?<=[.!?।])\s+/);
+      for (const sentence of sentences) {
+        if (current && current.length + sentence.length > chunkSize) {
+          flush();
+        }
+        current += (current ? ' ' : '') + sentence;
+      }
+      continue;
+    }
+
+    current += (current ? '\n\n' : '') + trimmed;
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Reads FAQ entries from a JSON file
+ * Accepts an array of { question, answer } or an object with a "faq" array
+ * @param {String} filePath - The file path
+ * @returns {Array} - Array of { title, text }
+ */
+function readFaqFile(filePath) {
+  const data = readJsonFile(filePath, null);
+  const entries = Array.isArray(data) ? data : (data && Array.isArray(data.faq) ? data.faq : []);
+
+  return entries
+    .filter(entry => entry && (entry.question || entry.q) && (entry.answer || entry.a))
+    .map(entry => ({
+      title: entry.question || entry.q,
+      text: `Q: ${entry.question || entry.q}\nA: ${entry.answer || entry.a}`
+    }));
+}
+
+/**
+ * Lists the knowledge-base files recursively
+ * @param {String} dir - The directory to scan
+ * @returns {Array} - Array of file paths
+ */
+function listKnowledgeFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...listKnowledgeFiles(fullPath));
+    } else {
+      const extension = path.extname(entry.name).toLowerCase();
+      if (TEXT_EXTENSIONS.includes(extension) || FAQ_EXTENSIONS.includes(extension)) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Rebuilds the index from the knowledge-base folder and saves it
+ * @returns {Object} - Index statistics ({ files, chunks, builtAt })
+ */
+function reindex() {
+  const settings = getKnowledgeSettings();
+  const files = listKnowledgeFiles(KNOWLEDGE_DIR);
+  const chunks = [];
+
+  console.log(`Indexing ${files.length} knowledge-base files from ${KNOWLEDGE_DIR}`);
+
+  for (const filePath of files) {
+    try {
+      const source = path.relative(KNOWLEDGE_DIR, filePath);
+      const extension = path.extname(filePath).toLowerCase();
+      const fileChunks = FAQ_EXTENSIONS.includes(extension) ?
+                         readFaqFile(filePath) :
+                         chunkText(fs.readFileSync(filePath, 'utf8'), settings.chunkSize);
+
+      fileChunks.forEach((chunk, i) => {
+        const terms = tokenize(`${chunk.title} ${chunk.text}`);
+        // No prototype, so terms like "constructor" start at 0
+        const termFrequencies = Object.create(null);
+        for (const term of terms) {
+          termFrequencies[term] = (termFrequencies[term] || 0) + 1;
+        }
+
+        chunks.push({
+          id: `${source}#${i + 1}`,
+          source,
+          title: chunk.title,
+          text: chunk.text,
+          length: terms.length,
+          tf: termFrequencies
+        });
+      });
+    } catch (error) {
+      console.error(`Error indexing knowledge file ${filePath}:`, error);
+    }
+  }
+
+  // Document frequencies for IDF
+  const documentFrequencies = Object.create(null);
+  for (const chunk of chunks) {
+    for (const term of Object.keys(chunk.tf)) {
+      documentFrequencies[term] = (documentFrequencies[term] || 0) + 1;
+    }
+  }
+
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+  index = {
+    builtAt: new Date().toISOString(),
+    files: files.length,
+    chunks,
+    df: documentFrequencies,
+    avgLength: chunks.length > 0 ? totalLength / chunks.length : 0
+  };
+
+  writeJsonFile(INDEX_FILE, index);
+  console.log(`Knowledge base indexed: ${files.length} files, ${chunks.length} chunks`);
+
+  return getIndexStats();
+}
+
+/**
+ * Gets the index, loading it from disk or building it on first use
+ * @returns {Object} - The index
+ */
+function getIndex() {
+  if (!index) {
+    index = readJsonFile(INDEX_FILE, null);
+  }
+
+  if (!index) {
+    reindex();
+  }
+
+  return index;
+}
+
+/**
+ * Gets statistics about the current index
+ * @returns {Object} - { directory, files, chunks, builtAt }
+ */
+function getIndexStats() {
+  const current = index || readJsonFile(INDEX_FILE, null);
+
+  return {
+    directory: KNOWLEDGE_DIR,
+    files: current ? current.files : 0,
+    chunks: current ? current.chunks.length : 0,
+    builtAt: current ? current.builtAt : null
+  };
+}
+
+/**
+ * Gets a term's frequency from an index table
+ * Indexes loaded from disk are plain objects, so only their own keys count
+ * @param {Object} frequencies - Map of term to frequency
+ * @param {String} term - The term
+ * @returns {Number} - The frequency, 0 if the term isn't indexed
+ */
+function getFrequency(frequencies, term) {
+  return Object.prototype.hasOwnProperty.call(frequencies, term) ? frequencies[term] : 0;
+}
+
+/**
+ * Searches the knowledge base
+ * @param {String} query - The search query
+ * @param {Number} [limit] - Maximum number of results (defaults to topK)
+ * @returns {Array} - Array of { id, source, title, text, score }, best first
+ */
+function search(query, limit) {
+  const settings = getKnowledgeSettings();
+  const currentIndex = getIndex();
+  const queryTerms = Array.from(new Set(tokenize(query)));
+
+  if (queryTerms.length === 0 || currentIndex.chunks.length === 0) {
+    return [];
+  }
+
+  const totalChunks = currentIndex.chunks.length;
+  const results = [];
+
+  for (const chunk of currentIndex.chunks) {
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const frequency = getFrequency(chunk.tf, term);
+      if (!frequency) continue;
+
+      const documentFrequency = getFrequency(currentIndex.df, term);
+      const idf = Math.log(1 + (totalChunks - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const normalization = BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / (currentIndex.avgLength || 1)));
+      score += idf * (frequency * (BM25_K1 + 1)) / (frequency + normalization);
+    }
+
+    if (score > 0) {
+      results.push({
+        id: chunk.id,
+        source: chunk.source,
+        title: chunk.title,
+        text: chunk.text,
+        score: Math.round(score * 1000) / 1000
+      });
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit || settings.topK);
+}
+
+/**
+ * Gets the passages to inject into the AI prompt for a question
+ * Only passages above the minimum score are used, within the knowledge token budget
+ * @param {String} query - The user's message
+ * @returns {Array} - Array of passages ({ source, title, text, score })
+ */
+function getRelevantPassages(query) {
+  const settings = getKnowledgeSettings();
+
+  if (!settings.enabled || !query) {
+    return [];
+  }
+
+  const passages = [];
+  let tokens = 0;
+
+  for (const result of search(query, settings.topK)) {
+    if (result.score < settings.minScore) break;
+
+    const cost = estimateTokens(result.text);
+    if (tokens + cost > settings.maxTokens) break;
+
+    passages.push(result);
+    tokens += cost;
+  }
+
+  if (passages.length > 0) {
+    console.log(`Knowledge base: using ${passages.length} passages (${passages.map(p => p.id).join(', ')})`);
+  }
+
+  return passages;
+}
+
+/**
+ * Formats passages for the system prompt
+ * @param {Array} passages - The passages from getRelevantPassages
+ * @returns {String} - The prompt section, or an empty string if there are no passages
+ */
+function formatPassagesForPrompt(passages) {
+  if (!passages || passages.length === 0) {
+    return '';
+  }
+
+  const lines = passages.map((passage, i) => `[${i + 1}] (${passage.source}) ${passage.text}`);
+
+  return `Relevant information from our knowledge base. Use it to answer when it is relevant and prefer it over general knowledge; if it doesn't cover the question, say you are not sure instead of guessing:\n${lines.join('\n\n')}`;
+}
+
+module.exports = {
+  KNOWLEDGE_DIR,
+  getKnowledgeSettings,
+  tokenize,
+  chunkText,
+  reindex,
+  getIndexStats,
+  search,
+  getRelevantPassages,
+  formatPassagesForPrompt
+};
@@ -7,6 +7,90 @@
 // Import required services
 const userDataService = require('./userDataService');
 const { getChatCompletion } = require('./mistralService');
+const outputGuardService = require('./outputGuardService');
+const approvalService = require('./approvalService');
+const outboxService = require('./outboxService');
+const consentService = require('./consentService');
+const groupTriggerService = require('./groupTriggerService');
+const relayTemplateService = require('./relayTemplateService');
+const relayThreadService = require('./relayThreadService');
+const relayLogService = require('./relayLogService');
+const relayPolicyService = require('./relayPolicyService');
+const relayIntentParser = require('./relayIntentParser');
+const rateLimitService = require('./rateLimitService');
+
+/**
+ * Gets the people mentioned natively (picked from WhatsApp's @ list), without the bot
+ * @param {Object} message - The message object from Baileys
+ * @param {Array} [botJids] - The bot's JIDs
+ * @returns {Array} - Array of normalized JIDs
+ */
+function getNativeMentions(message, botJids = []) {
+  const mentioned = groupTriggerService.getContextInfo(message).mentionedJid || [];
+
+  return [...new Set(mentioned.map(groupTriggerService.normalizeJid))]
+    .filter(jid => jid && !botJids.includes(jid));
+}
+
+/**
+ * Checks whether a message mentions anyone besides the bot natively
+ * @param {Object} message - The message object from Baileys
+ * @param {Array} [botJids] - The bot's JIDs
+ * @returns {Boolean} - True if there are native mentions
+ */
+function hasNativeMentions(message, botJids = []) {
+  return getNativeMentions(message, botJids).length > 0;
+}
+
+/**
+ * Gets the phone number of one native mention
+ * @param {String} jid - The normalized JID of the mention
+ * @param {Object} participants - The group's saved participants
+ * @returns {String|null} - The phone number, or null for a LID that isn't known
+ */
+function getNativeMentionNumber(jid, participants) {
+  let number = null;
+
+  if (jid.endsWith('@s.whatsapp.net')) {
+    number = jid.split('@')[0];
+  } else {
+    const entry = Object.entries(participants).find(([id, participant]) => {
+      return groupTriggerService.normalizeJid(id) === jid || groupTriggerService.normalizeJid(participant.lid || '') === jid;
+    });
+
+    if (entry) {
+      const [id, participant] = entry;
+      number = id.endsWith('@s.whatsapp.net') ? id.split('@')[0] : (participant.phoneNumber || '').split('@')[0] || null;
+    }
+  }
+
+  return number ? number.split(':')[0] : null;
+}
+
+/**
+ * Gets the phone numbers of the people mentioned natively
+ * LIDs are resolved through the group's saved participants; unknown ones are skipped
+ * @param {Object} message - The message object from Baileys
+ * @param {Array} [botJids] - The bot's JIDs
+ * @returns {Array} - Array of phone numbers
+ */
+function getNativeMentionedNumbers(message, botJids = []) {
+  const participants = userDataService.loadUserData(message.key.remoteJid, true).participants || {};
+  const numbers = [];
+
+  for (const jid of getNativeMentions(message, botJids)) {
+    const number = getNativeMentionNumber(jid, participants);
+
+    if (number) {
+      console.log(`Found native mention: ${number}`);
+      numbers.push(number);
+    } else {
+      console.log(`No phone number known for mentioned ${jid}, skipping`);
+    }
+  }
+
+  return [...new Set(numbers)];
+}
 
 /**
  * Extracts @number mentions from a message text
@@ -340,10 +424,15 @@ REMEMBER: Your job is to relay the message EXACTLY as given, not improve or chan
     ];
 
     // Get the enhanced message from the AI
-    const enhancedMessage = await getChatCompletion(messages);
+    const completion = await getChatCompletion(messages);
+
+    if (!completion.success) {
+      console.log(`AI enhancement unavailable (${completion.errorType}), relaying the original message`);
+      return messageText;
+    }
 
     // Remove any quotation marks that might have been added by the AI
-    let cleanedMessage = enhancedMessage.replace(/^["']|["']$/g, '').trim();
+    let cleanedMessage = completion.text.replace(/^["']|["']$/g, '').trim();
 
     console.log('Original message:', messageText);
     console.log('AI enhanced message:', cleanedMessage);
@@ -367,28 +456,11 @@ function formatNumberForWhatsApp(number) {
     return null;
   }
 
-  // Convert to string if it's not already
-  let numStr = String(number);
-
-  // Remove any invisible characters, spaces, and other non-digit characters except the + sign
-  let cleanNumber = numStr.replace(/[\u200B-\u200D\uFEFF\u2060\u2800\s]/g, '');
-  cleanNumber = cleanNumber.replace(/[^\d+]/g, '');
-
-  console.log('Cleaned number:', cleanNumber);
-
-  // If the number doesn't start with +, assume it's a local number and add default country code
-  if (!cleanNumber.startsWith('+')) {
-    // You can change this default country code as needed
-    cleanNumber = '+' + cleanNumber;
-    console.log('Added + prefix:', cleanNumber);
-  }
-
-  // Remove the + sign for WhatsApp format
-  cleanNumber = cleanNumber.replace('+', '');
+  // Numbers must be valid E.164; national numbers get the default country code
+  const cleanNumber = relayPolicyService.toE164(number);
 
-  // Ensure the number is not empty after cleaning
-  if (!cleanNumber || !/^\d+$/.test(cleanNumber)) {
-    console.error('Invalid number after cleaning:', cleanNumber);
+  if (!cleanNumber) {
+    console.error('Invalid phone number:', number);
     return null;
   }
 
@@ -398,6 +470,183 @@ function formatNumberForWhatsApp(number) {
   return formattedNumber;
 }
 
+/**
+ * Runs a relay message through the output guard
+ * Messages held for review are queued for approval and the chat is told so;
+ * they keep the relay options, so once approved they go out as a relay.
+ * Relays asked through the AI's relay_message tool have no group message:
+ * their notices go to relayOptions.chatJid
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object|null} message - The original group message
+ * @param {String} number - The recipient's phone number
+ * @param {String} text - The relay message
+ * @param {Object} [relayOptions] - The options for sendDirectMessage
+ * @param {String} [source] - The source logged with guard interventions and approvals
+ * @returns {Promise<String|null>} - The text to send, or null if it was dropped or held
+ */
+async function guardRelayMessage(sock, message, number, text, relayOptions = {}, source = 'mention_relay') {
+  const recipientJid = formatNumberForWhatsApp(number);
+  const chatJid = message ? message.key.remoteJid : relayOptions.chatJid;
+  const guardResult = outputGuardService.checkOutput(text, { jid: recipientJid, source });
+
+  if (guardResult.action === outputGuardService.GUARD_ACTIONS.ALLOW ||
+      guardResult.action === outputGuardService.GUARD_ACTIONS.REWRITE) {
+    return guardResult.text;
+  }
+
+  let notice;
+  if (guardResult.action === outputGuardService.GUARD_ACTIONS.REVIEW && recipientJid) {
+    // Logged as held right away, so held relays count toward the sender's daily quota
+    const heldRelay = recordRelay(recipientJid, guardResult.text, message ? { ...relayOptions, groupMessage: message } : relayOptions, { held: true });
+
+    approvalService.addApproval({
+      jid: recipientJid,
+      isGroup: false,
+      text: guardResult.text,
+      originalText: text,
+      source,
+      reason: guardResult.violations.map(v => v.rule).join(', '),
+      violations: guardResult.violations,
+      relay: {
+        number,
+        options: {
+          ...relayOptions,
+          heldRelayId: heldRelay?.id || null,
+          // Only the parts the thread and the relay log use, so the item stays serializable
+          groupMessage: message ? {
+            key: message.key,
+            message: message.message,
+            pushName: message.pushName,
+            metadata: { groupName: message.metadata?.groupName }
+          } : undefined
+        }
+      }
+    });
+    notice = relayTemplateService.renderGroupNotice(chatJid, 'held');
+  } else {
+    notice = relayTemplateService.renderGroupNotice(chatJid, 'notSent');
+  }
+
+  if (chatJid) {
+    outboxService.enqueueMessage({ jid: chatJid, text: notice, source: 'relay' });
+  }
+  return null;
+}
+
+/**
+ * Checks a relay against the chat's relay policy and tells the group if it isn't allowed
+ * @param {Object} message - The original group message
+ * @param {String} number - The recipient's phone number
+ * @param {String} label - How the recipient is named in the notice
+ * @returns {Promise<Boolean>} - True if the relay isn't allowed
+ */
+async function notifyIfNotAllowed(message, number, label) {
+  const senderId = message.key.participant || message.key.remoteJid;
+  const check = relayPolicyService.checkRelayRecipient(message.key.remoteJid, senderId, number);
+
+  if (check.allowed) {
+    return false;
+  }
+
+  console.log(`Not relaying to ${number}: ${check.reason}`);
+  outboxService.enqueueMessage({
+    jid: message.key.remoteJid,
+    text: relayTemplateService.renderGroupNotice(message.key.remoteJid, check.notice, { recipient: label, number, limit: check.limit }),
+    quoted: message,
+    source: 'relay'
+  });
+  return true;
+}
+
+/**
+ * Checks whether a relay recipient opted out and tells the group if so
+ * @param {Object} message - The original group message
+ * @param {String} number - The recipient's phone number
+ * @param {String} label - How the recipient is named in the notice
+ * @returns {Promise<Boolean>} - True if the recipient opted out
+ */
+async function notifyIfOptedOut(message, number, label) {
+  if (!consentService.isOptedOut(relayPolicyService.toE164(number) || number)) {
+    return false;
+  }
+
+  console.log(`Not relaying to ${number}: opted out of automated messages`);
+  outboxService.enqueueMessage({
+    jid: message.key.remoteJid,
+    text: relayTemplateService.renderGroupNotice(message.key.remoteJid, 'optedOut', { recipient: label, number }),
+    source: 'relay'
+  });
+  return true;
+}
+
+/**
+ * Takes a token from the sender's, the group's and the global rate limit bucket for one relay
+ * @param {Object} message - The processed message
+ * @returns {Boolean} - True if the relay may go ahead
+ */
+function takeRelayToken(message) {
+  const senderId = message.key.participant || message.key.remoteJid;
+  return rateLimitService.checkRateLimit(message.key.remoteJid, senderId, { cooldown: false, label: 'Relay' }).allowed;
+}
+
+/**
+ * Checks whether a mention is the recipient the relay intent parser found
+ * Numbers are compared as E.164 digits; a native mention is written with the
+ * mentioned person's number or LID, which is looked up like the mention itself
+ * @param {Object} message - The processed message
+ * @param {Object} intent - The parsed relay intent
+ * @param {Object} mention - { number } or { name } of the mention
+ * @returns {Boolean} - True if the parser's payload is meant for this mention
+ */
+function isParsedRecipient(message, intent, mention) {
+  // Without a relay recipient the payload is the whole message, the same for everyone
+  if (!intent.recipient) return true;
+  if (!intent.recipient.startsWith('@')) return false;
+
+  // Without the direction marks WhatsApp puts around numbers and the punctuation after the mention
+  const written = intent.recipient.substring(1)
+    .replace(/[\u200B-\u200F\u202A-\u202E\u2060\uFEFF]/g, '')
+    .replace(/[.,!?;:]+$/, '');
+
+  if (mention.number) {
+    if (!/^\+?\d+$/.test(written)) return false;
+
+    const participants = userDataService.loadUserData(message.key.remoteJid, true).participants || {};
+    const nativeJid = getNativeMentions(message).find(jid => jid.split('@')[0] === written.replace('+', ''));
+    const number = nativeJid ? getNativeMentionNumber(nativeJid, participants) : written;
+    return Boolean(number) && relayPolicyService.toE164(number) === mention.number;
+  }
+
+  // "@Rahim bhai" is written for the mention "Rahim"
+  const recipient = written.toLowerCase();
+  const name = String(mention.name || '').toLowerCase();
+  return Boolean(name) && (recipient === name || recipient.split(/\s+/)[0] === name);
+}
+
+/**
+ * Gets the text to relay to one recipient
+ * The rule-based parser's payload is used when it is confident and meant for this
+ * recipient; otherwise the AI extracts and polishes the message, unless the group
+ * relays verbatim
+ * @param {Object} intent - The parsed relay intent
+ * @param {String} actualMessage - The message with the mentions removed
+ * @param {Object} context - { rewrite, parsedRecipient, recipientName, groupName, senderName }
+ * @returns {Promise<Object>} - { text, rewritten: whether the AI rewrote it }
+ */
+async function getRelayText(intent, actualMessage, context) {
+  if (intent.confident && intent.payload && context.parsedRecipient) {
+    return { text: intent.payload, rewritten: false };
+  }
+
+  if (context.rewrite === 'verbatim') {
+    return { text: actualMessage, rewritten: false };
+  }
+
+  console.log(`Relay intent not confident (${intent.confidence}), enhancing message with AI for ${context.recipientName || 'number'}`);
+  const text = await enhanceMessageWithAI(actualMessage, context.recipientName, context.groupName, context.senderName, intent.isRelay);
+  return { text, rewritten: true };
+}
+
 /**
  * Handles mentioned numbers and names in a message by sending them direct messages
  * @param {Object} sock - The WhatsApp socket connection
@@ -425,6 +674,19 @@ async function handleMentions(sock, message) {
   let senderName = '';
   const senderId = message.key.participant || message.key.remoteJid;
 
+  // Only the people the group's relay policy allows can ask for relays
+  const trigger = relayPolicyService.checkRelayTrigger(message.key.remoteJid, senderId);
+  if (!trigger.allowed) {
+    console.log(`Not relaying for ${senderId}: ${trigger.reason}`);
+    outboxService.enqueueMessage({
+      jid: message.key.remoteJid,
+      text: relayTemplateService.renderGroupNotice(message.key.remoteJid, trigger.notice),
+      quoted: message,
+      source: 'relay'
+    });
+    return results;
+  }
+
   // Try to get the sender's name from message metadata or group data
   try {
     // First check if we have a name in the message metadata
@@ -451,13 +713,26 @@ async function handleMentions(sock, message) {
   // Extract the actual message content (removing @mentions)
   const actualMessage = extractActualMessage(messageText, mentionedNames, mentionedNumbers);
 
-  // Check if the message is a "tell someone" type message
-  const isTellSomeoneMessage = checkIfTellSomeoneMessage(messageText, actualMessage);
-  console.log(`Is this a "tell someone" message? ${isTellSomeoneMessage}`);
+  // Parse the "tell someone" phrasing with the rules; the AI is only asked when they aren't sure
+  const intent = relayIntentParser.parseRelayIntent(messageText);
+  const isTellSomeoneMessage = intent.isRelay;
+  console.log(`Relay intent: ${intent.isRelay ? 'relay' : 'mention'} (${intent.rule || 'no rule'}, confidence ${intent.confidence})`);
+
+  // Groups can turn off AI rewrites and relay the text as written
+  const isGroup = message.key.remoteJid.endsWith('@g.us');
+  const { rewrite } = relayPolicyService.getRelayPolicy(userDataService.loadUserData(message.key.remoteJid, isGroup));
+
+  // Recipients are told when even their unquoted replies go back to the group
+  const threadSettings = relayThreadService.getThreadSettings();
+  const repliesSharedHours = threadSettings.enabled && threadSettings.forwardUnquoted ? threadSettings.expiryHours : null;
 
   // Process mentioned numbers first
   if (mentionedNumbers && mentionedNumbers.length > 0) {
-    for (const number of mentionedNumbers) {
+    for (const mentionedNumber of mentionedNumbers) {
+      // National numbers ("01711...") are looked up by their E.164 digits, like the consent registry
+      // and the recipients' user files; invalid ones stay as written for the notice
+      const number = relayPolicyService.toE164(mentionedNumber) || mentionedNumber;
+
       try {
         // Skip if we've already processed this number
         if (processedNumbers.has(number)) {
@@ -465,70 +740,63 @@ async function handleMentions(sock, message) {
           continue;
         }
 
-        // For numbers, we'll also enhance the message but without a specific name
-        console.log(`Enhancing message with AI for number: ${number}`);
-        const enhancedMessage = await enhanceMessageWithAI(actualMessage, '', groupName, senderName, isTellSomeoneMessage);
-
-        // Translate group name to Bengali if it's in English
-        let bengaliGroupName = groupName || 'একটি গ্রুপ';
-        if (bengaliGroupName.match(/^[a-zA-Z0-9\s]+$/)) {
-          // If group name is in English, use a generic Bengali name
-          bengaliGroupName = 'গ্রুপ';
+        // Invalid numbers, recipients outside the policy and senders over their quota are refused
+        if (await notifyIfNotAllowed(message, number, number)) {
+          processedNumbers.add(number);
+          results.push({ number, success: false, notAllowed: true });
+          continue;
         }
 
-        // Translate sender name to Bengali if needed
-        let bengaliSenderName = senderName;
-        if (senderName) {
-          // Common English names and their Bengali translations
-          const nameTranslations = {
-            'SIHAB': 'শিহাব',
-            'SIHAB BHAI': 'শিহাব ভাই',
-            'RAHIM': 'রহিম',
-            'RAHIM KHAN': 'রহিম খান',
-            'KARIM': 'করিম',
-            'JOHN': 'জন',
-            'SARAH': 'সারা',
-            'ADMIN': 'অ্যাডমিন',
-            'BHAI': 'ভাই',
-            'AUNTIE': 'আন্টি',
-            'UNCLE': 'আংকেল',
-            'SIR': 'স্যার',
-            'MADAM': 'ম্যাডাম'
-          };
-
-          // Check if we have a translation for this name
-          const upperName = senderName.toUpperCase();
-          if (nameTranslations[upperName]) {
-            bengaliSenderName = nameTranslations[upperName];
-            console.log(`Translated sender name to Bengali: ${bengaliSenderName}`);
-          }
+        // Don't relay to people who sent STOP
+        if (await notifyIfOptedOut(message, number, number)) {
+          processedNumbers.add(number);
+          results.push({ number, success: false, optedOut: true });
+          continue;
         }
 
-        // Create personalized message with the AI-enhanced content in the new format
-        let personalizedMessage;
-        if (isTellSomeoneMessage) {
-          // For "tell someone" messages, use a format that indicates it's a relay
-          personalizedMessage = `${bengaliGroupName} থেকে ${bengaliSenderName} আপনাকে এই বার্তা পাঠাতে বলেছে:\n\n"${enhancedMessage}"`;
-        } else {
-          // For regular mentions, use the standard format
-          personalizedMessage = `${bengaliGroupName} থেকে ${bengaliSenderName} আপনাকে বলেছে:\n\n"${enhancedMessage}"`;
+        // Each relay takes a rate limit token before the AI is asked or anything is queued
+        if (!takeRelayToken(message)) {
+          processedNumbers.add(number);
+          results.push({ number, success: false, rateLimited: true });
+          continue;
         }
 
-        console.log(`Sending AI-enhanced message to number: ${number}`);
-        const result = await sendDirectMessage(sock, number, personalizedMessage);
+        // For numbers there's no specific name to give the AI
+        const parsedRecipient = isParsedRecipient(message, intent, { number });
+        const relayText = await getRelayText(intent, actualMessage, { rewrite, parsedRecipient, recipientName: '', groupName, senderName });
+
+        // Wrap the message in the relay template of the recipient's language
+        let personalizedMessage = relayTemplateService.renderRelayMessage({
+          groupJid: message.key.remoteJid,
+          groupName,
+          senderName,
+          message: relayText.text,
+          number,
+          isTellSomeoneMessage,
+          repliesSharedHours
+        });
+
+        // The confirmation is posted in the group once WhatsApp reports the relay delivered
+        const relayOptions = {
+          groupMessage: message,
+          originalText: actualMessage,
+          rewrittenText: relayText.rewritten ? relayText.text : null,
+          confirmation: { key: 'sentToNumber', values: { number, recipient: number } }
+        };
+
+        // Check the relay against the output guard
+        personalizedMessage = await guardRelayMessage(sock, message, number, personalizedMessage, relayOptions);
         processedNumbers.add(number);
 
-        if (result) {
-          // Send confirmation message back to the original chat
-          const confirmationMessage = `✅ মেসেজ পাঠানো হয়েছে: ${number} নম্বরে আপনার বার্তা পৌঁছে গেছে`;
+        if (!personalizedMessage) {
+          results.push({ number, success: false, guarded: true });
+          continue;
+        }
 
-          // Print the confirmation message to the terminal
-          console.log('=== SENDING CONFIRMATION ===');
-          console.log(confirmationMessage);
-          console.log('===========================');
+        console.log(`Sending relay to number: ${number}`);
+        const result = await sendDirectMessage(sock, number, personalizedMessage, relayOptions);
 
-          await sock.sendMessage(message.key.remoteJid, { text: confirmationMessage });
-          console.log(`Confirmation sent for ${number}`);
+        if (result) {
           results.push(result);
         }
 
@@ -546,14 +814,37 @@ async function handleMentions(sock, message) {
       try {
         console.log(`Looking up phone number for mentioned name: ${name}`);
 
-        // Use the userDataService to find the phone number for this name
-        const phoneNumber = userDataService.findPhoneNumberByName(name);
+        // Look in this group first, then among everyone the bot knows
+        let matches = message.key.remoteJid.endsWith('@g.us') ?
+                      userDataService.findContactsByName(name, message.key.remoteJid) :
+                      [];
+        if (matches.length === 0) {
+          matches = userDataService.findContactsByName(name);
+        }
+
+        if (matches.length > 1) {
+          // Several people share the name, let the sender pick instead of guessing
+          console.log(`Name ${name} matches ${matches.length} people, asking the sender`);
+          const options = matches.map(match => `• ${match.name} (@${match.number})`).join('\n');
+          outboxService.enqueueMessage({
+            jid: message.key.remoteJid,
+            text: relayTemplateService.renderGroupNotice(message.key.remoteJid, 'ambiguous', { name, options }),
+            quoted: message,
+            source: 'relay'
+          });
+          results.push({ name, success: false, ambiguous: matches.map(match => match.number) });
+          continue;
+        }
+
+        const phoneNumber = matches.length === 1 ? matches[0].number : null;
 
         if (!phoneNumber) {
           console.log(`No phone number found for name: ${name}`);
           // Send a message back to the chat that we couldn't find the number
-          await sock.sendMessage(message.key.remoteJid, {
-            text: `I couldn't find a phone number for ${name}. Make sure they have chatted with me before.`
+          outboxService.enqueueMessage({
+            jid: message.key.remoteJid,
+            text: relayTemplateService.renderGroupNotice(message.key.remoteJid, 'notFound', { name }),
+            source: 'relay'
           });
           continue;
         }
@@ -564,70 +855,64 @@ async function handleMentions(sock, message) {
           continue;
         }
 
-        // Enhance the message with AI for this specific recipient
-        console.log(`Enhancing message with AI for ${name}`);
-        const enhancedMessage = await enhanceMessageWithAI(actualMessage, name, groupName, senderName, isTellSomeoneMessage);
-
-        // Translate group name to Bengali if it's in English
-        let bengaliGroupName = groupName || 'একটি গ্রুপ';
-        if (bengaliGroupName.match(/^[a-zA-Z0-9\s]+$/)) {
-          // If group name is in English, use a generic Bengali name
-          bengaliGroupName = 'গ্রুপ';
+        // Recipients outside the policy and senders over their quota are refused
+        if (await notifyIfNotAllowed(message, phoneNumber, name)) {
+          processedNumbers.add(phoneNumber);
+          results.push({ name, phoneNumber, success: false, notAllowed: true });
+          continue;
         }
 
-        // Translate sender name to Bengali if needed
-        let bengaliSenderName = senderName;
-        if (senderName) {
-          // Common English names and their Bengali translations
-          const nameTranslations = {
-            'SIHAB': 'শিহাব',
-            'SIHAB BHAI': 'শিহাব ভাই',
-            'RAHIM': 'রহিম',
-            'RAHIM KHAN': 'রহিম খান',
-            'KARIM': 'করিম',
-            'JOHN': 'জন',
-            'SARAH': 'সারা',
-            'ADMIN': 'অ্যাডমিন',
-            'BHAI': 'ভাই',
-            'AUNTIE': 'আন্টি',
-            'UNCLE': 'আংকেল',
-            'SIR': 'স্যার',
-            'MADAM': 'ম্যাডাম'
-          };
-
-          // Check if we have a translation for this name
-          const upperName = senderName.toUpperCase();
-          if (nameTranslations[upperName]) {
-            bengaliSenderName = nameTranslations[upperName];
-            console.log(`Translated sender name to Bengali: ${bengaliSenderName}`);
-          }
+        // Don't relay to people who sent STOP
+        if (await notifyIfOptedOut(message, phoneNumber, name)) {
+          processedNumbers.add(phoneNumber);
+          results.push({ name, phoneNumber, success: false, optedOut: true });
+          continue;
         }
 
-        // Create personalized message with the AI-enhanced content in the new format
-        let personalizedMessage;
-        if (isTellSomeoneMessage) {
-          // For "tell someone" messages, use a format that indicates it's a relay
-          personalizedMessage = `${bengaliGroupName} থেকে ${bengaliSenderName} আপনাকে এই বার্তা পাঠাতে বলেছে:\n\n"${enhancedMessage}"`;
-        } else {
-          // For regular mentions, use the standard format
-          personalizedMessage = `${bengaliGroupName} থেকে ${bengaliSenderName} আপনাকে বলেছে:\n\n"${enhancedMessage}"`;
+        // Each relay takes a rate limit token before the AI is asked or anything is queued
+        if (!takeRelayToken(message)) {
+          processedNumbers.add(phoneNumber);
+          results.push({ name, phoneNumber, success: false, rateLimited: true });
+          continue;
         }
 
-        console.log(`Sending AI-enhanced message to ${name} (${phoneNumber})`);
-        const result = await sendDirectMessage(sock, phoneNumber, personalizedMessage);
+        // Get the message for this specific recipient
+        const parsedRecipient = isParsedRecipient(message, intent, { name });
+        const relayText = await getRelayText(intent, actualMessage, { rewrite, parsedRecipient, recipientName: name, groupName, senderName });
+
+        // Wrap the message in the relay template of the recipient's language
+        let personalizedMessage = relayTemplateService.renderRelayMessage({
+          groupJid: message.key.remoteJid,
+          groupName,
+          senderName,
+          message: relayText.text,
+          number: phoneNumber,
+          isTellSomeoneMessage,
+          repliesSharedHours
+        });
+
+        // The confirmation is posted in the group once WhatsApp reports the relay delivered
+        const relayOptions = {
+          groupMessage: message,
+          recipientName: name,
+          originalText: actualMessage,
+          rewrittenText: relayText.rewritten ? relayText.text : null,
+          confirmation: { key: 'sentToName', values: { name, number: phoneNumber, recipient: name } }
+        };
+
+        // Check the relay against the output guard
+        personalizedMessage = await guardRelayMessage(sock, message, phoneNumber, personalizedMessage, relayOptions);
         processedNumbers.add(phoneNumber);
 
-        if (result) {
-          // Send confirmation message back to the original chat
-          const confirmationMessage = `✅ বার্তা পাঠানো হয়েছে: ${name} কে আপনার বার্তা পৌঁছে গেছে`;
+        if (!personalizedMessage) {
+          results.push({ name, phoneNumber, success: false, guarded: true });
+          continue;
+        }
 
-          // Print the confirmation message to the terminal
-          console.log('=== SENDING CONFIRMATION ===');
-          console.log(confirmationMessage);
-          console.log('===========================');
+        console.log(`Sending relay to ${name} (${phoneNumber})`);
+        const result = await sendDirectMessage(sock, phoneNumber, personalizedMessage, relayOptions);
 
-          await sock.sendMessage(message.key.remoteJid, { text: confirmationMessage });
-          console.log(`Confirmation sent for ${name}`);
+        if (result) {
           results.push(result);
         }
 
@@ -644,14 +929,19 @@ async function handleMentions(sock, message) {
 
 /**
  * Sends a direct message to a phone number
+ * Every relay is recorded in the relay log, which posts the group confirmation once delivered
  * @param {Object} sock - The WhatsApp socket connection
  * @param {String} number - The phone number to send the message to
  * @param {String} text - The message text
- * @returns {Promise<Object|null>} - The result of sending the message or null if failed
+ * @param {Object} [options] - { groupMessage, chatJid, senderId, recipientName, originalText, rewrittenText, confirmation: { key, values } };
+ *   a groupMessage opens a relay thread back to the group
+ * @returns {Promise<Object|null>} - The queued outbox item or null if failed
  */
-async function sendDirectMessage(sock, number, text) {
+async function sendDirectMessage(sock, number, text, options = {}) {
   console.log(`Attempting to send direct message to ${number}`);
 
+  let formattedNumber = null;
+
   try {
     // Validate inputs
     if (!sock) {
@@ -670,40 +960,81 @@ async function sendDirectMessage(sock, number, text) {
     }
 
     // Format the number for WhatsApp
-    const formattedNumber = formatNumberForWhatsApp(number);
+    formattedNumber = formatNumberForWhatsApp(number);
 
     if (!formattedNumber) {
       console.error(`Failed to format number: ${number}`);
       return null;
     }
 
+    if (consentService.isOptedOut(formattedNumber)) {
+      console.log(`Not sending to ${number}: opted out of automated messages`);
+      recordRelay(formattedNumber, text, options, { error: 'Recipient opted out of automated messages' });
+      return null;
+    }
+
     console.log(`Sending message to ${formattedNumber}`);
     console.log(`Message content: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
 
-    // Send the message
-    const result = await sock.sendMessage(formattedNumber, { text });
-    console.log(`Message sent successfully to ${number}`);
-    return result;
+    // Send through the outbox, which retries failed sends
+    const item = outboxService.enqueueMessage({ jid: formattedNumber, text, source: 'relay' });
+    console.log(`Message queued for ${number}`);
+
+    // Track the relay so the recipient's answer goes back to the group; the relay log
+    // gives the thread the message ID once the outbox sent it
+    const thread = options.groupMessage ? relayThreadService.createThread({
+      groupMessage: options.groupMessage,
+      recipientJid: formattedNumber,
+      recipientName: options.recipientName
+    }) : null;
+
+    // Recorded while still queued, so the log and the daily quotas count it right away
+    recordRelay(formattedNumber, text, options, { outboxId: item.id, threadId: thread?.id });
+
+    return item;
   } catch (error) {
     console.error(`Error sending direct message to ${number}:`, error);
+    if (formattedNumber) {
+      recordRelay(formattedNumber, text, options, { error: error.message });
+    }
+    return null;
+  }
+}
 
-    // Try an alternative method if the first one fails
-    try {
-      console.log(`Trying alternative method to send message to ${number}`);
-      const formattedNumber = formatNumberForWhatsApp(number);
-
-      if (!formattedNumber) {
-        return null;
-      }
+/**
+ * Records a relay in the relay log
+ * A relay that was held for review (options.heldRelayId) updates its held record
+ * @param {String} recipientJid - The recipient's JID
+ * @param {String} text - The text sent
+ * @param {Object} options - The options of sendDirectMessage
+ * @param {Object} result - { outboxId, threadId }, { error } or { held: true }
+ * @returns {Object|null} - The relay, or null if it couldn't be recorded
+ */
+function recordRelay(recipientJid, text, options, result) {
+  const groupMessage = options.groupMessage;
 
-      // Try with a simpler message format
-      const result = await sock.sendMessage(formattedNumber, { text: text });
-      console.log(`Message sent successfully using alternative method to ${number}`);
-      return result;
-    } catch (altError) {
-      console.error(`Alternative method also failed for ${number}:`, altError);
-      return null;
+  try {
+    const heldRelay = options.heldRelayId ? relayLogService.releaseHeldRelay(options.heldRelayId, { text, ...result }) : null;
+    if (heldRelay) {
+      return heldRelay;
     }
+
+    return relayLogService.recordRelay({
+      chatJid: groupMessage?.key.remoteJid || options.chatJid,
+      chatName: groupMessage?.metadata?.groupName,
+      senderId: groupMessage ? groupMessage.key.participant || groupMessage.key.remoteJid : options.senderId,
+      senderName: groupMessage?.pushName,
+      recipientJid,
+      recipientName: options.recipientName,
+      originalText: options.originalText,
+      rewrittenText: options.rewrittenText,
+      text,
+      confirmation: options.confirmation,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error recording relay:', error);
+    return null;
   }
 }
 
@@ -718,35 +1049,13 @@ function checkIfTellSomeoneMessage(originalMessage, cleanedMessage) {
     return false;
   }
 
-  // Convert to lowercase for case-insensitive matching
-  const lowerOriginal = originalMessage.toLowerCase();
-
-  // Check for English patterns
-  const englishPatterns = [
-    'tell', 'say to', 'inform', 'let know', 'message', 'ask', 'tell him', 'tell her',
-    'please tell', 'can you tell', 'would you tell', 'could you tell'
-  ];
-
-  // Check for Bengali patterns (in both Bengali script and transliterated)
-  const bengaliPatterns = [
-    'বলো', 'বল', 'জানাও', 'বলতে', 'বলবে', 'জানাবে', 'জিজ্ঞাসা', 'জিজ্ঞেস',
-    'bolo', 'bol', 'janao', 'bolte', 'bolbe', 'janabe', 'jiggasa', 'jigges'
-  ];
-
-  // Check if any of the patterns are present in the original message
-  const hasEnglishPattern = englishPatterns.some(pattern => lowerOriginal.includes(pattern));
-  const hasBengaliPattern = bengaliPatterns.some(pattern => lowerOriginal.includes(pattern));
-
-  // Check if the message has a "tell someone" pattern
-  const isTellSomeoneMessage = hasEnglishPattern || hasBengaliPattern;
-
-  console.log(`Message check - Has English pattern: ${hasEnglishPattern}, Has Bengali pattern: ${hasBengaliPattern}`);
-  console.log(`Is "tell someone" message: ${isTellSomeoneMessage}`);
-
-  return isTellSomeoneMessage;
+  return relayIntentParser.parseRelayIntent(originalMessage).isRelay;
 }
 
 module.exports = {
+  getNativeMentions,
+  hasNativeMentions,
+  getNativeMentionedNumbers,
   extractMentionedNumbers,
   extractMentionedNames,
   extractActualMessage,
@@ -755,5 +1064,6 @@ module.exports = {
   formatNumberForWhatsApp,
   handleMentions,
   sendDirectMessage,
+  guardRelayMessage,
   checkIfTellSomeoneMessage
 };
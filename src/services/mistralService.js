@@ -1,83 +1,280 @@
 /**
  * Mistral AI Service
  *
- * Handles integration with Mistral AI API for generating AI responses
+ * Handles integration with the configured AI provider for generating AI responses
  */
 
-// Use axios for making HTTP requests to the Mistral API
-const axios = require('axios');
+// Provider adapters (Mistral, OpenAI-compatible, echo)
+const { getProvider, getProviderNames } = require('./aiProviders');
+const CircuitBreaker = require('../core/circuitBreaker');
+const personaService = require('./personaService');
+const contextBuilder = require('./contextBuilder');
+const knowledgeService = require('./knowledgeService');
 
-// Import user preferences
+// Import configuration and user preferences
+const config = require('../config/config');
 const { getPreferences } = require('../config/userPreferences');
 
-// Mistral API configuration
-const MISTRAL_API_URL = 'https://api.mistral.ai/v1/chat/completions';
-
-// Get API key and model from user preferences
-function getMistralConfig() {
+/**
+ * Resolves the AI settings for the active provider
+ * Preferences (prefs.ai) take priority over the environment configuration (config.ai),
+ * and prefs.ai.providers[provider] takes priority over both
+ * @returns {Object} - The resolved AI settings
+ */
+function getAIConfig() {
   const prefs = getPreferences();
+  const ai = prefs.ai || {};
+  const provider = ai.provider || config.ai.provider || 'mistral';
+  const providerOverrides = (ai.providers && ai.providers[provider]) || {};
+
   return {
-    apiKey: prefs.ai?.apiKey || 'stP8jFsp9UjHetAUW3KBCM6ssvr7IU9g',
-    model: prefs.ai?.model || 'mistral-large-latest',
-    maxHistoryMessages: prefs.ai?.maxHistoryMessages || 10,
-    useNameInReplies: prefs.ai?.useNameInReplies || 'occasional'
+    provider,
+    baseUrl: providerOverrides.baseUrl || ai.baseUrl || config.ai.baseUrl || null,
+    // The Mistral key never goes to another provider's endpoint
+    apiKey: providerOverrides.apiKey || ai.apiKey || config.ai.apiKey || (provider === 'mistral' ? config.ai.mistralApiKey : null),
+    model: providerOverrides.model || ai.model || config.ai.model,
+    echo: ai.echo || {},
+    maxHistoryMessages: ai.maxHistoryMessages || config.ai.maxHistoryMessages || 10,
+    useNameInReplies: ai.useNameInReplies || config.ai.useNameInReplies || 'occasional',
+    timeoutMs: ai.timeoutMs || config.ai.timeoutMs,
+    maxRetries: ai.maxRetries !== undefined ? ai.maxRetries : config.ai.maxRetries,
+    retryBaseDelayMs: ai.retryBaseDelayMs || config.ai.retryBaseDelayMs,
+    retryMaxDelayMs: ai.retryMaxDelayMs || config.ai.retryMaxDelayMs,
+    circuitBreaker: {
+      ...config.ai.circuitBreaker,
+      ...(ai.circuitBreaker || {})
+    }
   };
 }
 
+// Error types reported in failed completion results
+const AI_ERROR_TYPES = {
+  TIMEOUT: 'timeout',
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  CLIENT_ERROR: 'client_error',
+  NETWORK_ERROR: 'network_error',
+  INVALID_RESPONSE: 'invalid_response',
+  CIRCUIT_OPEN: 'circuit_open',
+  UNKNOWN_PROVIDER: 'unknown_provider'
+};
+
+// One circuit breaker per provider
+const circuitBreakers = new Map();
+
+/**
+ * Gets the circuit breaker for a provider, creating it on first use
+ * @param {String} providerName - The provider name
+ * @param {Object} options - Circuit breaker options (failureThreshold, resetTimeoutMs)
+ * @returns {CircuitBreaker} - The circuit breaker
+ */
+function getCircuitBreaker(providerName, options = {}) {
+  let breaker = circuitBreakers.get(providerName);
+
+  if (!breaker) {
+    breaker = new CircuitBreaker({ name: `ai:${providerName}`, ...options });
+    circuitBreakers.set(providerName, breaker);
+  } else {
+    // Pick up preference changes without losing the current state
+    breaker.failureThreshold = options.failureThreshold || breaker.failureThreshold;
+    breaker.resetTimeoutMs = options.resetTimeoutMs || breaker.resetTimeoutMs;
+  }
+
+  return breaker;
+}
+
+/**
+ * Gets the state of all AI circuit breakers
+ * @returns {Array} - Array of circuit breaker states
+ */
+function getCircuitStates() {
+  return Array.from(circuitBreakers.values()).map(breaker => breaker.getState());
+}
+
 /**
- * Sends a message to Mistral AI API and gets a response
+ * Classifies an error thrown by a provider
+ * @param {Error} error - The error
+ * @returns {Object} - The error type and whether the request may be retried
+ */
+function classifyError(error) {
+  const status = error.response?.status;
+
+  if (status === 429) {
+    return { errorType: AI_ERROR_TYPES.RATE_LIMITED, retryable: true };
+  }
+
+  if (status >= 500) {
+    return { errorType: AI_ERROR_TYPES.SERVER_ERROR, retryable: true };
+  }
+
+  if (status >= 400) {
+    return { errorType: AI_ERROR_TYPES.CLIENT_ERROR, retryable: false };
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '')) {
+    return { errorType: AI_ERROR_TYPES.TIMEOUT, retryable: true };
+  }
+
+  if (error.request || error.code) {
+    return { errorType: AI_ERROR_TYPES.NETWORK_ERROR, retryable: true };
+  }
+
+  return { errorType: AI_ERROR_TYPES.INVALID_RESPONSE, retryable: false };
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {String|Number} value - Seconds or an HTTP date
+ * @returns {Number|null} - Delay in milliseconds or null if not usable
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Computes the delay before the next retry attempt
+ * @param {Number} attempt - The retry attempt number (starting at 1)
+ * @param {Error} error - The error from the previous attempt
+ * @param {Object} settings - Resolved AI settings
+ * @returns {Number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, error, settings) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, settings.retryMaxDelayMs);
+  }
+
+  // Exponential backoff with a little jitter
+  const backoff = settings.retryBaseDelayMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * settings.retryBaseDelayMs * 0.25;
+  return Math.min(backoff + jitter, settings.retryMaxDelayMs);
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {Number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends a message to the configured AI provider and gets a response
+ * Applies the configured timeout, retries 429/5xx/network errors with backoff
+ * and short-circuits while the provider's circuit breaker is open
  * @param {Array} messages - Array of message objects with role and content
- * @returns {Promise<String>} - The AI response text
+ * @param {Object} [options] - Request options ({ tools: function tool definitions })
+ * @returns {Promise<Object>} - { success: true, text, toolCalls, message, provider } or
+ *                              { success: false, errorType, error, provider }
  */
-async function getChatCompletion(messages) {
-  try {
-    console.log('Sending request to Mistral AI...');
-
-    // Get configuration from user preferences
-    const config = getMistralConfig();
-
-    const response = await axios.post(
-      MISTRAL_API_URL,
-      {
-        model: config.model,
-        messages: messages
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${config.apiKey}`
-        }
+async function getChatCompletion(messages, options = {}) {
+  // Get configuration from user preferences
+  const settings = getAIConfig();
+  const provider = getProvider(settings.provider);
+
+  if (!provider) {
+    console.error(`Unknown AI provider "${settings.provider}". Available providers: ${getProviderNames().join(', ')}`);
+    return {
+      success: false,
+      errorType: AI_ERROR_TYPES.UNKNOWN_PROVIDER,
+      error: `Unknown AI provider "${settings.provider}"`,
+      provider: settings.provider
+    };
+  }
+
+  const breaker = getCircuitBreaker(provider.name, settings.circuitBreaker);
+
+  if (!breaker.canRequest()) {
+    console.log(`AI provider ${provider.name} circuit is open, skipping request (retry in ${Math.round(breaker.getRetryIn() / 1000)}s)`);
+    return {
+      success: false,
+      errorType: AI_ERROR_TYPES.CIRCUIT_OPEN,
+      error: `Circuit open for ${provider.name}`,
+      provider: provider.name
+    };
+  }
+
+  let attempt = 0;
+
+  while (true) {
+    try {
+      console.log(`Sending request to AI provider ${provider.name} (${settings.model})${attempt > 0 ? `, retry ${attempt}` : ''}...`);
+
+      const response = await provider.complete(messages, settings, options);
+      const aiResponse = response && typeof response.content === 'string' ? response.content.trim() : '';
+      const toolCalls = response && Array.isArray(response.tool_calls) ? response.tool_calls : [];
+
+      if (!aiResponse && toolCalls.length === 0) {
+        console.error(`Invalid response format from ${provider.name}:`, response);
+        breaker.recordFailure();
+        return {
+          success: false,
+          errorType: AI_ERROR_TYPES.INVALID_RESPONSE,
+          error: `Empty or invalid response from ${provider.name}`,
+          provider: provider.name
+        };
       }
-    );
 
-    if (response.data && response.data.choices && response.data.choices.length > 0) {
-      const aiResponse = response.data.choices[0].message.content;
-      console.log('Received AI response:', aiResponse.substring(0, 100) + (aiResponse.length > 100 ? '...' : ''));
-      return aiResponse;
-    } else {
-      console.error('Invalid response format from Mistral AI:', response.data);
-      return 'I apologize, but I encountered an issue processing your request.';
-    }
-  } catch (error) {
-    console.error('Error getting AI response:', error.message);
-    if (error.response) {
-      console.error('API error details:', error.response.data);
+      breaker.recordSuccess();
+      if (toolCalls.length > 0) {
+        console.log(`Received AI tool calls: ${toolCalls.map(call => call.function?.name).join(', ')}`);
+      } else {
+        console.log('Received AI response:', aiResponse.substring(0, 100) + (aiResponse.length > 100 ? '...' : ''));
+      }
+      return {
+        success: true,
+        text: aiResponse,
+        toolCalls,
+        message: response,
+        provider: provider.name
+      };
+    } catch (error) {
+      const { errorType, retryable } = classifyError(error);
+
+      console.error(`Error getting AI response (${errorType}):`, error.message);
+      if (error.response) {
+        console.error('API error details:', error.response.data);
+      }
+
+      if (retryable && attempt < settings.maxRetries) {
+        attempt += 1;
+        const delay = getRetryDelay(attempt, error, settings);
+        console.log(`Retrying AI request in ${Math.round(delay)}ms (attempt ${attempt} of ${settings.maxRetries})`);
+        await sleep(delay);
+        continue;
+      }
+
+      breaker.recordFailure();
+      return {
+        success: false,
+        errorType,
+        error: error.message,
+        provider: provider.name
+      };
     }
-    return 'I apologize, but I encountered an error while processing your request.';
   }
 }
 
 /**
- * Formats a conversation history for the AI
- * @param {Array} conversationHistory - Array of previous messages
- * @param {String} newMessage - The new message from the user
- * @param {Object} userProfile - User profile information
- * @returns {Array} - Formatted messages array for the AI
+ * Builds the language instructions for the system prompt
+ * @param {String} preferredLanguage - The chat's language preference (auto, en, bn, ar, hi)
+ * @returns {String} - The language instructions
  */
-function formatConversationForAI(conversationHistory, newMessage, userProfile = {}) {
-  // Determine the preferred language based on user preferences or auto-detection
-  const preferredLanguage = userProfile.preferences?.language || 'auto';
-
+function getLanguageInstructions(preferredLanguage) {
   // Create language-specific instructions
   let languageInstructions = '';
   if (preferredLanguage === 'bn') {
@@ -92,6 +289,16 @@ function formatConversationForAI(conversationHistory, newMessage, userProfile =
     languageInstructions = 'Detect the language of the user\'s message and respond in the same language. You can understand and respond in multiple languages including English, Bengali (Bangla), Arabic, and Hindi.';
   }
 
+  return languageInstructions;
+}
+
+/**
+ * Builds the built-in system prompt used when a chat has no persona assigned
+ * @param {Object} userProfile - User profile information
+ * @param {String} languageInstructions - The language instructions for the chat
+ * @returns {String} - The system prompt
+ */
+function buildDefaultSystemPrompt(userProfile, languageInstructions) {
   // Create a detailed system message with user profile information
   let systemContent = `You are a helpful WhatsApp assistant. Be concise, friendly, and helpful. Respond in a conversational manner. ${languageInstructions}
 
@@ -146,22 +353,22 @@ User activity information:
 
         systemContent += '\n- Group participants:';
 
-        // Get all participants with names
-        const namedParticipants = participantEntries
-          .filter(([_, p]) => p.name)
-          .map(([_, p]) => p.name);
-
-        // Get count of participants without names
-        const unknownParticipants = totalParticipants - namedParticipants.length;
+        // Get the most relevant participants with names, capped to keep the prompt small
+        const participantSelection = contextBuilder.selectParticipantNames(userProfile);
 
-        // Add all named participants
-        for (const name of namedParticipants) {
+        // Add the selected named participants
+        for (const name of participantSelection.names) {
           systemContent += `\n  * ${name}`;
         }
 
+        // Add count of named participants left out of the list
+        if (participantSelection.omittedCount > 0) {
+          systemContent += `\n  * And ${participantSelection.omittedCount} more participants`;
+        }
+
         // Add count of unknown participants if any
-        if (unknownParticipants > 0) {
-          systemContent += `\n  * And ${unknownParticipants} participants with unknown names`;
+        if (participantSelection.unknownCount > 0) {
+          systemContent += `\n  * And ${participantSelection.unknownCount} participants with unknown names`;
         }
       }
     } else {
@@ -177,12 +384,12 @@ User activity information:
     if (userProfile.profile && userProfile.profile.name && !userProfile.isGroup) {
       // For direct messages, use the user's name
       // Get configuration from user preferences
-      const config = getMistralConfig();
+      const aiConfig = getAIConfig();
       const userName = userProfile.profile.name;
 
-      if (config.useNameInReplies === 'always') {
+      if (aiConfig.useNameInReplies === 'always') {
         systemContent += `\n\nIMPORTANT: Always address the user by their name "${userName}" in your responses to create a personalized experience.`;
-      } else if (config.useNameInReplies === 'never') {
+      } else if (aiConfig.useNameInReplies === 'never') {
         systemContent += `\n\nIMPORTANT: You know the user's name is "${userName}", but don't use it in your responses unless they specifically ask about their name.`;
       } else {
         // Default to 'occasional'
@@ -211,17 +418,13 @@ Don't use their name in every message as it can feel unnatural and robotic.`;
 
         // Add instructions for member list questions
         if (userProfile.participants && Object.keys(userProfile.participants).length > 0) {
-          const participantEntries = Object.entries(userProfile.participants);
-          const namedParticipants = participantEntries
-            .filter(([_, p]) => p.name)
-            .map(([_, p]) => p.name);
-
-          const unknownCount = memberCount - namedParticipants.length;
+          const participantSelection = contextBuilder.selectParticipantNames(userProfile);
+          const otherCount = memberCount - participantSelection.names.length;
 
-          systemContent += `\n\nWhen users ask about who is in the group or for a list of members, tell them the group members are: ${namedParticipants.join(', ')}`;
+          systemContent += `\n\nWhen users ask about who is in the group or for a list of members, tell them the group members include: ${participantSelection.names.join(', ')}`;
 
-          if (unknownCount > 0) {
-            systemContent += ` and ${unknownCount} other members whose names are not known.`;
+          if (otherCount > 0) {
+            systemContent += ` and ${otherCount} other members.`;
           }
         }
       }
@@ -233,6 +436,51 @@ Don't use their name in every message as it can feel unnatural and robotic.`;
     }
   }
 
+  return systemContent;
+}
+
+/**
+ * Formats a conversation history for the AI
+ * @param {Array} conversationHistory - Array of previous messages
+ * @param {String} newMessage - The new message from the user
+ * @param {Object} userProfile - User profile information
+ * @returns {Array} - Formatted messages array for the AI
+ */
+function formatConversationForAI(conversationHistory, newMessage, userProfile = {}) {
+  // Determine the preferred language based on user preferences or auto-detection
+  const preferredLanguage = userProfile.preferences?.language || 'auto';
+  const languageInstructions = getLanguageInstructions(preferredLanguage);
+
+  // Use the chat's persona template if one is assigned, otherwise the built-in prompt
+  const personaName = personaService.getChatPersonaName(userProfile);
+  const persona = personaName !== personaService.DEFAULT_PERSONA ? personaService.getPersona(personaName) : null;
+
+  let systemContent;
+  if (persona) {
+    console.log(`Using persona "${personaName}" for ${userProfile.userId || 'chat'}`);
+    systemContent = personaService.renderPersonaPrompt(persona, userProfile, languageInstructions);
+  } else {
+    if (personaName !== personaService.DEFAULT_PERSONA) {
+      console.log(`Persona "${personaName}" not found, using the default prompt`);
+    }
+    systemContent = buildDefaultSystemPrompt(userProfile, languageInstructions);
+  }
+
+  // Carry over the rolling summary of messages that may no longer be in the history
+  if (userProfile.summary && userProfile.summary.text) {
+    systemContent += `\n\nSummary of the earlier conversation (use it for context, don't repeat it):\n${userProfile.summary.text}`;
+  }
+
+  // Ground the answer in matching passages from the local knowledge base
+  try {
+    const knowledgeSection = knowledgeService.formatPassagesForPrompt(knowledgeService.getRelevantPassages(newMessage));
+    if (knowledgeSection) {
+      systemContent += `\n\n${knowledgeSection}`;
+    }
+  } catch (error) {
+    console.error('Error retrieving knowledge-base passages:', error);
+  }
+
   // Start with the system message
   const messages = [
     {
@@ -242,10 +490,18 @@ Don't use their name in every message as it can feel unnatural and robotic.`;
   ];
 
   // Get configuration from user preferences
-  const config = getMistralConfig();
-
-  // Add conversation history (limited by user preferences to avoid token limits)
-  const recentHistory = conversationHistory.slice(-config.maxHistoryMessages);
+  const aiConfig = getAIConfig();
+
+  // Add as much recent conversation history as fits in the model's token budget
+  const context = contextBuilder.fitToBudget({
+    systemContent,
+    history: conversationHistory,
+    newMessage,
+    model: aiConfig.model,
+    maxMessages: aiConfig.maxHistoryMessages,
+    chatId: userProfile.userId
+  });
+  const recentHistory = context.history;
 
   // Track the current sender to detect changes
   let currentSenderId = null;
@@ -281,13 +537,16 @@ Don't use their name in every message as it can feel unnatural and robotic.`;
   // Add the new message
   messages.push({
     role: 'user',
-    content: newMessage
+    content: context.newMessage
   });
 
   return messages;
 }
 
 module.exports = {
+  AI_ERROR_TYPES,
+  getAIConfig,
   getChatCompletion,
+  getCircuitStates,
   formatConversationForAI
 };
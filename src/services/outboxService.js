@@ -0,0 +1,460 @@
+/**
+ * Outbox Service
+ *
+ * Durable queue for outgoing messages, stored in data/outbox.json so nothing
+ * is lost on a crash or restart. Messages are sent one at a time with a short
+ * gap, in order per chat; failed sends are retried with exponential backoff
+ * and moved to the dead letters ("dead") after the last attempt.
+ *
+ * Messages are only sent while a socket is connected. A message that was
+ * being sent when the process stopped is sent again after a restart; a send
+ * that doesn't finish within sendTimeoutMs counts as a failed attempt. An
+ * unreadable outbox file is moved aside instead of being overwritten.
+ * Callers don't wait for a send: they queue the message and, if they need
+ * to follow up on it, listen with onMessageSettled.
+ * Automated messages to people who opted out (consentService) go straight
+ * to the dead letters.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const consentService = require('./consentService');
+const fs = require('fs');
+const { getDataFilePath, readJsonFile, writeJsonFile, moveCorruptFile } = require('../utils/jsonStore');
+
+// Statuses of an outbox item
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DEAD: 'dead'
+};
+
+// Where the outbox is stored
+const OUTBOX_FILE = getDataFilePath('outbox.json');
+
+// Sent items kept for the CLI/API views
+const MAX_SENT_ITEMS = 200;
+
+// The connected socket, null while disconnected
+let currentSocket = null;
+
+// Worker state
+let processing = false;
+let timer = null;
+let recovered = false;
+
+// Listeners told when a message is sent or moved to the dead letters
+const settledListeners = [];
+
+/**
+ * Gets the outbox settings from user preferences
+ * @returns {Object} - { sendIntervalMs, maxAttempts, retryBaseDelayMs, retryMaxDelayMs, sendTimeoutMs }
+ */
+function getOutboxSettings() {
+  return {
+    sendIntervalMs: 500,
+    maxAttempts: 5,
+    retryBaseDelayMs: 2000,
+    retryMaxDelayMs: 60000,
+    sendTimeoutMs: 30000,
+    ...(getPreferences().outbox || {})
+  };
+}
+
+/**
+ * Loads the outbox, putting messages interrupted by a restart back in the queue
+ * @returns {Object} - { nextId, items }
+ */
+function loadOutbox() {
+  let outbox = readJsonFile(OUTBOX_FILE, null);
+
+  if (!outbox || !Array.isArray(outbox.items)) {
+    // Keep a damaged file for inspection rather than replacing its messages with an empty queue
+    if (fs.existsSync(OUTBOX_FILE) && !moveCorruptFile(OUTBOX_FILE)) {
+      throw new Error(`The outbox file ${OUTBOX_FILE} is unreadable and couldn't be moved aside`);
+    }
+    outbox = { nextId: 1, items: [] };
+  }
+
+  if (!recovered) {
+    recovered = true;
+    const interrupted = outbox.items.filter(item => item.status === OUTBOX_STATUS.SENDING);
+
+    if (interrupted.length > 0) {
+      for (const item of interrupted) {
+        item.status = OUTBOX_STATUS.PENDING;
+        item.lastError = 'Interrupted by a restart';
+      }
+      saveOutbox(outbox);
+      console.log(`Outbox: ${interrupted.length} interrupted message(s) queued again`);
+    }
+  }
+
+  return outbox;
+}
+
+/**
+ * Saves the outbox, keeping only the most recent sent items
+ * @param {Object} outbox - { nextId, items }
+ */
+function saveOutbox(outbox) {
+  const sent = outbox.items.filter(item => item.status === OUTBOX_STATUS.SENT);
+
+  if (sent.length > MAX_SENT_ITEMS) {
+    const dropped = new Set(sent.slice(0, sent.length - MAX_SENT_ITEMS));
+    outbox.items = outbox.items.filter(item => !dropped.has(item));
+  }
+
+  writeJsonFile(OUTBOX_FILE, outbox);
+}
+
+/**
+ * Schedules the worker
+ * @param {Number} delay - Milliseconds to wait
+ */
+function scheduleProcessing(delay) {
+  clearTimeout(timer);
+  timer = setTimeout(processOutbox, Math.max(0, delay));
+}
+
+/**
+ * Adds a message to the outbox
+ * @param {Object} options - { jid, text, quoted, source }
+ * @returns {Object} - The queued item
+ */
+function enqueueMessage({ jid, text, quoted = null, source = 'manual' }) {
+  if (!jid || !jid.includes('@')) {
+    throw new Error(`Invalid JID format: ${jid}`);
+  }
+
+  if (!text) {
+    throw new Error('Invalid message text');
+  }
+
+  const outbox = loadOutbox();
+  const now = new Date().toISOString();
+  const item = {
+    id: String(outbox.nextId++),
+    jid,
+    text: text.toString(),
+    // Only what is needed to quote the message, so the item stays serializable
+    quoted: quoted && quoted.key && quoted.key.remoteJid ? { key: quoted.key, message: quoted.message } : null,
+    source,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    messageId: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+
+  outbox.items.push(item);
+  saveOutbox(outbox);
+
+  console.log(`Outbox: message #${item.id} queued for ${jid} (${source})`);
+  scheduleProcessing(0);
+  return item;
+}
+
+/**
+ * Registers a listener for messages leaving the queue
+ * Waiting for a send could take as long as the socket stays disconnected,
+ * so callers that need the outcome (the WhatsApp message ID, say) are told here
+ * @param {Function} listener - (item, error) => void; error is null when the message was sent
+ */
+function onMessageSettled(listener) {
+  settledListeners.push(listener);
+}
+
+/**
+ * Tells the listeners that a message was sent or given up on
+ * @param {Object} item - The outbox item
+ * @param {Error|null} error - Why the message wasn't sent, null if it was
+ */
+function notifySettled(item, error) {
+  for (const listener of settledListeners) {
+    try {
+      listener(item, error);
+    } catch (listenerError) {
+      console.error(`Outbox: error in a listener for message #${item.id}:`, listenerError);
+    }
+  }
+}
+
+/**
+ * Finds the next item to send: the oldest unsent item of each chat, if it is due
+ * @param {Array} items - The outbox items, oldest first
+ * @returns {Object|null} - The item or null
+ */
+function getNextItem(items) {
+  const now = Date.now();
+  const seenChats = new Set();
+
+  for (const item of items) {
+    if (item.status !== OUTBOX_STATUS.PENDING && item.status !== OUTBOX_STATUS.SENDING) continue;
+
+    // Later messages of a chat wait for the earlier ones
+    if (seenChats.has(item.jid)) continue;
+    seenChats.add(item.jid);
+
+    if (item.status === OUTBOX_STATUS.PENDING && new Date(item.nextAttemptAt).getTime() <= now) {
+      return item;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Schedules the worker for the earliest retry, if any
+ * @param {Array} items - The outbox items
+ */
+function scheduleNextRetry(items) {
+  const retries = items
+    .filter(item => item.status === OUTBOX_STATUS.PENDING)
+    .map(item => new Date(item.nextAttemptAt).getTime());
+
+  if (retries.length > 0) {
+    scheduleProcessing(Math.min(...retries) - Date.now());
+  }
+}
+
+/**
+ * Records the outcome of a send
+ * @param {String} id - The item ID
+ * @param {Object|null} result - The sent message
+ * @param {Error|null} error - The send error
+ * @param {Boolean} [retry] - Whether a failed send may be retried
+ */
+function finishItem(id, result, error, retry = true) {
+  const settings = getOutboxSettings();
+  const outbox = loadOutbox();
+  const item = outbox.items.find(entry => entry.id === id);
+
+  if (!item) return;
+
+  item.updatedAt = new Date().toISOString();
+
+  if (!error) {
+    item.status = OUTBOX_STATUS.SENT;
+    item.sentAt = item.updatedAt;
+    item.messageId = result?.key?.id || null;
+    item.lastError = null;
+    saveOutbox(outbox);
+
+    console.log(`Outbox: message #${id} sent to ${item.jid}`);
+    notifySettled(item, null);
+    return;
+  }
+
+  item.lastError = error.message || String(error);
+
+  if (!retry || item.attempts >= settings.maxAttempts) {
+    item.status = OUTBOX_STATUS.DEAD;
+    saveOutbox(outbox);
+
+    console.error(`Outbox: message #${id} to ${item.jid} ${retry ? `failed ${item.attempts} times` : 'not sent'}, moved to the dead letters: ${item.lastError}`);
+    notifySettled(item, error);
+    return;
+  }
+
+  const delay = Math.min(settings.retryMaxDelayMs, settings.retryBaseDelayMs * Math.pow(2, item.attempts - 1));
+  item.status = OUTBOX_STATUS.PENDING;
+  item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  saveOutbox(outbox);
+
+  console.log(`Outbox: message #${id} to ${item.jid} failed (${item.lastError}), retrying in ${Math.round(delay / 1000)}s`);
+}
+
+/**
+ * Sends a message, failing if the socket doesn't answer within the send timeout
+ * A timed out message may still arrive, so its retry can be a duplicate
+ * @param {Object} item - The outbox item
+ * @returns {Promise<Object>} - The sent message
+ */
+function sendWithTimeout(item) {
+  const timeoutMs = getOutboxSettings().sendTimeoutMs;
+  let timeout = null;
+
+  return Promise.race([
+    currentSocket.sendMessage(item.jid, { text: item.text }, item.quoted ? { quoted: item.quoted } : {}),
+    new Promise((_, reject) => {
+      timeout = setTimeout(() => reject(new Error(`Send timed out after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Sends due messages one at a time until none are left
+ * @returns {Promise<void>}
+ */
+async function processOutbox() {
+  if (processing || !currentSocket) return;
+
+  processing = true;
+  clearTimeout(timer);
+
+  try {
+    while (currentSocket) {
+      const outbox = loadOutbox();
+      const item = getNextItem(outbox.items);
+
+      if (!item) {
+        scheduleNextRetry(outbox.items);
+        break;
+      }
+
+      item.status = OUTBOX_STATUS.SENDING;
+      item.attempts += 1;
+      item.updatedAt = new Date().toISOString();
+      saveOutbox(outbox);
+
+      // Checked when sending, so STOP also applies to messages queued earlier
+      if (!consentService.canSend(item.jid, item.source)) {
+        finishItem(item.id, null, new Error('Recipient opted out of automated messages'), false);
+        continue;
+      }
+
+      let result = null;
+      let error = null;
+
+      try {
+        result = await sendWithTimeout(item);
+      } catch (sendError) {
+        error = sendError;
+      }
+
+      finishItem(item.id, result, error);
+
+      // Small gap between messages to avoid WhatsApp rate limits
+      await new Promise(resolve => setTimeout(resolve, getOutboxSettings().sendIntervalMs));
+    }
+  } catch (error) {
+    console.error('Error processing the outbox:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Sets the socket used to send messages and starts sending
+ * @param {Object|null} sock - The connected socket, or null while disconnected
+ */
+function updateOutboxSocket(sock) {
+  currentSocket = sock;
+
+  if (sock) {
+    scheduleProcessing(0);
+  }
+}
+
+/**
+ * Lists outbox items
+ * @param {Object} [options] - { status: pending|dead|sent|open|all } (open = pending, sending and dead)
+ * @returns {Array} - Array of items, oldest first
+ */
+function listOutbox(options = {}) {
+  const status = options.status || 'open';
+  const items = loadOutbox().items;
+
+  if (status === 'all') return items;
+  if (status === 'open') return items.filter(item => item.status !== OUTBOX_STATUS.SENT);
+  if (status === OUTBOX_STATUS.PENDING) {
+    return items.filter(item => item.status === OUTBOX_STATUS.PENDING || item.status === OUTBOX_STATUS.SENDING);
+  }
+
+  return items.filter(item => item.status === status);
+}
+
+/**
+ * Gets an outbox item
+ * @param {String} id - The item ID
+ * @returns {Object|null} - The item or null if not found
+ */
+function getOutboxItem(id) {
+  return loadOutbox().items.find(item => item.id === String(id)) || null;
+}
+
+/**
+ * Gets the number of items per status
+ * @returns {Object} - { connected, pending, sending, sent, dead }
+ */
+function getOutboxStats() {
+  const stats = { connected: !!currentSocket, pending: 0, sending: 0, sent: 0, dead: 0 };
+
+  for (const item of loadOutbox().items) {
+    stats[item.status] = (stats[item.status] || 0) + 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Queues a dead letter again
+ * @param {String} id - The item ID
+ * @returns {Object} - The item
+ */
+function retryItem(id) {
+  const outbox = loadOutbox();
+  const item = outbox.items.find(entry => entry.id === String(id));
+
+  if (!item) {
+    throw new Error(`Outbox message #${id} not found`);
+  }
+
+  if (item.status !== OUTBOX_STATUS.DEAD) {
+    throw new Error(`Outbox message #${id} is ${item.status}, only dead letters can be retried`);
+  }
+
+  item.status = OUTBOX_STATUS.PENDING;
+  item.attempts = 0;
+  item.nextAttemptAt = new Date().toISOString();
+  item.updatedAt = item.nextAttemptAt;
+  saveOutbox(outbox);
+
+  console.log(`Outbox: message #${id} queued again`);
+  scheduleProcessing(0);
+  return item;
+}
+
+/**
+ * Removes a pending message or dead letter
+ * @param {String} id - The item ID
+ * @returns {Object} - The removed item
+ */
+function removeItem(id) {
+  const outbox = loadOutbox();
+  const item = outbox.items.find(entry => entry.id === String(id));
+
+  if (!item) {
+    throw new Error(`Outbox message #${id} not found`);
+  }
+
+  if (item.status === OUTBOX_STATUS.SENDING || item.status === OUTBOX_STATUS.SENT) {
+    throw new Error(`Outbox message #${id} is ${item.status} and can't be removed`);
+  }
+
+  outbox.items = outbox.items.filter(entry => entry !== item);
+  saveOutbox(outbox);
+
+  notifySettled(item, new Error(`Outbox message #${id} was removed`));
+
+  console.log(`Outbox: message #${id} removed`);
+  return item;
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  getOutboxSettings,
+  enqueueMessage,
+  onMessageSettled,
+  processOutbox,
+  updateOutboxSocket,
+  listOutbox,
+  getOutboxItem,
+  getOutboxStats,
+  retryItem,
+  removeItem
+};
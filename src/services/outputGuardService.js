@@ -0,0 +1,200 @@
+/**
+ * Output Guard Service
+ *
+ * Checks AI output before it is sent: blocked words, regex rules, maximum length
+ * and "no promises" / "no prices" policies. A reply can be allowed, rewritten,
+ * dropped or sent to the human approval queue, and every intervention is logged.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const { appendAuditEntry, readAuditEntries } = require('../utils/auditLog');
+
+// Audit log name for guard interventions
+const GUARD_AUDIT_LOG = 'guard';
+
+// Guard actions, from least to most severe
+const GUARD_ACTIONS = {
+  ALLOW: 'allow',
+  REWRITE: 'rewrite',
+  REVIEW: 'review',
+  DROP: 'drop'
+};
+
+const ACTION_SEVERITY = [GUARD_ACTIONS.ALLOW, GUARD_ACTIONS.REWRITE, GUARD_ACTIONS.REVIEW, GUARD_ACTIONS.DROP];
+
+// Phrases that commit the business to something (English, Banglish and Bengali)
+const PROMISE_PATTERNS = [
+  /\b(i|we)\s+(promise|guarantee)\b/i,
+  /\bguaranteed?\b/i,
+  /\b(will|shall)\s+definitely\b/i,
+  /\b100\s*%\s*(sure|guaranteed|refund)/i,
+  /\b(full|money[- ]back)\s+refund\b/i,
+  /\b(kotha\s+dicchi|guarantee\s+dicchi)\b/i,
+  /(কথা\s*দিচ্ছি|গ্যারান্টি|নিশ্চিতভাবে)/
+];
+
+// Amounts with a currency (symbols, codes and words)
+const PRICE_PATTERNS = [
+  /(৳|\$|€|£|₹)\s*\d/,
+  /\d[\d,.]*\s*(৳|\$|€|£|₹)/,
+  /\b(tk|bdt|usd|eur|inr|rs)\.?\s*\d/i,
+  /\d[\d,.]*\s*(tk|taka|bdt|usd|dollars?|euros?|rupees?|rs)\b/i,
+  /[\d০-৯][\d০-৯,.]*\s*টাকা/
+];
+
+/**
+ * Gets the guard settings from user preferences
+ * @returns {Object} - The guard settings
+ */
+function getGuardSettings() {
+  const prefs = getPreferences();
+  const guard = prefs.guard || {};
+
+  return {
+    enabled: true,
+    blockedWords: [],
+    blockedWordsAction: GUARD_ACTIONS.REWRITE,
+    regexRules: [],
+    maxLength: 1500,
+    maxLengthAction: GUARD_ACTIONS.REWRITE,
+    ...guard,
+    policies: {
+      noPromises: false,
+      noPrices: false,
+      action: GUARD_ACTIONS.REVIEW,
+      ...(guard.policies || {})
+    }
+  };
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {String} text - The text to escape
+ * @returns {String} - The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Shortens a text to a maximum length, preferring a sentence boundary
+ * @param {String} text - The text to shorten
+ * @param {Number} maxLength - The maximum length
+ * @returns {String} - The shortened text
+ */
+function shortenText(text, maxLength) {
+  const cut = text.substring(0, maxLength - 1);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.lastIndexOf('। '));
+
+  if (sentenceEnd > maxLength * 0.5) {
+    return cut.substring(0, sentenceEnd + 1);
+  }
+
+  return cut.trimEnd() + '…';
+}
+
+/**
+ * Checks a reply against the guard rules
+ * @param {String} text - The reply text
+ * @param {Object} [context] - Check context ({ jid, source }) used for logging
+ * @returns {Object} - { action, text, violations } where text is the (possibly rewritten) reply
+ */
+function checkOutput(text, context = {}) {
+  const settings = getGuardSettings();
+  const violations = [];
+  let result = String(text || '');
+
+  if (!settings.enabled || !result) {
+    return { action: GUARD_ACTIONS.ALLOW, text: result, violations };
+  }
+
+  // Blocked words are masked when rewriting
+  for (const word of settings.blockedWords || []) {
+    if (!word) continue;
+
+    const wordRegex = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(word)})(?=$|[^\\p{L}\\p{N}])`, 'giu');
+    if (wordRegex.test(result)) {
+      violations.push({ rule: 'blocked_word', detail: word, action: settings.blockedWordsAction });
+      result = result.replace(wordRegex, (_, prefix, match) => prefix + '*'.repeat(Array.from(match).length));
+    }
+  }
+
+  // Custom regex rules
+  for (const rule of settings.regexRules || []) {
+    try {
+      const flags = (rule.flags || 'i').replace('g', '');
+      const regex = new RegExp(rule.pattern, flags);
+
+      if (regex.test(result)) {
+        const action = rule.action || GUARD_ACTIONS.REWRITE;
+        violations.push({ rule: rule.name || `regex:${rule.pattern}`, detail: rule.pattern, action });
+
+        if (action === GUARD_ACTIONS.REWRITE) {
+          result = result.replace(new RegExp(rule.pattern, flags + 'g'), rule.replacement || '');
+        }
+      }
+    } catch (error) {
+      console.error(`Invalid guard regex rule ${rule.pattern}:`, error.message);
+    }
+  }
+
+  // Business policies
+  if (settings.policies.noPromises && PROMISE_PATTERNS.some(pattern => pattern.test(result))) {
+    violations.push({ rule: 'no_promises', detail: 'Reply makes a promise or guarantee', action: settings.policies.action });
+  }
+
+  if (settings.policies.noPrices && PRICE_PATTERNS.some(pattern => pattern.test(result))) {
+    violations.push({ rule: 'no_prices', detail: 'Reply mentions a price', action: settings.policies.action });
+  }
+
+  // Maximum length
+  if (settings.maxLength && Array.from(result).length > settings.maxLength) {
+    violations.push({ rule: 'max_length', detail: `${Array.from(result).length} > ${settings.maxLength}`, action: settings.maxLengthAction });
+
+    if (settings.maxLengthAction === GUARD_ACTIONS.REWRITE) {
+      result = shortenText(result, settings.maxLength);
+    }
+  }
+
+  // The most severe action wins
+  const action = violations.reduce((current, violation) => {
+    const severity = ACTION_SEVERITY.indexOf(violation.action);
+    return severity > ACTION_SEVERITY.indexOf(current) ? violation.action : current;
+  }, GUARD_ACTIONS.ALLOW);
+
+  result = result.replace(/[ \t]{2,}/g, ' ').trim();
+
+  // A rewrite that leaves nothing to send is a drop
+  const finalAction = action === GUARD_ACTIONS.REWRITE && !result ? GUARD_ACTIONS.DROP : action;
+
+  if (violations.length > 0) {
+    console.log(`Output guard ${finalAction} for ${context.jid || 'reply'}: ${violations.map(v => v.rule).join(', ')}`);
+
+    appendAuditEntry(GUARD_AUDIT_LOG, {
+      chatJid: context.jid || null,
+      source: context.source || null,
+      action: finalAction,
+      violations,
+      originalText: String(text),
+      finalText: finalAction === GUARD_ACTIONS.DROP ? null : result
+    });
+  }
+
+  return { action: finalAction, text: result, violations };
+}
+
+/**
+ * Gets recent guard interventions from the audit log
+ * @param {Object} [options] - Options ({ limit })
+ * @returns {Array} - Array of audit entries, newest first
+ */
+function getGuardLog(options = {}) {
+  return readAuditEntries(GUARD_AUDIT_LOG, { limit: options.limit });
+}
+
+module.exports = {
+  GUARD_ACTIONS,
+  getGuardSettings,
+  checkOutput,
+  getGuardLog
+};
@@ -0,0 +1,225 @@
+/**
+ * Persona Service
+ *
+ * Manages the editable AI persona templates and the persona assigned to each chat
+ */
+
+const config = require('../config/config');
+const { getPreferences } = require('../config/userPreferences');
+const { DEFAULT_PERSONA, defaultPersonas } = require('../config/personas');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const userDataService = require('./userDataService');
+const { selectParticipantNames } = require('./contextBuilder');
+
+// Editable persona templates
+const PERSONAS_FILE = getDataFilePath('personas.json');
+
+/**
+ * Loads all persona templates, seeding the file with the built-in personas on first use
+ * @returns {Object} - Map of persona name to { description, template }
+ */
+function loadPersonas() {
+  const personas = readJsonFile(PERSONAS_FILE, null);
+
+  if (!personas) {
+    writeJsonFile(PERSONAS_FILE, defaultPersonas);
+    return { ...defaultPersonas };
+  }
+
+  return personas;
+}
+
+/**
+ * Checks whether the loaded personas have one with this name
+ * Only own keys count, so names like "constructor" aren't found on Object.prototype
+ * @param {Object} personas - The loaded personas
+ * @param {String} name - The persona name
+ * @returns {Boolean} - True if the persona is defined
+ */
+function hasPersona(personas, name) {
+  return Object.prototype.hasOwnProperty.call(personas, name);
+}
+
+/**
+ * Lists the available personas
+ * @returns {Array} - Array of { name, description, builtIn }
+ */
+function listPersonas() {
+  const personas = loadPersonas();
+
+  return [
+    { name: DEFAULT_PERSONA, description: 'Built-in general assistant prompt', builtIn: true },
+    ...Object.entries(personas).map(([name, persona]) => ({
+      name,
+      description: persona.description || '',
+      builtIn: hasPersona(defaultPersonas, name)
+    }))
+  ];
+}
+
+/**
+ * Gets a persona by name
+ * @param {String} name - The persona name
+ * @returns {Object|null} - The persona or null if not found
+ */
+function getPersona(name) {
+  if (!name) return null;
+
+  const personas = loadPersonas();
+  return hasPersona(personas, name) ? personas[name] : null;
+}
+
+/**
+ * Checks whether a persona name can be assigned to a chat
+ * @param {String} name - The persona name
+ * @returns {Boolean} - True if the persona exists
+ */
+function personaExists(name) {
+  return name === DEFAULT_PERSONA || !!getPersona(name);
+}
+
+/**
+ * Creates or updates a persona template
+ * @param {String} name - The persona name
+ * @param {Object} persona - The persona ({ description, template })
+ * @returns {Object} - The saved persona
+ */
+function savePersona(name, persona = {}) {
+  if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+    throw new Error('Persona name may only contain letters, numbers, "-" and "_"');
+  }
+
+  if (name in Object.prototype) {
+    throw new Error(`"${name}" cannot be used as a persona name`);
+  }
+
+  if (name === DEFAULT_PERSONA) {
+    throw new Error(`The "${DEFAULT_PERSONA}" persona is built in and cannot be edited`);
+  }
+
+  if (!persona.template || typeof persona.template !== 'string' || persona.template.trim() === '') {
+    throw new Error('Persona template is required');
+  }
+
+  const personas = loadPersonas();
+  personas[name] = {
+    description: persona.description || (hasPersona(personas, name) ? personas[name].description : '') || '',
+    template: persona.template
+  };
+
+  writeJsonFile(PERSONAS_FILE, personas);
+  console.log(`Saved persona: ${name}`);
+  return personas[name];
+}
+
+/**
+ * Deletes a persona template
+ * @param {String} name - The persona name
+ * @returns {Boolean} - True if the persona was deleted
+ */
+function deletePersona(name) {
+  const personas = loadPersonas();
+
+  if (!hasPersona(personas, name)) {
+    return false;
+  }
+
+  delete personas[name];
+  writeJsonFile(PERSONAS_FILE, personas);
+  console.log(`Deleted persona: ${name}`);
+  return true;
+}
+
+/**
+ * Gets the persona name that applies to a chat
+ * @param {Object} userData - The chat's user data
+ * @returns {String} - The persona name
+ */
+function getChatPersonaName(userData = {}) {
+  const prefs = getPreferences();
+  return userData.preferences?.persona || prefs.ai?.defaultPersona || DEFAULT_PERSONA;
+}
+
+/**
+ * Assigns a persona to a chat
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {String} name - The persona name
+ * @returns {Object} - The updated user data
+ */
+function setChatPersona(jid, isGroup, name) {
+  if (!personaExists(name)) {
+    throw new Error(`Persona "${name}" not found`);
+  }
+
+  console.log(`Assigning persona "${name}" to ${jid}`);
+  return userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      persona: name
+    }
+  });
+}
+
+/**
+ * Builds the placeholder values for a chat
+ * @param {Object} userProfile - The chat's user data
+ * @param {String} languageInstructions - The language instructions for the chat
+ * @returns {Object} - Map of placeholder to value
+ */
+function getPlaceholderValues(userProfile = {}, languageInstructions = '') {
+  const participants = selectParticipantNames(userProfile);
+  const chatName = userProfile.profile?.name || '';
+  const otherCount = participants.omittedCount + participants.unknownCount;
+
+  return {
+    botName: config.bot.name,
+    name: chatName || 'the user',
+    groupName: userProfile.isGroup ? chatName : '',
+    groupDescription: userProfile.isGroup ? (userProfile.profile?.description || '') : '',
+    chatType: userProfile.isGroup ? 'group chat' : 'direct message',
+    memberCount: userProfile.isGroup ? String(userProfile.profile?.memberCount || participants.total || 0) : '',
+    participants: participants.names.join(', ') + (otherCount > 0 ? ` and ${otherCount} others` : ''),
+    messageCount: String(userProfile.stats?.messageCount || 0),
+    lastActivity: userProfile.stats?.lastActivity || 'unknown time',
+    languageInstructions
+  };
+}
+
+/**
+ * Replaces {{placeholders}} in a template
+ * @param {String} template - The template text
+ * @param {Object} values - Map of placeholder to value
+ * @returns {String} - The rendered text
+ */
+function renderTemplate(template, values = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    // Only the values' own keys, never inherited members like {{constructor}}
+    if (!Object.prototype.hasOwnProperty.call(values, key)) return '';
+    return values[key] !== undefined && values[key] !== null ? values[key] : '';
+  });
+}
+
+/**
+ * Renders a persona's system prompt for a chat
+ * @param {Object} persona - The persona ({ template })
+ * @param {Object} userProfile - The chat's user data
+ * @param {String} languageInstructions - The language instructions for the chat
+ * @returns {String} - The rendered system prompt
+ */
+function renderPersonaPrompt(persona, userProfile, languageInstructions) {
+  return renderTemplate(persona.template, getPlaceholderValues(userProfile, languageInstructions));
+}
+
+module.exports = {
+  DEFAULT_PERSONA,
+  listPersonas,
+  getPersona,
+  personaExists,
+  savePersona,
+  deletePersona,
+  getChatPersonaName,
+  setChatPersona,
+  getPlaceholderValues,
+  renderTemplate,
+  renderPersonaPrompt
+};
@@ -0,0 +1,208 @@
+/**
+ * Rate Limit Service
+ *
+ * Limits how often automatic replies are generated and sent, to protect the
+ * AI quota and the WhatsApp account. Each reply takes a token from the
+ * sender's, the chat's and the global bucket; a chat also waits a short
+ * cooldown between replies. Each mention relay takes tokens the same way,
+ * without the cooldown, so one message can be relayed to several people.
+ *
+ * Batch mode waits a few seconds after a message and merges a burst of
+ * consecutive messages from the same person into one AI request.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const TokenBucket = require('../core/tokenBucket');
+
+// Buckets by scope and key ("sender:8801...", "chat:123@g.us", "global")
+const buckets = new Map();
+const MAX_BUCKETS = 1000;
+
+// Pending batches by chat and sender
+const batches = new Map();
+
+// Replies skipped per limit since startup
+const limitedCounts = { sender: 0, chat: 0, global: 0, cooldown: 0 };
+
+/**
+ * Gets the rate limit settings from user preferences
+ * @returns {Object} - { enabled, sender, chat, global, cooldownSeconds, batch }
+ */
+function getRateLimitSettings() {
+  const settings = getPreferences().rateLimit || {};
+
+  return {
+    enabled: settings.enabled !== false,
+    sender: { capacity: 5, refillPerMinute: 2, ...(settings.sender || {}) },
+    chat: { capacity: 10, refillPerMinute: 4, ...(settings.chat || {}) },
+    global: { capacity: 30, refillPerMinute: 20, ...(settings.global || {}) },
+    cooldownSeconds: settings.cooldownSeconds ?? 3,
+    batch: { enabled: false, waitMs: 4000, maxWaitMs: 15000, maxMessages: 5, ...(settings.batch || {}) }
+  };
+}
+
+/**
+ * Gets a bucket, creating it on first use or when its settings changed
+ * @param {String} name - The bucket name
+ * @param {Object} options - { capacity, refillPerMinute }
+ * @returns {TokenBucket} - The bucket
+ */
+function getBucket(name, options) {
+  let bucket = buckets.get(name);
+
+  if (!bucket || bucket.capacity !== options.capacity || bucket.refillPerMinute !== options.refillPerMinute) {
+    bucket = new TokenBucket({ name, ...options });
+    buckets.set(name, bucket);
+  }
+
+  return bucket;
+}
+
+/**
+ * Forgets buckets that are full again, so the map doesn't grow without bound
+ */
+function pruneBuckets() {
+  if (buckets.size <= MAX_BUCKETS) return;
+
+  for (const [name, bucket] of buckets) {
+    if (name !== 'global' && bucket.getState().tokens >= bucket.capacity) {
+      buckets.delete(name);
+    }
+  }
+}
+
+/**
+ * Normalizes a sender JID ("8801...:12@s.whatsapp.net" -> "8801...@s.whatsapp.net")
+ * @param {String} jid - The sender JID
+ * @returns {String} - The normalized JID
+ */
+function normalizeSender(jid) {
+  const [user, server] = String(jid || '').split('@');
+  return server ? `${user.split(':')[0]}@${server}` : user;
+}
+
+/**
+ * Checks the rate limits for a reply and takes a token from each bucket if allowed
+ * @param {String} jid - The chat JID
+ * @param {String} senderId - The sender JID
+ * @param {Object} [options] - { cooldown: false to skip the chat's cooldown (relays), label for the log }
+ * @returns {Object} - { allowed, scope, retryInSeconds }
+ */
+function checkRateLimit(jid, senderId, options = {}) {
+  const settings = getRateLimitSettings();
+
+  if (!settings.enabled) {
+    return { allowed: true, scope: null, retryInSeconds: 0 };
+  }
+
+  pruneBuckets();
+
+  const chatBucket = getBucket(`chat:${jid}`, settings.chat);
+  const checks = [
+    { scope: 'sender', bucket: getBucket(`sender:${normalizeSender(senderId)}`, settings.sender) },
+    { scope: 'chat', bucket: chatBucket },
+    { scope: 'global', bucket: getBucket('global', settings.global) }
+  ];
+
+  const limited = (scope, retryInMs) => {
+    limitedCounts[scope] += 1;
+    const retryInSeconds = Math.ceil(retryInMs / 1000);
+    console.log(`${options.label || 'Auto-reply'} to ${jid} rate limited (${scope}, retry in ${retryInSeconds}s)`);
+    return { allowed: false, scope, retryInSeconds };
+  };
+
+  const sinceLastReply = chatBucket.lastTakenAt ? Date.now() - chatBucket.lastTakenAt : Infinity;
+  if (options.cooldown !== false && sinceLastReply < settings.cooldownSeconds * 1000) {
+    return limited('cooldown', settings.cooldownSeconds * 1000 - sinceLastReply);
+  }
+
+  // Only take tokens when every bucket has one, so a refused reply costs nothing
+  for (const { scope, bucket } of checks) {
+    if (!bucket.canTake()) {
+      return limited(scope, bucket.getRetryIn());
+    }
+  }
+
+  checks.forEach(({ bucket }) => bucket.take());
+  return { allowed: true, scope: null, retryInSeconds: 0 };
+}
+
+/**
+ * Checks whether batch mode is enabled
+ * @returns {Boolean} - True if bursts are merged into one reply
+ */
+function isBatchEnabled() {
+  return getRateLimitSettings().batch.enabled === true;
+}
+
+/**
+ * Sends a pending batch to its reply function
+ * @param {String} key - The batch key
+ */
+function flushBatch(key) {
+  const batch = batches.get(key);
+  if (!batch) return;
+
+  batches.delete(key);
+  clearTimeout(batch.timer);
+
+  console.log(`Replying to ${batch.messages.length} batched message(s) from ${key}`);
+  Promise.resolve()
+    .then(() => batch.reply(batch.messages))
+    .catch(error => console.error('Error replying to batched messages:', error));
+}
+
+/**
+ * Adds a message to its sender's batch
+ * The batch is replied to once the sender has been quiet for waitMs, after
+ * maxWaitMs at the latest, or as soon as it holds maxMessages messages
+ * @param {Object} message - The message object from Baileys
+ * @param {Function} reply - Called with the batched messages (oldest first)
+ */
+function addToBatch(message, reply) {
+  const settings = getRateLimitSettings().batch;
+  const jid = message.key.remoteJid;
+  const key = `${jid}|${normalizeSender(message.key.participant || jid)}`;
+
+  let batch = batches.get(key);
+  if (!batch) {
+    batch = { messages: [], startedAt: Date.now(), timer: null };
+    batches.set(key, batch);
+  }
+
+  batch.messages.push(message);
+  batch.reply = reply;
+  clearTimeout(batch.timer);
+
+  if (batch.messages.length >= settings.maxMessages) {
+    flushBatch(key);
+    return;
+  }
+
+  const delay = Math.min(settings.waitMs, Math.max(0, batch.startedAt + settings.maxWaitMs - Date.now()));
+  batch.timer = setTimeout(() => flushBatch(key), delay);
+}
+
+/**
+ * Gets the rate limit status
+ * @returns {Object} - { enabled, batchEnabled, limited, pendingBatches, global }
+ */
+function getRateLimitStatus() {
+  const settings = getRateLimitSettings();
+
+  return {
+    enabled: settings.enabled,
+    batchEnabled: settings.batch.enabled === true,
+    limited: { ...limitedCounts },
+    pendingBatches: batches.size,
+    global: getBucket('global', settings.global).getState()
+  };
+}
+
+module.exports = {
+  getRateLimitSettings,
+  checkRateLimit,
+  isBatchEnabled,
+  addToBatch,
+  getRateLimitStatus
+};
@@ -0,0 +1,256 @@
+/**
+ * Relay Intent Parser
+ *
+ * Rule-based parser for relay requests like "tell @John that I'm late",
+ * "@Sihab ke bolo ami aschi" or "আমি আসছি, শিহাবকে বলো". It finds the
+ * recipient and the part to relay (the payload) without calling the AI;
+ * the mention relay only asks the AI when the rules aren't confident.
+ *
+ * The phrasings it must understand are listed in config/relayIntentCorpus.js
+ * and can be checked with !relaytest.
+ */
+
+const { relayIntentCorpus } = require('../config/relayIntentCorpus');
+
+// Results at or above this confidence are used without the AI
+const CONFIDENT = 0.7;
+
+// Honorifics that can follow a name ("Sihab bhai", "রহিম ভাই")
+const HONORIFICS = 'bhai|vai|bhaiya|vaiya|apu|apa|da|di|dada|didi|sir|madam|uncle|auntie|aunty|bhabi|vabi|\u09AE\u09CD\u09AF\u09BE\u09A1\u09BE\u09AE|\u09B8\u09CD\u09AF\u09BE\u09B0|\u0986\u0982\u0995\u09C7\u09B2|\u0986\u09A8\u09CD\u099F\u09BF|\u09A6\u09BE\u09A6\u09BE|\u09A6\u09BF\u09A6\u09BF|\u09AD\u09BE\u09AC\u09BF|\u09AD\u09BE\u0987|\u0986\u09AA\u09C1|\u09A6\u09BE|\u09A6\u09BF';
+
+// Recipient: an @mention or a word, with an optional honorific
+const RECIPIENT = `((?:@\\S+|[^\\s,@]+)(?:\\s+(?:${HONORIFICS}))?)`;
+
+// English relay verbs and what may precede them
+const EN_PREFIX = '(?:(?:please|pls|plz|kindly)\\s+)?(?:(?:can|could|would|will)\\s+you\\s+(?:please\\s+|pls\\s+)?)?';
+const EN_VERBS = '(tell|ask|remind|inform|message|text|notify)';
+const EN_PRONOUNS = '(?:him|her|them)';
+
+// Bengali relay verbs, in Latin script (Banglish) and Bengali script
+const BN_VERBS = [
+  'bole\\s+(?:dao|dio|den|diyo)', 'bolo', 'bolen', 'bolun', 'bolis', 'bolish', 'bol',
+  'janiye\\s+(?:dao|dio|den|diyo)', 'janao', 'janan', 'janaben',
+  'jigg?e(?:s|sh|sa)\\s+(?:koro|koren|korun|korbe)', 'jiggasa\\s+(?:koro|koren|korun)', 'ask\\s+(?:koro|koren)',
+  '\u09AC\u09B2\u09C7\\s+(?:\u09A6\u09BE\u0993|\u09A6\u09BF\u0993|\u09A6\u09C7\u09A8)',
+  '\u09AC\u09B2\u09CB', '\u09AC\u09B2\u09C1\u09A8', '\u09AC\u09B2\u09C7\u09A8', '\u09AC\u09B2\u09BF\u09B8', '\u09AC\u09B2',
+  '\u099C\u09BE\u09A8\u09BF\u09AF\u09BC\u09C7\\s+(?:\u09A6\u09BE\u0993|\u09A6\u09BF\u0993|\u09A6\u09C7\u09A8)',
+  '\u099C\u09BE\u09A8\u09BE\u0993', '\u099C\u09BE\u09A8\u09BE\u09A8',
+  '\u099C\u09BF\u099C\u09CD\u099E\u09C7\u09B8\\s+(?:\u0995\u09B0\u09CB|\u0995\u09B0\u09C1\u09A8)',
+  '\u099C\u09BF\u099C\u09CD\u099E\u09BE\u09B8\u09BE\\s+(?:\u0995\u09B0\u09CB|\u0995\u09B0\u09C1\u09A8)'
+].join('|');
+
+// "ke"/"re" after the recipient ("Sihab ke", "শিহাবকে"), and the fillers after the verb ("je", "to", "যে");
+// only the Bengali script particle is written attached, so "@Mike" isn't read as "@Mi ke"
+const BN_PARTICLE = '(?:\\s+(?:ke|re)|\\s*(?:\u0995\u09C7|\u09B0\u09C7))';
+const BN_FILLER = '(?:\\s+(?:je|jeno|to|toh|\u09AF\u09C7|\u09AF\u09C7\u09A8|\u09A4\u09CB))?';
+
+// Payloads that are only a leftover word of the request ("please tell @John", "tell @John that")
+const EMPTY_PAYLOAD = /^(?:please|pls|plz|kindly|that|to|je|toh?|\u09AF\u09C7|\u09A4\u09CB)[.!?]?$/i;
+
+// Confidence when other people are mentioned: the rules can't tell who gets what
+const SEVERAL_MENTIONS = 0.4;
+
+// Words that suggest a relay when no rule matched
+const RELAY_HINTS = /\b(?:tell|ask|inform|let\s+\S+\s+know|say\s+to|bolo|bolen|bolun|bol|janao|jigges|jiggesh|jiggasa)\b|\u09AC\u09B2|\u099C\u09BE\u09A8\u09BE|\u099C\u09BF\u099C\u09CD\u099E/i;
+
+// The rules, tried in order: { name, language, pattern, recipient and payload groups, confidence }
+const RULES = [
+  {
+    // "@John tell him I'm late", "@John please ask her if she is coming"
+    name: 'en_mention_pronoun',
+    language: 'en',
+    pattern: new RegExp(`^(@\\S+)[\\s,:]+${EN_PREFIX}${EN_VERBS}\\s+${EN_PRONOUNS}\\s+(?:that\\s+|to\\s+|about\\s+)?(if\\s+|whether\\s+)?(.+)$`, 'i'),
+    recipient: 1,
+    payload: 4,
+    askIf: 3
+  },
+  {
+    // "@John please let him know the delivery arrived"
+    name: 'en_mention_let_know',
+    language: 'en',
+    pattern: new RegExp(`^(@\\S+)[\\s,:]+${EN_PREFIX}let\\s+${EN_PRONOUNS}\\s+know\\s+(?:that\\s+)?(.+)$`, 'i'),
+    recipient: 1,
+    payload: 2
+  },
+  {
+    // "tell @John that I'm late", "can you please ask Sarah to call me"
+    name: 'en_verb_recipient',
+    language: 'en',
+    pattern: new RegExp(`^${EN_PREFIX}${EN_VERBS}\\s+${RECIPIENT}\\s+(?:that\\s+|to\\s+|about\\s+)(if\\s+|whether\\s+)?(.+)$`, 'i'),
+    recipient: 2,
+    payload: 4,
+    askIf: 3
+  },
+  {
+    // "tell @John I'm late", "tell him I'm late" (no "that"; only for a mention or a pronoun)
+    name: 'en_verb_mention',
+    language: 'en',
+    pattern: new RegExp(`^${EN_PREFIX}${EN_VERBS}\\s+(@\\S+|${EN_PRONOUNS})[\\s,:]+(if\\s+|whether\\s+)?(.+)$`, 'i'),
+    recipient: 2,
+    payload: 4,
+    askIf: 3,
+    confidence: 0.8
+  },
+  {
+    // "let @John know that I'm late"
+    name: 'en_let_know',
+    language: 'en',
+    pattern: new RegExp(`^${EN_PREFIX}let\\s+${RECIPIENT}\\s+know\\s+(?:that\\s+)?(.+)$`, 'i'),
+    recipient: 1,
+    payload: 2
+  },
+  {
+    // "say to @John that I'm late", "say hi to @John"
+    name: 'en_say_to',
+    language: 'en',
+    pattern: new RegExp(`^${EN_PREFIX}say\\s+to\\s+${RECIPIENT}\\s+(?:that\\s+)?(.+)$`, 'i'),
+    recipient: 1,
+    payload: 2
+  },
+  {
+    name: 'en_say_payload_to',
+    language: 'en',
+    pattern: new RegExp(`^${EN_PREFIX}say\\s+(.+?)\\s+to\\s+${RECIPIENT}[.!]?$`, 'i'),
+    recipient: 2,
+    payload: 1
+  },
+  {
+    // "I'm late, tell @John", "meeting moved to 5, please let him know"
+    name: 'en_payload_first',
+    language: 'en',
+    pattern: new RegExp(`^(.+?)[\\s,.;:-]+(?:please\\s+|pls\\s+)?(?:tell|inform|let)\\s+(@\\S+|${EN_PRONOUNS})(?:\\s+know)?[.!]?$`, 'i'),
+    recipient: 2,
+    payload: 1,
+    confidence: 0.8
+  },
+  {
+    // "@Sihab ke bolo ami aschi", "Sihab bhai ke bolo je amake call dite", "শিহাবকে বলো আমি আসছি"
+    name: 'bn_recipient_verb',
+    language: 'bn',
+    pattern: new RegExp(`^${RECIPIENT}${BN_PARTICLE}\\s+(?:${BN_VERBS})${BN_FILLER}[\\s,:]+(.+)$`, 'i'),
+    recipient: 1,
+    payload: 2
+  },
+  {
+    // "ami aschi, Sihab ke bolo", "আমি আসছি, শিহাবকে বলে দাও"
+    name: 'bn_payload_first',
+    language: 'bn',
+    pattern: new RegExp(`^(.+?)[\\s,.;:\u0964-]+${RECIPIENT}${BN_PARTICLE}\\s+(?:${BN_VERBS})(?:\\s+(?:plz|please|to|toh|\u09A4\u09CB))?[.!\u0964]?$`, 'i'),
+    recipient: 2,
+    payload: 1
+  },
+  {
+    // "@Sihab bolo ami aschi" (the mention is the recipient, no "ke")
+    name: 'bn_mention_verb',
+    language: 'bn',
+    pattern: new RegExp(`^(@\\S+)[\\s,:]+(?:${BN_VERBS})${BN_FILLER}[\\s,:]+(.+)$`, 'i'),
+    recipient: 1,
+    payload: 2,
+    confidence: 0.8
+  }
+];
+
+/**
+ * Removes @mentions, wrapping quotes and leftover punctuation from a payload
+ * @param {String} text - The payload
+ * @returns {String} - The cleaned payload
+ */
+function cleanPayload(text) {
+  return String(text || '')
+    .replace(/@\S+\s?/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[,:;\-\s]+/, '')
+    .replace(/^["'\u201C\u2018](.*)["'\u201D\u2019]$/, '$1')
+    .trim();
+}
+
+/**
+ * Tells whether text is Bengali written in Bengali script
+ * @param {String} text - The text
+ * @returns {Boolean} - True for Bengali script
+ */
+function isBengaliScript(text) {
+  return /[\u0980-\u09FF]/.test(text);
+}
+
+/**
+ * Parses a relay request
+ * @param {String} text - The message text, with its @mentions
+ * @returns {Object} - { isRelay, recipient, payload, confidence, confident, rule, language }
+ */
+function parseRelayIntent(text) {
+  const message = String(text || '').replace(/\s+/g, ' ').trim();
+  const mentions = message.match(/@\S+/g) || [];
+
+  for (const rule of RULES) {
+    const match = message.match(rule.pattern);
+    if (!match) continue;
+
+    const payload = cleanPayload(match[rule.payload]);
+    if (!payload || EMPTY_PAYLOAD.test(payload)) continue;
+
+    // Removing a mention from the payload ("tell @John that @Sarah is late") changes what it says,
+    // and with several people mentioned the payload may not be meant for all of them;
+    // "ask X if Y" can't be relayed as "Y" without rewording it
+    let confidence = rule.confidence || 0.9;
+    if (mentions.length > 1 || /@\S/.test(match[rule.payload])) {
+      confidence = SEVERAL_MENTIONS;
+    } else if (rule.askIf && match[rule.askIf]) {
+      confidence = 0.5;
+    }
+    const language = rule.language === 'bn' && !isBengaliScript(message) ? 'banglish' : (isBengaliScript(message) ? 'bn' : rule.language);
+
+    return {
+      isRelay: true,
+      recipient: match[rule.recipient].trim(),
+      payload,
+      confidence,
+      confident: confidence >= CONFIDENT,
+      rule: rule.name,
+      language
+    };
+  }
+
+  // Relay words the rules couldn't place are left to the AI, and so are several mentions
+  // and mentions inside the text ("I told @John about it"), which can't just be dropped
+  const hinted = RELAY_HINTS.test(message);
+  const inlineMention = /@\S/.test(message.replace(/^@\S+[\s,:]*/, ''));
+  const confidence = hinted ? 0.3 : (mentions.length > 1 || inlineMention ? SEVERAL_MENTIONS : 0.9);
+
+  return {
+    isRelay: hinted,
+    recipient: null,
+    payload: cleanPayload(message),
+    confidence,
+    confident: confidence >= CONFIDENT,
+    rule: null,
+    language: isBengaliScript(message) ? 'bn' : 'en'
+  };
+}
+
+/**
+ * Runs the parser over the corpus of known phrasings
+ * @returns {Object} - { total, passed, failures: [{ text, expected, actual }] }
+ */
+function runRelayIntentSelfCheck() {
+  const failures = [];
+
+  for (const entry of relayIntentCorpus) {
+    const result = parseRelayIntent(entry.text);
+    const expected = { isRelay: entry.isRelay, recipient: entry.recipient, payload: entry.payload, confident: entry.confident };
+    const mismatched = Object.keys(expected).some(key => expected[key] !== undefined && expected[key] !== result[key]);
+
+    if (mismatched) {
+      failures.push({ text: entry.text, expected, actual: result });
+    }
+  }
+
+  return { total: relayIntentCorpus.length, passed: relayIntentCorpus.length - failures.length, failures };
+}
+
+module.exports = {
+  CONFIDENT,
+  parseRelayIntent,
+  runRelayIntentSelfCheck
+};
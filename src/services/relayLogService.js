@@ -0,0 +1,322 @@
+/**
+ * Relay Log Service
+ *
+ * Records every relayed DM in data/relays.json: who asked for it, in which
+ * chat, who it went to, the original and the AI-rewritten text, and when it
+ * was sent, delivered and read. A relay is recorded as soon as it is queued in
+ * the outbox, which reports when it was sent; the later statuses come from the
+ * receipts Baileys reports in messages.update, and the confirmation posted in the group waits
+ * for the status set in prefs.relays.confirmOn (delivered by default) instead
+ * of being posted as soon as the message is handed to WhatsApp. Relays the
+ * output guard holds for review are recorded as held, so they count toward
+ * the daily quotas, and are queued or failed once they are approved or discarded.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const outboxService = require('./outboxService');
+const relayTemplateService = require('./relayTemplateService');
+const relayThreadService = require('./relayThreadService');
+
+// Statuses of a relay, in the order they are reached
+const RELAY_STATUS = {
+  HELD: 'held', // Waiting in the approval queue
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+// Progress of each status; receipts can arrive out of order and never move a relay back
+const STATUS_RANK = {
+  [RELAY_STATUS.QUEUED]: 1,
+  [RELAY_STATUS.SENT]: 2,
+  [RELAY_STATUS.DELIVERED]: 3,
+  [RELAY_STATUS.READ]: 4
+};
+
+// Baileys message statuses (proto.WebMessageInfo.Status) and what they mean for a relay
+const RECEIPT_STATUS = {
+  0: RELAY_STATUS.FAILED,
+  1: RELAY_STATUS.QUEUED,
+  2: RELAY_STATUS.SENT,
+  3: RELAY_STATUS.DELIVERED,
+  4: RELAY_STATUS.READ,
+  5: RELAY_STATUS.READ
+};
+
+// Where the relays are stored
+const RELAYS_FILE = getDataFilePath('relays.json');
+
+/**
+ * Gets the relay log settings from user preferences
+ * @returns {Object} - { confirmOn, maxRecords }
+ */
+function getRelaySettings() {
+  return {
+    confirmOn: RELAY_STATUS.DELIVERED,
+    maxRecords: 1000,
+    ...(getPreferences().relays || {})
+  };
+}
+
+/**
+ * Loads the relays
+ * @returns {Object} - { nextId, relays }
+ */
+function loadRelays() {
+  return readJsonFile(RELAYS_FILE, { nextId: 1, relays: [] });
+}
+
+/**
+ * Saves the relays, keeping only the most recent ones
+ * @param {Object} data - { nextId, relays }
+ */
+function saveRelays(data) {
+  const { maxRecords } = getRelaySettings();
+
+  if (data.relays.length > maxRecords) {
+    data.relays = data.relays.slice(-maxRecords);
+  }
+
+  writeJsonFile(RELAYS_FILE, data);
+}
+
+/**
+ * Records a relay
+ * @param {Object} details - { chatJid, chatName, senderId, senderName, recipientJid, recipientName,
+ *   originalText, rewrittenText, text, outboxId, messageId, threadId, confirmation: { key, values }, error,
+ *   held: true for a relay held for review }
+ * @returns {Object} - The relay
+ */
+function recordRelay(details) {
+  const data = loadRelays();
+  const now = new Date().toISOString();
+  const relay = {
+    id: String(data.nextId++),
+    chatJid: details.chatJid || null,
+    chatName: details.chatName || null,
+    senderId: details.senderId || null,
+    senderName: details.senderName || null,
+    recipientJid: details.recipientJid,
+    recipientName: details.recipientName || null,
+    originalText: details.originalText || null,
+    rewrittenText: details.rewrittenText || null,
+    text: details.text,
+    // The outbox item that sends the relay; the message ID is known once it is sent
+    outboxId: details.outboxId || null,
+    messageId: details.messageId || null,
+    threadId: details.threadId || null,
+    status: details.error ? RELAY_STATUS.FAILED : (details.held ? RELAY_STATUS.HELD : RELAY_STATUS.QUEUED),
+    error: details.error || null,
+    // The group confirmation, posted once the relay reaches prefs.relays.confirmOn
+    confirmation: details.confirmation || null,
+    confirmedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    queuedAt: details.error || details.held ? null : now,
+    sentAt: null,
+    deliveredAt: null,
+    readAt: null
+  };
+
+  console.log(`Relay #${relay.id} to ${relay.recipientJid} recorded (${relay.status})`);
+  confirmIfReached(relay);
+
+  data.relays.push(relay);
+  saveRelays(data);
+  return relay;
+}
+
+/**
+ * Updates a held relay once it was approved (queued) or discarded
+ * @param {String} id - The relay ID
+ * @param {Object} details - { text, outboxId, threadId } or { error }
+ * @returns {Object|null} - The relay, or null if there is no held relay with this ID
+ */
+function releaseHeldRelay(id, details) {
+  const data = loadRelays();
+  const relay = data.relays.find(entry => entry.id === String(id) && entry.status === RELAY_STATUS.HELD);
+
+  if (!relay) return null;
+
+  const now = new Date().toISOString();
+  Object.assign(relay, {
+    text: details.text || relay.text,
+    outboxId: details.outboxId || null,
+    threadId: details.threadId || null,
+    status: details.error ? RELAY_STATUS.FAILED : RELAY_STATUS.QUEUED,
+    error: details.error || null,
+    updatedAt: now,
+    queuedAt: details.error ? null : now
+  });
+
+  console.log(`Relay #${relay.id} to ${relay.recipientJid} released (${relay.status})`);
+  confirmIfReached(relay);
+  saveRelays(data);
+  return relay;
+}
+
+/**
+ * Posts the group confirmation once a relay reached the configured status
+ * Changes the relay in place; the caller saves it
+ * @param {Object} relay - The relay
+ * @returns {Boolean} - True if the confirmation was posted now
+ */
+function confirmIfReached(relay) {
+  const confirmOn = STATUS_RANK[getRelaySettings().confirmOn] || STATUS_RANK[RELAY_STATUS.DELIVERED];
+
+  if (!relay.confirmation || relay.confirmedAt || !relay.chatJid || (STATUS_RANK[relay.status] || 0) < confirmOn) {
+    return false;
+  }
+
+  relay.confirmedAt = new Date().toISOString();
+
+  const text = relayTemplateService.renderGroupNotice(relay.chatJid, relay.confirmation.key, relay.confirmation.values);
+  console.log(`Relay #${relay.id} ${relay.status}, confirming in ${relay.chatJid}`);
+
+  try {
+    outboxService.enqueueMessage({ jid: relay.chatJid, text, source: 'relay' });
+  } catch (error) {
+    console.error(`Error sending confirmation of relay #${relay.id}:`, error);
+  }
+
+  return true;
+}
+
+/**
+ * Updates a relay once the outbox sent it or gave up on it
+ * @param {Object} item - The outbox item
+ * @param {Error|null} error - Why the relay wasn't sent, null if it was
+ * @returns {Object|null} - The relay that changed, or null
+ */
+function handleOutboxSettled(item, error) {
+  if (item.source !== 'relay') {
+    return null;
+  }
+
+  const data = loadRelays();
+  const relay = data.relays.find(entry => entry.outboxId === item.id);
+
+  if (!relay) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  relay.updatedAt = now;
+
+  if (error) {
+    relay.status = RELAY_STATUS.FAILED;
+    relay.error = error.message || String(error);
+  } else {
+    relay.messageId = item.messageId;
+    relay.error = null;
+
+    // A dead letter sent again after a retry is no longer failed
+    if (relay.status === RELAY_STATUS.FAILED || STATUS_RANK[RELAY_STATUS.SENT] > (STATUS_RANK[relay.status] || 0)) {
+      relay.status = RELAY_STATUS.SENT;
+      relay.sentAt = now;
+    }
+
+    // The thread needs the ID to recognize replies quoting the relay
+    if (relay.threadId && item.messageId) {
+      relayThreadService.setRelayMessageId(relay.threadId, item.messageId);
+    }
+  }
+
+  console.log(`Relay #${relay.id} to ${relay.recipientJid}: ${relay.status}`);
+  confirmIfReached(relay);
+  saveRelays(data);
+  return relay;
+}
+
+outboxService.onMessageSettled(handleOutboxSettled);
+
+/**
+ * Updates relays from the message receipts Baileys reports
+ * @param {Array} updates - The messages.update events ({ key, update: { status } })
+ * @returns {Array} - The relays that changed
+ */
+function handleMessageUpdates(updates) {
+  const receipts = (updates || []).filter(({ key, update }) => key?.fromMe && key.id && update && update.status !== undefined);
+
+  if (receipts.length === 0) {
+    return [];
+  }
+
+  const data = loadRelays();
+  const changed = [];
+
+  for (const { key, update } of receipts) {
+    const relay = data.relays.find(entry => entry.messageId === key.id);
+    const status = RECEIPT_STATUS[update.status];
+
+    if (!relay || !status || relay.status === RELAY_STATUS.FAILED) continue;
+
+    const now = new Date().toISOString();
+
+    if (status === RELAY_STATUS.FAILED) {
+      relay.status = status;
+      relay.error = 'WhatsApp reported an error';
+    } else if (STATUS_RANK[status] > STATUS_RANK[relay.status]) {
+      // A later receipt implies the earlier ones
+      for (const [name, rank] of Object.entries(STATUS_RANK)) {
+        const field = `${name}At`;
+        if (rank <= STATUS_RANK[status] && !relay[field]) relay[field] = now;
+      }
+      relay.status = status;
+    } else {
+      continue;
+    }
+
+    relay.updatedAt = now;
+    changed.push(relay);
+    console.log(`Relay #${relay.id} to ${relay.recipientJid}: ${relay.status}`);
+    confirmIfReached(relay);
+  }
+
+  if (changed.length > 0) {
+    saveRelays(data);
+  }
+
+  return changed;
+}
+
+/**
+ * Lists relays
+ * @param {Object} [options] - { status, jid: chat or recipient, limit }
+ * @returns {Array} - Array of relays, newest first
+ */
+function listRelays(options = {}) {
+  let relays = loadRelays().relays.slice().reverse();
+
+  if (options.status && options.status !== 'all') {
+    relays = relays.filter(relay => relay.status === options.status);
+  }
+
+  if (options.jid) {
+    relays = relays.filter(relay => relay.chatJid === options.jid || relay.recipientJid === options.jid);
+  }
+
+  return options.limit ? relays.slice(0, options.limit) : relays;
+}
+
+/**
+ * Gets a relay
+ * @param {String} id - The relay ID
+ * @returns {Object|null} - The relay or null if not found
+ */
+function getRelay(id) {
+  return loadRelays().relays.find(relay => relay.id === String(id)) || null;
+}
+
+module.exports = {
+  RELAY_STATUS,
+  getRelaySettings,
+  recordRelay,
+  releaseHeldRelay,
+  handleMessageUpdates,
+  listRelays,
+  getRelay
+};
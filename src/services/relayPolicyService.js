@@ -0,0 +1,265 @@
+/**
+ * Relay Policy Service
+ *
+ * Decides who may make the bot relay a message and to whom, so a group
+ * can't be used to DM arbitrary numbers. Each group's policy lives in
+ * preferences.relayPolicy of its JSON data, over the defaults in
+ * prefs.relayPolicy:
+ * { triggers: "admins", allowlist: ["8801..."], recipients: "members", dailyQuota: 10, rewrite: "verbatim" }
+ *
+ * - triggers: who may ask for relays (all, admins, allowlist)
+ * - recipients: who may receive them (members of the group, known contacts, any valid number)
+ * - dailyQuota: relays per sender and group in the last 24 hours (0 = no limit)
+ * - rewrite: auto lets the AI rewrite relays the rules can't parse, verbatim never rewrites
+ *
+ * Numbers must be valid E.164; numbers written with a national 0 prefix get
+ * prefs.relayPolicy.defaultCountryCode.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('./userDataService');
+const groupTriggerService = require('./groupTriggerService');
+const relayLogService = require('./relayLogService');
+
+// Who may ask for relays
+const TRIGGER_SCOPES = ['all', 'admins', 'allowlist'];
+
+// Who may receive relays
+const RECIPIENT_SCOPES = ['members', 'known', 'any'];
+
+// How relay texts may be rewritten
+const REWRITE_MODES = ['auto', 'verbatim'];
+
+// Window of the daily quota
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the default relay policy from user preferences
+ * @returns {Object} - { triggers, allowlist, recipients, dailyQuota, rewrite, defaultCountryCode }
+ */
+function getDefaultRelayPolicy() {
+  return {
+    triggers: 'all',
+    allowlist: [],
+    recipients: 'known',
+    dailyQuota: 20,
+    rewrite: 'auto',
+    defaultCountryCode: '880',
+    ...(getPreferences().relayPolicy || {})
+  };
+}
+
+/**
+ * Gets the relay policy of a chat
+ * @param {Object} userData - The chat's user data
+ * @returns {Object} - { triggers, allowlist, recipients, dailyQuota, rewrite, defaultCountryCode }
+ */
+function getRelayPolicy(userData = {}) {
+  return {
+    ...getDefaultRelayPolicy(),
+    ...(userData.preferences?.relayPolicy || {})
+  };
+}
+
+/**
+ * Converts a phone number to E.164 digits
+ * "+880 1711-111111", "008801711111111" and "8801711111111" are international;
+ * "01711111111" is national and gets the default country code
+ * @param {String} number - The phone number as written
+ * @returns {String|null} - The digits without "+" ("8801711111111"), or null if the number isn't valid
+ */
+function toE164(number) {
+  let cleanNumber = String(number || '').replace(/[\u200B-\u200D\uFEFF\u2060\u2800\s().-]/g, '');
+
+  if (!/^\+?\d+$/.test(cleanNumber)) {
+    return null;
+  }
+
+  if (cleanNumber.startsWith('+')) {
+    cleanNumber = cleanNumber.substring(1);
+  } else if (cleanNumber.startsWith('00')) {
+    cleanNumber = cleanNumber.substring(2);
+  } else if (cleanNumber.startsWith('0')) {
+    const countryCode = String(getDefaultRelayPolicy().defaultCountryCode || '').replace(/\D/g, '');
+    if (!countryCode) return null;
+    cleanNumber = countryCode + cleanNumber.substring(1);
+  }
+
+  // E.164: a country code that doesn't start with 0, at most 15 digits in total
+  return /^[1-9]\d{6,14}$/.test(cleanNumber) ? cleanNumber : null;
+}
+
+/**
+ * Sets the relay policy of a group
+ * @param {String} jid - The group JID
+ * @param {Object|null} policy - { triggers, allowlist, recipients, dailyQuota, rewrite } (merged), or null for the defaults
+ * @returns {Object} - The policy that now applies to the group
+ */
+function setRelayPolicy(jid, policy) {
+  if (!jid.endsWith('@g.us')) {
+    throw new Error('Relay policies can only be set for groups');
+  }
+
+  let relayPolicy = null;
+
+  if (policy) {
+    if (policy.triggers !== undefined && !TRIGGER_SCOPES.includes(policy.triggers)) {
+      throw new Error(`Relay triggers must be one of ${TRIGGER_SCOPES.join(', ')}`);
+    }
+
+    if (policy.recipients !== undefined && !RECIPIENT_SCOPES.includes(policy.recipients)) {
+      throw new Error(`Relay recipients must be one of ${RECIPIENT_SCOPES.join(', ')}`);
+    }
+
+    if (policy.rewrite !== undefined && !REWRITE_MODES.includes(policy.rewrite)) {
+      throw new Error(`Relay rewrite must be one of ${REWRITE_MODES.join(', ')}`);
+    }
+
+    if (policy.dailyQuota !== undefined && (!Number.isInteger(Number(policy.dailyQuota)) || Number(policy.dailyQuota) < 0)) {
+      throw new Error('The daily quota must be a whole number (0 = no limit)');
+    }
+
+    if (policy.allowlist !== undefined && !Array.isArray(policy.allowlist)) {
+      throw new Error('The allowlist must be a list of numbers');
+    }
+
+    relayPolicy = { ...(userDataService.loadUserData(jid, true).preferences?.relayPolicy || {}) };
+
+    for (const key of ['triggers', 'recipients', 'rewrite']) {
+      if (policy[key] !== undefined) relayPolicy[key] = policy[key];
+    }
+
+    if (policy.dailyQuota !== undefined) {
+      relayPolicy.dailyQuota = Number(policy.dailyQuota);
+    }
+
+    if (policy.allowlist !== undefined) {
+      relayPolicy.allowlist = policy.allowlist.map(number => {
+        const digits = toE164(number);
+        if (!digits) throw new Error(`Invalid number in the allowlist: ${number}`);
+        return digits;
+      });
+    }
+  }
+
+  userDataService.updateUserProfile(jid, true, {}, {
+    preferences: {
+      relayPolicy
+    }
+  });
+
+  const applied = getRelayPolicy(userDataService.loadUserData(jid, true));
+  console.log(`Relay policy for ${jid}: triggers ${applied.triggers}, recipients ${applied.recipients}, quota ${applied.dailyQuota || 'none'}, rewrite ${applied.rewrite}`);
+  return applied;
+}
+
+/**
+ * Gets the phone number of a group message's sender
+ * @param {Object} userData - The group's user data
+ * @param {String} senderId - The sender JID (a phone number JID or a LID)
+ * @returns {String|null} - The phone number or null if unknown
+ */
+function getSenderNumber(userData, senderId) {
+  const sender = groupTriggerService.normalizeJid(senderId);
+
+  if (sender.endsWith('@s.whatsapp.net')) {
+    return sender.split('@')[0];
+  }
+
+  const entry = Object.entries(userData.participants || {}).find(([id, participant]) => {
+    return groupTriggerService.normalizeJid(id) === sender || groupTriggerService.normalizeJid(participant.lid || '') === sender;
+  });
+
+  return entry ? userDataService.getParticipantNumber(entry[0], entry[1]) : null;
+}
+
+/**
+ * Checks whether a sender may ask for relays in a chat
+ * Trigger permissions only apply in groups
+ * @param {String} chatJid - The chat JID
+ * @param {String} senderId - The sender JID
+ * @returns {Object} - { allowed, notice, reason }
+ */
+function checkRelayTrigger(chatJid, senderId) {
+  if (!chatJid.endsWith('@g.us')) {
+    return { allowed: true };
+  }
+
+  const userData = userDataService.loadUserData(chatJid, true);
+  const policy = getRelayPolicy(userData);
+
+  if (policy.triggers === 'admins' && !groupTriggerService.isGroupAdmin(userData, senderId)) {
+    return { allowed: false, notice: 'relayNotAllowed', reason: 'only group admins can ask for relays' };
+  }
+
+  if (policy.triggers === 'allowlist' && !(policy.allowlist || []).includes(getSenderNumber(userData, senderId))) {
+    return { allowed: false, notice: 'relayNotAllowed', reason: 'sender is not on the relay allowlist' };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Checks whether a relay to a number is allowed: a valid number, in the
+ * chat's recipient scope, within the sender's daily quota
+ * @param {String} chatJid - The chat the relay was asked for in
+ * @param {String} senderId - The sender JID
+ * @param {String} number - The recipient's phone number
+ * @returns {Object} - { allowed, number (E.164 digits), notice, reason }
+ */
+function checkRelayRecipient(chatJid, senderId, number) {
+  const digits = toE164(number);
+
+  if (!digits) {
+    return { allowed: false, number: null, notice: 'invalidNumber', reason: `${number} is not a valid phone number` };
+  }
+
+  const isGroup = chatJid.endsWith('@g.us');
+  const policy = getRelayPolicy(userDataService.loadUserData(chatJid, isGroup));
+
+  // Outside groups there are no members, the closest scope is the known contacts
+  if (policy.recipients === 'members' && isGroup && !userDataService.isKnownNumber(digits, chatJid)) {
+    return { allowed: false, number: digits, notice: 'recipientNotAllowed', reason: `${digits} is not a member of the group` };
+  }
+
+  if ((policy.recipients === 'known' || (policy.recipients === 'members' && !isGroup)) && !userDataService.isKnownNumber(digits)) {
+    return { allowed: false, number: digits, notice: 'recipientNotAllowed', reason: `${digits} is not a known contact` };
+  }
+
+  if (policy.dailyQuota > 0 && countRecentRelays(chatJid, senderId) >= policy.dailyQuota) {
+    return { allowed: false, number: digits, notice: 'quotaReached', reason: `daily quota of ${policy.dailyQuota} relays reached`, limit: policy.dailyQuota };
+  }
+
+  return { allowed: true, number: digits };
+}
+
+/**
+ * Counts the relays a sender asked for in a chat in the last 24 hours
+ * @param {String} chatJid - The chat JID
+ * @param {String} senderId - The sender JID
+ * @returns {Number} - The number of relays, failed ones excluded
+ */
+function countRecentRelays(chatJid, senderId) {
+  const since = Date.now() - QUOTA_WINDOW_MS;
+  const sender = groupTriggerService.normalizeJid(senderId);
+
+  return relayLogService.listRelays({ jid: chatJid }).filter(relay => {
+    return relay.chatJid === chatJid &&
+           groupTriggerService.normalizeJid(relay.senderId || '') === sender &&
+           relay.status !== relayLogService.RELAY_STATUS.FAILED &&
+           new Date(relay.createdAt).getTime() >= since;
+  }).length;
+}
+
+module.exports = {
+  TRIGGER_SCOPES,
+  RECIPIENT_SCOPES,
+  REWRITE_MODES,
+  getDefaultRelayPolicy,
+  getRelayPolicy,
+  setRelayPolicy,
+  toE164,
+  checkRelayTrigger,
+  checkRelayRecipient,
+  countRecentRelays
+};
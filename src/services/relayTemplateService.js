@@ -0,0 +1,303 @@
+/**
+ * Relay Template Service
+ *
+ * Renders the texts of the mention relay from the templates in
+ * config/relayTemplates.js, with changes for all groups or for one group
+ * stored in data/relay_templates.json. Also manages the table used to write
+ * names in Bengali, stored in data/name_translations.json.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const {
+  DEFAULT_RELAY_LANGUAGE,
+  RELAY_TEMPLATE_KEYS,
+  defaultRelayTemplates,
+  defaultNameTranslations
+} = require('../config/relayTemplates');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const userDataService = require('./userDataService');
+const { renderTemplate } = require('./personaService');
+
+// Template changes ({ languages: { lang: { key: text } }, groups: { jid: { lang: { key: text } } } })
+const TEMPLATES_FILE = getDataFilePath('relay_templates.json');
+
+// Editable name table
+const NAME_TRANSLATIONS_FILE = getDataFilePath('name_translations.json');
+
+// Languages not written in Latin script, where Latin group names are replaced by the fallback
+const NON_LATIN_LANGUAGES = ['bn', 'ar', 'hi'];
+
+/**
+ * Gets the default relay language from user preferences
+ * @returns {String} - The language code
+ */
+function getDefaultRelayLanguage() {
+  return getPreferences().relayTemplates?.defaultLanguage || DEFAULT_RELAY_LANGUAGE;
+}
+
+/**
+ * Loads the template changes
+ * @returns {Object} - { languages, groups }
+ */
+function loadTemplateChanges() {
+  return { languages: {}, groups: {}, ...readJsonFile(TEMPLATES_FILE, {}) };
+}
+
+/**
+ * Gets the language of a chat for relay texts
+ * @param {String} jid - The chat JID (a group or a person)
+ * @returns {String} - The chat's language, or the default relay language when it isn't set
+ */
+function getChatLanguage(jid) {
+  if (!jid) return getDefaultRelayLanguage();
+
+  const language = userDataService.loadUserData(jid, jid.endsWith('@g.us')).preferences?.language;
+  return language && language !== 'auto' ? language : getDefaultRelayLanguage();
+}
+
+/**
+ * Checks whether a key names a relay template (not an inherited member like "toString")
+ * @param {String} key - The template key
+ * @returns {Boolean} - True if the template exists
+ */
+function isRelayTemplateKey(key) {
+  return Object.prototype.hasOwnProperty.call(RELAY_TEMPLATE_KEYS, key);
+}
+
+/**
+ * Gets the template for a text
+ * Looks at the group's changes, then the changes for all groups, then the
+ * built-in templates, first in the language and then in the default language
+ * @param {String} key - The template key (relay, sentToNumber, ...)
+ * @param {Object} [options] - { language, groupJid }
+ * @returns {String} - The template
+ */
+function getRelayTemplate(key, options = {}) {
+  if (!isRelayTemplateKey(key)) {
+    throw new Error(`Unknown relay template "${key}"`);
+  }
+
+  const changes = loadTemplateChanges();
+  const group = options.groupJid ? changes.groups[options.groupJid] || {} : {};
+  const languages = [...new Set([options.language || getDefaultRelayLanguage(), getDefaultRelayLanguage(), DEFAULT_RELAY_LANGUAGE])];
+
+  for (const language of languages) {
+    const template = group[language]?.[key] || changes.languages[language]?.[key] || defaultRelayTemplates[language]?.[key];
+    if (template) {
+      return template;
+    }
+  }
+
+  return defaultRelayTemplates[DEFAULT_RELAY_LANGUAGE][key];
+}
+
+/**
+ * Lists the templates that apply to a language, marking changed ones
+ * @param {Object} [options] - { language, groupJid }
+ * @returns {Array} - Array of { key, description, template, changed }
+ */
+function listRelayTemplates(options = {}) {
+  const language = options.language || getDefaultRelayLanguage();
+  const changes = loadTemplateChanges();
+  const group = options.groupJid ? changes.groups[options.groupJid] || {} : {};
+
+  return Object.entries(RELAY_TEMPLATE_KEYS).map(([key, description]) => {
+    let changed = null;
+    if (group[language]?.[key]) {
+      changed = 'group';
+    } else if (changes.languages[language]?.[key]) {
+      changed = 'global';
+    }
+
+    return { key, description, template: getRelayTemplate(key, { language, groupJid: options.groupJid }), changed };
+  });
+}
+
+/**
+ * Changes a template for all groups or for one group
+ * @param {Object} options - { language, key, template, groupJid }
+ * @returns {String} - The saved template
+ */
+function setRelayTemplate({ language, key, template, groupJid = null }) {
+  if (!isRelayTemplateKey(key)) {
+    throw new Error(`Unknown relay template "${key}". Use one of: ${Object.keys(RELAY_TEMPLATE_KEYS).join(', ')}`);
+  }
+
+  if (!language || !/^[a-z]{2}$/.test(language)) {
+    throw new Error('A two-letter language code is required');
+  }
+
+  if (!template || typeof template !== 'string' || template.trim() === '') {
+    throw new Error('Template text is required');
+  }
+
+  const changes = loadTemplateChanges();
+  const scope = groupJid ? (changes.groups[groupJid] = changes.groups[groupJid] || {}) : changes.languages;
+  scope[language] = { ...(scope[language] || {}), [key]: template };
+
+  writeJsonFile(TEMPLATES_FILE, changes);
+  console.log(`Saved relay template ${language}.${key}${groupJid ? ` for ${groupJid}` : ''}`);
+  return template;
+}
+
+/**
+ * Removes a template change, going back to the template for all groups or the built-in one
+ * @param {Object} options - { language, key, groupJid }
+ * @returns {Boolean} - True if a change was removed
+ */
+function resetRelayTemplate({ language, key, groupJid = null }) {
+  const changes = loadTemplateChanges();
+  const scope = groupJid ? changes.groups[groupJid] : changes.languages;
+
+  if (!scope || !scope[language] || !scope[language][key]) {
+    return false;
+  }
+
+  delete scope[language][key];
+  if (Object.keys(scope[language]).length === 0) delete scope[language];
+  if (groupJid && Object.keys(scope).length === 0) delete changes.groups[groupJid];
+
+  writeJsonFile(TEMPLATES_FILE, changes);
+  console.log(`Reset relay template ${language}.${key}${groupJid ? ` for ${groupJid}` : ''}`);
+  return true;
+}
+
+/**
+ * Loads the name table, seeding the file with the built-in names on first use
+ * @returns {Object} - Map of upper-case name to Bengali name
+ */
+function loadNameTranslations() {
+  const translations = readJsonFile(NAME_TRANSLATIONS_FILE, null);
+
+  if (!translations) {
+    writeJsonFile(NAME_TRANSLATIONS_FILE, defaultNameTranslations);
+    return { ...defaultNameTranslations };
+  }
+
+  return translations;
+}
+
+/**
+ * Adds or changes a name in the table
+ * @param {String} name - The name as people write it
+ * @param {String} translation - The name in Bengali
+ * @returns {Object} - { name, translation }
+ */
+function setNameTranslation(name, translation) {
+  const key = String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+  if (!key || !translation || !String(translation).trim()) {
+    throw new Error('A name and its translation are required');
+  }
+
+  const translations = loadNameTranslations();
+  translations[key] = String(translation).trim();
+  writeJsonFile(NAME_TRANSLATIONS_FILE, translations);
+
+  console.log(`Saved name translation: ${key} -> ${translations[key]}`);
+  return { name: key, translation: translations[key] };
+}
+
+/**
+ * Removes a name from the table
+ * @param {String} name - The name
+ * @returns {Boolean} - True if the name was removed
+ */
+function deleteNameTranslation(name) {
+  const key = String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  const translations = loadNameTranslations();
+
+  if (!translations[key]) {
+    return false;
+  }
+
+  delete translations[key];
+  writeJsonFile(NAME_TRANSLATIONS_FILE, translations);
+  console.log(`Deleted name translation: ${key}`);
+  return true;
+}
+
+/**
+ * Writes a name the way a language expects it
+ * Only Bengali has a name table; other languages keep the name
+ * @param {String} name - The name
+ * @param {String} language - The language code
+ * @returns {String} - The name
+ */
+function translateName(name, language) {
+  if (!name || language !== 'bn') return name;
+
+  const translation = loadNameTranslations()[String(name).trim().replace(/\s+/g, ' ').toUpperCase()];
+  if (translation) {
+    console.log(`Translated name to Bengali: ${translation}`);
+  }
+  return translation || name;
+}
+
+/**
+ * Renders a relay text
+ * @param {String} key - The template key
+ * @param {Object} values - The placeholder values ({ groupName, senderName, message, ... })
+ * @param {Object} [options] - { language, groupJid }
+ * @returns {String} - The text
+ */
+function renderRelayText(key, values = {}, options = {}) {
+  const language = options.language || getDefaultRelayLanguage();
+  const groupFallback = getRelayTemplate('groupFallback', options);
+  let groupName = translateName(values.groupName, language);
+
+  // A name written in another script reads oddly inside the sentence
+  if (!groupName || (NON_LATIN_LANGUAGES.includes(language) && groupName === values.groupName && /^[a-zA-Z0-9\s]+$/.test(groupName))) {
+    groupName = groupFallback;
+  }
+
+  return renderTemplate(getRelayTemplate(key, options), {
+    ...values,
+    groupName,
+    senderName: translateName(values.senderName, language)
+  });
+}
+
+/**
+ * Renders a notice posted in a group, in the group's language
+ * @param {String} groupJid - The group JID
+ * @param {String} key - The template key
+ * @param {Object} [values] - The placeholder values
+ * @returns {String} - The text
+ */
+function renderGroupNotice(groupJid, key, values = {}) {
+  return renderRelayText(key, values, { language: getChatLanguage(groupJid), groupJid });
+}
+
+/**
+ * Renders the message relayed to a person, in the recipient's language
+ * The number must be in E.164 digits (relayPolicyService.toE164) to find the recipient's user file
+ * @param {Object} options - { groupJid, groupName, senderName, message, number, isTellSomeoneMessage,
+ *   repliesSharedHours: set when every reply is posted in the group, which the relay then says }
+ * @returns {String} - The text
+ */
+function renderRelayMessage({ groupJid, groupName, senderName, message, number, isTellSomeoneMessage = false, repliesSharedHours = null }) {
+  const language = getChatLanguage(`${number}@s.whatsapp.net`);
+  const values = { groupName, senderName, message, number, hours: repliesSharedHours };
+
+  const text = renderRelayText(isTellSomeoneMessage ? 'tellRelay' : 'relay', values, { language, groupJid });
+
+  // The recipient should know that whatever they answer ends up in the group
+  return repliesSharedHours ?
+         `${text}\n\n${renderRelayText('repliesShared', values, { language, groupJid })}` :
+         text;
+}
+
+module.exports = {
+  getChatLanguage,
+  getRelayTemplate,
+  listRelayTemplates,
+  setRelayTemplate,
+  resetRelayTemplate,
+  loadNameTranslations,
+  setNameTranslation,
+  deleteNameTranslation,
+  translateName,
+  renderGroupNotice,
+  renderRelayMessage
+};
@@ -0,0 +1,284 @@
+/**
+ * Relay Thread Service
+ *
+ * Tracks mention relays as threads, stored in data/relay_threads.json, so the
+ * recipient can answer: a DM that quotes the relayed message (or, with
+ * prefs.relayThreads.forwardUnquoted, any DM while the recipient's latest thread
+ * is open) is forwarded to the group quoting the original group message.
+ * Threads expire after a configurable time and can be closed by the recipient
+ * (/close), from the CLI or from the API.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const outboxService = require('./outboxService');
+const groupTriggerService = require('./groupTriggerService');
+const relayTemplateService = require('./relayTemplateService');
+
+// Statuses of a thread
+const THREAD_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+  EXPIRED: 'expired'
+};
+
+// Where the threads are stored
+const THREADS_FILE = getDataFilePath('relay_threads.json');
+
+// Finished threads kept for the CLI/API views
+const MAX_FINISHED_THREADS = 200;
+
+/**
+ * Gets the relay thread settings from user preferences
+ * @returns {Object} - { enabled, expiryHours, forwardUnquoted }
+ */
+function getThreadSettings() {
+  return {
+    enabled: true,
+    expiryHours: 24,
+    forwardUnquoted: false,
+    ...(getPreferences().relayThreads || {})
+  };
+}
+
+/**
+ * Loads the threads, marking the ones past their expiry
+ * @returns {Object} - { nextId, threads }
+ */
+function loadThreads() {
+  const data = readJsonFile(THREADS_FILE, { nextId: 1, threads: [] });
+  const now = Date.now();
+  let changed = false;
+
+  for (const thread of data.threads) {
+    if (thread.status === THREAD_STATUS.OPEN && new Date(thread.expiresAt).getTime() <= now) {
+      thread.status = THREAD_STATUS.EXPIRED;
+      thread.updatedAt = new Date(now).toISOString();
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    saveThreads(data);
+  }
+
+  return data;
+}
+
+/**
+ * Saves the threads, keeping only the most recent finished ones
+ * @param {Object} data - { nextId, threads }
+ */
+function saveThreads(data) {
+  const finished = data.threads.filter(thread => thread.status !== THREAD_STATUS.OPEN);
+
+  if (finished.length > MAX_FINISHED_THREADS) {
+    const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_THREADS));
+    data.threads = data.threads.filter(thread => !dropped.has(thread));
+  }
+
+  writeJsonFile(THREADS_FILE, data);
+}
+
+/**
+ * Opens a thread for a relayed message
+ * @param {Object} options - { groupMessage, recipientJid, recipientName, relayMessageId }
+ * @returns {Object|null} - The thread, or null if threads are disabled
+ */
+function createThread({ groupMessage, recipientJid, recipientName = null, relayMessageId = null }) {
+  const settings = getThreadSettings();
+
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const data = loadThreads();
+  const now = new Date();
+  const thread = {
+    id: String(data.nextId++),
+    groupJid: groupMessage.key.remoteJid,
+    groupName: groupMessage.metadata?.groupName || null,
+    senderId: groupMessage.key.participant || null,
+    senderName: groupMessage.pushName || null,
+    recipientJid: groupTriggerService.normalizeJid(recipientJid),
+    recipientName,
+    relayMessageId,
+    // Only what is needed to quote the original message in the group
+    original: { key: groupMessage.key, message: groupMessage.message },
+    status: THREAD_STATUS.OPEN,
+    replies: 0,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + settings.expiryHours * 60 * 60 * 1000).toISOString()
+  };
+
+  data.threads.push(thread);
+  saveThreads(data);
+
+  console.log(`Relay thread #${thread.id} opened: ${thread.recipientJid} -> ${thread.groupJid}`);
+  return thread;
+}
+
+/**
+ * Sets the WhatsApp ID of a thread's relayed message, known once the outbox sent it
+ * @param {String} id - The thread ID
+ * @param {String} relayMessageId - The ID of the relayed message
+ * @returns {Object|null} - The thread or null if not found
+ */
+function setRelayMessageId(id, relayMessageId) {
+  const data = loadThreads();
+  const thread = data.threads.find(entry => entry.id === String(id));
+
+  if (!thread) {
+    return null;
+  }
+
+  thread.relayMessageId = relayMessageId;
+  thread.updatedAt = new Date().toISOString();
+  saveThreads(data);
+  return thread;
+}
+
+/**
+ * Finds the open thread a DM answers
+ * A quoted relay picks its own thread; otherwise the recipient's latest open thread
+ * @param {Object} message - The message object from Baileys
+ * @returns {Object|null} - The thread or null
+ */
+function findThreadForReply(message) {
+  const recipientJid = groupTriggerService.normalizeJid(message.key.remoteJid);
+  const open = loadThreads().threads.filter(thread => {
+    return thread.status === THREAD_STATUS.OPEN && thread.recipientJid === recipientJid;
+  });
+
+  if (open.length === 0) {
+    return null;
+  }
+
+  const quotedId = groupTriggerService.getContextInfo(message).stanzaId;
+  if (quotedId) {
+    const quoted = open.find(thread => thread.relayMessageId === quotedId);
+    if (quoted) return quoted;
+  }
+
+  return getThreadSettings().forwardUnquoted ? open[open.length - 1] : null;
+}
+
+/**
+ * Forwards a recipient's DM to the group of the thread it answers
+ * @param {Object} message - The message object from Baileys
+ * @param {String} messageText - The message text
+ * @returns {Promise<Object|null>} - The thread the reply was forwarded to, or null if it answers none
+ */
+async function handleThreadReply(message, messageText) {
+  if (!getThreadSettings().enabled || !messageText || message.key.remoteJid.endsWith('@g.us')) {
+    return null;
+  }
+
+  const thread = findThreadForReply(message);
+  if (!thread) {
+    return null;
+  }
+
+  const recipient = message.pushName || thread.recipientName || thread.recipientJid.split('@')[0];
+  const text = relayTemplateService.renderGroupNotice(thread.groupJid, 'threadReply', {
+    recipient,
+    number: thread.recipientJid.split('@')[0],
+    message: messageText
+  });
+
+  outboxService.enqueueMessage({ jid: thread.groupJid, text, quoted: thread.original, source: 'relay' });
+
+  const data = loadThreads();
+  const saved = data.threads.find(entry => entry.id === thread.id);
+  if (saved) {
+    saved.replies += 1;
+    saved.lastReplyAt = new Date().toISOString();
+    saved.updatedAt = saved.lastReplyAt;
+    saveThreads(data);
+  }
+
+  console.log(`Reply from ${thread.recipientJid} forwarded to ${thread.groupJid} (relay thread #${thread.id})`);
+  return saved || thread;
+}
+
+/**
+ * Closes a thread
+ * @param {String} id - The thread ID
+ * @returns {Object} - The closed thread
+ */
+function closeThread(id) {
+  const data = loadThreads();
+  const thread = data.threads.find(entry => entry.id === String(id));
+
+  if (!thread) {
+    throw new Error(`Relay thread #${id} not found`);
+  }
+
+  if (thread.status !== THREAD_STATUS.OPEN) {
+    throw new Error(`Relay thread #${id} is already ${thread.status}`);
+  }
+
+  thread.status = THREAD_STATUS.CLOSED;
+  thread.updatedAt = new Date().toISOString();
+  saveThreads(data);
+
+  console.log(`Relay thread #${id} closed`);
+  return thread;
+}
+
+/**
+ * Closes all open threads of a recipient
+ * @param {String} recipientJid - The recipient's JID
+ * @returns {Array} - The closed threads
+ */
+function closeRecipientThreads(recipientJid) {
+  const jid = groupTriggerService.normalizeJid(recipientJid);
+
+  return listThreads({ status: THREAD_STATUS.OPEN })
+    .filter(thread => thread.recipientJid === jid)
+    .map(thread => closeThread(thread.id));
+}
+
+/**
+ * Lists threads
+ * @param {Object} [options] - { status: open|closed|expired|all, jid: group or recipient }
+ * @returns {Array} - Array of threads, oldest first
+ */
+function listThreads(options = {}) {
+  const status = options.status || THREAD_STATUS.OPEN;
+  let threads = loadThreads().threads;
+
+  if (status !== 'all') {
+    threads = threads.filter(thread => thread.status === status);
+  }
+
+  if (options.jid) {
+    const jid = groupTriggerService.normalizeJid(options.jid);
+    threads = threads.filter(thread => thread.groupJid === jid || thread.recipientJid === jid);
+  }
+
+  return threads;
+}
+
+/**
+ * Gets a thread
+ * @param {String} id - The thread ID
+ * @returns {Object|null} - The thread or null if not found
+ */
+function getThread(id) {
+  return loadThreads().threads.find(thread => thread.id === String(id)) || null;
+}
+
+module.exports = {
+  THREAD_STATUS,
+  getThreadSettings,
+  createThread,
+  setRelayMessageId,
+  findThreadForReply,
+  handleThreadReply,
+  closeThread,
+  closeRecipientThreads,
+  listThreads,
+  getThread
+};
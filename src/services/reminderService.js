@@ -0,0 +1,405 @@
+/**
+ * Reminder Service
+ *
+ * Lets chat users set reminders by talking to the bot, either with the
+ * chat commands (see chatCommandHandler) or in plain English:
+ *
+ *   /remind [dm] [when] [text]     e.g. /remind tomorrow at 9 call the supplier
+ *   /reminders                     list your reminders in this chat
+ *   /remind cancel [id]            cancel one of them
+ *   remind me in 20 minutes to check the oven
+ *
+ * Times are read with simple rules first; when those find nothing, the AI can
+ * extract the time. Reminders are stored in the chat's user data and sent by
+ * scheduler jobs, to the chat or to the requester's DM.
+ */
+
+const config = require('../config/config');
+const { getPreferences } = require('../config/userPreferences');
+const { getChatCompletion } = require('./mistralService');
+const userDataService = require('./userDataService');
+const schedulerService = require('./schedulerService');
+const timeUtils = require('../utils/timeUtils');
+
+// Where a reminder is sent
+const REMINDER_TARGETS = {
+  CHAT: 'chat',
+  DM: 'dm'
+};
+
+// Weekday names accepted in times ("on friday at 5pm")
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// A time of day: "9", "9:30", "9pm", "21:00"
+const TIME_PATTERN = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+
+/**
+ * Gets the reminder settings from user preferences
+ * @returns {Object} - { enabled, aiExtraction, defaultTime, maxPerUser }
+ */
+function getReminderSettings() {
+  return {
+    enabled: true,
+    aiExtraction: true,
+    defaultTime: '09:00',
+    maxPerUser: 10,
+    ...(getPreferences().reminders || {})
+  };
+}
+
+/**
+ * Converts a matched time of day to minutes since midnight
+ * @param {String} hourText - The hour
+ * @param {String} minuteText - The minutes (optional)
+ * @param {String} meridiem - am or pm (optional)
+ * @returns {Number|null} - Minutes since midnight or null if invalid
+ */
+function toMinutes(hourText, minuteText, meridiem) {
+  let hour = parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return hour * 60 + minute;
+}
+
+/**
+ * Checks whether a matched time of day could be on a 12-hour clock
+ * "3" or "9:30" could be morning or afternoon; "03:00", "15:00" and "3pm" can't
+ * @param {String} hourText - The hour
+ * @param {String} meridiem - am or pm (optional)
+ * @returns {Boolean} - True if the time is ambiguous
+ */
+function isTwelveHourTime(hourText, meridiem) {
+  const hour = parseInt(hourText, 10);
+  return !meridiem && !hourText.startsWith('0') && hour >= 1 && hour <= 11;
+}
+
+/**
+ * Gets the local date a number of days from now
+ * @param {Date} now - The current time
+ * @param {Number} days - Days to add
+ * @param {String} timeZone - The timezone
+ * @returns {String} - The date key (YYYY-MM-DD)
+ */
+function getDateKey(now, days, timeZone) {
+  return timeUtils.getZonedParts(new Date(now.getTime() + days * 24 * 60 * 60 * 1000), timeZone).dateKey;
+}
+
+/**
+ * Finds a reminder time in a text with simple rules
+ * @param {String} text - The text, e.g. "tomorrow at 9 call the supplier"
+ * @param {String} [timeZone] - The timezone for local times
+ * @param {Date} [now] - The current time
+ * @returns {Object|null} - { runAt, text } with the time removed from the text, or null if no time was found
+ */
+function extractReminderTime(text, timeZone = config.bot.timezone, now = new Date()) {
+  const defaultMinutes = timeUtils.parseTimeOfDay(getReminderSettings().defaultTime) ?? 9 * 60;
+  const localNow = timeUtils.getZonedParts(now, timeZone);
+  let match;
+  let runAt = null;
+
+  if ((match = text.match(/\bin\s+(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d)\b/i))) {
+    const unitMs = { m: 60000, h: 3600000, d: 86400000 }[match[2].charAt(0).toLowerCase()];
+    runAt = new Date(now.getTime() + parseInt(match[1], 10) * unitMs);
+  } else if ((match = text.match(new RegExp(`\\b(today|tomorrow)\\b(?:\\s+at)?(?:\\s+${TIME_PATTERN})?`, 'i')))) {
+    const minutes = match[2] ? toMinutes(match[2], match[3], match[4]) : defaultMinutes;
+    if (minutes === null) return null;
+    const dateKey = getDateKey(now, match[1].toLowerCase() === 'tomorrow' ? 1 : 0, timeZone);
+    runAt = timeUtils.getDateInTimeZone(dateKey, minutes, timeZone);
+    // "today at 3" after 03:00 is this afternoon
+    if (runAt <= now && match[2] && isTwelveHourTime(match[2], match[4])) {
+      runAt = timeUtils.getDateInTimeZone(dateKey, minutes + 12 * 60, timeZone);
+    }
+  } else if ((match = text.match(new RegExp(`\\b(?:on\\s+)?(?:next\\s+)?(${WEEKDAY_NAMES.join('|')})\\b(?:\\s+at)?(?:\\s+${TIME_PATTERN})?`, 'i')))) {
+    const minutes = match[2] ? toMinutes(match[2], match[3], match[4]) : defaultMinutes;
+    if (minutes === null) return null;
+    // The next such weekday, a week ahead if it is today
+    const days = ((WEEKDAY_NAMES.indexOf(match[1].toLowerCase()) - localNow.weekday + 7) % 7) || 7;
+    runAt = timeUtils.getDateInTimeZone(getDateKey(now, days, timeZone), minutes, timeZone);
+  } else if ((match = text.match(new RegExp(`\\bon\\s+(\\d{4}-\\d{2}-\\d{2})(?:\\s+at\\s+${TIME_PATTERN})?`, 'i')))) {
+    const minutes = match[2] ? toMinutes(match[2], match[3], match[4]) : defaultMinutes;
+    if (minutes === null) return null;
+    runAt = timeUtils.getDateInTimeZone(match[1], minutes, timeZone);
+  } else if ((match = text.match(new RegExp(`\\bat\\s+${TIME_PATTERN}\\b`, 'i')))) {
+    const minutes = toMinutes(match[1], match[2], match[3]);
+    if (minutes === null) return null;
+    // The next time the clock shows it; "at 3" is 03:00 or 15:00, whichever comes first
+    const times = isTwelveHourTime(match[1], match[3]) ? [minutes, minutes + 12 * 60] : [minutes];
+    runAt = [0, 1]
+      .flatMap(days => times.map(time => timeUtils.getDateInTimeZone(getDateKey(now, days, timeZone), time, timeZone)))
+      .find(date => date > now);
+  }
+
+  if (!runAt) {
+    return null;
+  }
+
+  return {
+    runAt,
+    text: cleanReminderText(text.replace(match[0], ' '))
+  };
+}
+
+/**
+ * Removes filler words around the reminder text
+ * @param {String} text - The text left after removing the time
+ * @returns {String} - The reminder text
+ */
+function cleanReminderText(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:please\s+)?remind\s+me\s*/i, '')
+    .replace(/^(?:to|that|about|of)\s+/i, '')
+    .replace(/^[\s,.:;-]+|[\s,.;-]+$/g, '')
+    .trim();
+}
+
+/**
+ * Asks the AI for the time and text of a reminder request
+ * @param {String} text - The request
+ * @param {String} [timeZone] - The timezone for local times
+ * @returns {Promise<Object|null>} - { runAt, text } or null if no time could be found
+ */
+async function extractReminderTimeWithAI(text, timeZone = config.bot.timezone) {
+  const local = timeUtils.getZonedParts(new Date(), timeZone);
+  const completion = await getChatCompletion([
+    {
+      role: 'system',
+      content: `Extract a reminder from the user's message. The current local time is ${local.dateKey} (${WEEKDAY_NAMES[local.weekday]}) ${timeUtils.formatTimeOfDay(local.minutes)}. ` +
+               'Answer only with JSON like {"time": "YYYY-MM-DD HH:MM", "text": "what to remind about"}, or {"time": null} if the message has no time.'
+    },
+    { role: 'user', content: text }
+  ]);
+
+  if (!completion.success) {
+    console.log(`Reminder time extraction skipped (${completion.errorType})`);
+    return null;
+  }
+
+  try {
+    const result = JSON.parse(completion.text.match(/\{[\s\S]*\}/)[0]);
+    const runAt = result.time ? schedulerService.parseRunAt(result.time, timeZone) : null;
+    return runAt ? { runAt, text: cleanReminderText(result.text || text) } : null;
+  } catch (error) {
+    console.log('Could not read the reminder time from the AI response:', completion.text);
+    return null;
+  }
+}
+
+/**
+ * Gets a chat's reminders that are still waiting to be sent
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {String} [senderId] - Only the reminders of this sender
+ * @returns {Array} - Array of reminders, soonest first
+ */
+function listReminders(jid, isGroup, senderId = null) {
+  const reminders = userDataService.loadUserData(jid, isGroup).reminders || [];
+  const active = reminders.filter(reminder => {
+    const job = schedulerService.getSchedule(reminder.id);
+    return job && job.status === schedulerService.JOB_STATUS.ACTIVE;
+  });
+
+  // Forget reminders that were sent or cancelled elsewhere
+  if (active.length !== reminders.length) {
+    userDataService.saveReminders(jid, isGroup, active);
+  }
+
+  return active
+    .filter(reminder => !senderId || reminder.senderId === senderId)
+    .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+}
+
+/**
+ * Creates a reminder
+ * @param {Object} options - { jid, isGroup, senderId, senderName, text, runAt, target }
+ * @returns {Object} - The reminder
+ */
+function addReminder({ jid, isGroup, senderId, senderName = null, text, runAt, target = REMINDER_TARGETS.CHAT }) {
+  const settings = getReminderSettings();
+
+  if (!text) {
+    throw new Error('What should I remind you about?');
+  }
+
+  if (listReminders(jid, isGroup, senderId).length >= settings.maxPerUser) {
+    throw new Error(`You already have ${settings.maxPerUser} reminders here, cancel one first`);
+  }
+
+  const toDm = target === REMINDER_TARGETS.DM || !isGroup;
+  const job = schedulerService.addSchedule({
+    jid: toDm ? senderId : jid,
+    text: toDm || !senderName ? `⏰ Reminder: ${text}` : `⏰ Reminder for ${senderName}: ${text}`,
+    runAt,
+    source: 'reminder'
+  });
+
+  const reminder = {
+    id: job.id,
+    text,
+    senderId,
+    senderName,
+    target: toDm ? REMINDER_TARGETS.DM : REMINDER_TARGETS.CHAT,
+    runAt: job.nextRunAt,
+    createdAt: new Date().toISOString()
+  };
+
+  const reminders = userDataService.loadUserData(jid, isGroup).reminders || [];
+  userDataService.saveReminders(jid, isGroup, [...reminders, reminder]);
+
+  console.log(`Reminder #${reminder.id} set in ${jid} for ${senderId} at ${reminder.runAt}`);
+  return reminder;
+}
+
+/**
+ * Cancels a reminder set by a sender
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {String} senderId - The sender cancelling it
+ * @param {String} id - The reminder ID
+ * @returns {Object} - The cancelled reminder
+ */
+function cancelReminder(jid, isGroup, senderId, id) {
+  const reminder = listReminders(jid, isGroup, senderId).find(entry => entry.id === String(id).replace(/^#/, ''));
+
+  if (!reminder) {
+    throw new Error(`You have no reminder #${id} here`);
+  }
+
+  schedulerService.cancelSchedule(reminder.id);
+  listReminders(jid, isGroup);
+  return reminder;
+}
+
+/**
+ * Formats a reminder time in the bot's timezone
+ * @param {String} runAt - The ISO time
+ * @returns {String} - e.g. "2025-05-02 (friday) 09:00"
+ */
+function formatReminderTime(runAt) {
+  const local = timeUtils.getZonedParts(new Date(runAt), config.bot.timezone);
+  return `${local.dateKey} (${WEEKDAY_NAMES[local.weekday]}) ${timeUtils.formatTimeOfDay(local.minutes)}`;
+}
+
+/**
+ * Formats the reminders of a sender for a chat reply
+ * @param {Array} reminders - The reminders
+ * @returns {String} - The reply text
+ */
+function formatReminderList(reminders) {
+  if (reminders.length === 0) {
+    return 'You have no reminders here. Set one with /remind [when] [text], e.g. /remind tomorrow at 9 call the supplier';
+  }
+
+  const lines = reminders.map(reminder => {
+    return `#${reminder.id} ${formatReminderTime(reminder.runAt)}${reminder.target === REMINDER_TARGETS.DM ? ' (DM)' : ''}: ${reminder.text}`;
+  });
+
+  return `⏰ Your reminders:\n${lines.join('\n')}\n\nCancel one with /remind cancel [id]`;
+}
+
+/**
+ * Creates a reminder from a request text and describes the result
+ * @param {Object} message - The message object from Baileys
+ * @param {String} request - The request, e.g. "dm tomorrow at 9 call the supplier"
+ * @returns {Promise<String>} - The reply text
+ */
+async function createReminderFromText(message, request) {
+  const jid = message.key.remoteJid;
+  const isGroup = jid.endsWith('@g.us');
+  let text = request.trim();
+  let target = REMINDER_TARGETS.CHAT;
+
+  if (/^dm\b/i.test(text)) {
+    target = REMINDER_TARGETS.DM;
+    text = text.substring(2).trim();
+  }
+
+  let parsed = extractReminderTime(text);
+  if (!parsed && getReminderSettings().aiExtraction) {
+    parsed = await extractReminderTimeWithAI(text);
+  }
+
+  if (!parsed) {
+    return 'I couldn\'t tell when to remind you. Try e.g. "/remind in 30 minutes check the oven" or "/remind tomorrow at 9 call the supplier"';
+  }
+
+  try {
+    const reminder = addReminder({
+      jid,
+      isGroup,
+      senderId: message.key.participant || jid,
+      senderName: message.pushName || null,
+      text: parsed.text,
+      runAt: parsed.runAt,
+      target
+    });
+
+    return `⏰ Reminder #${reminder.id} set for ${formatReminderTime(reminder.runAt)}${reminder.target === REMINDER_TARGETS.DM && isGroup ? ' (I\'ll send it to your DM)' : ''}: ${reminder.text}`;
+  } catch (error) {
+    return `⚠️ ${error.message}`;
+  }
+}
+
+/**
+ * Handles the /remind command
+ * @param {Object} message - The message object from Baileys
+ * @param {String} args - The text after /remind ("cancel [id]" or "[dm] [when] [text]")
+ * @returns {Promise<String>} - The reply text
+ */
+async function handleRemindCommand(message, args) {
+  const jid = message.key.remoteJid;
+  const cancel = args.trim().match(/^cancel\s+#?(\S+)$/i);
+
+  if (cancel) {
+    try {
+      const reminder = cancelReminder(jid, jid.endsWith('@g.us'), message.key.participant || jid, cancel[1]);
+      return `🗑️ Reminder #${reminder.id} cancelled: ${reminder.text}`;
+    } catch (error) {
+      return `⚠️ ${error.message}`;
+    }
+  }
+
+  return createReminderFromText(message, args);
+}
+
+/**
+ * Handles "remind me ..." requests written in plain English
+ * @param {Object} message - The message object from Baileys
+ * @param {String} messageText - The message text
+ * @returns {Promise<String|null>} - The reply text, or null if the message isn't a reminder request
+ */
+async function handleReminderMessage(message, messageText) {
+  if (!getReminderSettings().enabled || !messageText) {
+    return null;
+  }
+
+  // Leading @mentions ("@bot remind me ...") address the bot
+  const text = messageText.replace(/^(?:@\S+\s+)+/, '').trim();
+
+  if (/^(?:please\s+)?remind\s+me\b/i.test(text)) {
+    return createReminderFromText(message, text);
+  }
+
+  return null;
+}
+
+module.exports = {
+  REMINDER_TARGETS,
+  getReminderSettings,
+  extractReminderTime,
+  extractReminderTimeWithAI,
+  listReminders,
+  addReminder,
+  cancelReminder,
+  formatReminderList,
+  createReminderFromText,
+  handleRemindCommand,
+  handleReminderMessage
+};
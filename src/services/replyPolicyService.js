@@ -0,0 +1,381 @@
+/**
+ * Reply Policy Service
+ *
+ * Decides whether an incoming message gets an automatic reply. Layers are
+ * checked from the most general to the most specific:
+ *
+ * 1. global   - autoReply.enabled
+ * 2. sender   - denySenders
+ * 3. chat     - denyChats and the chat's preferences.aiEnabled
+ * 4. type     - autoReply.group / autoReply.direct, unless the chat or sender is in allowChats / allowSenders
+ * 5. trigger  - in groups, whether the message addresses the bot (mention, quote, keyword or always)
+ * 6. takeover - the chat is paused (manual reply or !pause)
+ * 7. hours    - business hours (AI reply, out-of-hours message or silence)
+ *
+ * Every decision is logged with its reason and the most recent ones are kept for /api/status.
+ *
+ * Chat commands and reminder requests skip the reply layers, but not the deny
+ * lists or a paused chat (checkCommandPolicy). Mention relays skip the type and
+ * trigger layers, but not the deny lists, the chat's aiEnabled or a paused chat
+ * (evaluateRelayPolicy), and their decisions are logged like reply decisions.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('./userDataService');
+const takeoverService = require('./takeoverService');
+const businessHoursService = require('./businessHoursService');
+const groupTriggerService = require('./groupTriggerService');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+
+// Settings changed through the CLI or API
+const SETTINGS_FILE = getDataFilePath('reply_policy.json');
+
+// Names of the allow/deny lists
+const POLICY_LISTS = ['allowChats', 'denyChats', 'allowSenders', 'denySenders'];
+
+// Recent decisions, newest first
+const recentDecisions = [];
+const MAX_RECENT_DECISIONS = 50;
+
+/**
+ * Gets the reply policy settings (preferences plus saved changes)
+ * @returns {Object} - { autoReply, allowChats, denyChats, allowSenders, denySenders }
+ */
+function getPolicySettings() {
+  const prefs = getPreferences();
+  const saved = readJsonFile(SETTINGS_FILE, {});
+  const base = prefs.replyPolicy || {};
+  const autoReply = { ...(prefs.autoReply || {}), ...(saved.autoReply || {}) };
+
+  const settings = {
+    autoReply: {
+      enabled: autoReply.enabled !== false,
+      group: { enabled: autoReply.group?.enabled !== false },
+      direct: { enabled: autoReply.direct?.enabled !== false }
+    }
+  };
+
+  for (const list of POLICY_LISTS) {
+    settings[list] = saved[list] || base[list] || [];
+  }
+
+  return settings;
+}
+
+/**
+ * Normalizes a chat or sender for list matching
+ * Phone numbers and personal JIDs compare by their digits, groups by their JID
+ * @param {String} value - A phone number or JID
+ * @returns {String} - The normalized value
+ */
+function normalizeId(value) {
+  const text = String(value || '').trim();
+
+  if (text.endsWith('@g.us')) {
+    return text;
+  }
+
+  // Strip the server and any device suffix ("8801...:12@s.whatsapp.net")
+  return text.split('@')[0].split(':')[0].replace(/[^\d]/g, '');
+}
+
+/**
+ * Checks whether a chat or sender is in a list
+ * @param {Array} list - The list of phone numbers or JIDs
+ * @param {String} id - The chat or sender JID
+ * @returns {Boolean} - True if the list contains it
+ */
+function isListed(list, id) {
+  const normalized = normalizeId(id);
+  return !!normalized && (list || []).some(entry => normalizeId(entry) === normalized);
+}
+
+/**
+ * Records a decision in the log and the recent decisions
+ * @param {Object} decision - The decision
+ * @returns {Object} - The same decision
+ */
+function recordDecision(decision) {
+  recentDecisions.unshift(decision);
+  if (recentDecisions.length > MAX_RECENT_DECISIONS) {
+    recentDecisions.length = MAX_RECENT_DECISIONS;
+  }
+
+  console.log(`Reply policy for ${decision.jid}: ${decision.allowed ? decision.action : 'no reply'} [${decision.layer}] ${decision.reason}`);
+  return decision;
+}
+
+/**
+ * Evaluates the reply policy for an incoming message
+ * @param {Object} message - The message object from Baileys
+ * @param {Object} [options] - Options ({ userName } used in the out-of-hours message, { botJids } for group triggers)
+ * @returns {Object} - { allowed, action (ai|message|none), layer, reason, message, jid, senderId, chatType, timestamp }
+ */
+function evaluateReplyPolicy(message, options = {}) {
+  const settings = getPolicySettings();
+  const jid = message.key.remoteJid;
+  const isGroup = jid.endsWith('@g.us');
+  const senderId = message.key.participant || jid;
+  const chatType = isGroup ? 'group' : 'direct';
+
+  const decide = (allowed, layer, reason, extra = {}) => recordDecision({
+    allowed,
+    action: allowed ? 'ai' : 'none',
+    layer,
+    reason,
+    message: null,
+    jid,
+    senderId,
+    chatType,
+    timestamp: new Date().toISOString(),
+    ...extra
+  });
+
+  if (!settings.autoReply.enabled) {
+    return decide(false, 'global', 'auto-reply is disabled');
+  }
+
+  if (isListed(settings.denySenders, senderId)) {
+    return decide(false, 'sender', 'sender is in the deny list');
+  }
+
+  if (isListed(settings.denyChats, jid)) {
+    return decide(false, 'chat', 'chat is in the deny list');
+  }
+
+  const userData = userDataService.loadUserData(jid, isGroup);
+
+  if (userData.preferences?.aiEnabled === false) {
+    return decide(false, 'chat', 'auto-reply is turned off for this chat');
+  }
+
+  const allowListed = isListed(settings.allowChats, jid) || isListed(settings.allowSenders, senderId);
+
+  if (!settings.autoReply[chatType].enabled && !allowListed) {
+    return decide(false, 'type', `auto-reply is disabled for ${chatType} chats`);
+  }
+
+  if (isGroup) {
+    const trigger = groupTriggerService.checkGroupTrigger(message, userData, options.botJids || []);
+    if (!trigger.triggered) {
+      return decide(false, 'trigger', trigger.reason);
+    }
+  }
+
+  const pauseStatus = takeoverService.getPauseStatus(userData);
+  if (pauseStatus.paused) {
+    return decide(false, 'takeover', `paused until ${pauseStatus.until} (${pauseStatus.reason})`);
+  }
+
+  const hours = businessHoursService.getReplyDecision(jid, isGroup, { userName: options.userName });
+  if (hours.action === 'silent') {
+    return decide(false, 'hours', `outside business hours (${hours.reason})`);
+  }
+
+  if (hours.action === 'message') {
+    return decide(true, 'hours', 'outside business hours, sending the out-of-hours message', {
+      action: 'message',
+      message: hours.message
+    });
+  }
+
+  return decide(true, allowListed ? 'allowlist' : 'type', allowListed ?
+    'chat or sender is in the allow list' :
+    `auto-reply is enabled for ${chatType} chats${hours.status.enabled ? ' and the business is open' : ''}`);
+}
+
+/**
+ * Evaluates whether a message that mentions people may be relayed to them
+ * Relays call the AI and send DMs on the sender's behalf, so they stop at the
+ * deny lists, at chats with the AI turned off and at paused chats
+ * @param {Object} message - The message object from Baileys
+ * @returns {Object} - { allowed, action (relay|none), layer, reason, message, jid, senderId, chatType, timestamp }
+ */
+function evaluateRelayPolicy(message) {
+  const settings = getPolicySettings();
+  const jid = message.key.remoteJid;
+  const isGroup = jid.endsWith('@g.us');
+  const senderId = message.key.participant || jid;
+
+  const decide = (allowed, layer, reason) => recordDecision({
+    allowed,
+    action: allowed ? 'relay' : 'none',
+    layer,
+    reason,
+    message: null,
+    jid,
+    senderId,
+    chatType: isGroup ? 'group' : 'direct',
+    timestamp: new Date().toISOString()
+  });
+
+  if (isListed(settings.denySenders, senderId)) {
+    return decide(false, 'sender', 'sender is in the deny list');
+  }
+
+  if (isListed(settings.denyChats, jid)) {
+    return decide(false, 'chat', 'chat is in the deny list');
+  }
+
+  const userData = userDataService.loadUserData(jid, isGroup);
+
+  if (userData.preferences?.aiEnabled === false) {
+    return decide(false, 'chat', 'auto-reply is turned off for this chat');
+  }
+
+  const pauseStatus = takeoverService.getPauseStatus(userData);
+  if (pauseStatus.paused) {
+    return decide(false, 'takeover', `paused until ${pauseStatus.until} (${pauseStatus.reason})`);
+  }
+
+  return decide(true, 'relay', 'mentions are relayed in this chat');
+}
+
+/**
+ * Checks whether the bot may answer chat commands (/help, /lang, ...) and reminder requests
+ * They don't need auto-reply to be on, but denied chats and senders and paused chats get
+ * no answer; in groups, reminder requests also need the group's trigger, while /commands
+ * address the bot directly
+ * @param {Object} message - The message object from Baileys
+ * @param {Object} [options] - Options ({ botJids } for group triggers)
+ * @returns {Object} - { commands, reminders, reason }
+ */
+function checkCommandPolicy(message, options = {}) {
+  const settings = getPolicySettings();
+  const jid = message.key.remoteJid;
+  const isGroup = jid.endsWith('@g.us');
+  const senderId = message.key.participant || jid;
+
+  if (isListed(settings.denySenders, senderId)) {
+    return { commands: false, reminders: false, reason: 'sender is in the deny list' };
+  }
+
+  if (isListed(settings.denyChats, jid)) {
+    return { commands: false, reminders: false, reason: 'chat is in the deny list' };
+  }
+
+  const userData = userDataService.loadUserData(jid, isGroup);
+
+  const pauseStatus = takeoverService.getPauseStatus(userData);
+  if (pauseStatus.paused) {
+    return { commands: false, reminders: false, reason: `paused until ${pauseStatus.until} (${pauseStatus.reason})` };
+  }
+
+  if (isGroup) {
+    const trigger = groupTriggerService.checkGroupTrigger(message, userData, options.botJids || []);
+    if (!trigger.triggered) {
+      return { commands: true, reminders: false, reason: trigger.reason };
+    }
+  }
+
+  return { commands: true, reminders: true, reason: null };
+}
+
+/**
+ * Gets the most recent decisions
+ * @param {Number} [limit] - Maximum number of decisions
+ * @returns {Array} - Array of decisions, newest first
+ */
+function getRecentDecisions(limit = 20) {
+  return recentDecisions.slice(0, limit);
+}
+
+/**
+ * Updates the reply policy settings and saves them
+ * @param {Object} changes - { autoReply, allowChats, denyChats, allowSenders, denySenders }
+ * @returns {Object} - The new settings
+ */
+function updatePolicySettings(changes) {
+  for (const list of POLICY_LISTS) {
+    if (changes[list] !== undefined && !Array.isArray(changes[list])) {
+      throw new Error(`${list} must be an array of phone numbers or JIDs`);
+    }
+  }
+
+  const saved = readJsonFile(SETTINGS_FILE, {});
+  const updated = { ...saved };
+
+  for (const list of POLICY_LISTS) {
+    if (changes[list] !== undefined) {
+      updated[list] = changes[list].map(entry => String(entry).trim()).filter(Boolean);
+    }
+  }
+
+  if (changes.autoReply) {
+    updated.autoReply = {
+      ...(saved.autoReply || {}),
+      ...changes.autoReply
+    };
+  }
+
+  writeJsonFile(SETTINGS_FILE, updated);
+  console.log('Reply policy updated');
+  return getPolicySettings();
+}
+
+/**
+ * Adds an entry to a policy list
+ * @param {String} list - The list name (allowChats, denyChats, allowSenders, denySenders)
+ * @param {String} id - The phone number or JID
+ * @returns {Object} - The new settings
+ */
+function addToList(list, id) {
+  if (!POLICY_LISTS.includes(list)) {
+    throw new Error(`Unknown list "${list}". Use ${POLICY_LISTS.join(', ')}`);
+  }
+
+  const settings = getPolicySettings();
+  if (isListed(settings[list], id)) {
+    return settings;
+  }
+
+  return updatePolicySettings({ [list]: [...settings[list], id] });
+}
+
+/**
+ * Removes an entry from every policy list
+ * @param {String} id - The phone number or JID
+ * @returns {Object} - The new settings
+ */
+function removeFromLists(id) {
+  const settings = getPolicySettings();
+  const normalized = normalizeId(id);
+  const changes = {};
+
+  for (const list of POLICY_LISTS) {
+    changes[list] = settings[list].filter(entry => normalizeId(entry) !== normalized);
+  }
+
+  return updatePolicySettings(changes);
+}
+
+/**
+ * Turns auto-reply on or off for one chat (preferences.aiEnabled)
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Boolean} enabled - Whether the chat gets automatic replies
+ * @returns {Boolean} - The saved value
+ */
+function setChatAutoReply(jid, isGroup, enabled) {
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      aiEnabled: !!enabled
+    }
+  });
+
+  console.log(`Auto-reply for ${jid}: ${enabled ? 'on' : 'off'}`);
+  return !!enabled;
+}
+
+module.exports = {
+  POLICY_LISTS,
+  getPolicySettings,
+  evaluateReplyPolicy,
+  evaluateRelayPolicy,
+  checkCommandPolicy,
+  getRecentDecisions,
+  updatePolicySettings,
+  addToList,
+  removeFromLists,
+  setChatAutoReply
+};
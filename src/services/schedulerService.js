@@ -0,0 +1,355 @@
+/**
+ * Scheduler Service
+ *
+ * Sends messages later: one-off jobs at a given time and recurring jobs on a
+ * cron expression. Jobs are stored in data/schedules.json and survive
+ * restarts; a due job is handed to the outbox, which sends it once WhatsApp
+ * is connected. One-off jobs that came due while the bot was stopped are sent
+ * when it starts again, recurring jobs run once and continue with their next time.
+ */
+
+const config = require('../config/config');
+const { getQuickReply } = require('../config/quickReplies');
+const outboxService = require('./outboxService');
+const { getDataFilePath, readJsonFile, writeJsonFile } = require('../utils/jsonStore');
+const { getNextCronTime } = require('../utils/cronUtils');
+const timeUtils = require('../utils/timeUtils');
+
+// Statuses of a job
+const JOB_STATUS = {
+  ACTIVE: 'active',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Kinds of jobs
+const JOB_TYPES = {
+  ONCE: 'once',
+  CRON: 'cron'
+};
+
+// Where the jobs are stored
+const SCHEDULES_FILE = getDataFilePath('schedules.json');
+
+// Finished jobs kept for the CLI/API views
+const MAX_FINISHED_JOBS = 200;
+
+// Longest wait before the jobs are checked again
+const MAX_TIMER_MS = 60 * 1000;
+
+// Timer for the next check, null while the scheduler is stopped
+let timer = null;
+let running = false;
+
+/**
+ * Loads the jobs
+ * @returns {Object} - { nextId, jobs }
+ */
+function loadSchedules() {
+  return readJsonFile(SCHEDULES_FILE, { nextId: 1, jobs: [] });
+}
+
+/**
+ * Saves the jobs, keeping only the most recent finished ones
+ * @param {Object} schedules - { nextId, jobs }
+ */
+function saveSchedules(schedules) {
+  const finished = schedules.jobs.filter(job => job.status !== JOB_STATUS.ACTIVE);
+
+  if (finished.length > MAX_FINISHED_JOBS) {
+    const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+    schedules.jobs = schedules.jobs.filter(job => !dropped.has(job));
+  }
+
+  writeJsonFile(SCHEDULES_FILE, schedules);
+}
+
+/**
+ * Gets the text a job sends
+ * @param {Object} job - The job
+ * @returns {String|null} - The text, or null if its quick reply no longer exists
+ */
+function getJobText(job) {
+  return job.quickReply ? getQuickReply(job.quickReply) : job.text;
+}
+
+/**
+ * Parses when a one-off job should run
+ * Accepts "in 30m" / "in 2h" / "in 1d" (also "90 minutes", "2 hours"), "HH:MM" (next
+ * occurrence), "tomorrow HH:MM", "YYYY-MM-DD HH:MM" and ISO timestamps
+ * @param {String} text - The time text
+ * @param {String} [timeZone] - The timezone for local times (defaults to BOT_TIMEZONE)
+ * @returns {Date|null} - The time, or null if it can't be parsed
+ */
+function parseRunAt(text, timeZone = config.bot.timezone) {
+  const value = String(text || '').trim().toLowerCase();
+  const now = new Date();
+
+  const relative = value.match(/^(?:in\s+)?(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?)$/);
+  if (relative) {
+    const unitMs = { m: 60000, h: 3600000, d: 86400000 }[relative[2].charAt(0)];
+    return new Date(now.getTime() + parseInt(relative[1], 10) * unitMs);
+  }
+
+  const local = value.match(/^(?:(tomorrow|today|\d{4}-\d{2}-\d{2})[\sT]+)?(\d{1,2}:\d{2})$/);
+  if (local) {
+    const minutes = timeUtils.parseTimeOfDay(local[2]);
+    if (minutes === null) return null;
+
+    const today = timeUtils.getZonedParts(now, timeZone).dateKey;
+    const tomorrow = timeUtils.getZonedParts(new Date(now.getTime() + 86400000), timeZone).dateKey;
+
+    if (local[1] === 'tomorrow') return timeUtils.getDateInTimeZone(tomorrow, minutes, timeZone);
+    if (local[1] && local[1] !== 'today') return timeUtils.getDateInTimeZone(local[1], minutes, timeZone);
+
+    // A time without a date is the next time the clock shows it
+    const date = timeUtils.getDateInTimeZone(today, minutes, timeZone);
+    return local[1] || date > now ? date : timeUtils.getDateInTimeZone(tomorrow, minutes, timeZone);
+  }
+
+  const date = new Date(text);
+  return /^\d{4}-\d{2}-\d{2}t/i.test(value) && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Adds a job
+ * @param {Object} options - { jid, text, quickReply, runAt (Date or ISO string), cron, timezone, source }
+ * @returns {Object} - The new job
+ */
+function addSchedule({ jid, text = null, quickReply = null, runAt = null, cron = null, timezone = null, source = 'manual' }) {
+  if (!jid || !jid.includes('@')) {
+    throw new Error('A chat JID is required');
+  }
+
+  if (!text && !quickReply) {
+    throw new Error('A text or a quick reply is required');
+  }
+
+  if (quickReply && !getQuickReply(quickReply)) {
+    throw new Error(`Quick reply ${quickReply} not found`);
+  }
+
+  const zone = timezone || config.bot.timezone;
+  if (!timeUtils.isValidTimeZone(zone)) {
+    throw new Error(`Unknown timezone "${zone}"`);
+  }
+
+  let nextRunAt;
+  if (cron) {
+    const next = getNextCronTime(cron, new Date(), zone);
+    if (!next) {
+      throw new Error(`Cron expression "${cron}" never matches`);
+    }
+    nextRunAt = next;
+  } else {
+    nextRunAt = new Date(runAt);
+    if (!runAt || isNaN(nextRunAt.getTime())) {
+      throw new Error('A valid time or cron expression is required');
+    }
+    if (nextRunAt.getTime() < Date.now() - 60 * 1000) {
+      throw new Error('The time is in the past');
+    }
+  }
+
+  const schedules = loadSchedules();
+  const now = new Date().toISOString();
+  const job = {
+    id: String(schedules.nextId++),
+    type: cron ? JOB_TYPES.CRON : JOB_TYPES.ONCE,
+    jid,
+    text: quickReply ? null : String(text),
+    quickReply: quickReply || null,
+    cron: cron || null,
+    timezone: zone,
+    source,
+    status: JOB_STATUS.ACTIVE,
+    nextRunAt: nextRunAt.toISOString(),
+    lastRunAt: null,
+    runs: 0,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  schedules.jobs.push(job);
+  saveSchedules(schedules);
+
+  console.log(`Scheduled job #${job.id} for ${jid} at ${job.nextRunAt}${job.cron ? ` (${job.cron})` : ''}`);
+  scheduleCheck();
+  return job;
+}
+
+/**
+ * Runs one due job: queues its message and moves it to its next time
+ * @param {Object} job - The job (changed in place)
+ * @param {Date} now - The current time
+ */
+function runJob(job, now) {
+  const text = getJobText(job);
+
+  job.lastRunAt = now.toISOString();
+  job.updatedAt = job.lastRunAt;
+
+  if (text) {
+    outboxService.enqueueMessage({ jid: job.jid, text, source: 'schedule' });
+    job.runs += 1;
+    job.lastError = null;
+    console.log(`Scheduled job #${job.id} queued for ${job.jid}`);
+  } else {
+    job.lastError = `Quick reply ${job.quickReply} not found`;
+    console.error(`Scheduled job #${job.id} skipped: ${job.lastError}`);
+  }
+
+  if (job.type === JOB_TYPES.CRON) {
+    const next = getNextCronTime(job.cron, now, job.timezone);
+    job.nextRunAt = next ? next.toISOString() : null;
+    if (!next) {
+      job.status = JOB_STATUS.DONE;
+    }
+  } else {
+    job.status = text ? JOB_STATUS.DONE : JOB_STATUS.FAILED;
+  }
+}
+
+/**
+ * Runs the due jobs and schedules the next check
+ */
+function checkSchedules() {
+  const schedules = loadSchedules();
+  const now = new Date();
+  let changed = false;
+
+  for (const job of schedules.jobs) {
+    if (job.status !== JOB_STATUS.ACTIVE || new Date(job.nextRunAt).getTime() > now.getTime()) continue;
+
+    try {
+      runJob(job, now);
+    } catch (error) {
+      console.error(`Error running scheduled job #${job.id}:`, error);
+      job.lastError = error.message;
+      job.status = job.type === JOB_TYPES.CRON ? job.status : JOB_STATUS.FAILED;
+    }
+    changed = true;
+  }
+
+  if (changed) {
+    saveSchedules(schedules);
+  }
+
+  scheduleCheck(schedules.jobs);
+}
+
+/**
+ * Sets the timer for the next due job
+ * @param {Array} [jobs] - The jobs (loaded if missing)
+ */
+function scheduleCheck(jobs = null) {
+  if (!running) return;
+
+  const dueTimes = (jobs || loadSchedules().jobs)
+    .filter(job => job.status === JOB_STATUS.ACTIVE)
+    .map(job => new Date(job.nextRunAt).getTime());
+
+  clearTimeout(timer);
+  timer = null;
+
+  if (dueTimes.length > 0) {
+    // Check at least every minute so clock changes don't delay jobs
+    const delay = Math.min(MAX_TIMER_MS, Math.max(0, Math.min(...dueTimes) - Date.now()));
+    timer = setTimeout(checkSchedules, delay);
+  }
+}
+
+/**
+ * Starts the scheduler, running jobs that came due while the bot was stopped
+ */
+function startScheduler() {
+  if (running) return;
+
+  running = true;
+  const active = loadSchedules().jobs.filter(job => job.status === JOB_STATUS.ACTIVE);
+  console.log(`Scheduler started with ${active.length} active job(s)`);
+  checkSchedules();
+}
+
+/**
+ * Stops the scheduler
+ */
+function stopScheduler() {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Lists jobs
+ * @param {Object} [options] - { status: active|done|failed|cancelled|all, jid }
+ * @returns {Array} - Array of jobs, ordered by next run time (active) or creation
+ */
+function listSchedules(options = {}) {
+  const status = options.status || JOB_STATUS.ACTIVE;
+  let jobs = loadSchedules().jobs;
+
+  if (status !== 'all') {
+    jobs = jobs.filter(job => job.status === status);
+  }
+
+  if (options.jid) {
+    jobs = jobs.filter(job => job.jid === options.jid);
+  }
+
+  if (status === JOB_STATUS.ACTIVE) {
+    jobs = [...jobs].sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+  }
+
+  return jobs;
+}
+
+/**
+ * Gets a job
+ * @param {String} id - The job ID
+ * @returns {Object|null} - The job or null if not found
+ */
+function getSchedule(id) {
+  return loadSchedules().jobs.find(job => job.id === String(id)) || null;
+}
+
+/**
+ * Cancels an active job
+ * @param {String} id - The job ID
+ * @returns {Object} - The cancelled job
+ */
+function cancelSchedule(id) {
+  const schedules = loadSchedules();
+  const job = schedules.jobs.find(entry => entry.id === String(id));
+
+  if (!job) {
+    throw new Error(`Scheduled job #${id} not found`);
+  }
+
+  if (job.status !== JOB_STATUS.ACTIVE) {
+    throw new Error(`Scheduled job #${id} is already ${job.status}`);
+  }
+
+  job.status = JOB_STATUS.CANCELLED;
+  job.updatedAt = new Date().toISOString();
+  saveSchedules(schedules);
+
+  console.log(`Scheduled job #${id} cancelled`);
+  scheduleCheck(schedules.jobs);
+  return job;
+}
+
+module.exports = {
+  JOB_STATUS,
+  JOB_TYPES,
+  parseRunAt,
+  addSchedule,
+  listSchedules,
+  getSchedule,
+  cancelSchedule,
+  checkSchedules,
+  startScheduler,
+  stopScheduler
+};
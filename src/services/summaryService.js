@@ -0,0 +1,146 @@
+/**
+ * Summary Service
+ *
+ * Keeps a rolling summary of each conversation in the chat's user data so the
+ * AI keeps long-running context after the history is truncated
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('./userDataService');
+const { getChatCompletion } = require('./mistralService');
+const { truncateToTokens } = require('./contextBuilder');
+
+// Chats whose summary is currently being generated
+const summariesInProgress = new Set();
+
+/**
+ * Gets the summary settings from user preferences
+ * @returns {Object} - The summary settings
+ */
+function getSummarySettings() {
+  const prefs = getPreferences();
+
+  return {
+    enabled: true,
+    interval: 20,
+    keepRecent: 10,
+    maxTokens: 300,
+    ...(prefs.userData?.summary || {})
+  };
+}
+
+/**
+ * Gets the messages that are old enough to be summarized but not summarized yet
+ * The newest messages (keepRecent) are left out since they are sent to the AI as history
+ * @param {Object} userData - The chat's user data
+ * @param {Number} keepRecent - Number of recent messages to leave out
+ * @returns {Array} - The messages to summarize (oldest first)
+ */
+function getUnsummarizedMessages(userData, keepRecent) {
+  const conversation = userData.conversation || [];
+  const end = Math.max(0, conversation.length - keepRecent);
+  let start = 0;
+
+  if (userData.summary && userData.summary.lastMessageId) {
+    const lastIndex = conversation.findIndex(msg => msg.id === userData.summary.lastMessageId);
+    // If the last summarized message was truncated away, everything left is new
+    start = lastIndex >= 0 ? lastIndex + 1 : 0;
+  }
+
+  return start < end ? conversation.slice(start, end) : [];
+}
+
+/**
+ * Formats conversation messages as a plain transcript
+ * @param {Array} messages - The messages to format
+ * @returns {String} - The transcript
+ */
+function formatTranscript(messages) {
+  return messages.map(msg => {
+    const speaker = msg.fromMe ? 'Assistant' : (msg.sender?.name || 'User');
+    return `${speaker}: ${msg.text}`;
+  }).join('\n');
+}
+
+/**
+ * Generates a new summary for a chat and stores it in the user data
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Object} [options] - Options ({ force: summarize even below the interval })
+ * @returns {Promise<Object|null>} - The new summary or null if nothing was done
+ */
+async function updateSummary(jid, isGroup, options = {}) {
+  const settings = getSummarySettings();
+
+  if (!settings.enabled || summariesInProgress.has(jid)) {
+    return null;
+  }
+
+  const userData = userDataService.loadUserData(jid, isGroup);
+  const messages = getUnsummarizedMessages(userData, settings.keepRecent);
+
+  if (messages.length === 0 || (!options.force && messages.length < settings.interval)) {
+    return null;
+  }
+
+  summariesInProgress.add(jid);
+
+  try {
+    console.log(`Updating conversation summary for ${jid} with ${messages.length} messages`);
+
+    const previousSummary = userData.summary?.text || '';
+    const aiMessages = [
+      {
+        role: 'system',
+        content: `You maintain a running summary of a WhatsApp ${isGroup ? 'group chat' : 'conversation'} for an assistant that will continue it later.
+Write at most ${settings.maxTokens} tokens. Keep names, open questions, promises, orders, dates and preferences. Drop greetings and small talk.
+Write the summary in the language most used in the conversation. Return only the summary text.`
+      },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Current summary:\n${previousSummary}\n\n` : ''}New messages:\n${formatTranscript(messages)}\n\nWrite the updated summary.`
+      }
+    ];
+
+    const completion = await getChatCompletion(aiMessages);
+
+    if (!completion.success) {
+      console.log(`Summary update for ${jid} skipped (${completion.errorType})`);
+      return null;
+    }
+
+    const summary = {
+      text: truncateToTokens(completion.text, settings.maxTokens * 2),
+      lastMessageId: messages[messages.length - 1].id,
+      messagesSummarized: (userData.summary?.messagesSummarized || 0) + messages.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    userDataService.saveConversationSummary(jid, isGroup, summary);
+    console.log(`Conversation summary updated for ${jid} (${summary.messagesSummarized} messages summarized)`);
+    return summary;
+  } catch (error) {
+    console.error(`Error updating conversation summary for ${jid}:`, error);
+    return null;
+  } finally {
+    summariesInProgress.delete(jid);
+  }
+}
+
+/**
+ * Updates the summary in the background when enough new messages have accumulated
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ */
+function scheduleSummaryUpdate(jid, isGroup) {
+  updateSummary(jid, isGroup).catch(error => {
+    console.error(`Background summary update failed for ${jid}:`, error);
+  });
+}
+
+module.exports = {
+  getSummarySettings,
+  getUnsummarizedMessages,
+  updateSummary,
+  scheduleSummaryUpdate
+};
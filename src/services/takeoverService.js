@@ -0,0 +1,222 @@
+/**
+ * Takeover Service
+ *
+ * Detects when the account owner answers a chat by hand (from the phone or
+ * WhatsApp Web) and pauses auto-reply in that chat for a while, so the bot
+ * doesn't talk over a human. Messages sent by the bot itself are told apart
+ * by the message IDs it generated.
+ */
+
+const { generateMessageID } = require('@whiskeysockets/baileys');
+const { getPreferences } = require('../config/userPreferences');
+const userDataService = require('./userDataService');
+
+// IDs of messages sent by the bot, oldest first
+const botMessageIds = new Set();
+const MAX_TRACKED_IDS = 2000;
+
+/**
+ * Gets the takeover settings from user preferences
+ * @returns {Object} - The takeover settings
+ */
+function getTakeoverSettings() {
+  const prefs = getPreferences();
+
+  return {
+    enabled: true,
+    pauseMinutes: 30,
+    maxAgeMinutes: 10,
+    ...(prefs.takeover || {})
+  };
+}
+
+/**
+ * Records the ID of a message sent by the bot
+ * @param {String} messageId - The message ID
+ */
+function recordBotMessage(messageId) {
+  if (!messageId) return;
+
+  botMessageIds.add(messageId);
+
+  // Forget the oldest IDs so the set doesn't grow forever
+  if (botMessageIds.size > MAX_TRACKED_IDS) {
+    const oldest = botMessageIds.values().next().value;
+    botMessageIds.delete(oldest);
+  }
+}
+
+/**
+ * Checks whether a message was sent by the bot
+ * @param {String} messageId - The message ID
+ * @returns {Boolean} - True if the bot sent the message
+ */
+function isBotMessage(messageId) {
+  return botMessageIds.has(messageId);
+}
+
+/**
+ * Wraps sock.sendMessage so every message the bot sends is recorded
+ * The ID is generated up front because Baileys may emit the outgoing
+ * message event before sendMessage resolves
+ * @param {Object} sock - The WhatsApp socket connection
+ * @returns {Object} - The same socket
+ */
+function trackSentMessages(sock) {
+  if (!sock || sock.sendMessage.isTracked) {
+    return sock;
+  }
+
+  const originalSendMessage = sock.sendMessage.bind(sock);
+
+  sock.sendMessage = async (jid, content, options = {}) => {
+    const messageId = options.messageId || generateMessageID();
+    recordBotMessage(messageId);
+
+    const result = await originalSendMessage(jid, content, { ...options, messageId });
+    recordBotMessage(result?.key?.id);
+    return result;
+  };
+  sock.sendMessage.isTracked = true;
+
+  return sock;
+}
+
+/**
+ * Gets the pause status of a chat
+ * @param {Object} userData - The chat's user data
+ * @returns {Object} - { paused, until, reason }
+ */
+function getPauseStatus(userData = {}) {
+  const pausedUntil = userData.preferences?.pausedUntil;
+
+  if (!pausedUntil) {
+    return { paused: false, until: null, reason: null };
+  }
+
+  // "indefinite" keeps the chat paused until it is resumed
+  const paused = pausedUntil === 'indefinite' || new Date(pausedUntil).getTime() > Date.now();
+
+  return {
+    paused,
+    until: paused ? pausedUntil : null,
+    reason: paused ? (userData.preferences.pauseReason || null) : null
+  };
+}
+
+/**
+ * Checks whether auto-reply is paused in a chat
+ * @param {Object} userData - The chat's user data
+ * @returns {Boolean} - True if the chat is paused
+ */
+function isChatPaused(userData) {
+  return getPauseStatus(userData).paused;
+}
+
+/**
+ * Pauses auto-reply in a chat
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Number|null} minutes - Pause length in minutes (0 pauses until resumed, null uses the default)
+ * @param {String} [reason] - Why the chat was paused (manual or takeover)
+ * @param {Date} [from] - When the pause starts (defaults to now)
+ * @returns {Object} - The new pause status
+ */
+function pauseChat(jid, isGroup, minutes = null, reason = 'manual', from = new Date()) {
+  const pauseMinutes = minutes === null || minutes === undefined ? getTakeoverSettings().pauseMinutes : Number(minutes);
+
+  if (!(pauseMinutes >= 0)) {
+    throw new Error('Pause length must be a number of minutes');
+  }
+
+  const pausedUntil = pauseMinutes === 0 ?
+                      'indefinite' :
+                      new Date(from.getTime() + pauseMinutes * 60 * 1000).toISOString();
+
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      pausedUntil,
+      pauseReason: reason
+    }
+  });
+
+  console.log(`Auto-reply paused for ${jid} until ${pausedUntil} (${reason})`);
+  return { paused: true, until: pausedUntil, reason };
+}
+
+/**
+ * Resumes auto-reply in a chat
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @returns {Object} - The new pause status
+ */
+function resumeChat(jid, isGroup) {
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      pausedUntil: null,
+      pauseReason: null
+    }
+  });
+
+  console.log(`Auto-reply resumed for ${jid}`);
+  return { paused: false, until: null, reason: null };
+}
+
+/**
+ * Handles a message sent from the account (fromMe)
+ * Messages not sent by the bot mean the owner has taken over the chat
+ * @param {Object} message - The message object from Baileys
+ * @returns {Boolean} - True if the chat was paused
+ */
+function handleOwnMessage(message) {
+  const settings = getTakeoverSettings();
+  const jid = message?.key?.remoteJid;
+
+  if (!settings.enabled || !jid || jid === 'status@broadcast' || !message.message) {
+    return false;
+  }
+
+  // Reactions, protocol messages (deletes, edits) and the bot's own messages are not manual replies
+  if (message.message.protocolMessage || message.message.reactionMessage || isBotMessage(message.key.id)) {
+    return false;
+  }
+
+  const isGroup = jid.endsWith('@g.us');
+  const sentAt = message.messageTimestamp ? new Date(Number(message.messageTimestamp) * 1000) : new Date();
+
+  // Old messages from a history sync don't start a new pause: a timed pause that
+  // would already be over, or for pauses until resumed (0), one older than maxAgeMinutes
+  const maxAgeMinutes = settings.pauseMinutes > 0 ? settings.pauseMinutes : settings.maxAgeMinutes;
+  if (sentAt.getTime() + maxAgeMinutes * 60 * 1000 <= Date.now()) {
+    return false;
+  }
+
+  // Keep the owner's reply in the history so the AI knows about it after resuming
+  const text = message.message.conversation || message.message.extendedTextMessage?.text;
+  if (text) {
+    userDataService.addMessageToConversation(jid, isGroup, message, true);
+  }
+
+  // Never shorten a longer pause that was set by hand
+  const status = getPauseStatus(userDataService.loadUserData(jid, isGroup));
+  const takeoverUntil = settings.pauseMinutes > 0 ? sentAt.getTime() + settings.pauseMinutes * 60 * 1000 : Infinity;
+  if (status.paused && (status.until === 'indefinite' || new Date(status.until).getTime() >= takeoverUntil)) {
+    return false;
+  }
+
+  console.log(`Manual reply detected in ${jid}, pausing auto-reply`);
+  pauseChat(jid, isGroup, settings.pauseMinutes, 'takeover', sentAt);
+  return true;
+}
+
+module.exports = {
+  getTakeoverSettings,
+  trackSentMessages,
+  recordBotMessage,
+  isBotMessage,
+  getPauseStatus,
+  isChatPaused,
+  pauseChat,
+  resumeChat,
+  handleOwnMessage
+};
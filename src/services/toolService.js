@@ -0,0 +1,399 @@
+/**
+ * Tool Service
+ *
+ * Lets the AI call registered bot actions (function calling) on top of getChatCompletion.
+ * Each chat has a whitelist of tools and every invocation is written to the tools audit log.
+ * Texts the AI hands to a tool for sending go through the output guard like its replies.
+ */
+
+const { getPreferences } = require('../config/userPreferences');
+const { getAllQuickReplies } = require('../config/quickReplies');
+const { getChatCompletion } = require('./mistralService');
+const userDataService = require('./userDataService');
+const mentionService = require('./mentionService');
+const relayPolicyService = require('./relayPolicyService');
+const schedulerService = require('./schedulerService');
+const outputGuardService = require('./outputGuardService');
+const approvalService = require('./approvalService');
+const { appendAuditEntry, readAuditEntries } = require('../utils/auditLog');
+
+// Audit log name for tool invocations
+const TOOL_AUDIT_LOG = 'tools';
+
+// Registered tools by name, without a prototype so "toString" isn't a tool
+const tools = Object.create(null);
+
+/**
+ * Registers a tool the AI may call
+ * @param {Object} tool - { name, description, parameters (JSON schema), handler(args, context) }
+ * @returns {Object} - The registered tool
+ */
+function registerTool(tool) {
+  if (!tool || !tool.name || typeof tool.handler !== 'function') {
+    throw new Error('Tool must have a name and a handler function');
+  }
+
+  tools[tool.name] = {
+    description: '',
+    parameters: { type: 'object', properties: {} },
+    ...tool
+  };
+
+  return tools[tool.name];
+}
+
+/**
+ * Lists the registered tools
+ * @returns {Array} - Array of { name, description, parameters }
+ */
+function listTools() {
+  return Object.values(tools).map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Gets the tool settings from user preferences
+ * @returns {Object} - The tool settings
+ */
+function getToolSettings() {
+  const prefs = getPreferences();
+
+  return {
+    enabled: true,
+    defaultAllowed: ['lookup_quick_reply', 'get_group_info', 'schedule_reminder'],
+    maxRounds: 3,
+    ...(prefs.tools || {})
+  };
+}
+
+/**
+ * Gets the tools a chat is allowed to use
+ * @param {Object} userData - The chat's user data
+ * @returns {Array} - Array of tool names
+ */
+function getAllowedTools(userData = {}) {
+  const settings = getToolSettings();
+
+  if (!settings.enabled) {
+    return [];
+  }
+
+  const allowed = Array.isArray(userData.preferences?.allowedTools) ?
+                  userData.preferences.allowedTools :
+                  settings.defaultAllowed;
+
+  return allowed.filter(name => tools[name]);
+}
+
+/**
+ * Sets the tools a chat is allowed to use
+ * @param {String} jid - The chat JID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Array} toolNames - The allowed tool names
+ * @returns {Array} - The saved whitelist
+ */
+function setAllowedTools(jid, isGroup, toolNames) {
+  const unknown = toolNames.filter(name => !tools[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tools: ${unknown.join(', ')}`);
+  }
+
+  userDataService.updateUserProfile(jid, isGroup, {}, {
+    preferences: {
+      allowedTools: toolNames
+    }
+  });
+
+  console.log(`Allowed tools for ${jid}: ${toolNames.join(', ') || '(none)'}`);
+  return toolNames;
+}
+
+/**
+ * Builds the function definitions sent to the model
+ * @param {Array} toolNames - The tool names to offer
+ * @returns {Array} - Tool definitions in the OpenAI format
+ */
+function getToolDefinitions(toolNames) {
+  return toolNames.map(name => ({
+    type: 'function',
+    function: {
+      name,
+      description: tools[name].description,
+      parameters: tools[name].parameters
+    }
+  }));
+}
+
+/**
+ * Executes a single tool call from the model and records it in the audit log
+ * @param {Object} toolCall - The tool call ({ id, function: { name, arguments } })
+ * @param {Array} allowedTools - Tools allowed in the chat
+ * @param {Object} context - Invocation context ({ sock, jid, isGroup, senderId })
+ * @returns {Promise<Object>} - The tool result
+ */
+async function executeToolCall(toolCall, allowedTools, context) {
+  const name = toolCall.function?.name;
+  const startedAt = Date.now();
+  let args = {};
+  let result;
+  let success = false;
+
+  try {
+    args = typeof toolCall.function?.arguments === 'string' ?
+           JSON.parse(toolCall.function.arguments || '{}') :
+           (toolCall.function?.arguments || {});
+  } catch (error) {
+    result = { error: 'Invalid tool arguments' };
+  }
+
+  if (!result) {
+    if (!tools[name]) {
+      result = { error: `Unknown tool "${name}"` };
+    } else if (!allowedTools.includes(name)) {
+      result = { error: `Tool "${name}" is not allowed in this chat` };
+    } else {
+      try {
+        console.log(`Running tool ${name} for ${context.jid}`);
+        result = await tools[name].handler(args, context);
+        success = !(result && result.error);
+      } catch (error) {
+        console.error(`Error running tool ${name}:`, error);
+        result = { error: error.message };
+      }
+    }
+  }
+
+  appendAuditEntry(TOOL_AUDIT_LOG, {
+    chatJid: context.jid,
+    senderId: context.senderId || null,
+    tool: name,
+    arguments: args,
+    allowed: allowedTools.includes(name),
+    success,
+    result,
+    durationMs: Date.now() - startedAt
+  });
+
+  return result;
+}
+
+/**
+ * Gets a chat completion, letting the model call the chat's allowed tools
+ * Tool results are fed back to the model until it answers with text or maxRounds is reached
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} context - Invocation context ({ sock, jid, isGroup, senderId, userData })
+ * @returns {Promise<Object>} - The completion result (see getChatCompletion)
+ */
+async function getChatCompletionWithTools(messages, context) {
+  const settings = getToolSettings();
+  const allowedTools = getAllowedTools(context.userData);
+
+  if (allowedTools.length === 0) {
+    return getChatCompletion(messages);
+  }
+
+  const definitions = getToolDefinitions(allowedTools);
+  const conversation = [...messages];
+
+  for (let round = 0; round < settings.maxRounds; round++) {
+    const completion = await getChatCompletion(conversation, { tools: definitions });
+
+    if (!completion.success || completion.toolCalls.length === 0) {
+      return completion;
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: completion.text || '',
+      tool_calls: completion.toolCalls
+    });
+
+    for (const toolCall of completion.toolCalls) {
+      const result = await executeToolCall(toolCall, allowedTools, context);
+      conversation.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        name: toolCall.function?.name,
+        content: JSON.stringify(result)
+      });
+    }
+  }
+
+  // Ask for a final answer without offering tools again
+  console.log(`Tool round limit (${settings.maxRounds}) reached for ${context.jid}, requesting final answer`);
+  return getChatCompletion(conversation);
+}
+
+/**
+ * Gets recent tool invocations from the audit log
+ * @param {Object} [options] - Options ({ limit, jid })
+ * @returns {Array} - Array of audit entries, newest first
+ */
+function getToolAuditLog(options = {}) {
+  return readAuditEntries(TOOL_AUDIT_LOG, {
+    limit: options.limit,
+    filter: options.jid ? entry => entry.chatJid === options.jid : null
+  });
+}
+
+// Built-in tools
+
+registerTool({
+  name: 'lookup_quick_reply',
+  description: 'Find predefined quick reply texts by shortcut or by words they contain',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'A shortcut such as "!busy" or words to search for' }
+    },
+    required: ['query']
+  },
+  handler: async (args) => {
+    const query = String(args.query || '').toLowerCase().trim();
+    const matches = Object.entries(getAllQuickReplies())
+      .filter(([shortcut, text]) => shortcut.toLowerCase() === query ||
+                                    shortcut.toLowerCase() === `!${query}` ||
+                                    text.toLowerCase().includes(query))
+      .slice(0, 5)
+      .map(([shortcut, text]) => ({ shortcut, text }));
+
+    return { matches };
+  }
+});
+
+registerTool({
+  name: 'get_group_info',
+  description: 'Get the name, description, member count and admins of the current group chat',
+  parameters: { type: 'object', properties: {} },
+  handler: async (args, context) => {
+    if (!context.isGroup) {
+      return { error: 'This is not a group chat' };
+    }
+
+    const userData = userDataService.loadUserData(context.jid, true);
+    const participants = Object.values(userData.participants || {});
+
+    return {
+      name: userData.profile?.name || null,
+      description: userData.profile?.description || null,
+      memberCount: userData.profile?.memberCount || participants.length,
+      admins: participants.filter(p => p.isAdmin || p.isSuperAdmin).map(p => p.name).filter(Boolean)
+    };
+  }
+});
+
+registerTool({
+  name: 'schedule_reminder',
+  description: 'Send a reminder message to the current chat after a delay',
+  parameters: {
+    type: 'object',
+    properties: {
+      minutes: { type: 'number', description: 'Minutes from now' },
+      text: { type: 'string', description: 'The reminder text' }
+    },
+    required: ['minutes', 'text']
+  },
+  handler: async (args, context) => {
+    const minutes = Number(args.minutes);
+
+    if (!args.text || !(minutes > 0) || minutes > 7 * 24 * 60) {
+      return { error: 'A text and a delay between 1 minute and 7 days are required' };
+    }
+
+    // The reminder text is written by the AI, so it is checked like a reply; one held
+    // for review is sent once approved instead of at the reminder time
+    const guardResult = outputGuardService.checkOutput(`⏰ ${args.text}`, { jid: context.jid, source: 'tool_reminder' });
+
+    if (guardResult.action === outputGuardService.GUARD_ACTIONS.DROP) {
+      return { error: 'The reminder text was blocked by the output guard' };
+    }
+
+    if (guardResult.action === outputGuardService.GUARD_ACTIONS.REVIEW) {
+      const approval = approvalService.addApproval({
+        jid: context.jid,
+        isGroup: context.isGroup,
+        text: guardResult.text,
+        originalText: `⏰ ${args.text}`,
+        source: 'tool_reminder',
+        reason: guardResult.violations.map(v => v.rule).join(', '),
+        violations: guardResult.violations
+      });
+      return { scheduled: false, heldForReview: true, approvalId: approval.id };
+    }
+
+    // Reminders are scheduler jobs, so they survive restarts
+    const job = schedulerService.addSchedule({
+      jid: context.jid,
+      text: guardResult.text,
+      runAt: new Date(Date.now() + minutes * 60 * 1000),
+      source: 'tool'
+    });
+
+    return { scheduled: true, id: job.id, sendAt: job.nextRunAt };
+  }
+});
+
+registerTool({
+  name: 'relay_message',
+  description: 'Send a direct WhatsApp message to a person by name or phone number',
+  parameters: {
+    type: 'object',
+    properties: {
+      recipient: { type: 'string', description: 'The person\'s name or phone number with country code' },
+      message: { type: 'string', description: 'The message to send' }
+    },
+    required: ['recipient', 'message']
+  },
+  handler: async (args, context) => {
+    if (!args.recipient || !args.message) {
+      return { error: 'A recipient and a message are required' };
+    }
+
+    const recipient = String(args.recipient).trim();
+    const isNumber = /^\+?[\d\s-]{6,}$/.test(recipient);
+    const number = isNumber ?
+                   recipient.replace(/[^\d+]/g, '') :
+                   userDataService.findPhoneNumberByName(recipient, context.isGroup ? context.jid : null);
+
+    if (!number) {
+      const groupMatches = context.isGroup ? userDataService.findContactsByName(recipient, context.jid) : [];
+      const matches = groupMatches.length > 0 ? groupMatches : userDataService.findContactsByName(recipient);
+      return matches.length > 1 ?
+        { error: `Several people are called ${recipient}, ask which one is meant`, candidates: matches.map(match => match.name) } :
+        { error: `No phone number known for ${recipient}` };
+    }
+
+    // The chat's relay policy applies to relays asked through the AI too
+    const senderId = context.senderId || context.jid;
+    const trigger = relayPolicyService.checkRelayTrigger(context.jid, senderId);
+    const check = trigger.allowed ? relayPolicyService.checkRelayRecipient(context.jid, senderId, number) : trigger;
+    if (!check.allowed) {
+      return { error: `Not allowed to message ${recipient}: ${check.reason}` };
+    }
+
+    const relayOptions = {
+      chatJid: context.jid,
+      senderId: context.senderId,
+      recipientName: isNumber ? null : recipient,
+      originalText: args.message
+    };
+
+    // Checked like a mention relay: rewritten, held for review (the chat is told) or not sent
+    const text = await mentionService.guardRelayMessage(context.sock, null, number, args.message, relayOptions, 'tool_relay');
+    if (!text) {
+      return { error: `The message to ${recipient} was stopped by the output guard (held for review or not allowed)` };
+    }
+
+    const result = await mentionService.sendDirectMessage(context.sock, number, text, relayOptions);
+    return result ? { sent: true, recipient: number } : { error: `Could not send the message to ${recipient}` };
+  }
+});
+
+module.exports = {
+  registerTool,
+  listTools,
+  getToolSettings,
+  getAllowedTools,
+  setAllowedTools,
+  getChatCompletionWithTools,
+  getToolAuditLog
+};
@@ -72,7 +72,9 @@ function loadUserData(userId, isGroup) {
       memberCount: isGroup ? 0 : null
     },
     conversation: [],
+    summary: null, // Rolling summary of older messages ({ text, lastMessageId, messagesSummarized, updatedAt })
     participants: {}, // Track multiple users in a group
+    reminders: [], // Reminders set from the chat ({ id, text, senderId, senderName, target, runAt, createdAt })
     preferences: {
       language: 'auto', // Auto-detect language or set specific language
       aiEnabled: true,  // Whether AI replies are enabled
@@ -359,6 +361,48 @@ function updateUserProfile(userId, isGroup, profileInfo, additionalData = {}) {
   return userData;
 }
 
+/**
+ * Saves the rolling conversation summary of a chat
+ * @param {String} userId - The user's ID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Object} summary - The summary ({ text, lastMessageId, messagesSummarized, updatedAt })
+ * @returns {Object} - The updated user data
+ */
+function saveConversationSummary(userId, isGroup, summary) {
+  const userData = loadUserData(userId, isGroup);
+  userData.summary = summary;
+  saveUserData(userId, isGroup, userData);
+  return userData;
+}
+
+/**
+ * Clears the conversation history and summary of a chat
+ * @param {String} userId - The user's ID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @returns {Object} - The updated user data
+ */
+function clearConversation(userId, isGroup) {
+  const userData = loadUserData(userId, isGroup);
+  userData.conversation = [];
+  userData.summary = null;
+  saveUserData(userId, isGroup, userData);
+  return userData;
+}
+
+/**
+ * Saves the reminders set in a chat
+ * @param {String} userId - The user's ID
+ * @param {Boolean} isGroup - Whether this is a group
+ * @param {Array} reminders - The reminders
+ * @returns {Object} - The updated user data
+ */
+function saveReminders(userId, isGroup, reminders) {
+  const userData = loadUserData(userId, isGroup);
+  userData.reminders = reminders;
+  saveUserData(userId, isGroup, userData);
+  return userData;
+}
+
 /**
  * Detects the language of a message and updates user preferences
  * @param {String} userId - The user's ID
@@ -472,12 +516,86 @@ function getAllUsers() {
   return users;
 }
 
+/**
+ * Normalizes a name for comparisons ("SIHAB_BHAI" -> "sihab bhai")
+ * @param {String} name - The name
+ * @returns {String} - The normalized name
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gets the phone number of a group participant
+ * Participants of groups that use LIDs are resolved through the phone number saved from the group metadata
+ * @param {String} participantId - The participant JID
+ * @param {Object} participant - The saved participant data
+ * @returns {String|null} - The phone number or null if unknown
+ */
+function getParticipantNumber(participantId, participant = {}) {
+  if (participantId.endsWith('@s.whatsapp.net')) {
+    return participantId.split('@')[0].split(':')[0];
+  }
+
+  return participant.phoneNumber ? participant.phoneNumber.split('@')[0].split(':')[0] : null;
+}
+
+/**
+ * Finds the people with a given name, in one group or among everyone the bot knows
+ * Exact name matches win over partial ones (all words of the search found in the name)
+ * @param {String} name - The name to search for
+ * @param {String} [groupJid] - Only search this group's participants
+ * @returns {Array} - Array of { number, name, source }, one per person
+ */
+function findContactsByName(name, groupJid = null) {
+  const search = normalizeName(name);
+  if (!search) return [];
+
+  const candidates = [];
+
+  if (groupJid) {
+    const group = loadUserData(groupJid, true);
+    for (const [participantId, participant] of Object.entries(group.participants || {})) {
+      candidates.push({ number: getParticipantNumber(participantId, participant), name: participant.name, source: groupJid });
+    }
+  } else {
+    for (const user of getAllUsers()) {
+      if (user.type === 'inbox' && user.profile?.name) {
+        candidates.push({ number: user.userId.split('@')[0], name: user.profile.name, source: 'inbox' });
+      } else if (user.type === 'group') {
+        for (const [participantId, participant] of Object.entries(user.participants || {})) {
+          candidates.push({ number: getParticipantNumber(participantId, participant), name: participant.name, source: user.userId });
+        }
+      }
+    }
+  }
+
+  const known = candidates.filter(candidate => candidate.number && candidate.name);
+  const searchWords = search.split(' ');
+  const exact = known.filter(candidate => normalizeName(candidate.name) === search);
+  const partial = known.filter(candidate => {
+    const words = normalizeName(candidate.name).split(' ');
+    return searchWords.every(word => words.includes(word));
+  });
+
+  // One entry per person, even if they are in several groups
+  const matches = new Map();
+  for (const candidate of (exact.length > 0 ? exact : partial)) {
+    if (!matches.has(candidate.number)) {
+      matches.set(candidate.number, candidate);
+    }
+  }
+
+  return [...matches.values()];
+}
+
 /**
  * Finds a user's phone number by their name
  * @param {String} name - The name to search for
- * @returns {String|null} - The phone number or null if not found
+ * @param {String} [groupJid] - A group whose participants are searched first
+ * @returns {String|null} - The phone number, or null if nobody or several people match
  */
-function findPhoneNumberByName(name) {
+function findPhoneNumberByName(name, groupJid = null) {
   if (!name || typeof name !== 'string') {
     console.error('Invalid name provided to findPhoneNumberByName:', name);
     return null;
@@ -485,61 +603,51 @@ function findPhoneNumberByName(name) {
 
   console.log(`Looking for phone number for name: ${name}`);
 
-  // Normalize the name for case-insensitive comparison
-  const normalizedSearchName = name.toLowerCase().trim();
-
   try {
-    // Get all users
-    const allUsers = getAllUsers();
-
-    // First, search direct message users (more likely to have accurate names)
-    for (const user of allUsers) {
-      if (user.type === 'inbox' && user.profile && user.profile.name) {
-        const userName = user.profile.name.toLowerCase().trim();
-
-        // Check for exact or partial match
-        if (userName === normalizedSearchName ||
-            userName.includes(normalizedSearchName) ||
-            normalizedSearchName.includes(userName)) {
-
-          // Extract the phone number from the userId
-          const phoneNumber = user.userId.split('@')[0];
-          console.log(`Found phone number ${phoneNumber} for name ${name}`);
-          return phoneNumber;
-        }
-      }
+    let matches = groupJid ? findContactsByName(name, groupJid) : [];
+    if (matches.length === 0) {
+      matches = findContactsByName(name);
     }
 
-    // If not found in direct messages, search in group participants
-    for (const user of allUsers) {
-      if (user.type === 'group' && user.participants) {
-        for (const [participantId, participantData] of Object.entries(user.participants)) {
-          if (participantData.name) {
-            const participantName = participantData.name.toLowerCase().trim();
-
-            // Check for exact or partial match
-            if (participantName === normalizedSearchName ||
-                participantName.includes(normalizedSearchName) ||
-                normalizedSearchName.includes(participantName)) {
-
-              // Extract the phone number from the participant ID
-              const phoneNumber = participantId.split('@')[0];
-              console.log(`Found phone number ${phoneNumber} for name ${name} in group ${user.profile?.name || 'unknown'}`);
-              return phoneNumber;
-            }
-          }
-        }
-      }
+    if (matches.length !== 1) {
+      console.log(matches.length === 0 ?
+        `No phone number found for name: ${name}` :
+        `Name ${name} matches ${matches.length} people, not guessing`);
+      return null;
     }
 
-    console.log(`No phone number found for name: ${name}`);
-    return null;
+    console.log(`Found phone number ${matches[0].number} for name ${name}`);
+    return matches[0].number;
   } catch (error) {
     console.error('Error finding phone number by name:', error);
     return null;
   }
 }
 
+/**
+ * Checks whether the bot knows a phone number: the person chatted with the
+ * bot, or is a saved participant of one of its groups
+ * @param {String} number - The phone number (digits only)
+ * @param {String} [groupJid] - Only look at this group's participants
+ * @returns {Boolean} - True if the number is known
+ */
+function isKnownNumber(number, groupJid = null) {
+  const digits = String(number || '').replace(/\D/g, '');
+  if (!digits) return false;
+
+  if (!groupJid && fs.existsSync(getUserDataPath(`${digits}@s.whatsapp.net`, false))) {
+    return true;
+  }
+
+  const groups = groupJid ?
+    [loadUserData(groupJid, true)] :
+    getAllUsers().filter(userData => userData.type === 'group');
+
+  return groups.some(group => Object.entries(group.participants || {}).some(([participantId, participant]) => {
+    return getParticipantNumber(participantId, participant) === digits;
+  }));
+}
+
 // Initialize directories when the module is loaded
 initializeDataDirectories();
 
@@ -548,7 +656,13 @@ module.exports = {
   saveUserData,
   addMessageToConversation,
   updateUserProfile,
+  saveConversationSummary,
+  clearConversation,
+  saveReminders,
   detectAndUpdateLanguage,
   getAllUsers,
+  getParticipantNumber,
+  findContactsByName,
+  isKnownNumber,
   findPhoneNumberByName
 };
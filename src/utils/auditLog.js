@@ -0,0 +1,86 @@
+/**
+ * Audit Log Utility
+ *
+ * Appends audit entries as JSON lines to files in data/audit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataFilePath } = require('./jsonStore');
+
+// Directory holding the audit logs
+const AUDIT_DIR = getDataFilePath('audit');
+
+/**
+ * Gets the file path of an audit log
+ * @param {String} logName - The log name (e.g. "tools")
+ * @returns {String} - The file path
+ */
+function getAuditLogPath(logName) {
+  return path.join(AUDIT_DIR, `${logName}.jsonl`);
+}
+
+/**
+ * Appends an entry to an audit log
+ * @param {String} logName - The log name
+ * @param {Object} entry - The entry to record
+ * @returns {Object} - The recorded entry with its timestamp
+ */
+function appendAuditEntry(logName, entry) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+
+  try {
+    fs.mkdirSync(AUDIT_DIR, { recursive: true });
+    fs.appendFileSync(getAuditLogPath(logName), JSON.stringify(record) + '\n', 'utf8');
+  } catch (error) {
+    console.error(`Error writing ${logName} audit entry:`, error);
+  }
+
+  return record;
+}
+
+/**
+ * Reads the most recent entries of an audit log
+ * @param {String} logName - The log name
+ * @param {Object} [options] - Options ({ limit, filter })
+ * @returns {Array} - Array of entries, newest first
+ */
+function readAuditEntries(logName, options = {}) {
+  const limit = options.limit || 50;
+  const filePath = getAuditLogPath(logName);
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (!options.filter || options.filter(entry)) {
+          entries.push(entry);
+        }
+      } catch (parseError) {
+        // Skip partially written lines
+      }
+    }
+
+    return entries;
+  } catch (error) {
+    console.error(`Error reading ${logName} audit log:`, error);
+    return [];
+  }
+}
+
+module.exports = {
+  appendAuditEntry,
+  readAuditEntries
+};
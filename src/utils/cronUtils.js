@@ -0,0 +1,132 @@
+/**
+ * Cron Utility
+ *
+ * Parses five-field cron expressions ("minute hour day-of-month month day-of-week")
+ * and finds their next occurrence in a timezone. Fields support *, numbers,
+ * ranges (1-5), lists (1,15) and steps (*\/15, 9-17/2); day-of-week 0 and 7 are Sunday.
+ */
+
+const { getZonedParts } = require('./timeUtils');
+
+// Allowed range of each field
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// How far ahead to look for the next occurrence
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parses one cron field
+ * @param {String} text - The field text
+ * @param {Object} field - The field definition
+ * @returns {Set} - The allowed values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const start = match[1] === '*' ? field.min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? field.max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : start));
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {String} expression - The expression, e.g. "0 9 * * 1-5"
+ * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} - If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  parsed.anyDayOfMonth = parts[2] === '*';
+  parsed.anyDayOfWeek = parts[4] === '*';
+  return parsed;
+}
+
+/**
+ * Checks whether a calendar day matches the day fields
+ * Like cron, a day matches either field when both are restricted
+ * @param {Object} cron - The parsed expression
+ * @param {Object} parts - Zoned parts from getZonedParts
+ * @returns {Boolean} - True if the day matches
+ */
+function matchesDay(cron, parts) {
+  if (!cron.month.has(parts.month)) return false;
+
+  const dayOfMonth = cron.dayOfMonth.has(parts.day);
+  const dayOfWeek = cron.dayOfWeek.has(parts.weekday);
+
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Finds the next time a cron expression matches
+ * @param {String} expression - The cron expression
+ * @param {Date} from - Search after this moment
+ * @param {String} timeZone - The IANA timezone the expression is evaluated in
+ * @returns {Date|null} - The next occurrence, or null if there is none in the search window
+ */
+function getNextCronTime(expression, from, timeZone) {
+  const cron = parseCron(expression);
+  const minute = 60 * 1000;
+  const end = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * minute;
+
+  // Start at the next whole minute
+  let time = Math.floor(from.getTime() / minute) * minute + minute;
+
+  while (time <= end) {
+    const parts = getZonedParts(new Date(time), timeZone);
+
+    if (!matchesDay(cron, parts)) {
+      // Skip to the next local midnight
+      time += (24 * 60 - parts.minutes) * minute;
+    } else if (!cron.hour.has(parts.hour)) {
+      // Skip to the next hour
+      time += (60 - parts.minute) * minute;
+    } else if (!cron.minute.has(parts.minute)) {
+      time += minute;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextCronTime
+};
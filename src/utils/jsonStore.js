@@ -0,0 +1,84 @@
+/**
+ * JSON Store Utility
+ *
+ * Reads and writes JSON files in the data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Base directory for runtime data (same as userDataService)
+const DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Gets the path of a file in the data directory
+ * @param {String} fileName - The file name, relative to the data directory
+ * @returns {String} - The absolute file path
+ */
+function getDataFilePath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Reads a JSON file
+ * @param {String} filePath - The file path
+ * @param {*} defaultValue - Value returned when the file is missing or invalid
+ * @returns {*} - The parsed data or the default value
+ */
+function readJsonFile(filePath, defaultValue) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error);
+  }
+
+  return defaultValue;
+}
+
+/**
+ * Writes a JSON file, replacing it atomically so a crash never leaves a half-written file
+ * @param {String} filePath - The file path
+ * @param {*} data - The data to write
+ * @returns {Boolean} - True if the file was written
+ */
+function writeJsonFile(filePath, data) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+    return true;
+  } catch (error) {
+    console.error(`Error writing ${filePath}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Moves an unreadable file aside ("<file>.corrupt-<timestamp>") so it isn't overwritten
+ * @param {String} filePath - The file path
+ * @returns {String|null} - The new path, or null if the file couldn't be moved
+ */
+function moveCorruptFile(filePath) {
+  const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+
+  try {
+    fs.renameSync(filePath, corruptPath);
+    console.error(`${filePath} is unreadable, moved it to ${corruptPath}`);
+    return corruptPath;
+  } catch (error) {
+    console.error(`Error moving ${filePath} aside:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  getDataFilePath,
+  readJsonFile,
+  writeJsonFile,
+  moveCorruptFile
+};
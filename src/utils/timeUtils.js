@@ -0,0 +1,149 @@
+/**
+ * Time Utility
+ *
+ * Timezone-aware date helpers built on Intl, so schedules can be evaluated
+ * in the business's timezone regardless of the server's
+ */
+
+// Weekday keys, indexed like Date.getDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Cached formatters by timezone
+const formatters = {};
+
+/**
+ * Gets the server's timezone
+ * @returns {String} - The IANA timezone name
+ */
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Checks whether a timezone name is valid
+ * @param {String} timeZone - The IANA timezone name (e.g. "Asia/Dhaka")
+ * @returns {Boolean} - True if the timezone is known
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the calendar parts of a date in a timezone
+ * @param {Date} date - The date
+ * @param {String} timeZone - The IANA timezone name
+ * @returns {Object} - { year, month, day, hour, minute, weekday, weekdayKey, dateKey, minutes }
+ */
+function getZonedParts(date, timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    });
+  }
+
+  const parts = {};
+  for (const part of formatters[timeZone].formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  const weekdayKey = parts.weekday.toLowerCase().substring(0, 3);
+  const hour = parseInt(parts.hour, 10) % 24;
+  const minute = parseInt(parts.minute, 10);
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour,
+    minute,
+    weekday: WEEKDAYS.indexOf(weekdayKey),
+    weekdayKey,
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: hour * 60 + minute
+  };
+}
+
+/**
+ * Parses a time of day
+ * @param {String} time - The time ("09:00", "9:30" or "24:00")
+ * @returns {Number|null} - Minutes since midnight or null if invalid
+ */
+function parseTimeOfDay(time) {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes since midnight as HH:MM
+ * @param {Number} minutes - Minutes since midnight
+ * @returns {String} - The formatted time
+ */
+function formatTimeOfDay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether a string is a calendar date (YYYY-MM-DD)
+ * @param {String} value - The value to check
+ * @returns {Boolean} - True if the value is a date key
+ */
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+/**
+ * Converts a local date and time in a timezone to a Date
+ * @param {String} dateKey - The local date (YYYY-MM-DD)
+ * @param {Number} minutes - Minutes since local midnight
+ * @param {String} timeZone - The IANA timezone name
+ * @returns {Date} - The moment
+ */
+function getDateInTimeZone(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(value => parseInt(value, 10));
+  const target = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  let time = target;
+
+  // Correct by the timezone offset; twice so DST changes around the time settle
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    time += target - local;
+  }
+
+  return new Date(time);
+}
+
+module.exports = {
+  WEEKDAYS,
+  getSystemTimeZone,
+  isValidTimeZone,
+  getZonedParts,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  isDateKey,
+  getDateInTimeZone
+};
@@ -0,0 +1,168 @@
+/**
+ * Business Hours Service tests
+ *
+ * Checks opening hours (isOpenAt) and the next opening time (getNextOpening)
+ * through getScheduleStatus, in Asia/Dhaka (UTC+6, no daylight saving)
+ */
+
+// No saved settings or chat data from data/
+jest.mock('../src/utils/jsonStore', () => ({
+  getDataFilePath: fileName => fileName,
+  readJsonFile: (filePath, defaultValue) => defaultValue,
+  writeJsonFile: jest.fn(() => true)
+}));
+jest.mock('../src/services/userDataService', () => ({}));
+
+const { updatePreferences, resetPreferences } = require('../src/config/userPreferences');
+const { getScheduleStatus, validateSettings } = require('../src/services/businessHoursService');
+
+const WEEKDAY = ['09:00-18:00'];
+
+// A local Dhaka time ("2026-01-05 10:00", a Monday) as a Date
+const at = localTime => new Date(`${localTime.replace(' ', 'T')}:00+06:00`);
+
+const setHours = (businessHours = {}) => {
+  updatePreferences({
+    businessHours: {
+      enabled: true,
+      timezone: 'Asia/Dhaka',
+      weekly: { sun: [], mon: WEEKDAY, tue: WEEKDAY, wed: WEEKDAY, thu: WEEKDAY, fri: WEEKDAY, sat: [] },
+      exceptions: [],
+      ...businessHours
+    }
+  });
+};
+
+const status = localTime => getScheduleStatus({}, at(localTime));
+
+describe('businessHoursService', () => {
+  beforeEach(() => {
+    resetPreferences();
+    setHours();
+  });
+
+  describe('weekly hours', () => {
+    test.each([
+      ['2026-01-05 08:59', false],
+      ['2026-01-05 09:00', true],
+      ['2026-01-05 17:59', true],
+      ['2026-01-05 18:00', false],
+      ['2026-01-10 12:00', false]
+    ])('at %s open is %s', (localTime, open) => {
+      expect(status(localTime).open).toBe(open);
+    });
+
+    test('reports the local time in the business timezone', () => {
+      expect(status('2026-01-05 10:00').localTime).toBe('2026-01-05 mon 10:00');
+    });
+
+    test('opens in any of several ranges of a day', () => {
+      setHours({ weekly: { mon: ['09:00-12:00', '14:00-18:00'] } });
+
+      expect(status('2026-01-05 11:00').open).toBe(true);
+      expect(status('2026-01-05 13:00')).toMatchObject({ open: false, nextOpening: 'today 14:00' });
+      expect(status('2026-01-05 15:00').open).toBe(true);
+    });
+
+    test('is always open when disabled', () => {
+      setHours({ enabled: false });
+
+      expect(status('2026-01-10 03:00')).toMatchObject({ enabled: false, open: true, nextOpening: null });
+    });
+  });
+
+  describe('overnight ranges', () => {
+    beforeEach(() => {
+      setHours({ weekly: { fri: ['20:00-02:00'] } });
+    });
+
+    test('are open from the start until midnight', () => {
+      expect(status('2026-01-09 19:59').open).toBe(false);
+      expect(status('2026-01-09 20:00').open).toBe(true);
+      expect(status('2026-01-09 23:59').open).toBe(true);
+    });
+
+    test('stay open after midnight until the end, on the next day', () => {
+      expect(status('2026-01-10 00:00').open).toBe(true);
+      expect(status('2026-01-10 01:59').open).toBe(true);
+      expect(status('2026-01-10 02:00').open).toBe(false);
+    });
+
+    test('only continue on the day after the one they start on', () => {
+      expect(status('2026-01-09 01:00').open).toBe(false);
+    });
+  });
+
+  describe('exceptions', () => {
+    test('close a whole range of days', () => {
+      setHours({ exceptions: [{ date: '2026-01-05', to: '2026-01-06', hours: [], note: 'Stocktaking' }] });
+
+      expect(status('2026-01-05 10:00')).toMatchObject({ open: false, exception: 'Stocktaking', nextOpening: 'Wed 09:00' });
+      expect(status('2026-01-06 10:00').open).toBe(false);
+      expect(status('2026-01-07 10:00')).toMatchObject({ open: true, exception: null });
+    });
+
+    test('replace the weekly hours of a day', () => {
+      setHours({ exceptions: [{ date: '2026-01-10', hours: ['10:00-14:00'] }] });
+
+      expect(status('2026-01-10 09:00')).toMatchObject({ open: false, exception: '2026-01-10', nextOpening: 'today 10:00' });
+      expect(status('2026-01-10 12:00').open).toBe(true);
+      expect(status('2026-01-05 16:00').open).toBe(true);
+      expect(status('2026-01-05 16:00').exception).toBeNull();
+    });
+
+    test('end an overnight range from the day before when they close the next day', () => {
+      setHours({
+        weekly: { fri: ['20:00-02:00'] },
+        exceptions: [{ date: '2026-01-10', hours: [], note: 'Closed' }]
+      });
+
+      // The Friday range still runs into the closed Saturday
+      expect(status('2026-01-10 01:00').open).toBe(true);
+      expect(status('2026-01-10 12:00')).toMatchObject({ open: false, exception: 'Closed' });
+    });
+  });
+
+  describe('next opening', () => {
+    test.each([
+      ['2026-01-05 07:00', 'today 09:00'],
+      ['2026-01-05 19:00', 'tomorrow 09:00'],
+      ['2026-01-09 19:00', 'Mon 09:00'],
+      ['2026-01-10 12:00', 'Mon 09:00'],
+      ['2026-01-11 12:00', 'tomorrow 09:00']
+    ])('at %s is %s', (localTime, nextOpening) => {
+      expect(status(localTime).nextOpening).toBe(nextOpening);
+    });
+
+    test('is null while open', () => {
+      expect(status('2026-01-05 10:00').nextOpening).toBeNull();
+    });
+
+    test('is null when closed for the next two weeks', () => {
+      setHours({ exceptions: [{ date: '2026-01-01', to: '2026-01-31', hours: [] }] });
+
+      expect(status('2026-01-05 10:00')).toMatchObject({ open: false, nextOpening: null });
+    });
+  });
+
+  describe('validateSettings', () => {
+    test.each([
+      [{ timezone: 'Mars/Olympus' }, 'Unknown timezone "Mars/Olympus"'],
+      [{ weekly: { monday: WEEKDAY } }, 'Unknown weekday "monday"'],
+      [{ weekly: { mon: ['9-18'] } }, 'Invalid hours "9-18" for mon'],
+      [{ weekly: { mon: ['09:00-09:00'] } }, 'Invalid hours "09:00-09:00" for mon'],
+      [{ exceptions: [{ date: '25/12/2026', hours: [] }] }, 'Exceptions need a date'],
+      [{ outOfHours: { action: 'email' } }, 'Unknown out-of-hours action "email"']
+    ])('rejects %j', (settings, message) => {
+      expect(() => validateSettings(settings)).toThrow(message);
+    });
+
+    test('accepts overnight ranges and exceptions', () => {
+      expect(() => validateSettings({
+        timezone: 'Asia/Dhaka',
+        weekly: { fri: ['20:00-02:00'] },
+        exceptions: [{ date: '2026-12-24', to: '2026-12-31', hours: ['10:00-14:00'] }]
+      })).not.toThrow();
+    });
+  });
+});
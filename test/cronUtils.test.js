@@ -0,0 +1,112 @@
+/**
+ * Cron and scheduled time tests
+ *
+ * Covers getNextCronTime and the times accepted by !schedule (parseRunAt)
+ */
+
+const { getNextCronTime } = require('../src/utils/cronUtils');
+
+// parseRunAt only needs the clock; keep the outbox (and its data files) out of it
+jest.mock('../src/services/outboxService', () => ({}));
+const { parseRunAt } = require('../src/services/schedulerService');
+
+const next = (expression, from, timeZone = 'UTC') => {
+  const date = getNextCronTime(expression, new Date(from), timeZone);
+  return date && date.toISOString();
+};
+
+describe('getNextCronTime', () => {
+  test('picks the next value of a list', () => {
+    expect(next('0 9,17 * * *', '2026-01-05T10:00:00Z')).toBe('2026-01-05T17:00:00.000Z');
+    expect(next('0 9,17 * * *', '2026-01-05T18:00:00Z')).toBe('2026-01-06T09:00:00.000Z');
+  });
+
+  test('picks the next value of a step', () => {
+    expect(next('*/15 * * * *', '2026-01-05T10:07:00Z')).toBe('2026-01-05T10:15:00.000Z');
+    expect(next('*/15 * * * *', '2026-01-05T10:50:00Z')).toBe('2026-01-05T11:00:00.000Z');
+  });
+
+  test('is always after the start time', () => {
+    expect(next('0 9 * * *', '2026-01-05T09:00:00Z')).toBe('2026-01-06T09:00:00.000Z');
+  });
+
+  test('matches either the day of month or the weekday when both are set', () => {
+    // 2026-02-06 is a Friday, 2026-02-13 is both
+    expect(next('0 9 13 * 5', '2026-02-01T00:00:00Z')).toBe('2026-02-06T09:00:00.000Z');
+    expect(next('0 9 13 * 5', '2026-02-07T00:00:00Z')).toBe('2026-02-13T09:00:00.000Z');
+    // 2026-03-13 is a Friday too, 2026-03-20 only a Friday
+    expect(next('0 9 13 * 5', '2026-03-14T00:00:00Z')).toBe('2026-03-20T09:00:00.000Z');
+  });
+
+  test('reads weekday 7 as Sunday', () => {
+    expect(next('0 8 * * 7', '2026-01-05T00:00:00Z')).toBe('2026-01-11T08:00:00.000Z');
+  });
+
+  test('runs at the local time of the timezone', () => {
+    expect(next('0 9 * * *', '2026-01-05T00:00:00Z', 'Asia/Dhaka')).toBe('2026-01-05T03:00:00.000Z');
+    expect(next('0 9 * * *', '2026-07-06T00:00:00Z', 'America/New_York')).toBe('2026-07-06T13:00:00.000Z');
+  });
+
+  test('skips a time that falls in the daylight saving gap', () => {
+    // New York jumps from 02:00 to 03:00 on 2026-03-08, so 02:30 doesn't exist that day
+    expect(next('30 2 * * *', '2026-03-07T12:00:00Z', 'America/New_York')).toBe('2026-03-09T06:30:00.000Z');
+  });
+
+  test('returns null for an expression that never matches', () => {
+    expect(next('0 0 31 2 *', '2026-01-01T00:00:00Z')).toBeNull();
+  });
+});
+
+describe('parseRunAt', () => {
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-05T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const parse = (text, timeZone = 'UTC') => {
+    const date = parseRunAt(text, timeZone);
+    return date && date.toISOString();
+  };
+
+  test.each([
+    ['in 30m', '2026-01-05T10:30:00.000Z'],
+    ['2 hours', '2026-01-05T12:00:00.000Z'],
+    ['in 1 day', '2026-01-06T10:00:00.000Z']
+  ])('reads a relative time: %s', (text, expected) => {
+    expect(parse(text)).toBe(expected);
+  });
+
+  test('reads a time still ahead today as today', () => {
+    expect(parse('18:30')).toBe('2026-01-05T18:30:00.000Z');
+  });
+
+  test('reads a time already passed today as tomorrow', () => {
+    expect(parse('09:15')).toBe('2026-01-06T09:15:00.000Z');
+  });
+
+  test('reads "tomorrow HH:MM" as tomorrow even if the time is still ahead', () => {
+    expect(parse('tomorrow 18:30')).toBe('2026-01-06T18:30:00.000Z');
+  });
+
+  test('keeps "today HH:MM" and dated times in the past as they are', () => {
+    expect(parse('today 09:15')).toBe('2026-01-05T09:15:00.000Z');
+    expect(parse('2025-12-31 23:00')).toBe('2025-12-31T23:00:00.000Z');
+  });
+
+  test('reads times in the given timezone', () => {
+    // 16:00 in Dhaka (UTC+6) is 10:00 UTC, which is now, so it is tomorrow's
+    expect(parse('16:00', 'Asia/Dhaka')).toBe('2026-01-06T10:00:00.000Z');
+    expect(parse('tomorrow 09:00', 'Asia/Dhaka')).toBe('2026-01-06T03:00:00.000Z');
+  });
+
+  test('reads an ISO timestamp', () => {
+    expect(parse('2026-02-01T08:00:00Z')).toBe('2026-02-01T08:00:00.000Z');
+  });
+
+  test.each(['', 'soon', '25:00', 'next friday', '2026-02-01'])('returns null for "%s"', text => {
+    expect(parseRunAt(text, 'UTC')).toBeNull();
+  });
+});
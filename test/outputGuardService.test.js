@@ -0,0 +1,153 @@
+/**
+ * Output Guard Service tests
+ *
+ * Checks each guard rule and how the most severe action wins
+ */
+
+jest.mock('../src/utils/auditLog', () => ({
+  appendAuditEntry: jest.fn(),
+  readAuditEntries: jest.fn(() => [])
+}));
+
+const { appendAuditEntry } = require('../src/utils/auditLog');
+const { updatePreferences, resetPreferences } = require('../src/config/userPreferences');
+const { GUARD_ACTIONS, checkOutput } = require('../src/services/outputGuardService');
+
+const setGuard = guard => updatePreferences({ guard });
+
+describe('outputGuardService', () => {
+  beforeEach(() => {
+    resetPreferences();
+    appendAuditEntry.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('allows a clean reply and logs nothing', () => {
+    const result = checkOutput('Hello, how can I help?');
+
+    expect(result).toEqual({ action: GUARD_ACTIONS.ALLOW, text: 'Hello, how can I help?', violations: [] });
+    expect(appendAuditEntry).not.toHaveBeenCalled();
+  });
+
+  test('masks blocked words as whole words only', () => {
+    setGuard({ blockedWords: ['damn'] });
+
+    const result = checkOutput('Damn, the damnation is damn late', { jid: '123@s.whatsapp.net', source: 'auto_reply' });
+
+    expect(result.action).toBe(GUARD_ACTIONS.REWRITE);
+    expect(result.text).toBe('****, the damnation is **** late');
+    expect(appendAuditEntry).toHaveBeenCalledWith('guard', expect.objectContaining({
+      chatJid: '123@s.whatsapp.net',
+      source: 'auto_reply',
+      action: GUARD_ACTIONS.REWRITE,
+      originalText: 'Damn, the damnation is damn late',
+      finalText: '****, the damnation is **** late'
+    }));
+  });
+
+  test('masks blocked words in Bengali script', () => {
+    setGuard({ blockedWords: ['বাজে'] });
+
+    expect(checkOutput('এটা বাজে কথা').text).toBe('এটা **** কথা');
+  });
+
+  test('replaces every match of a regex rule', () => {
+    setGuard({ regexRules: [{ name: 'no_links', pattern: 'https?://\\S+', replacement: '[link removed]' }] });
+
+    const result = checkOutput('See http://a.example and https://b.example');
+
+    expect(result.action).toBe(GUARD_ACTIONS.REWRITE);
+    expect(result.text).toBe('See [link removed] and [link removed]');
+    expect(result.violations).toEqual([{ rule: 'no_links', detail: 'https?://\\S+', action: GUARD_ACTIONS.REWRITE }]);
+  });
+
+  test('skips an invalid regex rule', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setGuard({ regexRules: [{ pattern: '(' }] });
+
+    expect(checkOutput('Hello').action).toBe(GUARD_ACTIONS.ALLOW);
+    console.error.mockRestore();
+  });
+
+  test('shortens a long reply at a sentence boundary', () => {
+    setGuard({ maxLength: 40 });
+
+    const result = checkOutput('The shop opens at nine. It closes late in the evening today.');
+
+    expect(result.action).toBe(GUARD_ACTIONS.REWRITE);
+    expect(result.text).toBe('The shop opens at nine.');
+  });
+
+  test('shortens a long reply without a sentence boundary with an ellipsis', () => {
+    setGuard({ maxLength: 10 });
+
+    const result = checkOutput('abcdefghijklmnop');
+
+    expect(result.text).toBe('abcdefghi…');
+    expect(Array.from(result.text)).toHaveLength(10);
+  });
+
+  test('drops a long reply when the length action is drop', () => {
+    setGuard({ maxLength: 10, maxLengthAction: GUARD_ACTIONS.DROP });
+
+    expect(checkOutput('abcdefghijklmnop').action).toBe(GUARD_ACTIONS.DROP);
+  });
+
+  test.each([
+    'It costs ৳500',
+    'That will be 1,200 taka',
+    'Only Tk. 300',
+    'The price is $20'
+  ])('holds a reply with a price for review: %s', text => {
+    setGuard({ policies: { noPrices: true } });
+
+    const result = checkOutput(text);
+
+    expect(result.action).toBe(GUARD_ACTIONS.REVIEW);
+    expect(result.text).toBe(text);
+    expect(result.violations.map(v => v.rule)).toEqual(['no_prices']);
+  });
+
+  test.each([
+    'We guarantee delivery by Friday',
+    'I promise it will work',
+    'You get a full refund',
+    'ami kotha dicchi'
+  ])('holds a reply with a promise for review: %s', text => {
+    setGuard({ policies: { noPromises: true } });
+
+    expect(checkOutput(text).action).toBe(GUARD_ACTIONS.REVIEW);
+  });
+
+  test('leaves prices and promises alone when the policies are off', () => {
+    expect(checkOutput('We guarantee it for ৳500').action).toBe(GUARD_ACTIONS.ALLOW);
+  });
+
+  test('uses the most severe action of all violations', () => {
+    setGuard({ blockedWords: ['damn'], policies: { noPrices: true, action: GUARD_ACTIONS.DROP } });
+
+    const result = checkOutput('Damn, it costs ৳500');
+
+    expect(result.action).toBe(GUARD_ACTIONS.DROP);
+    expect(appendAuditEntry).toHaveBeenCalledWith('guard', expect.objectContaining({ action: GUARD_ACTIONS.DROP, finalText: null }));
+  });
+
+  test('drops a rewrite that leaves nothing to send', () => {
+    setGuard({ regexRules: [{ name: 'no_links', pattern: 'https?://\\S+' }] });
+
+    const result = checkOutput('  https://spam.example  ');
+
+    expect(result.action).toBe(GUARD_ACTIONS.DROP);
+    expect(result.text).toBe('');
+  });
+
+  test('allows everything when the guard is disabled', () => {
+    setGuard({ enabled: false, blockedWords: ['damn'] });
+
+    expect(checkOutput('damn').action).toBe(GUARD_ACTIONS.ALLOW);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Rate Limit Service tests
+ *
+ * Each test loads a fresh service, since the buckets and batches live in the module
+ */
+
+const GROUP = '123@g.us';
+const ALICE = '8801711111111@s.whatsapp.net';
+const BOB = '8801722222222@s.whatsapp.net';
+
+let rateLimitService;
+let updatePreferences;
+
+// Sets the rate limit preferences, over defaults that never refill and have no cooldown
+const setRateLimit = (settings = {}) => {
+  updatePreferences({
+    rateLimit: {
+      sender: { capacity: 5, refillPerMinute: 0 },
+      chat: { capacity: 10, refillPerMinute: 0 },
+      global: { capacity: 30, refillPerMinute: 0 },
+      cooldownSeconds: 0,
+      ...settings
+    }
+  });
+};
+
+const message = (text, sender = ALICE) => ({
+  key: { remoteJid: GROUP, participant: sender },
+  message: { conversation: text }
+});
+
+describe('rateLimitService', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-05T10:00:00Z'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ updatePreferences } = require('../src/config/userPreferences'));
+    rateLimitService = require('../src/services/rateLimitService');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  describe('checkRateLimit', () => {
+    test('refuses the sender once their bucket is empty', () => {
+      setRateLimit({ sender: { capacity: 2, refillPerMinute: 0 } });
+
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE)).toMatchObject({ allowed: false, scope: 'sender', retryInSeconds: Infinity });
+      expect(rateLimitService.checkRateLimit(GROUP, BOB).allowed).toBe(true);
+    });
+
+    test('shares a bucket between the devices of a sender', () => {
+      setRateLimit({ sender: { capacity: 1, refillPerMinute: 0 } });
+
+      expect(rateLimitService.checkRateLimit(GROUP, '8801711111111:3@s.whatsapp.net').allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).scope).toBe('sender');
+    });
+
+    test('allows the sender again once a token has refilled', () => {
+      setRateLimit({ sender: { capacity: 1, refillPerMinute: 2 } });
+
+      rateLimitService.checkRateLimit(GROUP, ALICE);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE)).toMatchObject({ allowed: false, retryInSeconds: 30 });
+
+      jest.advanceTimersByTime(30 * 1000);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+    });
+
+    test('only takes tokens when every bucket has one', () => {
+      setRateLimit({ sender: { capacity: 1, refillPerMinute: 0 }, chat: { capacity: 1, refillPerMinute: 0 } });
+
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+      // Bob's reply is refused by the chat, so Bob's own token stays
+      expect(rateLimitService.checkRateLimit(GROUP, BOB).scope).toBe('chat');
+      expect(rateLimitService.checkRateLimit('456@g.us', BOB).allowed).toBe(true);
+    });
+
+    test('limits all chats together with the global bucket', () => {
+      setRateLimit({ global: { capacity: 2, refillPerMinute: 0 } });
+
+      rateLimitService.checkRateLimit('1@g.us', ALICE);
+      rateLimitService.checkRateLimit('2@g.us', BOB);
+      expect(rateLimitService.checkRateLimit('3@g.us', '8801733333333@s.whatsapp.net').scope).toBe('global');
+      expect(rateLimitService.getRateLimitStatus().limited).toEqual({ sender: 0, chat: 0, global: 1, cooldown: 0 });
+    });
+
+    test('waits the cooldown between replies in a chat', () => {
+      setRateLimit({ cooldownSeconds: 3 });
+
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, BOB)).toMatchObject({ allowed: false, scope: 'cooldown', retryInSeconds: 3 });
+
+      jest.advanceTimersByTime(3000);
+      expect(rateLimitService.checkRateLimit(GROUP, BOB).allowed).toBe(true);
+    });
+
+    test('skips the cooldown for relays but still takes their tokens', () => {
+      setRateLimit({ cooldownSeconds: 3, sender: { capacity: 2, refillPerMinute: 0 } });
+
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE, { cooldown: false, label: 'Relay' }).allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE, { cooldown: false, label: 'Relay' }).allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE, { cooldown: false, label: 'Relay' }).scope).toBe('sender');
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`Relay to ${GROUP} rate limited (sender`));
+    });
+
+    test('allows everything when disabled', () => {
+      setRateLimit({ enabled: false, sender: { capacity: 1, refillPerMinute: 0 } });
+
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+      expect(rateLimitService.checkRateLimit(GROUP, ALICE).allowed).toBe(true);
+    });
+  });
+
+  describe('addToBatch', () => {
+    beforeEach(() => {
+      setRateLimit({ batch: { enabled: true, waitMs: 4000, maxWaitMs: 10000, maxMessages: 3 } });
+    });
+
+    test('replies once the sender has been quiet for waitMs', async () => {
+      const reply = jest.fn();
+
+      rateLimitService.addToBatch(message('hi'), reply);
+      await jest.advanceTimersByTimeAsync(3000);
+      rateLimitService.addToBatch(message('are you there?'), reply);
+      await jest.advanceTimersByTimeAsync(3999);
+      expect(reply).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(reply).toHaveBeenCalledTimes(1);
+      expect(reply.mock.calls[0][0].map(m => m.message.conversation)).toEqual(['hi', 'are you there?']);
+    });
+
+    test('replies as soon as the batch holds maxMessages', async () => {
+      const reply = jest.fn();
+
+      ['one', 'two', 'three'].forEach(text => rateLimitService.addToBatch(message(text), reply));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(reply).toHaveBeenCalledTimes(1);
+      expect(reply.mock.calls[0][0]).toHaveLength(3);
+      expect(rateLimitService.getRateLimitStatus().pendingBatches).toBe(0);
+    });
+
+    test('replies after maxWaitMs at the latest', async () => {
+      setRateLimit({ batch: { enabled: true, waitMs: 4000, maxWaitMs: 10000, maxMessages: 10 } });
+      const reply = jest.fn();
+
+      rateLimitService.addToBatch(message('one'), reply);
+      await jest.advanceTimersByTimeAsync(3500);
+      rateLimitService.addToBatch(message('two'), reply);
+      await jest.advanceTimersByTimeAsync(3500);
+      rateLimitService.addToBatch(message('three'), reply);
+
+      // The batch started at 0, so it is due at 10000 instead of 7000 + 4000
+      await jest.advanceTimersByTimeAsync(2999);
+      expect(reply).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(reply).toHaveBeenCalledTimes(1);
+      expect(reply.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    test('keeps a batch per sender', async () => {
+      const reply = jest.fn();
+
+      rateLimitService.addToBatch(message('from alice', ALICE), reply);
+      rateLimitService.addToBatch(message('from bob', BOB), reply);
+      await jest.advanceTimersByTimeAsync(4000);
+
+      expect(reply).toHaveBeenCalledTimes(2);
+      expect(reply.mock.calls.map(([messages]) => messages.length)).toEqual([1, 1]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Relay Intent Parser tests
+ *
+ * Runs the phrasings in config/relayIntentCorpus.js, the same check as !relaytest
+ */
+
+const { parseRelayIntent, runRelayIntentSelfCheck } = require('../src/services/relayIntentParser');
+
+describe('relayIntentParser', () => {
+  test('parses every phrasing in the corpus as expected', () => {
+    expect(runRelayIntentSelfCheck().failures).toEqual([]);
+  });
+
+  test.each([
+    'tell @John that @Sarah is late',
+    'tell @John to ignore @Sarah',
+    'tell @John and @Sarah that we are out of stock'
+  ])('is not confident when several people are mentioned: %s', text => {
+    const intent = parseRelayIntent(text);
+
+    expect(intent.isRelay).toBe(true);
+    expect(intent.confident).toBe(false);
+  });
+
+  test.each([
+    ['@Mike bolo ami aschi', '@Mike'],
+    ['@Andre bolo kal meeting ache', '@Andre'],
+    ['@Luke ke bolo ami aschi', '@Luke']
+  ])('keeps names ending in "ke" or "re" whole: %s', (text, recipient) => {
+    expect(parseRelayIntent(text).recipient).toBe(recipient);
+  });
+
+  test('is not confident when a mention is part of a plain message', () => {
+    expect(parseRelayIntent('I told @John about it').confident).toBe(false);
+  });
+
+  test('keeps a single leading mention out of a plain message', () => {
+    expect(parseRelayIntent('@Sarah happy birthday!')).toMatchObject({ isRelay: false, payload: 'happy birthday!', confident: true });
+  });
+});
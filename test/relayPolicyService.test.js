@@ -0,0 +1,180 @@
+/**
+ * Relay Policy Service tests
+ *
+ * Covers phone number normalization and the recipient checks: scope and daily quota
+ */
+
+jest.mock('../src/services/userDataService', () => ({
+  loadUserData: jest.fn(() => ({})),
+  isKnownNumber: jest.fn(() => false)
+}));
+
+jest.mock('../src/services/relayLogService', () => ({
+  RELAY_STATUS: { HELD: 'held', QUEUED: 'queued', SENT: 'sent', FAILED: 'failed' },
+  listRelays: jest.fn(() => [])
+}));
+
+const userDataService = require('../src/services/userDataService');
+const relayLogService = require('../src/services/relayLogService');
+const { updatePreferences, resetPreferences } = require('../src/config/userPreferences');
+const { toE164, checkRelayRecipient, countRecentRelays } = require('../src/services/relayPolicyService');
+
+const GROUP = '123@g.us';
+const CHAT = '8801711111111@s.whatsapp.net';
+const SENDER = '8801722222222:5@s.whatsapp.net';
+
+// Relays as relayLogService.listRelays returns them
+const relay = (status, hoursAgo = 1, senderId = SENDER) => ({
+  chatJid: GROUP,
+  senderId,
+  status,
+  createdAt: new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString()
+});
+
+describe('toE164', () => {
+  afterEach(() => {
+    resetPreferences();
+  });
+
+  test.each([
+    ['01711111111', '8801711111111'],
+    ['+880 1711-111111', '8801711111111'],
+    ['008801711111111', '8801711111111'],
+    ['8801711111111', '8801711111111'],
+    ['+1 (415) 555-0100', '14155550100'],
+    ['0044 20 7946 0958', '442079460958'],
+    ['\u200B+880\u20601711111111', '8801711111111']
+  ])('converts %s', (number, expected) => {
+    expect(toE164(number)).toBe(expected);
+  });
+
+  test('gives national numbers the configured country code', () => {
+    updatePreferences({ relayPolicy: { defaultCountryCode: '+91' } });
+
+    expect(toE164('09876543210')).toBe('919876543210');
+  });
+
+  test('rejects national numbers when there is no default country code', () => {
+    updatePreferences({ relayPolicy: { defaultCountryCode: '' } });
+
+    expect(toE164('01711111111')).toBeNull();
+  });
+
+  test.each([
+    ['too short', '12345'],
+    ['too long', '+1234567890123456'],
+    ['a country code starting with 0', '+0123456789'],
+    ['letters', '+880 1711 CALL'],
+    ['a plus in the middle', '880+1711111111'],
+    ['nothing', ''],
+    ['no value', null]
+  ])('rejects %s', (_, number) => {
+    expect(toE164(number)).toBeNull();
+  });
+});
+
+describe('checkRelayRecipient', () => {
+  beforeEach(() => {
+    resetPreferences();
+    userDataService.loadUserData.mockReset().mockReturnValue({});
+    userDataService.isKnownNumber.mockReset().mockReturnValue(false);
+    relayLogService.listRelays.mockReset().mockReturnValue([]);
+  });
+
+  const setPolicy = relayPolicy => {
+    userDataService.loadUserData.mockReturnValue({ preferences: { relayPolicy } });
+  };
+
+  test('refuses an invalid number before any other check', () => {
+    const result = checkRelayRecipient(GROUP, SENDER, '12345');
+
+    expect(result).toMatchObject({ allowed: false, number: null, notice: 'invalidNumber' });
+    expect(userDataService.loadUserData).not.toHaveBeenCalled();
+  });
+
+  test('"members" allows members of the group only', () => {
+    setPolicy({ recipients: 'members' });
+    userDataService.isKnownNumber.mockImplementation((number, groupJid) => groupJid === GROUP && number === '8801733333333');
+
+    expect(checkRelayRecipient(GROUP, SENDER, '01733333333')).toEqual({ allowed: true, number: '8801733333333' });
+    expect(checkRelayRecipient(GROUP, SENDER, '01744444444')).toMatchObject({
+      allowed: false,
+      number: '8801744444444',
+      notice: 'recipientNotAllowed',
+      reason: '8801744444444 is not a member of the group'
+    });
+  });
+
+  test('"members" falls back to known contacts outside groups', () => {
+    setPolicy({ recipients: 'members' });
+    userDataService.isKnownNumber.mockImplementation((number, groupJid) => !groupJid && number === '8801733333333');
+
+    expect(checkRelayRecipient(CHAT, SENDER, '01733333333').allowed).toBe(true);
+    expect(checkRelayRecipient(CHAT, SENDER, '01744444444')).toMatchObject({ allowed: false, reason: '8801744444444 is not a known contact' });
+  });
+
+  test('"known" allows known contacts only', () => {
+    setPolicy({ recipients: 'known' });
+    userDataService.isKnownNumber.mockImplementation(number => number === '8801733333333');
+
+    expect(checkRelayRecipient(GROUP, SENDER, '+880 1733-333333').allowed).toBe(true);
+    expect(checkRelayRecipient(GROUP, SENDER, '01744444444')).toMatchObject({ allowed: false, notice: 'recipientNotAllowed' });
+  });
+
+  test('"any" allows any valid number', () => {
+    setPolicy({ recipients: 'any' });
+
+    expect(checkRelayRecipient(GROUP, SENDER, '+1 (415) 555-0100')).toEqual({ allowed: true, number: '14155550100' });
+    expect(userDataService.isKnownNumber).not.toHaveBeenCalled();
+  });
+
+  test('refuses relays once the daily quota is reached', () => {
+    setPolicy({ recipients: 'any', dailyQuota: 2 });
+    relayLogService.listRelays.mockReturnValue([relay('sent')]);
+
+    expect(checkRelayRecipient(GROUP, SENDER, '01733333333').allowed).toBe(true);
+
+    relayLogService.listRelays.mockReturnValue([relay('sent'), relay('queued')]);
+
+    expect(checkRelayRecipient(GROUP, SENDER, '01733333333')).toMatchObject({
+      allowed: false,
+      notice: 'quotaReached',
+      limit: 2
+    });
+  });
+
+  test('a quota of 0 means no limit', () => {
+    setPolicy({ recipients: 'any', dailyQuota: 0 });
+    relayLogService.listRelays.mockReturnValue([relay('sent'), relay('sent'), relay('sent')]);
+
+    expect(checkRelayRecipient(GROUP, SENDER, '01733333333').allowed).toBe(true);
+  });
+});
+
+describe('countRecentRelays', () => {
+  beforeEach(() => {
+    relayLogService.listRelays.mockReset();
+  });
+
+  test('counts relays held for review, queued and sent, but not failed ones', () => {
+    relayLogService.listRelays.mockReturnValue([relay('held'), relay('queued'), relay('sent'), relay('failed')]);
+
+    expect(countRecentRelays(GROUP, SENDER)).toBe(3);
+  });
+
+  test('counts only the last 24 hours', () => {
+    relayLogService.listRelays.mockReturnValue([relay('sent', 23), relay('sent', 25)]);
+
+    expect(countRecentRelays(GROUP, SENDER)).toBe(1);
+  });
+
+  test('counts only the sender\'s relays, whatever their device', () => {
+    relayLogService.listRelays.mockReturnValue([
+      relay('sent', 1, '8801722222222@s.whatsapp.net'),
+      relay('sent', 1, '8801722222222:7@s.whatsapp.net'),
+      relay('sent', 1, '8801799999999@s.whatsapp.net')
+    ]);
+
+    expect(countRecentRelays(GROUP, SENDER)).toBe(2);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Reminder Service tests
+ *
+ * Pins how extractReminderTime reads times, in Asia/Dhaka (UTC+6, no daylight saving)
+ */
+
+// Only the time rules are tested; keep the AI, the scheduler's outbox and the data files out of it
+jest.mock('../src/services/mistralService', () => ({ getChatCompletion: jest.fn() }));
+jest.mock('../src/services/outboxService', () => ({}));
+jest.mock('../src/services/userDataService', () => ({}));
+
+const { resetPreferences, updatePreferences } = require('../src/config/userPreferences');
+const { extractReminderTime } = require('../src/services/reminderService');
+
+const ZONE = 'Asia/Dhaka';
+
+// Monday 2026-01-05, 10:00 in Dhaka
+const MONDAY_10AM = new Date('2026-01-05T04:00:00Z');
+
+// Reads a text and gives the local time ("2026-01-05 15:00") and the text left
+const extract = (text, now = MONDAY_10AM) => {
+  const result = extractReminderTime(text, ZONE, now);
+  if (!result) return null;
+
+  const local = new Date(result.runAt.getTime() + 6 * 60 * 60 * 1000).toISOString();
+  return { at: `${local.substring(0, 10)} ${local.substring(11, 16)}`, text: result.text };
+};
+
+describe('extractReminderTime', () => {
+  afterEach(() => {
+    resetPreferences();
+  });
+
+  test.each([
+    ['remind me in 20 minutes to check the oven', '2026-01-05 10:20', 'check the oven'],
+    ['remind me in 2 hours to call the supplier', '2026-01-05 12:00', 'call the supplier'],
+    ['in 3 days pay rent', '2026-01-08 10:00', 'pay rent']
+  ])('reads a relative time: %s', (text, at, rest) => {
+    expect(extract(text)).toEqual({ at, text: rest });
+  });
+
+  test.each([
+    ['remind me at 3 to call mom', '2026-01-05 15:00'],
+    ['remind me at 11 to call mom', '2026-01-05 11:00'],
+    ['remind me at 9:30 to call mom', '2026-01-05 21:30'],
+    ['remind me at 3am to call mom', '2026-01-06 03:00'],
+    ['remind me at 3pm to call mom', '2026-01-05 15:00'],
+    ['remind me at 03:00 to call mom', '2026-01-06 03:00'],
+    ['remind me at 18:00 to call mom', '2026-01-05 18:00'],
+    ['remind me at 12 to call mom', '2026-01-05 12:00']
+  ])('reads a time without a date as the next time the clock shows it: %s', (text, at) => {
+    expect(extract(text)).toEqual({ at, text: 'call mom' });
+  });
+
+  test('reads a bare hour as the morning when that comes first', () => {
+    // Sunday 2026-01-04, 23:00 in Dhaka
+    expect(extract('remind me at 7 to open the shop', new Date('2026-01-04T17:00:00Z')).at).toBe('2026-01-05 07:00');
+  });
+
+  test('reads a bare hour as tomorrow morning once both are past', () => {
+    // Monday, 22:00 in Dhaka
+    expect(extract('remind me at 9 to open the shop', new Date('2026-01-05T16:00:00Z')).at).toBe('2026-01-06 09:00');
+  });
+
+  test.each([
+    ['remind me today at 3 to call mom', '2026-01-05 15:00'],
+    ['remind me today at 11am to call mom', '2026-01-05 11:00'],
+    ['remind me tomorrow at 9 to call mom', '2026-01-06 09:00'],
+    ['remind me tomorrow at 9pm to call mom', '2026-01-06 21:00'],
+    ['remind me tomorrow to call mom', '2026-01-06 09:00']
+  ])('reads today and tomorrow: %s', (text, at) => {
+    expect(extract(text)).toEqual({ at, text: 'call mom' });
+  });
+
+  test('uses the default time when no time is given', () => {
+    updatePreferences({ reminders: { defaultTime: '08:30' } });
+
+    expect(extract('remind me tomorrow to call mom').at).toBe('2026-01-06 08:30');
+  });
+
+  test.each([
+    ['remind me on friday at 17:30 to close the books', '2026-01-09 17:30'],
+    ['remind me next wednesday to close the books', '2026-01-07 09:00'],
+    ['remind me on monday at 10am to close the books', '2026-01-12 10:00'],
+    ['remind me on 2026-02-01 at 9 to close the books', '2026-02-01 09:00']
+  ])('reads weekdays and dates: %s', (text, at) => {
+    expect(extract(text)).toEqual({ at, text: 'close the books' });
+  });
+
+  test.each([
+    'remind me to call mom',
+    'remind me at 25 to call mom',
+    'remind me at 13pm to call mom',
+    'remind me tomorrow at 9:75 to call mom'
+  ])('finds no time in "%s"', text => {
+    expect(extract(text)).toBeNull();
+  });
+});
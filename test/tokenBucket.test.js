@@ -0,0 +1,82 @@
+/**
+ * Token Bucket tests
+ */
+
+const TokenBucket = require('../src/core/tokenBucket');
+
+describe('TokenBucket', () => {
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-05T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts full and allows a burst of its capacity', () => {
+    const bucket = new TokenBucket({ capacity: 3, refillPerMinute: 1 });
+
+    expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+  });
+
+  test('refills gradually, up to its capacity', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerMinute: 2 });
+    bucket.take();
+    bucket.take();
+
+    jest.advanceTimersByTime(20 * 1000);
+    expect(bucket.canTake()).toBe(false);
+
+    jest.advanceTimersByTime(10 * 1000);
+    expect(bucket.take()).toBe(true);
+    expect(bucket.canTake()).toBe(false);
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(bucket.getState().tokens).toBe(2);
+  });
+
+  test('canTake does not take a token', () => {
+    const bucket = new TokenBucket({ capacity: 1 });
+
+    expect(bucket.canTake()).toBe(true);
+    expect(bucket.canTake()).toBe(true);
+    expect(bucket.take()).toBe(true);
+    expect(bucket.canTake()).toBe(false);
+  });
+
+  test('tells how long until the next token', () => {
+    const bucket = new TokenBucket({ capacity: 1, refillPerMinute: 4 });
+
+    expect(bucket.getRetryIn()).toBe(0);
+
+    bucket.take();
+    expect(bucket.getRetryIn()).toBe(15 * 1000);
+
+    jest.advanceTimersByTime(7500);
+    expect(bucket.getRetryIn()).toBe(7500);
+  });
+
+  test('never refills without a refill rate', () => {
+    const bucket = new TokenBucket({ capacity: 1 });
+    bucket.take();
+
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(bucket.canTake()).toBe(false);
+    expect(bucket.getRetryIn()).toBe(Infinity);
+  });
+
+  test('remembers when a token was last taken', () => {
+    const bucket = new TokenBucket({ name: 'chat:1', capacity: 1 });
+
+    expect(bucket.getState().lastTakenAt).toBeNull();
+
+    bucket.take();
+    expect(bucket.getState()).toEqual({
+      name: 'chat:1',
+      tokens: 0,
+      capacity: 1,
+      refillPerMinute: 0,
+      lastTakenAt: '2026-01-05T10:00:00.000Z'
+    });
+  });
+});